@@ -0,0 +1,235 @@
+// Offline stand-in for the Cognito hosted UI, token endpoint and JWKS, used by the local
+// CloudFront emulator so sign-in, token refresh and the API's token checks work without AWS.
+//
+// Serves the Cognito endpoints the SPA and the API handler call, under `/local-auth`:
+//   GET  /local-auth/oauth2/authorize       sign-in page (any email, no password)
+//   POST /local-auth/oauth2/authorize       issues a code and redirects to the callback
+//   POST /local-auth/oauth2/token           authorization_code (with PKCE) and refresh_token grants
+//   GET  /local-auth/logout                 redirects to logout_uri
+//   GET  /local-auth/.well-known/jwks.json  public key of the signing key pair
+//
+// Tokens are RS256 JWTs with Cognito's claims, signed by a key pair generated at startup, so a
+// restart signs everyone out. Access tokens are short-lived to exercise the refresh flow.
+
+import { createHash, generateKeyPairSync, randomBytes, randomUUID, sign } from 'node:crypto'
+
+export const LOCAL_AUTH_PREFIX = '/local-auth'
+
+export const LOCAL_CLIENT_ID = 'local-client'
+
+const CODE_TTL_MS = 5 * 60 * 1000
+
+const base64url = (value) => Buffer.from(value).toString('base64url')
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))))
+    req.on('error', reject)
+  })
+
+const sendJson = (res, statusCode, body) => {
+  res.statusCode = statusCode
+  res.setHeader('Content-Type', 'application/json')
+  res.setHeader('Cache-Control', 'no-store')
+  res.end(JSON.stringify(body))
+}
+
+const redirect = (res, location) => {
+  res.statusCode = 302
+  res.setHeader('Location', location)
+  res.end()
+}
+
+const signInPage = (search, email) => `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Local sign-in</title></head>
+<body style="font-family: system-ui, sans-serif; max-width: 24rem; margin: 4rem auto">
+  <h1>Local sign-in</h1>
+  <p>Offline stand-in for the Cognito hosted UI. Any email signs in; there is no password.</p>
+  <form method="post" action="${LOCAL_AUTH_PREFIX}/oauth2/authorize${escapeHtml(search)}">
+    <label>Email <input type="email" name="email" value="${escapeHtml(email)}" required autofocus></label>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`
+
+// Same user ID for the same email across restarts, shaped like a Cognito sub
+const subFor = (email) => {
+  const hex = createHash('sha256').update(email).digest('hex')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`
+}
+
+export default function createAuthStandIn(options = {}) {
+  const {
+    clientId = LOCAL_CLIENT_ID,
+    accessTokenTtl = 5 * 60, // Seconds
+    defaultEmail = 'developer@example.com',
+  } = options
+
+  const kid = randomUUID()
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] }
+
+  const codes = new Map()
+  const refreshTokens = new Map()
+
+  const signJwt = (claims) => {
+    const input = `${base64url(JSON.stringify({ kid, alg: 'RS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`
+    return `${input}.${sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url')}`
+  }
+
+  const issueTokens = (issuer, session) => {
+    const now = Math.floor(Date.now() / 1000)
+    const sub = subFor(session.email)
+    const common = { sub, iss: issuer, auth_time: session.authTime, iat: now, exp: now + accessTokenTtl }
+
+    return {
+      access_token: signJwt({
+        ...common,
+        token_use: 'access',
+        client_id: clientId,
+        scope: session.scope,
+        username: sub,
+        jti: randomUUID(),
+      }),
+      id_token: signJwt({
+        ...common,
+        token_use: 'id',
+        aud: clientId,
+        email: session.email,
+        email_verified: true,
+        'cognito:username': sub,
+      }),
+      expires_in: accessTokenTtl,
+      token_type: 'Bearer',
+    }
+  }
+
+  // Environment for the in-process API handler; the issuer is this dev server's origin
+  const environment = (origin) => ({
+    AUTH_ISSUER: `${origin}${LOCAL_AUTH_PREFIX}`,
+    AUTH_CLIENT_ID: clientId,
+    AUTH_DOMAIN: `${origin}${LOCAL_AUTH_PREFIX}`,
+  })
+
+  const tokenGrant = (issuer, form) => {
+    if (form.get('client_id') !== clientId) {
+      return [400, { error: 'invalid_client' }]
+    }
+
+    if (form.get('grant_type') === 'authorization_code') {
+      const pending = codes.get(form.get('code'))
+      codes.delete(form.get('code'))
+      const verifier = form.get('code_verifier') || ''
+      const challenge = createHash('sha256').update(verifier).digest('base64url')
+
+      if (!pending || pending.expires < Date.now() || pending.redirectUri !== form.get('redirect_uri')
+        || pending.codeChallenge !== challenge) {
+        return [400, { error: 'invalid_grant' }]
+      }
+
+      const refreshToken = randomBytes(32).toString('base64url')
+      refreshTokens.set(refreshToken, pending.session)
+      return [200, { ...issueTokens(issuer, pending.session), refresh_token: refreshToken }]
+    }
+
+    if (form.get('grant_type') === 'refresh_token') {
+      const session = refreshTokens.get(form.get('refresh_token'))
+      return session ? [200, issueTokens(issuer, session)] : [400, { error: 'invalid_grant' }]
+    }
+
+    return [400, { error: 'unsupported_grant_type' }]
+  }
+
+  // Only this client, PKCE and callbacks on the dev server itself, as the app client allows
+  const authorizeProblem = (searchParams, origin) => {
+    let redirectOrigin = null
+    try {
+      redirectOrigin = new URL(searchParams.get('redirect_uri')).origin
+    } catch {
+      // Reported below
+    }
+
+    if (searchParams.get('client_id') !== clientId) {
+      return `Expected client_id=${clientId}`
+    }
+    if (searchParams.get('code_challenge_method') !== 'S256' || !searchParams.get('code_challenge')) {
+      return 'Expected a PKCE code_challenge with code_challenge_method=S256'
+    }
+    if (redirectOrigin !== origin) {
+      return `redirect_uri must be on ${origin}`
+    }
+    return null
+  }
+
+  const middleware = (logger) => async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (!url.pathname.startsWith(`${LOCAL_AUTH_PREFIX}/`)) {
+      return next()
+    }
+
+    const origin = `http://${req.headers.host}`
+    const issuer = `${origin}${LOCAL_AUTH_PREFIX}`
+    const route = `${req.method} ${url.pathname.slice(LOCAL_AUTH_PREFIX.length)}`
+    logger.info(`[local-auth] ${route}`)
+
+    switch (route) {
+      case 'GET /.well-known/jwks.json':
+        return sendJson(res, 200, jwks)
+
+      case 'GET /oauth2/authorize': {
+        const problem = authorizeProblem(url.searchParams, origin)
+        if (problem) {
+          return sendJson(res, 400, { error: 'invalid_request', error_description: problem })
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8')
+        return res.end(signInPage(url.search, defaultEmail))
+      }
+
+      case 'POST /oauth2/authorize': {
+        const form = await readForm(req)
+        const { searchParams } = url
+        const problem = authorizeProblem(searchParams, origin)
+        if (problem) {
+          return sendJson(res, 400, { error: 'invalid_request', error_description: problem })
+        }
+        const code = randomUUID()
+        codes.set(code, {
+          redirectUri: searchParams.get('redirect_uri'),
+          codeChallenge: searchParams.get('code_challenge'),
+          expires: Date.now() + CODE_TTL_MS,
+          session: {
+            email: form.get('email') || defaultEmail,
+            scope: searchParams.get('scope') || 'openid',
+            authTime: Math.floor(Date.now() / 1000),
+          },
+        })
+
+        const callback = new URL(searchParams.get('redirect_uri'))
+        callback.searchParams.set('code', code)
+        if (searchParams.get('state')) {
+          callback.searchParams.set('state', searchParams.get('state'))
+        }
+        return redirect(res, callback.toString())
+      }
+
+      case 'POST /oauth2/token': {
+        const [statusCode, body] = tokenGrant(issuer, await readForm(req))
+        return sendJson(res, statusCode, body)
+      }
+
+      case 'GET /logout':
+        return redirect(res, url.searchParams.get('logout_uri') || `${origin}/`)
+
+      default:
+        return sendJson(res, 404, { error: 'not_found' })
+    }
+  }
+
+  return { environment, middleware }
+}
@@ -0,0 +1,256 @@
+// Local CloudFront + Lambda emulator for `npm run dev` and `npm run preview`.
+//
+// Mirrors the deployed topology so routing bugs show up before a deploy:
+//   - `/api/*` is sent to the Stage C handler (apps/hello-world-lambda/index.js),
+//     invoked in-process with a Lambda Function URL (payload v2.0) event, exactly
+//     as ReactApiStack's `/api/*` behavior forwards it.
+//   - Every other request runs through the viewer request CloudFront Function
+//     (iac/cloudfront-functions/viewer-request), so deep links are rewritten to
+//     `/index.html` while missing assets and API errors keep their status.
+//   - `/local-auth/*` is an offline stand-in for the Cognito hosted UI, token endpoint and
+//     JWKS (local/auth-stand-in.js); the handler is pointed at it so signed-in calls work.
+//   - `/local-dynamodb` is an in-memory DynamoDB stand-in
+//     (apps/hello-world-lambda/local/dynamodb-stand-in.js) holding the `/api/items` data until
+//     the server restarts.
+
+import { createRequire } from 'node:module'
+import { randomUUID } from 'node:crypto'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import createAuthStandIn from './auth-stand-in.js'
+
+const require = createRequire(import.meta.url)
+
+const LOCAL_DIR = path.dirname(fileURLToPath(import.meta.url))
+
+const DEFAULT_LAMBDA_DIR = path.resolve(LOCAL_DIR, '../../hello-world-lambda')
+
+const DYNAMODB_STAND_IN = path.resolve(LOCAL_DIR, '../../hello-world-lambda/local/dynamodb-stand-in.js')
+
+const LOCAL_DYNAMODB_PREFIX = '/local-dynamodb'
+
+const LOCAL_TABLE = 'local-data'
+
+const DEFAULT_VIEWER_REQUEST = path.resolve(LOCAL_DIR, '../../../iac/cloudfront-functions/viewer-request/index.js')
+
+// Vite's own dev endpoints (/@vite/client, /@react-refresh, /@fs/...) have no extension but are not routes
+const VITE_INTERNAL = /^\/@/
+
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|x-www-form-urlencoded|javascript)|[^;]+\+(json|xml))/i
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+
+// Loads the handler fresh on every request so edits to the Lambda code apply without a restart
+const loadHandler = (lambdaDir, handlerName) => {
+  for (const cached of Object.keys(require.cache)) {
+    if (cached.startsWith(lambdaDir + path.sep)) {
+      delete require.cache[cached]
+    }
+  }
+  const [file, exportName] = handlerName.split('.')
+  return require(path.join(lambdaDir, file))[exportName]
+}
+
+export const toFunctionUrlEvent = (req, body) => {
+  const url = new URL(req.url, 'http://localhost')
+  const headers = {}
+  for (const [key, value] of Object.entries(req.headers)) {
+    headers[key.toLowerCase()] = Array.isArray(value) ? value.join(',') : value
+  }
+
+  const queryStringParameters = {}
+  for (const [key, value] of url.searchParams) {
+    queryStringParameters[key] = key in queryStringParameters
+      ? `${queryStringParameters[key]},${value}`
+      : value
+  }
+
+  const contentType = headers['content-type'] || ''
+  const isText = !contentType || TEXT_CONTENT_TYPE.test(contentType)
+  const now = new Date()
+
+  return {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: url.pathname,
+    rawQueryString: url.search.slice(1),
+    cookies: headers.cookie ? headers.cookie.split(/;\s*/) : undefined,
+    headers,
+    queryStringParameters: url.search ? queryStringParameters : undefined,
+    requestContext: {
+      accountId: 'anonymous',
+      apiId: 'local',
+      domainName: headers.host || 'localhost',
+      domainPrefix: (headers.host || 'localhost').split('.')[0],
+      http: {
+        method: req.method,
+        path: url.pathname,
+        protocol: `HTTP/${req.httpVersion}`,
+        sourceIp: req.socket.remoteAddress,
+        userAgent: headers['user-agent'] || '',
+      },
+      requestId: randomUUID(),
+      routeKey: '$default',
+      stage: '$default',
+      time: now.toUTCString(),
+      timeEpoch: now.getTime(),
+    },
+    body: body.length ? body.toString(isText ? 'utf8' : 'base64') : undefined,
+    isBase64Encoded: body.length > 0 && !isText,
+  }
+}
+
+// Function URLs treat anything without a statusCode as a 200 JSON payload
+export const fromLambdaResult = (result) => {
+  if (result && typeof result === 'object' && 'statusCode' in result) {
+    const body = result.isBase64Encoded
+      ? Buffer.from(result.body || '', 'base64')
+      : Buffer.from(result.body || '')
+    return {
+      statusCode: result.statusCode,
+      headers: result.headers || {},
+      cookies: result.cookies || [],
+      body,
+    }
+  }
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    cookies: [],
+    body: Buffer.from(typeof result === 'string' ? result : JSON.stringify(result ?? null)),
+  }
+}
+
+// Builds the cloudfront-js-2.0 event for a request; CloudFront never passes the query string in `uri`
+export const toViewerRequestEvent = (req) => {
+  const url = new URL(req.url, 'http://localhost')
+  const headers = {}
+  for (const [key, value] of Object.entries(req.headers)) {
+    headers[key.toLowerCase()] = { value: Array.isArray(value) ? value.join(',') : value }
+  }
+
+  return {
+    version: '1.0',
+    context: { eventType: 'viewer-request' },
+    viewer: { ip: req.socket.remoteAddress },
+    request: {
+      method: req.method,
+      uri: url.pathname,
+      querystring: {},
+      headers,
+      cookies: {},
+    },
+  }
+}
+
+export default function localCloudFront(options = {}) {
+  const {
+    lambdaDir = DEFAULT_LAMBDA_DIR,
+    handler = 'index.handler',
+    apiPrefix = '/api',
+    functionName = 'local-api',
+    viewerRequest = DEFAULT_VIEWER_REQUEST,
+    auth = true, // `false` runs the API without authentication, as a Stage C deployment without auth
+    data = true, // `false` runs the API without a table, as a Stage C deployment without data
+  } = options
+
+  const authStandIn = auth ? createAuthStandIn(auth === true ? {} : auth) : null
+  const dynamoDbStandIn = data ? require(DYNAMODB_STAND_IN).createDynamoDbStandIn({ tables: [LOCAL_TABLE] }) : null
+
+  const isApiRequest = (req) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+    return pathname === apiPrefix || pathname.startsWith(`${apiPrefix}/`)
+  }
+
+  // Rewrites the request URI as the distribution's default behavior would, then lets the
+  // static middlewares serve the result. Loaded per request like the Lambda handler. No release
+  // store is bound locally, so the build is served as is, like a bucket without a live release.
+  const viewerRequestMiddleware = (logger) => async (req, res, next) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost')
+    if (isApiRequest(req) || VITE_INTERNAL.test(pathname)) {
+      return next()
+    }
+
+    try {
+      delete require.cache[viewerRequest]
+      const request = await require(viewerRequest).handler(toViewerRequestEvent(req))
+      if (request.uri !== pathname) {
+        logger.info(`[local-cloudfront] ${req.method} ${pathname} -> ${request.uri}`)
+        res.setHeader('X-Local-CloudFront', `viewer-request ${pathname}`)
+        req.url = request.uri + search
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  const apiMiddleware = (logger) => async (req, res, next) => {
+    if (!isApiRequest(req)) {
+      return next()
+    }
+
+    const started = Date.now()
+    let response
+    try {
+      const body = await readBody(req)
+      const event = toFunctionUrlEvent(req, body)
+      const context = {
+        awsRequestId: event.requestContext.requestId,
+        functionName,
+        getRemainingTimeInMillis: () => 30000 - (Date.now() - started),
+      }
+      if (authStandIn) {
+        Object.assign(process.env, authStandIn.environment(`http://${req.headers.host}`))
+      }
+      if (dynamoDbStandIn) {
+        process.env.ITEMS_TABLE = LOCAL_TABLE
+        process.env.DYNAMODB_ENDPOINT = `http://${req.headers.host}${LOCAL_DYNAMODB_PREFIX}`
+      }
+      response = fromLambdaResult(await loadHandler(lambdaDir, handler)(event, context))
+    } catch (error) {
+      logger.error(`[local-cloudfront] ${req.method} ${req.url} -> Lambda error: ${error.stack || error}`)
+      response = {
+        statusCode: 502,
+        headers: { 'Content-Type': 'text/plain' },
+        cookies: [],
+        body: Buffer.from('502 Bad Gateway: the Lambda function failed'),
+      }
+    }
+
+    logger.info(`[local-cloudfront] ${req.method} ${req.url} -> ${response.statusCode} (${Date.now() - started}ms)`)
+
+    res.statusCode = response.statusCode
+    for (const [name, value] of Object.entries(response.headers)) {
+      res.setHeader(name, value)
+    }
+    if (response.cookies.length) {
+      res.setHeader('Set-Cookie', response.cookies)
+    }
+    res.end(req.method === 'HEAD' ? undefined : response.body)
+  }
+
+  const useMiddlewares = (server) => {
+    if (authStandIn) {
+      server.middlewares.use(authStandIn.middleware(server.config.logger))
+    }
+    if (dynamoDbStandIn) {
+      server.middlewares.use(LOCAL_DYNAMODB_PREFIX, dynamoDbStandIn.middleware())
+    }
+    server.middlewares.use(apiMiddleware(server.config.logger))
+    server.middlewares.use(viewerRequestMiddleware(server.config.logger))
+  }
+
+  return {
+    name: 'local-cloudfront',
+    configureServer: useMiddlewares,
+    configurePreviewServer: useMiddlewares,
+  }
+}
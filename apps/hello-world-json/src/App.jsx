@@ -1,55 +1,17 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import reactLogo from './assets/react.svg'
 import viteLogo from '/vite.svg'
 import './App.css'
+import { getMe, getStatus } from './api/index.js'
+import { useApi } from './useApi.js'
+import { useAuth } from './useAuth.js'
 
 function App() {
   const [count, setCount] = useState(0)
-  const [apiData, setApiData] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    const controller = new AbortController()
-    
-    const fetchData = async () => {
-      try {
-        const timeoutId = setTimeout(() => {
-          controller.abort()
-        }, 30000) // 30 second timeout
-        
-        const response = await fetch('/api/', {
-          method: 'GET',
-          signal: controller.signal
-        })
-        
-        clearTimeout(timeoutId)
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-        }
-        
-        const data = await response.json()
-        setApiData(data)
-        setError(null)
-      } catch (err) {
-        if (err.name === 'AbortError') {
-          setError('Request timed out after 30 seconds')
-        } else {
-          setError(err.message)
-        }
-      } finally {
-        setLoading(false)
-      }
-    }
-    
-    fetchData()
-    
-    // Cleanup function
-    return () => {
-      controller.abort()
-    }
-  }, [])
+  const { data: apiData, error, loading, refetch } = useApi(getStatus)
+  const auth = useAuth()
+  // Protected route: the handler verifies the access token before answering
+  const profile = useApi(getMe, { enabled: auth.status === 'signedIn' })
 
   return (
     <>
@@ -75,7 +37,8 @@ function App() {
           {loading && <p>Loading...</p>}
           {error && (
             <div>
-              <p style={{color: '#ff6b6b'}}>Error: {error}</p>
+              <p style={{color: '#ff6b6b'}}>Error: {error.message}</p>
+              <button onClick={refetch}>Retry</button>
             </div>
           )}
           {!loading && !error && apiData && (
@@ -95,6 +58,28 @@ function App() {
             </div>
           )}
         </div>
+        {auth.status !== 'disabled' && (
+          <div style={{marginTop: '20px', padding: '15px', borderRadius: '8px', border: '1px solid #646cff'}}>
+            <h3>Authentication</h3>
+            {auth.status === 'loading' && <p>Checking session...</p>}
+            {auth.error && <p style={{color: '#ff6b6b'}}>Sign-in failed: {auth.error}</p>}
+            {auth.status === 'signedOut' && (
+              <button onClick={auth.signIn}>Sign in</button>
+            )}
+            {auth.status === 'signedIn' && (
+              <div>
+                <p>Signed in as {auth.user?.email || auth.user?.sub}</p>
+                {profile.error && <p style={{color: '#ff6b6b'}}>Error: {profile.error.message}</p>}
+                {profile.data && (
+                  <pre style={{textAlign: 'left', fontSize: '14px', overflow: 'auto'}}>
+                    {JSON.stringify(profile.data.user, null, 2)}
+                  </pre>
+                )}
+                <button onClick={auth.signOut}>Sign out</button>
+              </div>
+            )}
+          </div>
+        )}
       </div>
       <p className="read-the-docs">
         Full-stack React application with API integration served via AWS CloudFront
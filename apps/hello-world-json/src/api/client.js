@@ -0,0 +1,213 @@
+// Fetch wrapper for the same-origin API behind CloudFront's `/api/*` behaviors.
+//
+// Handles JSON bodies and responses, a timeout per attempt, retries with exponential backoff for
+// idempotent requests, cancellation through an AbortSignal, and the SHA-256 body hash the Lambda
+// origin access control needs. Failures are thrown as ApiError, whose `code` is the Lambda's
+// error code (`{ error: { code, message } }`, see apps/hello-world-lambda/router.js) or one of
+// the client codes below. Cancelling rejects with the signal's AbortError, not an ApiError.
+
+// Client-side error codes, next to the Lambda's own (NOT_FOUND, INVALID_TOKEN, ...)
+export const TIMEOUT = 'TIMEOUT'
+export const NETWORK_ERROR = 'NETWORK_ERROR'
+export const INVALID_RESPONSE = 'INVALID_RESPONSE'
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+
+// Gateway errors and throttling are worth another attempt; 500 is usually a bug
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504])
+
+const MAX_RETRY_AFTER_MS = 10000
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {string} [method] - Defaults to GET
+ * @property {Record<string, string | number | boolean | Array<string | number | boolean>>} [query]
+ * @property {unknown} [body] - Sent as JSON
+ * @property {Record<string, string>} [headers]
+ * @property {AbortSignal} [signal] - Cancels the request, including pending retries
+ * @property {number} [timeoutMs] - Per attempt
+ * @property {number} [retries] - Extra attempts; only idempotent methods are retried by default
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status, 0 when no response arrived
+   * @param {string} code - Lambda error code or TIMEOUT, NETWORK_ERROR, INVALID_RESPONSE
+   * @param {string} message
+   * @param {{ body?: unknown, cause?: unknown, retryAfterMs?: number }} [details]
+   */
+  constructor(status, code, message, { body, cause, retryAfterMs } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.body = body
+    this.retryAfterMs = retryAfterMs // From a Retry-After header
+  }
+
+  // True for failures another attempt may fix
+  get retryable() {
+    return this.code === TIMEOUT || this.code === NETWORK_ERROR || RETRYABLE_STATUSES.has(this.status)
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError'
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map((byte) => byte.toString(16).padStart(2, '0')).join('')
+
+export const sha256Hex = async (text) =>
+  toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)))
+
+const toQueryString = (query = {}) => {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null) {
+        params.append(key, String(item))
+      }
+    }
+  }
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
+
+// Resolves after `ms`, or rejects as soon as the signal aborts
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+// Exponential backoff with jitter; Retry-After wins when the API sends it
+const retryDelay = (attempt, baseDelayMs, error) => {
+  if (error.retryAfterMs > 0) {
+    return Math.min(error.retryAfterMs, MAX_RETRY_AFTER_MS)
+  }
+  const delay = baseDelayMs * 2 ** attempt
+  return delay / 2 + Math.random() * (delay / 2)
+}
+
+const parseResponse = async (response) => {
+  if (response.status === 204 || response.headers.get('Content-Length') === '0') {
+    return undefined
+  }
+
+  const retryAfterMs = (Number(response.headers.get('Retry-After')) || 0) * 1000
+
+  const text = await response.text()
+  const contentType = response.headers.get('Content-Type') || ''
+  if (!/[/+]json\b/i.test(contentType)) {
+    // Typically index.html served for a path that did not reach the Lambda origin
+    if (!response.ok) {
+      throw new ApiError(response.status, `HTTP_${response.status}`, `HTTP ${response.status}: ${response.statusText}`, { body: text, retryAfterMs })
+    }
+    throw new ApiError(response.status, INVALID_RESPONSE, `Expected JSON but received ${contentType || 'no content type'}`, { body: text })
+  }
+
+  let body
+  try {
+    body = text ? JSON.parse(text) : undefined
+  } catch (error) {
+    throw new ApiError(response.status, INVALID_RESPONSE, 'Response is not valid JSON', { body: text, cause: error })
+  }
+
+  if (!response.ok) {
+    const { code = `HTTP_${response.status}`, message = `HTTP ${response.status}: ${response.statusText}` } = body?.error || {}
+    throw new ApiError(response.status, code, message, { body, retryAfterMs })
+  }
+  return body
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Prefix of every path, defaults to /api
+ * @param {number} [options.timeoutMs] - Per attempt, defaults to 30 seconds
+ * @param {number} [options.retries] - Extra attempts for idempotent requests, defaults to 2
+ * @param {number} [options.retryDelayMs] - First backoff delay, doubled on every retry
+ * @param {() => Promise<Record<string, string>>} [options.getHeaders] - Added to every request, e.g. auth
+ */
+export const createApiClient = ({
+  baseUrl = '/api',
+  timeoutMs: defaultTimeoutMs = 30000,
+  retries: defaultRetries = 2,
+  retryDelayMs = 300,
+  getHeaders = async () => ({}),
+} = {}) => {
+  // One attempt, aborted by the caller's signal or the timeout
+  const attempt = async (url, init, signal, timeoutMs) => {
+    const controller = new AbortController()
+    const abort = () => controller.abort(signal.reason)
+    if (signal?.aborted) {
+      abort()
+    }
+    signal?.addEventListener('abort', abort, { once: true })
+    const timer = setTimeout(() => controller.abort(new ApiError(0, TIMEOUT, `Request timed out after ${timeoutMs / 1000} seconds`)), timeoutMs)
+
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal })
+      return await parseResponse(response)
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason // The caller's AbortError or the timeout ApiError
+      }
+      if (error instanceof ApiError) {
+        throw error
+      }
+      throw new ApiError(0, NETWORK_ERROR, `Network error: ${error.message}`, { cause: error })
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', abort)
+    }
+  }
+
+  /**
+   * @param {string} path - Below baseUrl, e.g. /hello/world
+   * @param {RequestOptions} [options]
+   */
+  const request = async (path, { method = 'GET', query, body, headers, signal, timeoutMs = defaultTimeoutMs, retries } = {}) => {
+    const upperMethod = method.toUpperCase()
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(upperMethod) ? defaultRetries : 0)
+    const url = `${baseUrl}${path}${toQueryString(query)}`
+
+    const init = { method: upperMethod, headers: { Accept: 'application/json', ...headers } }
+    if (body !== undefined) {
+      init.body = JSON.stringify(body)
+      init.headers['Content-Type'] = 'application/json'
+      // POST and PUT bodies going through the Lambda origin access control must carry their
+      // SHA-256 hash in x-amz-content-sha256
+      init.headers['x-amz-content-sha256'] = await sha256Hex(init.body)
+    }
+
+    for (let attemptNumber = 0; ; attemptNumber += 1) {
+      try {
+        init.headers = { ...init.headers, ...(await getHeaders()) }
+        return await attempt(url, init, signal, timeoutMs)
+      } catch (error) {
+        if (!(error instanceof ApiError) || !error.retryable || attemptNumber >= maxRetries) {
+          throw error
+        }
+        await sleep(retryDelay(attemptNumber, retryDelayMs, error), signal)
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+  }
+}
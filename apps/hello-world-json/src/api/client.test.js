@@ -0,0 +1,130 @@
+// Tests for the API client, run with `npm test` (node --test) against a stand-in for fetch
+
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import { ApiError, NETWORK_ERROR, TIMEOUT, createApiClient } from './client.js'
+
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } })
+
+// Replaces the global fetch with one answering from `responses` in order, each either a
+// Response, an Error to throw, or a function of the request init
+const stubFetch = (...responses) => {
+  const calls = []
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init })
+    const next = responses[Math.min(calls.length, responses.length) - 1]
+    const response = typeof next === 'function' ? await next(init) : next
+    if (response instanceof Error) {
+      throw response
+    }
+    return response
+  }
+  return calls
+}
+
+// Never answers; rejects with the abort reason like the real fetch
+const hangingFetch = (init) =>
+  new Promise((resolve, reject) => {
+    if (init.signal.aborted) {
+      reject(init.signal.reason)
+      return
+    }
+    init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true })
+  })
+
+describe('createApiClient', () => {
+  const realFetch = globalThis.fetch
+  let client
+
+  beforeEach(() => {
+    client = createApiClient({ retryDelayMs: 1 })
+  })
+
+  afterEach(() => {
+    globalThis.fetch = realFetch
+  })
+
+  test('returns the JSON body of a successful response', async () => {
+    const calls = stubFetch(json(200, { message: 'Hello' }))
+
+    assert.deepEqual(await client.get('/hello', { query: { name: 'world' } }), { message: 'Hello' })
+    assert.equal(calls[0].url, '/api/hello?name=world')
+  })
+
+  test('retries server errors for idempotent requests', async () => {
+    const calls = stubFetch(json(503, { error: { code: 'SERVICE_UNAVAILABLE', message: 'Try again' } }), json(200, { ok: true }))
+
+    assert.deepEqual(await client.get('/items'), { ok: true })
+    assert.equal(calls.length, 2)
+  })
+
+  test('retries network errors', async () => {
+    const calls = stubFetch(new TypeError('Failed to fetch'), new TypeError('Failed to fetch'), json(200, { ok: true }))
+
+    assert.deepEqual(await client.delete('/items/1'), { ok: true })
+    assert.equal(calls.length, 3)
+  })
+
+  test('gives up with the last error once the retries run out', async () => {
+    const calls = stubFetch(new TypeError('Failed to fetch'))
+
+    await assert.rejects(client.get('/items'), (error) => error instanceof ApiError && error.code === NETWORK_ERROR && error.status === 0)
+    assert.equal(calls.length, 3)
+  })
+
+  test('does not retry non-idempotent requests', async () => {
+    const calls = stubFetch(json(503, { error: { code: 'SERVICE_UNAVAILABLE', message: 'Try again' } }))
+
+    await assert.rejects(client.post('/items', { name: 'Widget' }), { status: 503, code: 'SERVICE_UNAVAILABLE' })
+    assert.equal(calls.length, 1)
+  })
+
+  test('does not retry client errors', async () => {
+    const calls = stubFetch(json(404, { error: { code: 'NOT_FOUND', message: 'Item not found' } }))
+
+    await assert.rejects(client.get('/items/missing'), { status: 404, code: 'NOT_FOUND', message: 'Item not found' })
+    assert.equal(calls.length, 1)
+  })
+
+  test('aborts an attempt that takes longer than the timeout', async () => {
+    const calls = stubFetch(hangingFetch)
+
+    await assert.rejects(client.get('/slow', { timeoutMs: 20, retries: 0 }), { status: 0, code: TIMEOUT })
+    assert.equal(calls[0].init.signal.aborted, true)
+  })
+
+  test('retries timed out attempts', async () => {
+    const calls = stubFetch(hangingFetch, json(200, { ok: true }))
+
+    assert.deepEqual(await client.get('/slow', { timeoutMs: 20 }), { ok: true })
+    assert.equal(calls.length, 2)
+  })
+
+  test('rejects with the caller\'s AbortError when cancelled', async () => {
+    stubFetch(hangingFetch)
+    const controller = new AbortController()
+
+    const request = client.get('/slow', { signal: controller.signal })
+    controller.abort()
+
+    await assert.rejects(request, { name: 'AbortError' })
+  })
+
+  test('resolves undefined for 204 No Content', async () => {
+    stubFetch(new Response(null, { status: 204 }))
+
+    assert.equal(await client.delete('/items/1'), undefined)
+  })
+
+  test('sends JSON bodies with their SHA-256 hash', async () => {
+    const calls = stubFetch(json(201, { id: '1' }))
+
+    await client.post('/items', { name: 'Widget' })
+
+    const { init } = calls[0]
+    assert.equal(init.body, '{"name":"Widget"}')
+    assert.equal(init.headers['Content-Type'], 'application/json')
+    assert.match(init.headers['x-amz-content-sha256'], /^[0-9a-f]{64}$/)
+  })
+})
@@ -0,0 +1,108 @@
+// Typed calls to the routes of apps/hello-world-lambda/index.js. Components import these
+// instead of building URLs; signed-in users' access tokens are added to every request.
+
+import { authHeaders } from '../auth.js'
+import { createApiClient } from './client.js'
+
+export { ApiError, INVALID_RESPONSE, NETWORK_ERROR, TIMEOUT, createApiClient, isAbortError } from './client.js'
+
+export const api = createApiClient({ getHeaders: authHeaders })
+
+/**
+ * @typedef {object} CallOptions
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeoutMs]
+ * @property {number} [retries]
+ */
+
+/** @typedef {{ title: string, message: string, date: string }} ApiStatus */
+/** @typedef {{ status: 'ok', date: string }} ApiHealth */
+/** @typedef {{ message: string, query: Record<string, string | string[]>, date: string }} Greeting */
+/** @typedef {{ received: unknown, query: Record<string, string | string[]>, date: string }} Echo */
+/** @typedef {{ sub: string, username: string, scopes: string[], groups: string[] }} ApiUser */
+/** @typedef {{ id: string, name: string, description: string, version: number, createdAt: string, updatedAt: string }} Item */
+/** @typedef {{ items: Item[], nextCursor: string | null }} ItemPage */
+/** @typedef {{ name: string, description?: string }} ItemFields */
+
+/**
+ * GET /api/
+ * @param {CallOptions} [options]
+ * @returns {Promise<ApiStatus>}
+ */
+export const getStatus = (options) => api.get('/', options)
+
+/**
+ * GET /api/health
+ * @param {CallOptions} [options]
+ * @returns {Promise<ApiHealth>}
+ */
+export const getHealth = (options) => api.get('/health', options)
+
+/**
+ * GET /api/hello/:name
+ * @param {string} name
+ * @param {CallOptions & { query?: Record<string, string | string[]> }} [options]
+ * @returns {Promise<Greeting>}
+ */
+export const getGreeting = (name, options) => api.get(`/hello/${encodeURIComponent(name)}`, options)
+
+/**
+ * POST /api/echo
+ * @param {unknown} body
+ * @param {CallOptions} [options]
+ * @returns {Promise<Echo>}
+ */
+export const postEcho = (body, options) => api.post('/echo', body, options)
+
+/**
+ * GET /api/me, for signed-in users only
+ * @param {CallOptions} [options]
+ * @returns {Promise<{ user: ApiUser, date: string }>}
+ */
+export const getMe = (options) => api.get('/me', options)
+
+// Writes with `version` (an item's `version`) only succeed while the item is still at that version;
+// otherwise they fail with an ApiError PRECONDITION_FAILED (412)
+const ifMatch = (version) => (version === undefined ? {} : { 'If-Match': `"${version}"` })
+
+/**
+ * GET /api/items, a page at a time: pass the previous page's `nextCursor` as `cursor`
+ * @param {CallOptions & { query?: { limit?: string, cursor?: string } }} [options]
+ * @returns {Promise<ItemPage>}
+ */
+export const listItems = (options) => api.get('/items', options)
+
+/**
+ * GET /api/items/:id
+ * @param {string} id
+ * @param {CallOptions} [options]
+ * @returns {Promise<Item>}
+ */
+export const getItem = (id, options) => api.get(`/items/${encodeURIComponent(id)}`, options)
+
+/**
+ * POST /api/items
+ * @param {ItemFields} fields
+ * @param {CallOptions} [options]
+ * @returns {Promise<Item>}
+ */
+export const createItem = (fields, options) => api.post('/items', fields, options)
+
+/**
+ * PUT /api/items/:id
+ * @param {string} id
+ * @param {ItemFields} fields
+ * @param {CallOptions & { version?: number }} [options]
+ * @returns {Promise<Item>}
+ */
+export const updateItem = (id, fields, { version, ...options } = {}) =>
+  api.put(`/items/${encodeURIComponent(id)}`, fields, { ...options, headers: { ...options.headers, ...ifMatch(version) } })
+
+/**
+ * DELETE /api/items/:id
+ * @param {string} id
+ * @param {CallOptions & { version?: number }} [options]
+ * @returns {Promise<undefined>} - The API answers 204 No Content
+ */
+export const deleteItem = (id, { version, ...options } = {}) =>
+  api.delete(`/items/${encodeURIComponent(id)}`, { ...options, headers: { ...options.headers, ...ifMatch(version) } })
@@ -0,0 +1,193 @@
+// Sign-in with the Cognito hosted UI (authorization code flow with PKCE) for the SPA.
+//
+// The API tells the app whether auth is enabled and where the hosted UI lives (/api/auth/config),
+// and exchanges codes and refresh tokens on its behalf (/api/auth/token), so the browser only
+// talks to its own origin. Tokens are kept in sessionStorage and the access token is sent to
+// the API as "X-Api-Authorization: Bearer <token>", because CloudFront's origin access control
+// replaces the Authorization header. Locally the same flow runs against local/auth-stand-in.js.
+
+import { ApiError, createApiClient } from './api/client.js'
+
+export const CALLBACK_PATH = '/auth/callback'
+
+export const API_AUTHORIZATION_HEADER = 'X-Api-Authorization'
+
+const TOKENS_KEY = 'auth.tokens'
+const PENDING_KEY = 'auth.pending'
+
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 60 * 1000
+
+// Anonymous client: these calls are how the tokens are obtained
+const authApi = createApiClient()
+
+let configPromise
+let callbackPromise
+let refreshPromise
+
+const base64url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+const randomString = () => base64url(crypto.getRandomValues(new Uint8Array(32)))
+
+const sha256 = (text) => crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+
+const readJson = (storage, key) => {
+  try {
+    return JSON.parse(storage.getItem(key))
+  } catch {
+    return null
+  }
+}
+
+const readTokens = () => readJson(sessionStorage, TOKENS_KEY)
+
+const storeTokens = (result, previous) => {
+  const tokens = {
+    accessToken: result.accessToken,
+    idToken: result.idToken || previous?.idToken,
+    refreshToken: result.refreshToken || previous?.refreshToken, // Refresh grants return no new one
+    expiresAt: Date.now() + result.expiresIn * 1000,
+  }
+  sessionStorage.setItem(TOKENS_KEY, JSON.stringify(tokens))
+  return tokens
+}
+
+const clearTokens = () => sessionStorage.removeItem(TOKENS_KEY)
+
+// Same-origin API settings; auth counts as disabled when they cannot be loaded
+export const loadAuthConfig = () => {
+  configPromise ??= authApi.get('/auth/config').catch(() => ({ enabled: false }))
+  return configPromise
+}
+
+// Code exchanges are never retried: an authorization code can only be redeemed once
+const requestTokens = (grant, retries = 0) => authApi.post('/auth/token', grant, { retries })
+
+// Sends the browser to the hosted UI; it comes back to CALLBACK_PATH with a code
+export const signIn = async () => {
+  const config = await loadAuthConfig()
+  if (!config.enabled) {
+    throw new Error('Authentication is not enabled for this site')
+  }
+
+  const verifier = randomString()
+  const state = randomString()
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+    verifier,
+    state,
+    returnTo: window.location.pathname === CALLBACK_PATH ? '/' : window.location.pathname + window.location.search,
+  }))
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: `${window.location.origin}${CALLBACK_PATH}`,
+    scope: config.scopes.join(' '),
+    state,
+    code_challenge: base64url(await sha256(verifier)),
+    code_challenge_method: 'S256',
+  })
+  window.location.assign(`${config.domain}/oauth2/authorize?${params}`)
+}
+
+// Ends the local session and the hosted UI session, then returns to the home page
+export const signOut = async () => {
+  const config = await loadAuthConfig()
+  clearTokens()
+  if (!config.enabled) {
+    return
+  }
+
+  const params = new URLSearchParams({ client_id: config.clientId, logout_uri: `${window.location.origin}/` })
+  window.location.assign(`${config.domain}/logout?${params}`)
+}
+
+// On CALLBACK_PATH, exchanges the code for tokens and restores the page sign-in started from.
+// Runs once per page load: a code can only be used once (StrictMode mounts effects twice).
+export const completeSignIn = () => {
+  if (window.location.pathname !== CALLBACK_PATH) {
+    return Promise.resolve(null)
+  }
+
+  callbackPromise ??= (async () => {
+    const params = new URLSearchParams(window.location.search)
+    const pending = readJson(sessionStorage, PENDING_KEY)
+    sessionStorage.removeItem(PENDING_KEY)
+    window.history.replaceState(null, '', pending?.returnTo || '/')
+
+    if (params.get('error')) {
+      throw new Error(params.get('error_description') || params.get('error'))
+    }
+    if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+      throw new Error('Sign-in response did not match a sign-in started from this tab')
+    }
+
+    const result = await requestTokens({
+      grantType: 'authorization_code',
+      code: params.get('code'),
+      redirectUri: `${window.location.origin}${CALLBACK_PATH}`,
+      codeVerifier: pending.verifier,
+    })
+    return storeTokens(result)
+  })()
+  return callbackPromise
+}
+
+// A valid access token, refreshed when it is about to expire, or null when signed out
+export const getAccessToken = async () => {
+  const tokens = readTokens()
+  if (!tokens) {
+    return null
+  }
+  if (tokens.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+    return tokens.accessToken
+  }
+  if (!tokens.refreshToken) {
+    clearTokens()
+    return null
+  }
+
+  refreshPromise ??= requestTokens({ grantType: 'refresh_token', refreshToken: tokens.refreshToken }, 2)
+    .then((result) => storeTokens(result, tokens).accessToken)
+    .catch((error) => {
+      // Expired or revoked refresh token: the user has to sign in again. After a network or
+      // gateway failure the tokens are kept so the next call tries again.
+      if (error instanceof ApiError && error.code === 'INVALID_GRANT') {
+        clearTokens()
+      }
+      return null
+    })
+    .finally(() => {
+      refreshPromise = undefined
+    })
+  return refreshPromise
+}
+
+// Milliseconds until the access token should be refreshed
+export const msUntilRefresh = () => {
+  const tokens = readTokens()
+  return tokens ? Math.max(0, tokens.expiresAt - REFRESH_MARGIN_MS - Date.now()) : null
+}
+
+// Profile from the ID token; the API verifies the access token, this is for display only
+export const currentUser = () => {
+  const tokens = readTokens()
+  if (!tokens?.idToken) {
+    return null
+  }
+
+  try {
+    const payload = tokens.idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    const claims = JSON.parse(atob(payload))
+    return { sub: claims.sub, email: claims.email }
+  } catch {
+    return null
+  }
+}
+
+// Headers for an authenticated API call; empty when signed out
+export const authHeaders = async () => {
+  const token = await getAccessToken()
+  return token ? { [API_AUTHORIZATION_HEADER]: `Bearer ${token}` } : {}
+}
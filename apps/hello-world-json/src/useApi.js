@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react'
+import { isAbortError } from './api/index.js'
+
+// Runs `fetcher({ signal })` when the component mounts and whenever `fetcher` changes, and gives
+// the component { data, error, loading, refetch }. `error` is an ApiError (or whatever the
+// fetcher threw); the previous data is kept while refetching. Pass a stable fetcher, e.g. one of
+// the calls from ./api/index.js or a useCallback. The request is cancelled on unmount.
+//
+//   const { data, error, loading, refetch } = useApi(getStatus)
+//   const profile = useApi(getMe, { enabled: auth.status === 'signedIn' })
+export function useApi(fetcher, { enabled = true } = {}) {
+  const [state, setState] = useState({ data: undefined, error: null, loading: enabled })
+  const [generation, setGeneration] = useState(0)
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined
+    }
+
+    const controller = new AbortController()
+    setState((previous) => ({ ...previous, error: null, loading: true }))
+
+    fetcher({ signal: controller.signal }).then(
+      (data) => {
+        if (!controller.signal.aborted) {
+          setState({ data, error: null, loading: false })
+        }
+      },
+      (error) => {
+        if (!controller.signal.aborted && !isAbortError(error)) {
+          setState((previous) => ({ ...previous, error, loading: false }))
+        }
+      },
+    )
+
+    return () => {
+      controller.abort()
+    }
+  }, [fetcher, enabled, generation])
+
+  const refetch = useCallback(() => setGeneration((current) => current + 1), [])
+
+  // Nothing to show for a disabled call, e.g. a signed-in route after signing out
+  return enabled
+    ? { ...state, refetch }
+    : { data: undefined, error: null, loading: false, refetch }
+}
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useState } from 'react'
+import {
+  completeSignIn,
+  currentUser,
+  getAccessToken,
+  loadAuthConfig,
+  msUntilRefresh,
+  signIn,
+  signOut,
+} from './auth.js'
+
+// Session state for components: status is 'loading', 'disabled' (the API has no auth),
+// 'signedOut' or 'signedIn'. While signed in the access token is refreshed ahead of expiry.
+export function useAuth() {
+  const [state, setState] = useState({ status: 'loading', user: null, error: null })
+
+  const syncSession = useCallback(async () => {
+    const token = await getAccessToken()
+    setState((previous) => ({
+      ...previous,
+      status: token ? 'signedIn' : 'signedOut',
+      user: token ? currentUser() : null,
+    }))
+  }, [])
+
+  useEffect(() => {
+    let active = true
+
+    const start = async () => {
+      const config = await loadAuthConfig()
+      if (!config.enabled) {
+        return { status: 'disabled', user: null, error: null }
+      }
+
+      let error = null
+      try {
+        await completeSignIn()
+      } catch (err) {
+        error = err.message
+      }
+      const token = await getAccessToken()
+      return { status: token ? 'signedIn' : 'signedOut', user: token ? currentUser() : null, error }
+    }
+
+    start().then((next) => {
+      if (active) {
+        setState(next)
+      }
+    })
+
+    return () => {
+      active = false
+    }
+  }, [])
+
+  useEffect(() => {
+    if (state.status !== 'signedIn') {
+      return undefined
+    }
+
+    const timer = setTimeout(syncSession, msUntilRefresh() ?? 0)
+    return () => clearTimeout(timer)
+  }, [state, syncSession])
+
+  return {
+    ...state,
+    signIn: () => signIn().catch((err) => setState((previous) => ({ ...previous, error: err.message }))),
+    signOut,
+  }
+}
@@ -1,9 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import localCloudFront from './local/cloudfront-emulator.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // localCloudFront serves /api/* from apps/hello-world-lambda, with a Cognito stand-in under
+  // /local-auth and a DynamoDB stand-in under /local-dynamodb, during `dev` and `preview`
+  plugins: [react(), localCloudFront()],
   base: '/', // Ensure assets are referenced from root for CloudFront
   build: {
     outDir: 'dist',
@@ -0,0 +1,236 @@
+// Optional Cognito authentication for the API.
+// When LambdaStack is deployed with auth (iac/lib/api-auth.ts) it sets AUTH_ISSUER, AUTH_CLIENT_ID
+// and AUTH_DOMAIN. Callers then send their Cognito access token as
+// "X-Api-Authorization: Bearer <token>": the Lambda origin access control overwrites the
+// Authorization header with its own signature, so it cannot carry the token.
+//
+// Tokens are verified here (RS256 signature against the user pool's JWKS, issuer, expiry,
+// token_use and client_id) with Node's crypto module only, so the function keeps no dependencies.
+// AUTH_JWKS_URL overrides the key set location for the local stand-in.
+
+const crypto = require('crypto');
+const { HttpError } = require('./router');
+
+const AUTHORIZATION_HEADER = 'x-api-authorization';
+
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000; // Earliest refetch when a token names an unknown key
+
+// Kept between invocations of a warm function, per key set URL
+const jwksCache = new Map();
+
+// Read on every request so tests and the local emulator can change them at runtime
+const authConfig = () => {
+    const issuer = (process.env.AUTH_ISSUER || '').replace(/\/+$/, '');
+    if (!issuer || !process.env.AUTH_CLIENT_ID) {
+        return null;
+    }
+
+    return {
+        issuer,
+        clientId: process.env.AUTH_CLIENT_ID,
+        domain: (process.env.AUTH_DOMAIN || '').replace(/\/+$/, ''),
+        jwksUrl: process.env.AUTH_JWKS_URL || `${issuer}/.well-known/jwks.json`
+    };
+};
+
+const invalidToken = (message) => new HttpError(401, 'INVALID_TOKEN', message, {
+    'WWW-Authenticate': 'Bearer error="invalid_token"'
+});
+
+const decodeSegment = (segment) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw invalidToken('Token is not a valid JWT');
+    }
+};
+
+const fetchJwks = async (jwksUrl) => {
+    let response;
+    try {
+        response = await fetch(jwksUrl, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+        throw new HttpError(502, 'AUTH_UNAVAILABLE', `Could not load the signing keys: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new HttpError(502, 'AUTH_UNAVAILABLE', `Could not load the signing keys (HTTP ${response.status})`);
+    }
+
+    const { keys = [] } = await response.json();
+    return new Map(keys.map((jwk) => [jwk.kid, jwk]));
+};
+
+// Public key for `kid`, refetching the key set once it is stale or when Cognito rotates keys
+const signingKey = async (jwksUrl, kid) => {
+    const now = Date.now();
+    let cached = jwksCache.get(jwksUrl);
+
+    const stale = !cached || now - cached.fetchedAt > JWKS_TTL_MS;
+    const rotated = cached && !cached.keys.has(kid) && now - cached.fetchedAt > JWKS_REFRESH_INTERVAL_MS;
+    if (stale || rotated) {
+        cached = { keys: await fetchJwks(jwksUrl), fetchedAt: now };
+        jwksCache.set(jwksUrl, cached);
+    }
+
+    const jwk = cached.keys.get(kid);
+    if (!jwk) {
+        throw invalidToken('Token was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verifies a Cognito access token and returns its claims
+const verifyAccessToken = async (token, config, now = Date.now()) => {
+    const segments = String(token).split('.');
+    if (segments.length !== 3) {
+        throw invalidToken('Token is not a valid JWT');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = segments;
+    const header = decodeSegment(encodedHeader);
+    const claims = decodeSegment(encodedPayload);
+
+    if (header.alg !== 'RS256' || !header.kid) {
+        throw invalidToken('Token must be signed with RS256');
+    }
+
+    const key = await signingKey(config.jwksUrl, header.kid);
+    const valid = crypto.verify(
+        'RSA-SHA256',
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        key,
+        Buffer.from(signature, 'base64url')
+    );
+    if (!valid) {
+        throw invalidToken('Token signature is invalid');
+    }
+
+    if (claims.iss !== config.issuer) {
+        throw invalidToken('Token was issued by another user pool');
+    }
+    if (claims.token_use !== 'access') {
+        throw invalidToken('Token is not an access token');
+    }
+    if (claims.client_id !== config.clientId) {
+        throw invalidToken('Token was issued to another client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+        throw invalidToken('Token has expired');
+    }
+
+    return claims;
+};
+
+const toUser = (claims) => ({
+    sub: claims.sub,
+    username: claims.username,
+    scopes: claims.scope ? claims.scope.split(' ') : [],
+    groups: claims['cognito:groups'] || []
+});
+
+// Router hook: the caller's user, or null for anonymous requests and when auth is not enabled.
+// A token that fails verification is rejected even on public routes.
+const authenticate = async (headers) => {
+    const config = authConfig();
+    const value = headers[AUTHORIZATION_HEADER];
+    if (!config || !value) {
+        return null;
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(value);
+    if (!match) {
+        throw invalidToken('Expected "Bearer <token>"');
+    }
+
+    return toUser(await verifyAccessToken(match[1], config));
+};
+
+// Wraps a route handler so it only runs for signed-in callers
+const requireUser = (handler) => async (request) => {
+    if (!authConfig()) {
+        throw new HttpError(404, 'AUTH_NOT_ENABLED', 'Authentication is not enabled for this API');
+    }
+    if (!request.user) {
+        throw new HttpError(401, 'UNAUTHORIZED', 'Sign in to call this route', { 'WWW-Authenticate': 'Bearer' });
+    }
+    return handler(request);
+};
+
+// Settings the SPA needs to start the hosted UI sign-in; no secrets (the app client has none)
+const publicAuthConfig = () => {
+    const config = authConfig();
+    if (!config) {
+        return { enabled: false };
+    }
+
+    return {
+        enabled: true,
+        domain: config.domain,
+        clientId: config.clientId,
+        scopes: ['openid', 'email', 'profile']
+    };
+};
+
+// Grant parameters accepted from the SPA, mapped to the OAuth names of the token endpoint
+const GRANTS = {
+    authorization_code: { code: 'code', redirectUri: 'redirect_uri', codeVerifier: 'code_verifier' },
+    refresh_token: { refreshToken: 'refresh_token' }
+};
+
+// Exchanges an authorization code (with its PKCE verifier) or a refresh token at the user pool's
+// token endpoint. Proxying keeps the SPA on its own origin, inside the site's connect-src policy.
+const exchangeToken = async (body) => {
+    const config = authConfig();
+    if (!config) {
+        throw new HttpError(404, 'AUTH_NOT_ENABLED', 'Authentication is not enabled for this API');
+    }
+
+    const grant = body && GRANTS[body.grantType];
+    if (!grant) {
+        throw new HttpError(400, 'INVALID_GRANT_TYPE', `grantType must be one of ${Object.keys(GRANTS).join(', ')}`);
+    }
+
+    const form = new URLSearchParams({ grant_type: body.grantType, client_id: config.clientId });
+    for (const [field, parameter] of Object.entries(grant)) {
+        if (typeof body[field] !== 'string' || body[field] === '') {
+            throw new HttpError(400, 'MISSING_PARAMETER', `${field} is required for ${body.grantType}`);
+        }
+        form.set(parameter, body[field]);
+    }
+
+    let response;
+    try {
+        response = await fetch(`${config.domain}/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: form.toString()
+        });
+    } catch (error) {
+        throw new HttpError(502, 'AUTH_UNAVAILABLE', `Could not reach the token endpoint: ${error.message}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        // invalid_grant: the code was used already or the refresh token expired or was revoked
+        throw new HttpError(response.status >= 500 ? 502 : 400, 'INVALID_GRANT', result.error || `Token endpoint returned HTTP ${response.status}`);
+    }
+
+    return {
+        accessToken: result.access_token,
+        idToken: result.id_token,
+        refreshToken: result.refresh_token, // Only returned for authorization_code
+        expiresIn: result.expires_in,
+        tokenType: result.token_type
+    };
+};
+
+module.exports = {
+    AUTHORIZATION_HEADER,
+    authConfig,
+    authenticate,
+    exchangeToken,
+    publicAuthConfig,
+    requireUser,
+    verifyAccessToken
+};
@@ -0,0 +1,65 @@
+// DynamoDB client for the handler, using the AWS SDK that comes with the Lambda runtime (it is only
+// a devDependency here, for the tests and the local emulator, and is left out of the deployment
+// package). `DYNAMODB_ENDPOINT` points it at another endpoint, e.g. local/dynamodb-stand-in.js;
+// placeholder credentials are used there when none are set, as the stand-in does not check them.
+
+const dynamoDb = require('@aws-sdk/client-dynamodb');
+const { convertToAttr, marshall: marshallRecord, unmarshall } = require('@aws-sdk/util-dynamodb');
+
+// Per attempt; the Lambda timeout still applies to the whole invocation
+const REQUEST_TIMEOUT_MS = 5000;
+
+const LOCAL_CREDENTIALS = { accessKeyId: 'local', secretAccessKey: 'local' };
+
+// Attribute value for one plain JSON value
+const marshall = (value) => convertToAttr(value, { removeUndefinedValues: true });
+
+const marshallItem = (item) => marshallRecord(item, { removeUndefinedValues: true });
+
+// Sets and binary values, which other clients may write, have no JSON form of their own:
+// sets become arrays and binary values base64 strings
+const toJson = (value) => {
+    if (value instanceof Set) {
+        return [...value].map(toJson);
+    }
+    if (value instanceof Uint8Array) {
+        return Buffer.from(value).toString('base64');
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJson);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJson(entry)]));
+    }
+    return value;
+};
+
+const unmarshallItem = (item) => toJson(unmarshall(item || {}));
+
+// `send('GetItem', { TableName, Key })` resolves to the operation's result or rejects with the
+// SDK's error, named after its exception type (e.g. ConditionalCheckFailedException, which
+// carries the current `Item` with ReturnValuesOnConditionCheckFailure). Options default to the
+// Lambda environment.
+const createDynamoDbClient = ({
+    region = process.env.AWS_REGION || 'us-east-1',
+    endpoint = process.env.DYNAMODB_ENDPOINT || undefined
+} = {}) => {
+    const local = endpoint && !process.env.AWS_ACCESS_KEY_ID;
+    const client = new dynamoDb.DynamoDBClient({
+        region,
+        endpoint,
+        ...(local ? { credentials: LOCAL_CREDENTIALS } : {}),
+        requestHandler: { connectionTimeout: REQUEST_TIMEOUT_MS, requestTimeout: REQUEST_TIMEOUT_MS }
+    });
+
+    const send = (operation, params) => client.send(new dynamoDb[`${operation}Command`](params));
+
+    return { send };
+};
+
+module.exports = {
+    createDynamoDbClient,
+    marshall,
+    marshallItem,
+    unmarshallItem
+};
@@ -1,18 +1,75 @@
-exports.handler = async (event) => {
-    const response = {
-        statusCode: 200,
-        headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-        },
-        body: JSON.stringify({
-            title: "AWS Lambda API Working!",
-            message: "If you can read this message, your Lambda function is deployed and functioning correctly. You can now proceed to Stage D to deploy the React application.",
-            date: new Date().toISOString()
-        })
-    };
-    
-    return response;
-}; 
\ No newline at end of file
+const { createRouter, HttpError, respond } = require('./router');
+const { authenticate, exchangeToken, publicAuthConfig, requireUser } = require('./auth');
+const { etagOf, expectedVersion, itemStore, pageSize, validateFields } = require('./items');
+
+const router = createRouter({ authenticate });
+
+router.get('/', async () => ({
+    title: "AWS Lambda API Working!",
+    message: "If you can read this message, your Lambda function is deployed and functioning correctly. You can now proceed to Stage D to deploy the React application.",
+    date: new Date().toISOString()
+}));
+
+router.get('/health', async () => ({
+    status: 'ok',
+    date: new Date().toISOString()
+}));
+
+router.get('/hello/:name', async ({ params, query }) => ({
+    message: `Hello, ${params.name}!`,
+    query,
+    date: new Date().toISOString()
+}));
+
+router.post('/echo', async ({ body, query }) => {
+    if (body === undefined) {
+        throw new HttpError(400, 'MISSING_BODY', 'Request body is required');
+    }
+
+    return respond(201, {
+        received: body,
+        query,
+        date: new Date().toISOString()
+    });
+});
+
+// Sign-in settings for the SPA; `enabled` is false unless Stage C was deployed with auth
+router.get('/auth/config', async () => publicAuthConfig());
+
+// Authorization code and refresh token exchanges, proxied to the Cognito token endpoint
+router.post('/auth/token', async ({ body }) => respond(200, await exchangeToken(body), {
+    'Cache-Control': 'no-store'
+}));
+
+router.get('/me', requireUser(async ({ user }) => ({
+    user,
+    date: new Date().toISOString()
+})));
+
+// Sample CRUD resource backed by the Stage C DynamoDB table (see items.js); 404 without a table
+router.get('/items', async ({ query }) => itemStore().list({
+    limit: pageSize(query),
+    cursor: query.cursor
+}));
+
+router.post('/items', async ({ body }) => {
+    const item = await itemStore().create(validateFields(body));
+    return respond(201, item, { Location: `/api/items/${item.id}`, ETag: etagOf(item) });
+});
+
+router.get('/items/:id', async ({ params }) => {
+    const item = await itemStore().get(params.id);
+    return respond(200, item, { ETag: etagOf(item) });
+});
+
+router.put('/items/:id', async ({ params, body, headers }) => {
+    const item = await itemStore().update(params.id, validateFields(body), expectedVersion(headers));
+    return respond(200, item, { ETag: etagOf(item) });
+});
+
+router.delete('/items/:id', async ({ params, headers }) => {
+    await itemStore().remove(params.id, expectedVersion(headers));
+    return respond(204);
+});
+
+exports.handler = async (event, context) => router.handle(event, context);
@@ -0,0 +1,242 @@
+// Sample resource stored in the Stage C DynamoDB table (iac/lib/api-data.ts): items with a name
+// and a description, listed a page at a time. Every item carries a version that is incremented
+// on each write; it is sent as the ETag, and updates or deletes with a matching If-Match header
+// only succeed when nobody changed the item in between.
+//
+// The table has a string partition key `pk` and sort key `sk`, so other resources can share it:
+// items live in the "ITEM" partition, sorted by id.
+
+const crypto = require('crypto');
+const { HttpError } = require('./router');
+const { createDynamoDbClient, marshall, marshallItem, unmarshallItem } = require('./dynamodb');
+
+const PARTITION = 'ITEM';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// DynamoDB errors that clear up when retried later
+const RETRYABLE_ERRORS = new Set([
+    'ProvisionedThroughputExceededException',
+    'RequestLimitExceeded',
+    'ThrottlingException',
+    'InternalServerError',
+    'ServiceUnavailable',
+    'TimeoutError'
+]);
+
+const tableName = () => process.env.ITEMS_TABLE || '';
+
+const keyOf = (id) => ({ pk: { S: PARTITION }, sk: { S: id } });
+
+const toItem = (record) => {
+    const { pk, sk, ...item } = unmarshallItem(record);
+    return item;
+};
+
+// Strong ETag of an item version: "3"
+const etagOf = (item) => `"${item.version}"`;
+
+// The version in an If-Match header, or undefined when there is none ("*" matches any version)
+const expectedVersion = (headers) => {
+    const value = (headers['if-match'] || '').trim();
+    if (!value || value === '*') {
+        return undefined;
+    }
+
+    const match = /^(?:W\/)?"(\d+)"$/.exec(value);
+    if (!match) {
+        throw new HttpError(400, 'INVALID_IF_MATCH', 'If-Match must be the ETag of the item, e.g. "3"');
+    }
+    return Number(match[1]);
+};
+
+const validateFields = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'VALIDATION_ERROR', 'Request body must be a JSON object');
+    }
+
+    const unknown = Object.keys(body).filter((key) => !['name', 'description'].includes(key));
+    if (unknown.length > 0) {
+        throw new HttpError(400, 'VALIDATION_ERROR', `Unknown field(s): ${unknown.join(', ')}`);
+    }
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, 'VALIDATION_ERROR', `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (body.description !== undefined
+        && (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH)) {
+        throw new HttpError(400, 'VALIDATION_ERROR', `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    return { name: body.name.trim(), description: body.description || '' };
+};
+
+const pageSize = (query) => {
+    if (query.limit === undefined) {
+        return DEFAULT_PAGE_SIZE;
+    }
+
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new HttpError(400, 'INVALID_LIMIT', `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return limit;
+};
+
+// Cursors are the opaque base64url form of the id the previous page ended at
+const encodeCursor = (lastKey) => Buffer.from(JSON.stringify({ id: lastKey.sk.S })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof id === 'string' && id) {
+            return keyOf(id);
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new HttpError(400, 'INVALID_CURSOR', 'cursor is not a value returned by a previous page');
+};
+
+const createItemStore = ({ client = createDynamoDbClient(), table = tableName() } = {}) => {
+    const send = async (operation, params) => {
+        try {
+            return await client.send(operation, { TableName: table, ...params });
+        } catch (error) {
+            if (RETRYABLE_ERRORS.has(error.name)) {
+                throw new HttpError(503, 'SERVICE_UNAVAILABLE', 'Storage is busy, please retry', { 'Retry-After': '1' });
+            }
+            throw error;
+        }
+    };
+
+    // Runs a conditional write and turns a failed condition into 404 (no item) or 412 (changed)
+    const conditionalWrite = async (operation, id, params) => {
+        try {
+            return await send(operation, { ...params, ReturnValuesOnConditionCheckFailure: 'ALL_OLD' });
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            if (!error.Item) {
+                throw new HttpError(404, 'ITEM_NOT_FOUND', `Item ${id} not found`);
+            }
+            throw new HttpError(412, 'PRECONDITION_FAILED', `Item ${id} has changed; fetch it again and retry`, {
+                ETag: etagOf(toItem(error.Item))
+            });
+        }
+    };
+
+    // Condition on the item existing and, when If-Match was sent, still being at that version
+    const existingAt = (version) => ({
+        ConditionExpression: version === undefined
+            ? 'attribute_exists(#pk)'
+            : 'attribute_exists(#pk) AND #version = :expected',
+        names: version === undefined ? { '#pk': 'pk' } : { '#pk': 'pk', '#version': 'version' },
+        values: version === undefined ? {} : { ':expected': marshall(version) }
+    });
+
+    const list = async ({ limit = DEFAULT_PAGE_SIZE, cursor } = {}) => {
+        const result = await send('Query', {
+            KeyConditionExpression: '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': 'pk' },
+            ExpressionAttributeValues: { ':pk': { S: PARTITION } },
+            Limit: limit,
+            ...(cursor ? { ExclusiveStartKey: decodeCursor(cursor) } : {})
+        });
+
+        return {
+            items: (result.Items || []).map(toItem),
+            nextCursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+        };
+    };
+
+    const get = async (id) => {
+        const result = await send('GetItem', { Key: keyOf(id), ConsistentRead: true });
+        if (!result.Item) {
+            throw new HttpError(404, 'ITEM_NOT_FOUND', `Item ${id} not found`);
+        }
+        return toItem(result.Item);
+    };
+
+    const create = async (fields) => {
+        const now = new Date().toISOString();
+        const item = { id: crypto.randomUUID(), ...fields, version: 1, createdAt: now, updatedAt: now };
+
+        // Never overwrites: a clashing id fails instead of replacing another item
+        await send('PutItem', {
+            Item: { ...keyOf(item.id), ...marshallItem(item) },
+            ConditionExpression: 'attribute_not_exists(#pk)',
+            ExpressionAttributeNames: { '#pk': 'pk' }
+        });
+        return item;
+    };
+
+    const update = async (id, fields, version) => {
+        const condition = existingAt(version);
+        const result = await conditionalWrite('UpdateItem', id, {
+            Key: keyOf(id),
+            UpdateExpression: 'SET #name = :name, #description = :description, #updatedAt = :now, #version = #version + :one',
+            ConditionExpression: condition.ConditionExpression,
+            ExpressionAttributeNames: {
+                ...condition.names,
+                '#name': 'name',
+                '#description': 'description',
+                '#updatedAt': 'updatedAt',
+                '#version': 'version'
+            },
+            ExpressionAttributeValues: {
+                ...condition.values,
+                ':name': marshall(fields.name),
+                ':description': marshall(fields.description),
+                ':now': marshall(new Date().toISOString()),
+                ':one': marshall(1)
+            },
+            ReturnValues: 'ALL_NEW'
+        });
+        return toItem(result.Attributes);
+    };
+
+    const remove = async (id, version) => {
+        const condition = existingAt(version);
+        await conditionalWrite('DeleteItem', id, {
+            Key: keyOf(id),
+            ConditionExpression: condition.ConditionExpression,
+            ExpressionAttributeNames: condition.names,
+            ...(version === undefined ? {} : { ExpressionAttributeValues: condition.values })
+        });
+    };
+
+    return { list, get, create, update, remove };
+};
+
+// Store shared by warm invocations, so the DynamoDB client and its connections are created once.
+// Rebuilt when the table or endpoint changes, as it does between local emulator runs and tests.
+let sharedStore = null;
+
+// The store for this invocation; 404 when Stage C was deployed without a table
+const itemStore = () => {
+    const table = tableName();
+    if (!table) {
+        throw new HttpError(404, 'ITEMS_NOT_ENABLED', 'Item storage is not enabled for this API');
+    }
+
+    const endpoint = process.env.DYNAMODB_ENDPOINT || '';
+    if (!sharedStore || sharedStore.table !== table || sharedStore.endpoint !== endpoint) {
+        sharedStore = { table, endpoint, store: createItemStore({ table }) };
+    }
+    return sharedStore.store;
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    createItemStore,
+    etagOf,
+    expectedVersion,
+    itemStore,
+    pageSize,
+    validateFields
+};
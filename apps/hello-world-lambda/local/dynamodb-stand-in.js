@@ -0,0 +1,287 @@
+// In-memory stand-in for DynamoDB, speaking the same JSON protocol as the real service so the
+// handler's client (dynamodb.js) runs unchanged against it. Used by the API tests and by the
+// SPA's local CloudFront emulator; it is not part of the deployment package.
+//
+// Covers what the handler uses: GetItem, PutItem, UpdateItem, DeleteItem and Query on tables
+// keyed by `pk` and `sk` (strings), with
+//   - condition expressions of attribute_exists(a), attribute_not_exists(a) and a = :v, joined by AND
+//   - update expressions of SET a = :v and SET a = b + :v (or - :v)
+//   - key conditions of pk = :v, with Limit, ExclusiveStartKey and ScanIndexForward
+//   - ReturnValues and ReturnValuesOnConditionCheckFailure
+// Anything else is rejected with a ValidationException rather than silently misbehaving.
+//
+//   const standIn = createDynamoDbStandIn({ tables: ['local-data'] });
+//   http.createServer(standIn.middleware()).listen(8000);  // DYNAMODB_ENDPOINT=http://localhost:8000
+
+const TARGET_PREFIX = 'DynamoDB_20120810.';
+const ERROR_PREFIX = 'com.amazonaws.dynamodb.v20120810#';
+
+const KEY_ATTRIBUTES = ['pk', 'sk'];
+
+class StandInError extends Error {
+    constructor(type, message, extra) {
+        super(message);
+        this.name = type;
+        this.type = type;
+        this.extra = extra || {};
+    }
+}
+
+const validation = (message) => new StandInError('ValidationException', message);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const storageKey = (key) => JSON.stringify(KEY_ATTRIBUTES.map((name) => key[name] && key[name].S));
+
+const readBody = (req) =>
+    new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+
+const createDynamoDbStandIn = ({ tables = ['local-data'] } = {}) => {
+    const data = new Map(tables.map((name) => [name, new Map()]));
+
+    const tableFor = (params) => {
+        const table = data.get(params.TableName);
+        if (!table) {
+            throw new StandInError('ResourceNotFoundException', `Requested resource not found: Table: ${params.TableName} not found`);
+        }
+        return table;
+    };
+
+    const keyFrom = (item) => {
+        for (const name of KEY_ATTRIBUTES) {
+            if (!item || !item[name] || typeof item[name].S !== 'string') {
+                throw validation(`One of the required keys was not given a value: ${name}`);
+            }
+        }
+        return { pk: item.pk, sk: item.sk };
+    };
+
+    // "#version" and ":expected" resolved against the request's names and values
+    const resolver = (params) => {
+        const used = { names: new Set(), values: new Set() };
+        const name = (token) => {
+            if (!token.startsWith('#')) {
+                return token;
+            }
+            used.names.add(token);
+            if (!params.ExpressionAttributeNames || !(token in params.ExpressionAttributeNames)) {
+                throw validation(`An expression attribute name used in the document path is not defined; attribute name: ${token}`);
+            }
+            return params.ExpressionAttributeNames[token];
+        };
+        const value = (token) => {
+            used.values.add(token);
+            if (!params.ExpressionAttributeValues || !(token in params.ExpressionAttributeValues)) {
+                throw validation(`An expression attribute value used in expression is not defined; attribute value: ${token}`);
+            }
+            return params.ExpressionAttributeValues[token];
+        };
+        // DynamoDB refuses requests with names or values that no expression uses
+        const checkUnused = () => {
+            for (const token of Object.keys(params.ExpressionAttributeNames || {})) {
+                if (!used.names.has(token)) {
+                    throw validation(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${token}}`);
+                }
+            }
+            for (const token of Object.keys(params.ExpressionAttributeValues || {})) {
+                if (!used.values.has(token)) {
+                    throw validation(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${token}}`);
+                }
+            }
+        };
+        return { name, value, checkUnused };
+    };
+
+    const evaluateCondition = (expression, item, resolve) => expression.split(/\s+AND\s+/i).every((clause) => {
+        let match = /^attribute_(not_)?exists\(\s*([#\w]+)\s*\)$/.exec(clause.trim());
+        if (match) {
+            const attribute = resolve.name(match[2]);
+            const exists = Boolean(item) && attribute in item;
+            return match[1] ? !exists : exists;
+        }
+        match = /^([#\w]+)\s*=\s*(:\w+)$/.exec(clause.trim());
+        if (match) {
+            const attribute = resolve.name(match[1]);
+            const expected = resolve.value(match[2]);
+            return Boolean(item) && sameValue(item[attribute], expected);
+        }
+        throw validation(`Unsupported condition in the stand-in: ${clause}`);
+    });
+
+    const applyUpdate = (expression, item, resolve) => {
+        const match = /^SET\s+(.+)$/i.exec(expression.trim());
+        if (!match) {
+            throw validation(`Unsupported update expression in the stand-in: ${expression}`);
+        }
+
+        for (const assignment of match[1].split(',')) {
+            const parts = /^([#\w]+)\s*=\s*(?:(:\w+)|([#\w]+)\s*([+-])\s*(:\w+))$/.exec(assignment.trim());
+            if (!parts) {
+                throw validation(`Unsupported update expression in the stand-in: ${assignment}`);
+            }
+
+            const target = resolve.name(parts[1]);
+            if (KEY_ATTRIBUTES.includes(target)) {
+                throw validation(`Cannot update attribute ${target}. This attribute is part of the key`);
+            }
+            if (parts[2]) {
+                item[target] = clone(resolve.value(parts[2]));
+                continue;
+            }
+
+            const current = item[resolve.name(parts[3])];
+            const operand = resolve.value(parts[5]);
+            if (!current || current.N === undefined || operand.N === undefined) {
+                throw validation('An operand in the update expression has an incorrect data type');
+            }
+            const sum = Number(current.N) + (parts[4] === '+' ? 1 : -1) * Number(operand.N);
+            item[target] = { N: String(sum) };
+        }
+    };
+
+    // Throws ConditionalCheckFailedException, with the item when ALL_OLD was requested
+    const checkCondition = (params, existing, resolve) => {
+        if (params.ConditionExpression && !evaluateCondition(params.ConditionExpression, existing, resolve)) {
+            throw new StandInError('ConditionalCheckFailedException', 'The conditional request failed',
+                params.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing ? { Item: clone(existing) } : {});
+        }
+    };
+
+    const operations = {
+        GetItem: (params) => {
+            const item = tableFor(params).get(storageKey(keyFrom(params.Key)));
+            return item ? { Item: clone(item) } : {};
+        },
+
+        PutItem: (params) => {
+            const table = tableFor(params);
+            const key = storageKey(keyFrom(params.Item));
+            const existing = table.get(key);
+            const resolve = resolver(params);
+
+            checkCondition(params, existing, resolve);
+            resolve.checkUnused();
+            table.set(key, clone(params.Item));
+            return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+        },
+
+        UpdateItem: (params) => {
+            const table = tableFor(params);
+            const keyValues = keyFrom(params.Key);
+            const key = storageKey(keyValues);
+            const existing = table.get(key);
+            const resolve = resolver(params);
+
+            checkCondition(params, existing, resolve);
+            const updated = clone(existing) || clone(keyValues);
+            applyUpdate(params.UpdateExpression || '', updated, resolve);
+            resolve.checkUnused();
+            table.set(key, updated);
+
+            if (params.ReturnValues === 'ALL_NEW') {
+                return { Attributes: clone(updated) };
+            }
+            return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+        },
+
+        DeleteItem: (params) => {
+            const table = tableFor(params);
+            const key = storageKey(keyFrom(params.Key));
+            const existing = table.get(key);
+            const resolve = resolver(params);
+
+            checkCondition(params, existing, resolve);
+            resolve.checkUnused();
+            table.delete(key);
+            return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+        },
+
+        Query: (params) => {
+            const table = tableFor(params);
+            const resolve = resolver(params);
+            const match = /^([#\w]+)\s*=\s*(:\w+)$/.exec((params.KeyConditionExpression || '').trim());
+            if (!match || resolve.name(match[1]) !== 'pk') {
+                throw validation(`Unsupported key condition in the stand-in: ${params.KeyConditionExpression}`);
+            }
+            const partition = resolve.value(match[2]);
+            resolve.checkUnused();
+
+            let items = [...table.values()]
+                .filter((item) => sameValue(item.pk, partition))
+                .sort((a, b) => (a.sk.S < b.sk.S ? -1 : a.sk.S > b.sk.S ? 1 : 0));
+            if (params.ScanIndexForward === false) {
+                items.reverse();
+            }
+            if (params.ExclusiveStartKey) {
+                const start = storageKey(keyFrom(params.ExclusiveStartKey));
+                const index = items.findIndex((item) => storageKey(item) === start);
+                items = index === -1 ? [] : items.slice(index + 1);
+            }
+
+            // Like DynamoDB, a page that reaches Limit returns LastEvaluatedKey even if it was the last
+            const page = params.Limit ? items.slice(0, params.Limit) : items;
+            const last = page[page.length - 1];
+            return {
+                Items: clone(page),
+                Count: page.length,
+                ScannedCount: page.length,
+                ...(params.Limit && page.length === params.Limit ? { LastEvaluatedKey: clone(keyFrom(last)) } : {})
+            };
+        }
+    };
+
+    // Same results and errors as the HTTP endpoint, without the HTTP
+    const send = async (operation, params) => {
+        if (!operations[operation]) {
+            throw new StandInError('UnknownOperationException', `Operation ${operation} is not supported by the stand-in`);
+        }
+        return operations[operation](params || {});
+    };
+
+    // Node/connect middleware; requests that are not DynamoDB calls go to `next`
+    const middleware = () => async (req, res, next) => {
+        const target = req.headers['x-amz-target'] || '';
+        if (req.method !== 'POST' || !target.startsWith(TARGET_PREFIX)) {
+            if (next) {
+                return next();
+            }
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        let statusCode = 200;
+        let body;
+        try {
+            body = await send(target.slice(TARGET_PREFIX.length), JSON.parse(await readBody(req)));
+        } catch (error) {
+            statusCode = 400;
+            body = error instanceof StandInError
+                ? { __type: `${ERROR_PREFIX}${error.type}`, message: error.message, ...error.extra }
+                : { __type: 'com.amazon.coral.validate#SerializationException', message: error.message };
+        }
+
+        res.statusCode = statusCode;
+        res.setHeader('Content-Type', 'application/x-amz-json-1.0');
+        res.end(JSON.stringify(body));
+    };
+
+    // Drops every item, e.g. between tests
+    const reset = () => {
+        for (const table of data.values()) {
+            table.clear();
+        }
+    };
+
+    return { send, middleware, reset };
+};
+
+module.exports = {
+    createDynamoDbStandIn
+};
@@ -0,0 +1,59 @@
+// Structured JSON logger for the API.
+// Every entry is a single JSON line so CloudWatch Logs Insights and the metric filters in
+// LambdaStack (iac/lib/lambda-stack.ts) can query fields such as `level`, `route`, `status`
+// and `latencyMs` directly.
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40, SILENT: 100 };
+
+const threshold = () => LEVELS[(process.env.LOG_LEVEL || 'INFO').toUpperCase()] || LEVELS.INFO;
+
+// Errors do not serialize with JSON.stringify, so keep the useful parts
+const serializeError = (error) => (error instanceof Error
+    ? { name: error.name, message: error.message, stack: error.stack }
+    : { message: String(error) });
+
+// X-Ray trace header set by Lambda when active tracing is on: "Root=1-...;Parent=...;Sampled=1"
+const traceId = () => {
+    const match = /Root=([^;]+)/.exec(process.env._X_AMZN_TRACE_ID || '');
+    return match ? match[1] : undefined;
+};
+
+// Creates a logger whose entries all carry `fields` (e.g. the request IDs)
+const createLogger = (fields = {}) => {
+    const write = (level, message, extra = {}) => {
+        if (LEVELS[level] < threshold()) {
+            return;
+        }
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            ...fields,
+            ...extra
+        };
+        if (entry.error !== undefined) {
+            entry.error = serializeError(entry.error);
+        }
+
+        const line = JSON.stringify(entry);
+        if (LEVELS[level] >= LEVELS.ERROR) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    };
+
+    return {
+        debug: (message, extra) => write('DEBUG', message, extra),
+        info: (message, extra) => write('INFO', message, extra),
+        warn: (message, extra) => write('WARN', message, extra),
+        error: (message, extra) => write('ERROR', message, extra),
+        child: (extra) => createLogger({ ...fields, ...extra })
+    };
+};
+
+module.exports = {
+    createLogger,
+    traceId
+};
@@ -0,0 +1,260 @@
+// Minimal request router for Lambda Function URL events.
+// Routes are keyed by HTTP method and path pattern (e.g. "/items/:id"). The
+// "/api" prefix forwarded by CloudFront's "/api/*" behavior is stripped before
+// matching, so the same handler works through CloudFront and when invoked directly.
+// Each request is logged once as structured JSON with its route, status and latency.
+// An optional `authenticate(headers)` hook resolves the caller into `request.user` (see auth.js).
+
+const { createLogger, traceId } = require('./logger');
+
+const API_PREFIX = '/api';
+
+// CORS headers are not set here: the Function URL's CORS settings (Stage C) and the `/api/*`
+// response headers policy (Stage E) add them for the site's configured domains.
+const DEFAULT_HEADERS = {
+    'Content-Type': 'application/json'
+};
+
+// Error carrying an HTTP status and a machine-readable code for the JSON error envelope
+class HttpError extends Error {
+    constructor(statusCode, code, message, headers) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.headers = headers || {};
+    }
+}
+
+// Explicit response returned by a route handler when it needs a status other than 200
+class RouteResponse {
+    constructor(statusCode, body, headers) {
+        this.statusCode = statusCode;
+        this.body = body;
+        this.headers = headers || {};
+    }
+}
+
+const respond = (statusCode, body, headers) => new RouteResponse(statusCode, body, headers);
+
+const toLambdaResponse = (statusCode, body, headers) => ({
+    statusCode,
+    headers: { ...DEFAULT_HEADERS, ...headers },
+    body: body === undefined ? '' : JSON.stringify(body)
+});
+
+const errorResponse = (statusCode, code, message, headers) =>
+    toLambdaResponse(statusCode, { error: { code, message } }, headers);
+
+// Strips the CloudFront "/api" prefix and trailing slashes: "/api/items/" -> "/items"
+const normalizePath = (rawPath) => {
+    let path = rawPath || '/';
+
+    if (path === API_PREFIX || path.startsWith(`${API_PREFIX}/`)) {
+        path = path.slice(API_PREFIX.length);
+    }
+
+    path = path.replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+
+    return path.startsWith('/') ? path : `/${path}`;
+};
+
+// Compiles "/items/:id" into a regular expression plus the ordered parameter names
+const compilePattern = (pattern) => {
+    const keys = [];
+    const normalized = pattern === '/' ? '' : pattern.replace(/\/+$/, '');
+    const source = normalized
+        .split('/')
+        .map((segment) => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { regex: new RegExp(`^${source || '/'}$`), keys };
+};
+
+// Path parameters arrive percent-encoded; a malformed escape ("%E0%A4%A") is the client's error
+const decodeParam = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'INVALID_PATH', `Path segment ${value} is not valid percent-encoding`);
+    }
+};
+
+// Repeated query keys ("?tag=a&tag=b") become arrays; single keys stay strings
+const parseQuery = (event) => {
+    const query = {};
+
+    if (typeof event.rawQueryString === 'string') {
+        for (const [key, value] of new URLSearchParams(event.rawQueryString)) {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        }
+        return query;
+    }
+
+    return { ...(event.queryStringParameters || {}) };
+};
+
+const parseBody = (event, headers) => {
+    if (event.body === undefined || event.body === null || event.body === '') {
+        return undefined;
+    }
+
+    const raw = event.isBase64Encoded
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+
+    const contentType = headers['content-type'] || '';
+    if (contentType && !/[/+]json\b/i.test(contentType)) {
+        return raw;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new HttpError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+};
+
+const lowerCaseHeaders = (headers) => {
+    const result = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+        result[key.toLowerCase()] = value;
+    }
+    return result;
+};
+
+const createRouter = ({ authenticate } = {}) => {
+    const routes = [];
+
+    const add = (method, pattern, handler) => {
+        routes.push({ method: method.toUpperCase(), pattern, handler, ...compilePattern(pattern) });
+        return router;
+    };
+
+    const match = (path) => {
+        const matches = [];
+        for (const route of routes) {
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeParam(result[index + 1]);
+                });
+                matches.push({ route, params });
+            }
+        }
+        return matches;
+    };
+
+    // Runs the matching route and turns its result, or the error it threw, into a Lambda response.
+    // `outcome.route` and `outcome.userId` record the matched pattern and caller for the request log.
+    const dispatch = async (event, context, method, path, log, outcome) => {
+        try {
+            const candidates = match(path);
+
+            if (candidates.length === 0) {
+                throw new HttpError(404, 'NOT_FOUND', `No route for ${method} ${path}`);
+            }
+
+            const allowed = [...new Set(candidates.map(({ route }) => route.method))];
+
+            if (method === 'OPTIONS') {
+                return toLambdaResponse(204, undefined, { Allow: [...allowed, 'OPTIONS'].join(', ') });
+            }
+
+            const selected = candidates.find(({ route }) => route.method === method);
+            if (!selected) {
+                throw new HttpError(405, 'METHOD_NOT_ALLOWED', `Method ${method} not allowed for ${path}`, {
+                    Allow: [...allowed, 'OPTIONS'].join(', ')
+                });
+            }
+            outcome.route = selected.route.pattern;
+
+            const headers = lowerCaseHeaders(event.headers);
+            const request = {
+                method,
+                path,
+                params: selected.params,
+                query: parseQuery(event),
+                headers,
+                body: parseBody(event, headers),
+                event,
+                context,
+                log,
+                user: authenticate ? await authenticate(headers) : null
+            };
+            outcome.userId = request.user ? request.user.sub : undefined;
+
+            const result = await selected.route.handler(request);
+
+            if (result instanceof RouteResponse) {
+                return toLambdaResponse(result.statusCode, result.body, result.headers);
+            }
+            return toLambdaResponse(200, result);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                return errorResponse(error.statusCode, error.code, error.message, error.headers);
+            }
+            log.error('Unhandled error', { error });
+            return errorResponse(500, 'INTERNAL_ERROR', 'Internal server error');
+        }
+    };
+
+    const handle = async (event = {}, context = {}) => {
+        const started = Date.now();
+        const method = ((event.requestContext && event.requestContext.http && event.requestContext.http.method)
+            || event.httpMethod
+            || 'GET').toUpperCase();
+        const path = normalizePath(event.rawPath || event.path);
+        const log = createLogger({
+            requestId: context.awsRequestId,
+            cloudFrontId: lowerCaseHeaders(event.headers)['x-amz-cf-id'],
+            traceId: traceId(),
+            method,
+            path
+        });
+        const outcome = {};
+
+        const response = await dispatch(event, context, method, path, log, outcome);
+
+        log.info('Request completed', {
+            route: outcome.route || null,
+            userId: outcome.userId,
+            status: response.statusCode,
+            latencyMs: Date.now() - started
+        });
+
+        return response;
+    };
+
+    const router = {
+        add,
+        handle,
+        get: (pattern, handler) => add('GET', pattern, handler),
+        post: (pattern, handler) => add('POST', pattern, handler),
+        put: (pattern, handler) => add('PUT', pattern, handler),
+        patch: (pattern, handler) => add('PATCH', pattern, handler),
+        delete: (pattern, handler) => add('DELETE', pattern, handler)
+    };
+
+    return router;
+};
+
+module.exports = {
+    API_PREFIX,
+    DEFAULT_HEADERS,
+    HttpError,
+    createRouter,
+    normalizePath,
+    respond
+};
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+import 'source-map-support/register';
+import * as cdk from 'aws-cdk-lib';
+import { CloudFrontStack } from './lib/cloudfront-stack';
+import { SslCertificateStack } from './lib/ssl-certificate-stack';
+import { CrossAccountDnsRoleStack } from './lib/dns-role-stack';
+import { LambdaStack } from './lib/lambda-stack';
+import { ReactStack } from './lib/react-stack';
+import { ReactApiStack } from './lib/react-api-stack';
+import { PreviewStack, previewStackName } from './lib/preview-stack';
+import { ApiCacheRoute } from './lib/api-behaviors';
+import { SiteMonitoringStack, siteMonitoringStackName } from './lib/site-monitoring-stack';
+import { WebAclStack, webAclStackName } from './lib/web-acl-stack';
+import { getEnvironmentConfig } from './lib/environment-config';
+import { COMPLIANCE_MODES, applyCompliance, isComplianceMode } from './lib/compliance';
+import { CloudFrontReference, LambdaReference, SslReference } from './lib/stage-references';
+
+const app = new cdk.App();
+
+// Stages to synthesize: `--context stages=a` deploys a single stage (this is what the stage
+// scripts do), `--context stages=a,b,c,e` composes several. Stages synthesized together hand
+// typed constructs to each other; when an upstream stage is not selected, its values are read
+// from the downstream stage's own context keys (written by that stage's scripts).
+const ALL_STAGES = ['a', 'b', 'c', 'd', 'e'];
+const requestedStages = String(app.node.tryGetContext('stages') || ALL_STAGES.join(','))
+  .split(',')
+  .map((stage) => stage.trim().toLowerCase())
+  .filter(Boolean);
+
+const unknownStages = requestedStages.filter((stage) => !ALL_STAGES.includes(stage));
+if (unknownStages.length > 0) {
+  throw new Error(`Unknown stage(s): ${unknownStages.join(', ')}. Valid stages are ${ALL_STAGES.join(', ')}`);
+}
+
+const stages = new Set(requestedStages);
+
+// Environment preset (dev, staging or prod) applied to every stack: `--context environment=prod`
+const config = getEnvironmentConfig(app.node.tryGetContext('environment') || undefined);
+
+// Compliance checks over every stack (iac/lib/compliance.ts): `--context compliance=strict` turns
+// findings into synth errors, `off` skips them; the default reports them as warnings
+const complianceMode = String(app.node.tryGetContext('compliance') || 'warn');
+if (!isComplianceMode(complianceMode)) {
+  throw new Error(`Unknown compliance mode "${complianceMode}". Valid modes are ${COMPLIANCE_MODES.join(', ')}`);
+}
+applyCompliance(app, { mode: complianceMode });
+cdk.Tags.of(app).add('Project', 'AWS SPA Boilerplate');
+
+// Read context values from cdk.json
+const context = (namespace: string, key: string) => app.node.tryGetContext(`${namespace}:${key}`);
+
+// Boolean context values arrive as strings when passed with --context on the command line
+const contextFlag = (namespace: string, key: string): boolean | undefined => {
+  const value = context(namespace, key);
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return value === true || value === 'true';
+};
+
+// Lists from cdk.json, or comma-separated when passed with --context on the command line
+const contextList = (namespace: string, key: string): string[] | undefined => {
+  const value = context(namespace, key);
+  if (!value) {
+    return undefined;
+  }
+  return (Array.isArray(value) ? value.map(String) : String(value).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+// Validate required context values and return them keyed by name
+const requireContext = (namespace: string, keys: string[]): Record<string, any> => {
+  const values: Record<string, any> = {};
+  const missing: string[] = [];
+
+  for (const key of keys) {
+    values[key] = context(namespace, key);
+    if (values[key] === undefined || values[key] === null || values[key] === '') {
+      missing.push(key);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required context values. Please ensure ${missing.map((key) => `${namespace}:${key}`).join(', ')} are set in cdk.json`
+    );
+  }
+
+  return values;
+};
+
+// Stage B certificates must live in us-east-1, so references into it may cross regions
+const crossRegionReferences = (targetRegion: string) => targetRegion !== 'us-east-1';
+
+// Stage A - CloudFront distribution and content bucket
+let cloudFrontStack: CloudFrontStack | undefined;
+if (stages.has('a')) {
+  const { distributionPrefix, targetRegion, targetAccountId, targetVpcId } = requireContext('stage-a-cloudfront', [
+    'distributionPrefix',
+    'targetRegion',
+    'targetAccountId',
+    'targetVpcId',
+  ]);
+
+  cloudFrontStack = new CloudFrontStack(app, 'StageACloudFrontStack', {
+    distributionPrefix,
+    targetRegion,
+    targetVpcId,
+    config,
+    privateBucket: contextFlag('stage-a-cloudfront', 'privateBucket'),
+    contentSecurityPolicy: context('stage-a-cloudfront', 'contentSecurityPolicy') || undefined,
+    webAclArn: context('stage-a-cloudfront', 'webAclArn') || undefined,
+    stageEDistributionId: context('stage-a-cloudfront', 'stageEDistributionId') || undefined,
+    env: {
+      account: targetAccountId,
+      region: targetRegion,
+    },
+    description: `Stage A CloudFront Distribution Stack - ${distributionPrefix}`,
+  });
+}
+
+// Stage A values recorded in a downstream stage's context when Stage A is not in this app
+const cloudFrontReference = (namespace: string): CloudFrontReference => {
+  if (cloudFrontStack) {
+    return cloudFrontStack;
+  }
+
+  const { bucketName, distributionId } = requireContext(namespace, ['bucketName', 'distributionId']);
+  return {
+    bucketName,
+    distributionId,
+    distributionDomainName: context(namespace, 'distributionDomainName') || undefined,
+    bucketRegionalDomainName: context(namespace, 'bucketRegionalDomainName') || undefined,
+    originAccessControlId: context(namespace, 'originAccessControlId') || undefined,
+    cachePolicyId: context(namespace, 'cachePolicyId') || undefined,
+    responseHeadersPolicyId: context(namespace, 'responseHeadersPolicyId') || undefined,
+    viewerRequestFunctionArn: context(namespace, 'viewerRequestFunctionArn') || undefined,
+  };
+};
+
+// Stage B - SSL certificate (always us-east-1 for CloudFront) and its DNS records, which live
+// in the infrastructure account. The DNS role stack is deployed there with the infrastructure
+// profile before the certificate stack is deployed to the target account.
+let sslStack: SslCertificateStack | undefined;
+if (stages.has('b')) {
+  const { domains, hostedZones, infraAccountId, targetAccountId } = requireContext('stage-b-ssl', [
+    'domains',
+    'hostedZones',
+    'infraAccountId',
+    'targetAccountId',
+  ]);
+  const dnsRoleArn = context('stage-b-ssl', 'dnsRoleArn') || undefined;
+
+  if (!dnsRoleArn) {
+    new CrossAccountDnsRoleStack(app, 'StageBDnsRoleStack', {
+      targetAccountId,
+      hostedZones,
+      env: {
+        account: infraAccountId,
+        region: 'us-east-1',
+      },
+      description: 'Stage B Cross-Account DNS Role Stack (infrastructure account)',
+    });
+  }
+
+  sslStack = new SslCertificateStack(app, 'StageBSslCertificateStack', {
+    domains,
+    infraAccountId,
+    targetAccountId,
+    hostedZones,
+    dnsRoleArn,
+    existingCertificateArn: context('stage-b-ssl', 'existingCertificateArn') || undefined,
+    previews: contextFlag('stage-b-ssl', 'previews'),
+    cloudFront: cloudFrontReference('stage-b-ssl'),
+    config,
+    env: {
+      account: targetAccountId,
+      region: 'us-east-1', // SSL certificates for CloudFront must be in us-east-1
+    },
+    crossRegionReferences: cloudFrontStack ? crossRegionReferences(cloudFrontStack.region) : false,
+    description: 'Stage B SSL Certificate and CloudFront Integration Stack',
+  });
+}
+
+const sslReference = (namespace: string): SslReference => {
+  if (sslStack) {
+    return sslStack;
+  }
+
+  const { primaryDomain, certificateArn } = requireContext(namespace, ['primaryDomain', 'certificateArn']);
+  return {
+    primaryDomain,
+    certificateArn,
+    domains: context(namespace, 'domains') || undefined,
+    previewDomain: context(namespace, 'previewDomain') || undefined,
+  };
+};
+
+// Stage C - API Lambda function
+let lambdaStack: LambdaStack | undefined;
+if (stages.has('c')) {
+  const { distributionPrefix, targetRegion, targetAccountId, targetVpcId } = requireContext('stage-c-lambda', [
+    'distributionPrefix',
+    'targetRegion',
+    'targetAccountId',
+    'targetVpcId',
+  ]);
+
+  lambdaStack = new LambdaStack(app, 'StageCLambdaStack', {
+    distributionPrefix,
+    targetRegion,
+    targetVpcId,
+    cloudFront: cloudFrontReference('stage-c-lambda'),
+    domains: sslStack ? sslStack.domains : context('stage-c-lambda', 'domains') || undefined,
+    auth: contextFlag('stage-c-lambda', 'auth'),
+    authDomainPrefix: context('stage-c-lambda', 'authDomainPrefix') || undefined,
+    data: contextFlag('stage-c-lambda', 'data'),
+    vpc: contextFlag('stage-c-lambda', 'vpc'),
+    vpcEndpoints: contextList('stage-c-lambda', 'vpcEndpoints'),
+    releases: contextFlag('stage-c-lambda', 'releases'),
+    deploymentConfig: context('stage-c-lambda', 'deploymentConfig') || undefined,
+    preTrafficHook: contextFlag('stage-c-lambda', 'preTrafficHook'),
+    config,
+    env: {
+      account: targetAccountId,
+      region: targetRegion,
+    },
+    description: `Stage C Lambda Function Stack - ${distributionPrefix}`,
+  });
+}
+
+const lambdaReference = (namespace: string): LambdaReference => {
+  if (lambdaStack) {
+    return lambdaStack;
+  }
+
+  const { lambdaFunctionArn, lambdaFunctionUrl } = requireContext(namespace, ['lambdaFunctionArn', 'lambdaFunctionUrl']);
+  return {
+    functionArn: lambdaFunctionArn,
+    functionUrl: lambdaFunctionUrl,
+  };
+};
+
+// Cached API routes, e.g. [{ "pathPattern": "/api/hello/*", "ttlSeconds": 60, "queryStrings": ["lang"] }]
+const apiCacheRoutes = (namespace: string): ApiCacheRoute[] | undefined => {
+  const routes = context(namespace, 'apiCacheRoutes');
+  if (!routes) {
+    return undefined;
+  }
+
+  const parsed = typeof routes === 'string' ? JSON.parse(routes) : routes;
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Invalid ${namespace}:apiCacheRoutes. Please provide a list of { pathPattern, ttlSeconds, queryStrings }`);
+  }
+
+  return parsed.map((route: any) => ({
+    pathPattern: String(route.pathPattern),
+    ttl: cdk.Duration.seconds(Number(route.ttlSeconds)),
+    queryStrings: route.queryStrings || [],
+  }));
+};
+
+// Stage D - React application (the Lambda Function URL is optional here)
+if (stages.has('d')) {
+  const namespace = 'stage-d-react';
+  const { distributionPrefix, targetRegion, targetAccountId, targetVpcId } = requireContext(namespace, [
+    'distributionPrefix',
+    'targetRegion',
+    'targetAccountId',
+    'targetVpcId',
+  ]);
+  const ssl = sslReference(namespace);
+  const hasLambda = lambdaStack || (context(namespace, 'lambdaFunctionArn') && context(namespace, 'lambdaFunctionUrl'));
+
+  new ReactStack(app, 'StageDReactStack', {
+    distributionPrefix,
+    targetRegion,
+    targetProfile: context(namespace, 'targetProfile'),
+    infrastructureProfile: context(namespace, 'infrastructureProfile'),
+    targetVpcId,
+    cloudFront: cloudFrontReference(namespace),
+    ssl,
+    lambda: hasLambda ? lambdaReference(namespace) : undefined,
+    buildPath: context(namespace, 'buildPath') || undefined,
+    releaseId: context(namespace, 'releaseId') || undefined,
+    config,
+    env: {
+      account: targetAccountId,
+      region: targetRegion,
+    },
+    crossRegionReferences: sslStack ? crossRegionReferences(targetRegion) : false,
+    description: `Stage D React Deployment Stack - ${distributionPrefix}`,
+    tags: {
+      Project: 'AWS SPA Boilerplate',
+      Stage: 'D - React',
+      DistributionPrefix: distributionPrefix,
+      PrimaryDomain: ssl.primaryDomain,
+    },
+  });
+}
+
+// Stage E - React application with the API behind CloudFront
+if (stages.has('e')) {
+  const namespace = 'stage-e-react-api';
+  const { distributionPrefix, targetRegion, targetAccountId, targetVpcId } = requireContext(namespace, [
+    'distributionPrefix',
+    'targetRegion',
+    'targetAccountId',
+    'targetVpcId',
+  ]);
+  const ssl = sslReference(namespace);
+
+  new ReactApiStack(app, 'StageEReactApiStack', {
+    distributionPrefix,
+    targetRegion,
+    targetProfile: context(namespace, 'targetProfile'),
+    infrastructureProfile: context(namespace, 'infrastructureProfile'),
+    targetVpcId,
+    cloudFront: cloudFrontReference(namespace),
+    ssl,
+    lambda: lambdaReference(namespace),
+    buildPath: context(namespace, 'buildPath') || undefined,
+    releaseId: context(namespace, 'releaseId') || undefined,
+    apiCacheRoutes: apiCacheRoutes(namespace),
+    webAclArn: context(namespace, 'webAclArn') || undefined,
+    config,
+    env: {
+      account: targetAccountId,
+      region: targetRegion,
+    },
+    crossRegionReferences: sslStack ? crossRegionReferences(targetRegion) : false,
+    description: `Stage E React API Deployment Stack - ${distributionPrefix}`,
+    tags: {
+      Project: 'AWS SPA Boilerplate',
+      Stage: 'E - React API',
+      DistributionPrefix: distributionPrefix,
+      PrimaryDomain: ssl.primaryDomain,
+    },
+  });
+}
+
+// Branch preview - `--context previewBranch=<branch> --context previewBuildPath=<dir>` adds the
+// preview stack for that branch, configured from the selected Stage D or E context
+const previewBranch = app.node.tryGetContext('previewBranch');
+if (previewBranch) {
+  if (!stages.has('d') && !stages.has('e')) {
+    throw new Error('Branch previews need Stage D or E. Please add --context stages=d or --context stages=e');
+  }
+
+  const namespace = stages.has('e') ? 'stage-e-react-api' : 'stage-d-react';
+  const { distributionPrefix, targetAccountId, targetRegion } = requireContext(namespace, [
+    'distributionPrefix',
+    'targetAccountId',
+    'targetRegion',
+  ]);
+  const previewBuildPath = app.node.tryGetContext('previewBuildPath');
+
+  if (!previewBuildPath) {
+    throw new Error('Missing required context value previewBuildPath. Please pass the branch build output directory');
+  }
+
+  new PreviewStack(app, previewStackName(distributionPrefix, String(previewBranch)), {
+    distributionPrefix,
+    branch: String(previewBranch),
+    cloudFront: cloudFrontReference(namespace),
+    ssl: sslReference(namespace),
+    buildPath: previewBuildPath,
+    checkApi: stages.has('e'),
+    env: {
+      account: targetAccountId,
+      region: targetRegion,
+    },
+    crossRegionReferences: sslStack ? crossRegionReferences(targetRegion) : false,
+    description: `Branch preview ${previewBranch} - ${distributionPrefix}`,
+  });
+}
+
+// Site monitoring - `--context siteMonitoring=true` adds the synthetic canary and site alarms,
+// configured from the selected Stage D or E context. Always us-east-1, where CloudFront and ACM
+// publish their metrics.
+if (String(app.node.tryGetContext('siteMonitoring')) === 'true') {
+  if (!stages.has('d') && !stages.has('e')) {
+    throw new Error('Site monitoring needs Stage D or E. Please add --context stages=d or --context stages=e');
+  }
+
+  const namespace = stages.has('e') ? 'stage-e-react-api' : 'stage-d-react';
+  const { distributionPrefix, targetAccountId } = requireContext(namespace, ['distributionPrefix', 'targetAccountId']);
+
+  new SiteMonitoringStack(app, siteMonitoringStackName(distributionPrefix), {
+    distributionPrefix,
+    cloudFront: cloudFrontReference(namespace),
+    ssl: sslReference(namespace),
+    checkApi: stages.has('e'),
+    alarmTopicArn: context(namespace, 'alarmTopicArn') || undefined,
+    alarmEmail: context(namespace, 'alarmEmail') || undefined,
+    config,
+    env: {
+      account: targetAccountId,
+      region: 'us-east-1',
+    },
+    crossRegionReferences: cloudFrontStack ? crossRegionReferences(cloudFrontStack.region) : false,
+    description: `Site monitoring - ${distributionPrefix}`,
+  });
+}
+
+// Web application firewall - `--context webAcl=true` adds the web ACL stack, configured from the
+// selected Stage E or A context. Always us-east-1, where CloudFront web ACLs live. The stage
+// attaches it once its `webAclArn` context value is set (stages/e-react-api/scripts/deploy-waf.sh).
+if (String(app.node.tryGetContext('webAcl')) === 'true') {
+  if (!stages.has('a') && !stages.has('e')) {
+    throw new Error('The web ACL needs Stage A or E. Please add --context stages=a or --context stages=e');
+  }
+
+  const namespace = stages.has('e') ? 'stage-e-react-api' : 'stage-a-cloudfront';
+  const { distributionPrefix, targetAccountId } = requireContext(namespace, ['distributionPrefix', 'targetAccountId']);
+
+  new WebAclStack(app, webAclStackName(distributionPrefix), {
+    distributionPrefix,
+    allowedIps: contextList(namespace, 'wafAllowedIps'),
+    blockedIps: contextList(namespace, 'wafBlockedIps'),
+    countOnly: contextFlag(namespace, 'wafCountOnly'),
+    config,
+    env: {
+      account: targetAccountId,
+      region: 'us-east-1',
+    },
+    description: `Web ACL - ${distributionPrefix}`,
+  });
+}
@@ -0,0 +1,90 @@
+// CloudWatch Synthetics canary (Puppeteer runtime) for SiteMonitoringStack
+// (iac/lib/site-monitoring-stack.ts). On every run it loads the site in a real browser:
+//
+//   loadSite     https://<domain>/ answers 200 with text/html
+//   renderReact  the React bundle renders something into #root
+//   callApi      /api/ answers 200 with JSON when fetched from the page (only with CHECK_API)
+//
+// A failed step fails the run, which the canary alarm picks up. The Synthetics modules only
+// exist in the canary runtime, so they are required inside the handler; the check helpers are
+// exported for jest.
+
+const NAVIGATION_TIMEOUT_MS = 30000;
+const RENDER_TIMEOUT_MS = 15000;
+
+// Returns a problem with the page response, or null when it is the SPA
+const checkPageResponse = (url, { status, contentType }) => {
+    if (status !== 200) {
+        return `${url} returned HTTP ${status}`;
+    }
+    if (!contentType.includes('text/html')) {
+        return `${url} returned ${contentType || 'no content type'} instead of text/html`;
+    }
+    return null;
+};
+
+// Returns a problem with the API response, or null when it answers with JSON
+const checkApiResponse = (url, { status, contentType, body }) => {
+    if (status !== 200) {
+        return `${url} returned HTTP ${status}`;
+    }
+    if (!contentType.includes('application/json')) {
+        return `${url} returned ${contentType || 'no content type'} instead of application/json`;
+    }
+    try {
+        JSON.parse(body);
+    } catch (error) {
+        return `${url} returned invalid JSON: ${error.message}`;
+    }
+    return null;
+};
+
+const fail = (problem) => {
+    if (problem) {
+        throw new Error(problem);
+    }
+};
+
+const handler = async () => {
+    const synthetics = require('Synthetics');
+    const log = require('SyntheticsLogger');
+
+    const siteUrl = process.env.SITE_URL;
+    const rootSelector = process.env.ROOT_SELECTOR || '#root';
+    const apiUrl = `${siteUrl}/api/`;
+    const page = await synthetics.getPage();
+
+    await synthetics.executeStep('loadSite', async () => {
+        const response = await page.goto(`${siteUrl}/`, { waitUntil: 'networkidle0', timeout: NAVIGATION_TIMEOUT_MS });
+        fail(checkPageResponse(`${siteUrl}/`, {
+            status: response ? response.status() : 0,
+            contentType: response ? response.headers()['content-type'] || '' : ''
+        }));
+    });
+
+    await synthetics.executeStep('renderReact', async () => {
+        await page.waitForSelector(`${rootSelector} > *`, { timeout: RENDER_TIMEOUT_MS });
+    });
+
+    if (process.env.CHECK_API === 'true') {
+        await synthetics.executeStep('callApi', async () => {
+            // Same-origin fetch from the page, exactly as the SPA calls its API
+            const result = await page.evaluate(async (url) => {
+                const response = await fetch(url, { headers: { Accept: 'application/json' }, cache: 'no-store' });
+                return {
+                    status: response.status,
+                    contentType: response.headers.get('content-type') || '',
+                    body: await response.text()
+                };
+            }, apiUrl);
+            log.info(`${apiUrl} answered HTTP ${result.status}`);
+            fail(checkApiResponse(apiUrl, result));
+        });
+    }
+};
+
+module.exports = {
+    handler,
+    checkApiResponse,
+    checkPageResponse
+};
@@ -0,0 +1,96 @@
+// CloudFront Function (cloudfront-js-2.0) for viewer requests on the default (S3) behavior,
+// created by CloudFrontStack (iac/lib/cloudfront-stack.ts) and kept by ReactApiStack.
+//
+// SPA routing: extension-less navigation paths (/, /users/42, /docs/) are client-side routes
+// and are rewritten to /index.html. Anything with a file extension is fetched as is, so a
+// missing asset is a real 404, and /api/* never reaches this function (its own behavior).
+// Routes whose last segment contains a dot (/users/jane.doe) are treated as files.
+//
+// Releases: every React build is stored under releases/<releaseId>/ in the content bucket
+// (iac/lib/react-asset-deployment.ts), and the `live` key of the release store (a CloudFront
+// KeyValueStore) names the one the site serves. HTML and other unhashed files are read from that
+// prefix, so making a release live or rolling back is one key write, and every request sees one
+// release or the other. Hashed assets (assets/, static/) are shared by all releases at the
+// bucket root. Until a release is live, the bucket root is served as uploaded; paths already in
+// releases/ are fetched as is, which is how the deployment smoke check reaches a new release.
+//
+// Preview environments: each branch build is uploaded to previews/<branch>/ in the content
+// bucket (iac/lib/preview-stack.ts) and served at https://<branch>.preview.<primary domain>.
+// Requests for a preview host are rewritten into the branch prefix the same way.
+//
+// CloudFront Functions have no module system: CloudFrontStack adds the `cloudfront` import and
+// binds releaseStore. The export at the bottom is for jest and the local emulator
+// (apps/hello-world-json/local/cloudfront-emulator.js), where no release is live.
+
+var PREVIEW_HOST = /^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)\.preview\./;
+var PREVIEWS_PREFIX = '/previews/';
+var RELEASES_PREFIX = '/releases/';
+var HASHED_ASSET_DIRS = ['/assets/', '/static/'];
+var LIVE_RELEASE_KEY = 'live';
+
+// Release store handle (cf.kvs), bound by CloudFrontStack
+var releaseStore = null;
+
+// Branch slug for a preview host, or null for every other host
+function previewBranch(host) {
+    var match = PREVIEW_HOST.exec((host || '').toLowerCase());
+    return match ? match[1] : null;
+}
+
+// Paths whose last segment has no file extension are client-side routes of the SPA
+function isNavigation(uri) {
+    var lastSegment = uri.substring(uri.lastIndexOf('/') + 1);
+    return lastSegment.indexOf('.') === -1;
+}
+
+// Hashed assets keep their names for good, so every release reads them from the bucket root
+function isHashedAsset(uri) {
+    return HASHED_ASSET_DIRS.some(function (dir) { return uri.indexOf(dir) === 0; });
+}
+
+// ID of the live release, or null when none has been made live yet
+async function liveRelease(store) {
+    if (!store) {
+        return null;
+    }
+    try {
+        return await store.get(LIVE_RELEASE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function routeRequest(request, store) {
+    var host = request.headers.host ? request.headers.host.value : '';
+    var branch = previewBranch(host);
+
+    if (!branch && request.uri.indexOf(RELEASES_PREFIX) === 0) {
+        return request;
+    }
+
+    var uri = isNavigation(request.uri) ? '/index.html' : request.uri;
+
+    if (branch) {
+        request.uri = PREVIEWS_PREFIX + branch + uri;
+        return request;
+    }
+
+    var release = isHashedAsset(uri) ? null : await liveRelease(store);
+    request.uri = release ? RELEASES_PREFIX + release + uri : uri;
+
+    return request;
+}
+
+async function handler(event) {
+    return routeRequest(event.request, releaseStore);
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        handler: handler,
+        routeRequest: routeRequest,
+        previewBranch: previewBranch,
+        isNavigation: isNavigation,
+        LIVE_RELEASE_KEY: LIVE_RELEASE_KEY
+    };
+}
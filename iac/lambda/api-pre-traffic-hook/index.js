@@ -0,0 +1,114 @@
+// CodeDeploy BeforeAllowTraffic hook for ApiRelease (iac/lib/api-release.ts).
+//
+// Invokes the version about to receive traffic directly, with Function URL events for a few
+// read-only API paths, and reports the result to CodeDeploy. A failed check stops the deployment
+// before any request reaches the new version; the live alias stays on the previous one.
+//
+//   TARGET_VERSION_ARN  The new version, updated by the stack on every release
+//   SMOKE_PATHS         JSON list of paths to GET, e.g. ["/api/health", "/api/"]
+//
+// The AWS SDK comes with the Lambda runtime; it is loaded when the hook runs so the checks can be
+// tested without it.
+
+const USER_AGENT = 'aws-spa-boilerplate-pre-traffic-hook';
+
+// The event a Function URL (payload format 2.0) delivers for a GET request
+const functionUrlEvent = (path) => ({
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: path,
+    rawQueryString: '',
+    headers: { 'user-agent': USER_AGENT },
+    requestContext: {
+        http: { method: 'GET', path, protocol: 'HTTP/1.1', sourceIp: '127.0.0.1', userAgent: USER_AGENT },
+        requestId: `pre-traffic-${Date.now()}`,
+        timeEpoch: Date.now()
+    },
+    isBase64Encoded: false
+});
+
+// Returns a list of problems with one path; empty when it answers 200 with JSON
+const checkPath = async (invoke, functionArn, path) => {
+    const { functionError, payload } = await invoke(functionArn, functionUrlEvent(path));
+
+    if (functionError) {
+        return [`${path} failed with ${functionError}: ${payload}`];
+    }
+
+    let response;
+    try {
+        response = JSON.parse(payload);
+    } catch (error) {
+        return [`${path} returned an invalid response: ${error.message}`];
+    }
+
+    if (response.statusCode !== 200) {
+        return [`${path} returned HTTP ${response.statusCode}`];
+    }
+    const contentType = Object.entries(response.headers || {})
+        .find(([name]) => name.toLowerCase() === 'content-type');
+    if (!contentType || !String(contentType[1]).includes('application/json')) {
+        return [`${path} returned ${contentType ? contentType[1] : 'no content type'} instead of application/json`];
+    }
+    try {
+        JSON.parse(response.body);
+    } catch (error) {
+        return [`${path} returned invalid JSON: ${error.message}`];
+    }
+    return [];
+};
+
+// Runs every check against the version; returns the problems found
+const runPreTrafficChecks = async (env, { invoke }) => {
+    const functionArn = env.TARGET_VERSION_ARN;
+    if (!functionArn) {
+        return ['TARGET_VERSION_ARN is not set'];
+    }
+
+    const paths = JSON.parse(env.SMOKE_PATHS || '["/api/"]');
+    const results = await Promise.all(paths.map((path) => checkPath(invoke, functionArn, path)
+        .catch((error) => [`${path}: ${error.message}`])));
+    return results.flat();
+};
+
+exports.handler = async (event) => {
+    console.log('Pre-traffic hook event:', JSON.stringify(event));
+
+    const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+    const { CodeDeployClient, PutLifecycleEventHookExecutionStatusCommand } = require('@aws-sdk/client-codedeploy');
+    const lambdaClient = new LambdaClient({});
+
+    const invoke = async (functionArn, request) => {
+        const result = await lambdaClient.send(new InvokeCommand({
+            FunctionName: functionArn,
+            Payload: Buffer.from(JSON.stringify(request))
+        }));
+        return {
+            functionError: result.FunctionError,
+            payload: Buffer.from(result.Payload || []).toString('utf8')
+        };
+    };
+
+    // Anything unexpected fails the deployment rather than leaving CodeDeploy waiting for a status
+    let failures;
+    try {
+        failures = await runPreTrafficChecks(process.env, { invoke });
+    } catch (error) {
+        failures = [error.message];
+    }
+
+    if (failures.length > 0) {
+        console.log('Pre-traffic checks failed:', failures);
+    } else {
+        console.log(`Pre-traffic checks passed for ${process.env.TARGET_VERSION_ARN}`);
+    }
+
+    await new CodeDeployClient({}).send(new PutLifecycleEventHookExecutionStatusCommand({
+        deploymentId: event.DeploymentId,
+        lifecycleEventHookExecutionId: event.LifecycleEventHookExecutionId,
+        status: failures.length > 0 ? 'Failed' : 'Succeeded'
+    }));
+};
+
+exports.functionUrlEvent = functionUrlEvent;
+exports.runPreTrafficChecks = runPreTrafficChecks;
@@ -0,0 +1,84 @@
+// Custom resource handler for BucketReadGrant (iac/lib/bucket-read-grant.ts).
+//
+// Adds a statement to the content bucket's policy that lets one CloudFront distribution read the
+// bucket through origin access control, and removes it when the resource is deleted. Stage A's
+// stack owns the bucket policy, so the statement is merged into the current policy instead of
+// replacing it; the other statements are left as they are.
+//
+// The AWS SDK comes with the Lambda runtime; it is loaded when the handler runs so the policy
+// changes can be tested without it.
+
+const POLICY_VERSION = '2012-10-17';
+
+const readStatement = ({ StatementId, BucketArn, DistributionArn }) => ({
+    Sid: StatementId,
+    Effect: 'Allow',
+    Principal: { Service: 'cloudfront.amazonaws.com' },
+    // ListBucket lets S3 answer missing objects with 404 instead of 403
+    Action: ['s3:GetObject', 's3:ListBucket'],
+    Resource: [BucketArn, `${BucketArn}/*`],
+    Condition: { StringEquals: { 'AWS:SourceArn': DistributionArn } }
+});
+
+// Bucket policy access through the runtime SDK; a bucket without a policy reads as empty
+const createS3 = () => {
+    const s3 = require('@aws-sdk/client-s3');
+    const client = new s3.S3Client({});
+
+    return {
+        getPolicy: async (bucket) => {
+            try {
+                const { Policy } = await client.send(new s3.GetBucketPolicyCommand({ Bucket: bucket }));
+                return JSON.parse(Policy);
+            } catch (error) {
+                if (error.name === 'NoSuchBucketPolicy') {
+                    return { Version: POLICY_VERSION, Statement: [] };
+                }
+                throw error;
+            }
+        },
+        putPolicy: (bucket, policy) => policy.Statement.length > 0
+            ? client.send(new s3.PutBucketPolicyCommand({ Bucket: bucket, Policy: JSON.stringify(policy) }))
+            : client.send(new s3.DeleteBucketPolicyCommand({ Bucket: bucket }))
+    };
+};
+
+// Replaces the statement with the given Sid, or removes it when `statement` is null
+const updatePolicy = async (s3, bucket, statementId, statement) => {
+    const policy = await s3.getPolicy(bucket);
+    const others = [].concat(policy.Statement || []).filter((existing) => existing.Sid !== statementId);
+
+    await s3.putPolicy(bucket, {
+        ...policy,
+        Version: policy.Version || POLICY_VERSION,
+        Statement: statement ? [...others, statement] : others
+    });
+};
+
+const onEvent = async (event, options = {}) => {
+    console.log('Bucket Read Grant Event:', JSON.stringify({ ...event, ResponseURL: undefined }));
+    const s3 = options.s3 || createS3();
+    const properties = event.ResourceProperties;
+    const physicalResourceId = `${properties.BucketName}/${properties.StatementId}`;
+
+    if (event.RequestType === 'Delete') {
+        try {
+            await updatePolicy(s3, properties.BucketName, properties.StatementId, null);
+        } catch (error) {
+            // Nothing left to remove from a bucket that is already gone
+            if (error.name !== 'NoSuchBucket') {
+                throw error;
+            }
+        }
+        return { PhysicalResourceId: event.PhysicalResourceId || physicalResourceId };
+    }
+
+    // A new bucket or statement ID changes the physical ID, so CloudFormation deletes the old
+    // statement once the update completes
+    await updatePolicy(s3, properties.BucketName, properties.StatementId, readStatement(properties));
+
+    return { PhysicalResourceId: physicalResourceId };
+};
+
+exports.handler = (event) => onEvent(event);
+exports.onEvent = onEvent;
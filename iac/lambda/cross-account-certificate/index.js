@@ -0,0 +1,209 @@
+// Custom resource provider for CrossAccountDnsValidatedCertificate (iac/lib/cross-account-dns.ts).
+//
+// The certificate is requested in this (target) account, while its DNS validation records live in
+// hosted zones owned by the infrastructure account. Every Route53 call therefore runs with
+// credentials from a role assumed in the infrastructure account.
+//
+//   onEvent    - requests the certificate (Create, or Update with a new domain set) or removes the
+//                validation records before deleting it (Delete)
+//   isComplete - upserts the validation records once ACM has generated them and waits until the
+//                certificate is ISSUED; on Delete, retries while CloudFront still holds the certificate
+
+const CERTIFICATE_REGION = 'us-east-1'; // Certificates for CloudFront must live in us-east-1
+const VALIDATION_RECORD_TTL = 300;
+
+// SDK clients are loaded lazily so the pure helpers below can be required without the AWS SDK
+const acmClient = () => {
+    const { ACMClient } = require('@aws-sdk/client-acm');
+    return new ACMClient({ region: CERTIFICATE_REGION });
+};
+
+const route53Client = async (roleArn) => {
+    const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
+    const { Route53Client } = require('@aws-sdk/client-route-53');
+
+    const { Credentials } = await new STSClient({}).send(new AssumeRoleCommand({
+        RoleArn: roleArn,
+        RoleSessionName: 'stage-b-certificate-validation'
+    }));
+
+    return new Route53Client({
+        credentials: {
+            accessKeyId: Credentials.AccessKeyId,
+            secretAccessKey: Credentials.SecretAccessKey,
+            sessionToken: Credentials.SessionToken
+        }
+    });
+};
+
+const normalizeHostedZoneId = (zoneId) => zoneId.replace(/^\/hostedzone\//, '');
+
+const trimDot = (name) => name.replace(/\.$/, '').toLowerCase();
+
+// Hosted zone for a domain: an explicit mapping for the domain, else the zone with the longest matching name
+const hostedZoneForDomain = (hostedZones, domain) => {
+    const name = trimDot(domain);
+    const exact = hostedZones.find((zone) => trimDot(zone.domain || '') === name);
+    if (exact) {
+        return normalizeHostedZoneId(exact.zoneId);
+    }
+
+    const candidates = hostedZones
+        .filter((zone) => zone.zoneName && (name === trimDot(zone.zoneName) || name.endsWith(`.${trimDot(zone.zoneName)}`)))
+        .sort((a, b) => b.zoneName.length - a.zoneName.length);
+
+    if (candidates.length === 0) {
+        throw new Error(`No hosted zone configured for ${domain}`);
+    }
+
+    return normalizeHostedZoneId(candidates[0].zoneId);
+};
+
+// Route53 change batches (one per hosted zone) for the certificate's validation records.
+// Domains that share a validation record (e.g. apex and www) are only written once.
+const validationChanges = (domainValidationOptions, hostedZones, action) => {
+    const changesByZone = new Map();
+    const seen = new Set();
+
+    for (const option of domainValidationOptions) {
+        const record = option.ResourceRecord;
+        if (!record || seen.has(record.Name)) {
+            continue;
+        }
+        seen.add(record.Name);
+
+        const zoneId = hostedZoneForDomain(hostedZones, option.DomainName);
+        const changes = changesByZone.get(zoneId) || [];
+        changes.push({
+            Action: action,
+            ResourceRecordSet: {
+                Name: record.Name,
+                Type: record.Type,
+                TTL: VALIDATION_RECORD_TTL,
+                ResourceRecords: [{ Value: record.Value }]
+            }
+        });
+        changesByZone.set(zoneId, changes);
+    }
+
+    return [...changesByZone].map(([hostedZoneId, changes]) => ({ hostedZoneId, changes }));
+};
+
+const describeCertificate = async (acm, certificateArn) => {
+    const { DescribeCertificateCommand } = require('@aws-sdk/client-acm');
+    const { Certificate } = await acm.send(new DescribeCertificateCommand({ CertificateArn: certificateArn }));
+    return Certificate;
+};
+
+const changeValidationRecords = async (properties, domainValidationOptions, action) => {
+    const { ChangeResourceRecordSetsCommand } = require('@aws-sdk/client-route-53');
+    const route53 = await route53Client(properties.DnsRoleArn);
+
+    for (const { hostedZoneId, changes } of validationChanges(domainValidationOptions, properties.HostedZones, action)) {
+        try {
+            await route53.send(new ChangeResourceRecordSetsCommand({
+                HostedZoneId: hostedZoneId,
+                ChangeBatch: { Comment: 'Stage B certificate validation', Changes: changes }
+            }));
+        } catch (error) {
+            // Deleting a record that is already gone is not an error during teardown
+            if (!(action === 'DELETE' && error.name === 'InvalidChangeBatch')) {
+                throw error;
+            }
+        }
+    }
+};
+
+const requestCertificate = async (properties, requestId) => {
+    const { RequestCertificateCommand } = require('@aws-sdk/client-acm');
+    const [domainName, ...subjectAlternativeNames] = properties.DomainNames;
+
+    const { CertificateArn } = await acmClient().send(new RequestCertificateCommand({
+        DomainName: domainName,
+        SubjectAlternativeNames: subjectAlternativeNames.length > 0 ? subjectAlternativeNames : undefined,
+        ValidationMethod: 'DNS',
+        IdempotencyToken: requestId.replace(/[^\w]/g, '').slice(0, 32),
+        Tags: [{ Key: 'Name', Value: properties.CertificateName }]
+    }));
+
+    return CertificateArn;
+};
+
+const sameDomains = (a = [], b = []) => a.length === b.length && a.every((domain, index) => domain === b[index]);
+
+exports.onEvent = async (event) => {
+    console.log('Certificate event:', JSON.stringify({ ...event, ResponseURL: undefined }));
+    const properties = event.ResourceProperties;
+
+    switch (event.RequestType) {
+        case 'Create':
+            return { PhysicalResourceId: await requestCertificate(properties, event.RequestId) };
+
+        case 'Update':
+            // A new domain set needs a new certificate; CloudFormation then deletes the old one
+            if (!sameDomains(properties.DomainNames, event.OldResourceProperties.DomainNames)) {
+                return { PhysicalResourceId: await requestCertificate(properties, event.RequestId) };
+            }
+            return { PhysicalResourceId: event.PhysicalResourceId };
+
+        case 'Delete': {
+            const certificate = await describeCertificate(acmClient(), event.PhysicalResourceId).catch((error) => {
+                if (error.name === 'ResourceNotFoundException') {
+                    return undefined;
+                }
+                throw error;
+            });
+            if (certificate) {
+                await changeValidationRecords(properties, certificate.DomainValidationOptions || [], 'DELETE');
+            }
+            return { PhysicalResourceId: event.PhysicalResourceId };
+        }
+
+        default:
+            throw new Error(`Unsupported request type: ${event.RequestType}`);
+    }
+};
+
+exports.isComplete = async (event) => {
+    const properties = event.ResourceProperties;
+    const certificateArn = event.PhysicalResourceId;
+    const acm = acmClient();
+
+    if (event.RequestType === 'Delete') {
+        const { DeleteCertificateCommand } = require('@aws-sdk/client-acm');
+        try {
+            await acm.send(new DeleteCertificateCommand({ CertificateArn: certificateArn }));
+        } catch (error) {
+            if (error.name === 'ResourceInUseException') {
+                console.log('Certificate is still attached to a distribution, retrying');
+                return { IsComplete: false };
+            }
+            if (error.name !== 'ResourceNotFoundException') {
+                throw error;
+            }
+        }
+        return { IsComplete: true };
+    }
+
+    const certificate = await describeCertificate(acm, certificateArn);
+    const options = certificate.DomainValidationOptions || [];
+
+    if (certificate.Status === 'ISSUED') {
+        return { IsComplete: true, Data: { CertificateArn: certificateArn } };
+    }
+
+    if (certificate.Status !== 'PENDING_VALIDATION') {
+        throw new Error(`Certificate ${certificateArn} is ${certificate.Status}: ${certificate.FailureReason || 'no reason given'}`);
+    }
+
+    // ACM publishes the validation records a few seconds after the request
+    if (options.length === 0 || options.some((option) => !option.ResourceRecord)) {
+        return { IsComplete: false };
+    }
+
+    await changeValidationRecords(properties, options, 'UPSERT');
+    return { IsComplete: false };
+};
+
+exports.hostedZoneForDomain = hostedZoneForDomain;
+exports.validationChanges = validationChanges;
@@ -0,0 +1,166 @@
+// Custom resource handler for DeploymentSmokeCheck (iac/lib/deployment-smoke-check.ts).
+//
+// Runs after the React content and the distribution are in place and fails the deployment when
+// the site does not serve the release that was just built:
+//
+//   https://<domain><Path>  200, text/html, and the page references the expected build hash;
+//                           Path is / or, for a release that is not live yet, its index.html
+//   https://<domain>/api/   200 with a JSON body (only for stacks with an API origin)
+//
+// CloudFront invalidations and distribution updates take a while to reach every edge location,
+// so failed checks are retried until the attempts run out.
+//
+// The Update CloudFormation sends while rolling the stack back is not checked: it restores the
+// previous release, but not resources outside the stack such as the Stage C API, so failing it
+// would leave the stack in UPDATE_ROLLBACK_FAILED. The AWS SDK comes with the Lambda runtime; it
+// is loaded when the handler runs so the checks can be tested without it.
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const get = async (fetchImpl, url) => {
+    const response = await fetchImpl(url, {
+        headers: { 'Cache-Control': 'no-cache', 'User-Agent': 'aws-spa-boilerplate-smoke-check' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    return {
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        body: await response.text()
+    };
+};
+
+// Returns a list of problems with the served page; empty when it is the expected release
+const checkSite = async (fetchImpl, siteUrl, path, buildHash) => {
+    const url = `${siteUrl}${path}`;
+    const { status, contentType, body } = await get(fetchImpl, url);
+
+    if (status !== 200) {
+        return [`${url} returned HTTP ${status}`];
+    }
+    if (!contentType.includes('text/html')) {
+        return [`${url} returned ${contentType || 'no content type'} instead of text/html`];
+    }
+    if (buildHash && !body.includes(buildHash)) {
+        return [`${url} does not reference build ${buildHash}`];
+    }
+    return [];
+};
+
+// Returns a list of problems with the API root; empty when it answers with JSON
+const checkApi = async (fetchImpl, siteUrl) => {
+    const { status, contentType, body } = await get(fetchImpl, `${siteUrl}/api/`);
+
+    if (status !== 200) {
+        return [`${siteUrl}/api/ returned HTTP ${status}`];
+    }
+    if (!contentType.includes('application/json')) {
+        return [`${siteUrl}/api/ returned ${contentType || 'no content type'} instead of application/json`];
+    }
+    try {
+        JSON.parse(body);
+    } catch (error) {
+        return [`${siteUrl}/api/ returned invalid JSON: ${error.message}`];
+    }
+    return [];
+};
+
+const runChecks = async (fetchImpl, properties) => {
+    const siteUrl = `https://${properties.Domain}`;
+    const checks = [checkSite(fetchImpl, siteUrl, properties.Path || '/', properties.BuildHash)];
+
+    if (properties.CheckApi === 'true') {
+        checks.push(checkApi(fetchImpl, siteUrl));
+    }
+
+    const results = await Promise.all(checks.map((check) => check.catch((error) => [`${siteUrl}: ${error.message}`])));
+    return results.flat();
+};
+
+// Runs the checks until they pass or the attempts run out; throws with the last failures
+const runSmokeChecks = async (properties, options = {}) => {
+    const fetchImpl = options.fetch || fetch;
+    const wait = options.sleep || sleep;
+    const attempts = Number(properties.Attempts) || 1;
+    const intervalMs = (Number(properties.IntervalSeconds) || 0) * 1000;
+
+    let failures = [];
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        failures = await runChecks(fetchImpl, properties);
+        if (failures.length === 0) {
+            console.log(`Smoke checks passed on attempt ${attempt} of ${attempts}`);
+            return { attempts: attempt };
+        }
+
+        console.log(`Smoke checks failed on attempt ${attempt} of ${attempts}:`, failures);
+        if (attempt < attempts) {
+            await wait(intervalMs);
+        }
+    }
+
+    throw new Error(`Deployment smoke checks failed: ${failures.join('; ')}`);
+};
+
+// Status of the stack sending the event, e.g. UPDATE_ROLLBACK_IN_PROGRESS
+const describeStackStatus = async (stackId) => {
+    const { CloudFormationClient, DescribeStacksCommand } = require('@aws-sdk/client-cloudformation');
+    const { Stacks } = await new CloudFormationClient({}).send(new DescribeStacksCommand({ StackName: stackId }));
+    return Stacks && Stacks[0] ? Stacks[0].StackStatus : undefined;
+};
+
+// True for the Update sent while CloudFormation rolls the stack back
+const isRollback = async (event, stackStatus) => {
+    if (event.RequestType !== 'Update') {
+        return false;
+    }
+    try {
+        return (await stackStatus(event.StackId)) === 'UPDATE_ROLLBACK_IN_PROGRESS';
+    } catch (error) {
+        // Checking is the safe default for a normal update
+        console.log(`Could not read the stack status, running the checks: ${error.message}`);
+        return false;
+    }
+};
+
+const onEvent = async (event, options = {}) => {
+    console.log('Deployment Status Event:', JSON.stringify({ ...event, ResponseURL: undefined }));
+    const properties = event.ResourceProperties;
+    const physicalResourceId = event.PhysicalResourceId || `${properties.Domain}-smoke-check`;
+
+    // Nothing to verify when the stack is being removed
+    if (event.RequestType === 'Delete') {
+        return { PhysicalResourceId: physicalResourceId };
+    }
+
+    if (await isRollback(event, options.stackStatus || describeStackStatus)) {
+        console.log('Stack is rolling back, skipping the smoke checks');
+        return {
+            PhysicalResourceId: physicalResourceId,
+            Data: {
+                DeploymentStatus: 'ROLLBACK',
+                Timestamp: new Date().toISOString(),
+                BuildHash: properties.BuildHash || '',
+                Attempts: '0'
+            }
+        };
+    }
+
+    const { attempts } = await runSmokeChecks(properties, options);
+
+    return {
+        PhysicalResourceId: physicalResourceId,
+        Data: {
+            DeploymentStatus: 'SUCCESS',
+            Timestamp: new Date().toISOString(),
+            BuildHash: properties.BuildHash || '',
+            Attempts: String(attempts)
+        }
+    };
+};
+
+exports.handler = (event) => onEvent(event);
+exports.onEvent = onEvent;
+exports.runSmokeChecks = runSmokeChecks;
@@ -0,0 +1,53 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import { Construct } from 'constructs';
+import { suppressCompliance } from './compliance';
+import { EnvironmentConfig } from './environment-config';
+
+// Where each log source writes in the access log bucket
+export const ACCESS_LOG_PREFIXES = {
+  distribution: 'cloudfront/',
+  contentBucket: 's3/content/',
+};
+
+// Named after the prefix and account so Stage E, which rebuilds the distribution config, finds it
+export const accessLogBucketName = (distributionPrefix: string) => `${distributionPrefix}-access-logs-${cdk.Aws.ACCOUNT_ID}`;
+
+// Standard logging settings for a distribution defined with CfnDistribution
+export const distributionLogging = (distributionPrefix: string): cloudfront.CfnDistribution.LoggingProperty => ({
+  bucket: `${accessLogBucketName(distributionPrefix)}.s3.amazonaws.com`,
+  prefix: ACCESS_LOG_PREFIXES.distribution,
+  includeCookies: false,
+});
+
+export interface AccessLogBucketProps {
+  distributionPrefix: string;
+  config: EnvironmentConfig;
+}
+
+// Private bucket receiving the distribution's standard logs and the content bucket's server access
+// logs. Logs expire after the environment's log retention and follow its removal policy.
+export class AccessLogBucket extends Construct {
+  public readonly bucket: s3.Bucket;
+
+  constructor(scope: Construct, id: string, props: AccessLogBucketProps) {
+    super(scope, id);
+
+    const { distributionPrefix, config } = props;
+
+    this.bucket = new s3.Bucket(this, 'Bucket', {
+      bucketName: accessLogBucketName(distributionPrefix),
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      enforceSSL: true,
+      // CloudFront standard logging writes with object ACLs and does not support SSE-KMS
+      objectOwnership: s3.ObjectOwnership.OBJECT_WRITER,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      lifecycleRules: [{ expiration: cdk.Duration.days(config.logRetention) }],
+      removalPolicy: config.removalPolicy,
+      autoDeleteObjects: config.autoDeleteObjects && config.removalPolicy === cdk.RemovalPolicy.DESTROY,
+    });
+
+    suppressCompliance(this.bucket, 'S3-ACCESS-LOGS', 'This is the access log bucket; logging its own writes would loop');
+  }
+}
@@ -0,0 +1,116 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cognito from 'aws-cdk-lib/aws-cognito';
+import { Construct } from 'constructs';
+import { EnvironmentConfig } from './environment-config';
+
+// SPA route that receives the authorization code from the hosted UI
+export const AUTH_CALLBACK_PATH = '/auth/callback';
+
+// Vite dev and preview servers, allowed as callback URLs in dev only
+export const LOCAL_ORIGINS = ['http://localhost:5173', 'http://localhost:4173'];
+
+// Cognito domain prefixes: lowercase letters, digits and hyphens, at most 63 characters, and
+// the words aws, amazon and cognito are reserved
+const DOMAIN_PREFIX_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const RESERVED_DOMAIN_WORDS = /aws|amazon|cognito/;
+
+export const authDomainPrefixFor = (distributionPrefix: string) =>
+  `${distributionPrefix.toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 58).replace(/^-+|-+$/g, '')}-auth`;
+
+export const validateAuthDomainPrefix = (domainPrefix: string): void => {
+  if (!DOMAIN_PREFIX_PATTERN.test(domainPrefix) || RESERVED_DOMAIN_WORDS.test(domainPrefix)) {
+    throw new Error(
+      `Invalid Cognito domain prefix ${domainPrefix}. Please use lowercase letters, digits and hyphens without "aws", "amazon" or "cognito" (stage-c-lambda:authDomainPrefix)`
+    );
+  }
+};
+
+// Hosted UI return addresses for every Stage B domain, plus the local servers in dev
+export const authOrigins = (config: EnvironmentConfig, domains: string[] = []): string[] => {
+  if (domains.length === 0) {
+    throw new Error('Authentication needs the site domains from Stage B for the hosted UI callback URLs, but no domains were provided');
+  }
+
+  const origins = domains.map((domain) => `https://${domain}`);
+  return config.name === 'dev' ? [...origins, ...LOCAL_ORIGINS] : origins;
+};
+
+export interface ApiAuthProps {
+  distributionPrefix: string;
+  domains?: string[];
+  config: EnvironmentConfig;
+  domainPrefix?: string; // Hosted UI domain prefix, defaults to `<prefix>-auth`
+}
+
+// Cognito user pool for the SPA and API: users sign in on the hosted UI with the authorization
+// code flow and PKCE, the SPA keeps the tokens, and the API Lambda verifies the access tokens
+// itself (apps/hello-world-lambda/auth.js). The app client is public, so it has no secret.
+export class ApiAuth extends Construct {
+  public readonly userPool: cognito.UserPool;
+  public readonly userPoolClient: cognito.UserPoolClient;
+  public readonly userPoolDomain: cognito.UserPoolDomain;
+  public readonly callbackUrls: string[];
+  public readonly logoutUrls: string[];
+
+  constructor(scope: Construct, id: string, props: ApiAuthProps) {
+    super(scope, id);
+
+    const { distributionPrefix, config } = props;
+    const domainPrefix = props.domainPrefix || authDomainPrefixFor(distributionPrefix);
+    validateAuthDomainPrefix(domainPrefix);
+
+    const origins = authOrigins(config, props.domains);
+    this.callbackUrls = origins.map((origin) => `${origin}${AUTH_CALLBACK_PATH}`);
+    this.logoutUrls = origins.map((origin) => `${origin}/`);
+
+    this.userPool = new cognito.UserPool(this, 'UserPool', {
+      userPoolName: `${distributionPrefix}-users`,
+      selfSignUpEnabled: true,
+      signInAliases: { email: true },
+      autoVerify: { email: true },
+      standardAttributes: {
+        email: { required: true, mutable: true },
+      },
+      passwordPolicy: {
+        minLength: 12,
+        requireLowercase: true,
+        requireUppercase: true,
+        requireDigits: true,
+        requireSymbols: false,
+      },
+      accountRecovery: cognito.AccountRecovery.EMAIL_ONLY,
+      removalPolicy: config.removalPolicy,
+    });
+
+    this.userPoolDomain = this.userPool.addDomain('HostedUiDomain', {
+      cognitoDomain: { domainPrefix },
+    });
+
+    this.userPoolClient = this.userPool.addClient('WebClient', {
+      userPoolClientName: `${distributionPrefix}-web`,
+      generateSecret: false,
+      authFlows: { userSrp: true }, // CDK adds refresh token auth alongside
+      oAuth: {
+        flows: { authorizationCodeGrant: true },
+        scopes: [cognito.OAuthScope.OPENID, cognito.OAuthScope.EMAIL, cognito.OAuthScope.PROFILE],
+        callbackUrls: this.callbackUrls,
+        logoutUrls: this.logoutUrls,
+      },
+      supportedIdentityProviders: [cognito.UserPoolClientIdentityProvider.COGNITO],
+      preventUserExistenceErrors: true,
+      enableTokenRevocation: true,
+      accessTokenValidity: cdk.Duration.hours(1),
+      idTokenValidity: cdk.Duration.hours(1),
+      refreshTokenValidity: cdk.Duration.days(30),
+    });
+  }
+
+  // Environment variables read by the API handler
+  public get lambdaEnvironment(): Record<string, string> {
+    return {
+      AUTH_ISSUER: this.userPool.userPoolProviderUrl,
+      AUTH_CLIENT_ID: this.userPoolClient.userPoolClientId,
+      AUTH_DOMAIN: this.userPoolDomain.baseUrl(),
+    };
+  }
+}
@@ -0,0 +1,124 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import { Construct } from 'constructs';
+
+// Declarative cache behaviors routing the API to the Lambda origin of the Stage E distribution.
+// CloudFront evaluates behaviors in list order (precedence 0 first), so the declaration order is
+// the precedence: the exact `/api` path comes first, then any cached routes, then `/api/*`.
+// Any change to routing is made here and deployed; `scripts/detect-drift.sh` reports live edits.
+
+export const API_ORIGIN_ID = 'LambdaOrigin';
+
+export const API_ALLOWED_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'POST', 'PATCH', 'DELETE'];
+
+// The Lambda origin access control signs every origin request with SigV4 in the Authorization
+// header, replacing whatever the viewer sent, so API credentials travel in this header instead
+export const API_AUTHORIZATION_HEADER = 'X-Api-Authorization';
+
+// Viewer headers the API needs. Host is left out: the Function URL only accepts its own host name.
+export const API_FORWARDED_HEADERS = [
+  'Accept',
+  'Content-Type',
+  'Origin',
+  'Access-Control-Request-Method',
+  'Access-Control-Request-Headers',
+  'x-amz-content-sha256',
+  'If-Match', // Conditional writes (apps/hello-world-lambda/items.js)
+  API_AUTHORIZATION_HEADER,
+];
+
+// Longest time a cached API route may be kept; anything longer belongs in the bucket
+export const MAX_API_CACHE_TTL = cdk.Duration.hours(1);
+
+export interface ApiBehaviorDeclaration {
+  readonly pathPattern: string;
+  readonly description: string;
+}
+
+// In precedence order; cached routes are inserted between the two
+export const API_BEHAVIORS: ApiBehaviorDeclaration[] = [
+  { pathPattern: '/api', description: 'API root without a trailing slash' },
+  { pathPattern: '/api/*', description: 'Every API route' },
+];
+
+// A GET route cached at the edge for a short time, e.g. { pathPattern: '/api/hello/*', ttl: 60s,
+// queryStrings: ['lang'] }. Responses must not depend on the caller: only the path and the listed
+// query parameters are part of the cache key.
+export interface ApiCacheRoute {
+  readonly pathPattern: string;
+  readonly ttl: cdk.Duration;
+  readonly queryStrings?: string[];
+}
+
+export interface ApiBehaviorPolicies {
+  readonly cachePolicyId: string;
+  readonly originRequestPolicyId: string;
+  readonly responseHeadersPolicyId: string;
+  readonly cachedRoutes?: { pathPattern: string; cachePolicyId: string }[];
+}
+
+export const validateApiCacheRoute = (route: ApiCacheRoute): void => {
+  const { pathPattern, ttl } = route;
+
+  if (!pathPattern.startsWith('/api/') || API_BEHAVIORS.some((behavior) => behavior.pathPattern === pathPattern)) {
+    throw new Error(`Invalid cached API route ${pathPattern}. Please use a path pattern below /api/, e.g. /api/hello/*`);
+  }
+  if (!(ttl.toSeconds() >= 1 && ttl.toSeconds() <= MAX_API_CACHE_TTL.toSeconds())) {
+    throw new Error(`Invalid cache TTL for ${pathPattern}. Please use between 1 second and ${MAX_API_CACHE_TTL.toHumanString()}`);
+  }
+};
+
+// Forwards the viewer's query string, cookies and the API headers, but never Host
+export const createApiOriginRequestPolicy = (scope: Construct, id: string, originRequestPolicyName: string) =>
+  new cloudfront.OriginRequestPolicy(scope, id, {
+    originRequestPolicyName,
+    comment: 'API origin: query string, cookies and API headers, without Host',
+    queryStringBehavior: cloudfront.OriginRequestQueryStringBehavior.all(),
+    cookieBehavior: cloudfront.OriginRequestCookieBehavior.all(),
+    headerBehavior: cloudfront.OriginRequestHeaderBehavior.allowList(...API_FORWARDED_HEADERS),
+  });
+
+// Cache key of a cached route: the path plus its chosen query parameters
+export const createApiCachePolicy = (scope: Construct, id: string, cachePolicyName: string, route: ApiCacheRoute) => {
+  validateApiCacheRoute(route);
+  const queryStrings = route.queryStrings || [];
+
+  return new cloudfront.CachePolicy(scope, id, {
+    cachePolicyName,
+    comment: `Cached API route ${route.pathPattern}`,
+    defaultTtl: route.ttl,
+    minTtl: cdk.Duration.seconds(0),
+    maxTtl: route.ttl,
+    queryStringBehavior: queryStrings.length > 0
+      ? cloudfront.CacheQueryStringBehavior.allowList(...queryStrings)
+      : cloudfront.CacheQueryStringBehavior.none(),
+    headerBehavior: cloudfront.CacheHeaderBehavior.none(),
+    cookieBehavior: cloudfront.CacheCookieBehavior.none(),
+    enableAcceptEncodingGzip: true,
+    enableAcceptEncodingBrotli: true,
+  });
+};
+
+// Path patterns of the API behaviors, in precedence order
+export const apiBehaviorPatterns = (cachedRoutes: { pathPattern: string }[] = []) => [
+  API_BEHAVIORS[0].pathPattern,
+  ...cachedRoutes.map(({ pathPattern }) => pathPattern),
+  API_BEHAVIORS[1].pathPattern,
+];
+
+// CloudFormation cache behaviors for the API, in precedence order
+export const apiCacheBehaviors = (policies: ApiBehaviorPolicies): cloudfront.CfnDistribution.CacheBehaviorProperty[] => {
+  const cachedRoutes = policies.cachedRoutes || [];
+
+  return apiBehaviorPatterns(cachedRoutes).map((pathPattern) => ({
+    pathPattern,
+    targetOriginId: API_ORIGIN_ID,
+    viewerProtocolPolicy: 'redirect-to-https',
+    cachePolicyId: cachedRoutes.find((route) => route.pathPattern === pathPattern)?.cachePolicyId || policies.cachePolicyId,
+    originRequestPolicyId: policies.originRequestPolicyId,
+    responseHeadersPolicyId: policies.responseHeadersPolicyId,
+    compress: true,
+    allowedMethods: API_ALLOWED_METHODS,
+    cachedMethods: ['GET', 'HEAD'],
+  }));
+};
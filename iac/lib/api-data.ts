@@ -0,0 +1,57 @@
+import * as cdk from 'aws-cdk-lib';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import { Construct } from 'constructs';
+import { EnvironmentConfig } from './environment-config';
+
+// The only table operations the handler performs (apps/hello-world-lambda/items.js); no scans,
+// batch or transactional calls
+export const API_DATA_ACTIONS = [
+  'dynamodb:GetItem',
+  'dynamodb:PutItem',
+  'dynamodb:UpdateItem',
+  'dynamodb:DeleteItem',
+  'dynamodb:Query',
+];
+
+export interface ApiDataProps {
+  distributionPrefix: string;
+  config: EnvironmentConfig;
+}
+
+// DynamoDB table for the API's data, keyed by string `pk` and `sk` so several resources can share
+// it. On-demand billing, point-in-time recovery, and the environment's removal policy: a retained
+// table is also protected from deletion.
+export class ApiData extends Construct {
+  public readonly table: dynamodb.Table;
+
+  constructor(scope: Construct, id: string, props: ApiDataProps) {
+    super(scope, id);
+
+    const { distributionPrefix, config } = props;
+    const retained = config.removalPolicy === cdk.RemovalPolicy.RETAIN;
+
+    this.table = new dynamodb.Table(this, 'Table', {
+      tableName: `${distributionPrefix}-data`,
+      partitionKey: { name: 'pk', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'sk', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      pointInTimeRecoverySpecification: { pointInTimeRecoveryEnabled: true },
+      deletionProtection: retained,
+      removalPolicy: config.removalPolicy,
+    });
+  }
+
+  // Item-level access to this table only
+  public grantHandlerAccess(grantee: iam.IGrantable): iam.Grant {
+    return this.table.grant(grantee, ...API_DATA_ACTIONS);
+  }
+
+  // Environment variables read by the API handler
+  public get lambdaEnvironment(): Record<string, string> {
+    return {
+      ITEMS_TABLE: this.table.tableName,
+    };
+  }
+}
@@ -0,0 +1,141 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import { Construct } from 'constructs';
+
+export interface ApiMonitoringProps {
+  readonly distributionPrefix: string;
+  readonly lambdaFunction: lambda.IFunction;
+  readonly logGroup: logs.ILogGroup; // Receives the handler's JSON request logs (apps/hello-world-lambda/logger.js)
+  readonly p95DurationThreshold: cdk.Duration;
+}
+
+// Message of the one log entry the API router writes per request
+export const REQUEST_LOG_MESSAGE = 'Request completed';
+
+export const apiMetricsNamespace = (distributionPrefix: string) => `${distributionPrefix}/Api`;
+
+// Metric filters over the API's structured logs, alarms on errors, throttles and p95 duration,
+// and a CloudWatch dashboard. The alarms have no actions; notification targets are added by
+// whoever consumes `alarms`.
+export class ApiMonitoring extends Construct {
+  public readonly namespace: string;
+  public readonly alarms: cloudwatch.Alarm[];
+  public readonly serverErrorsAlarm: cloudwatch.Alarm; // Errors the handler caught never show in the Lambda Errors metric
+  public readonly dashboard: cloudwatch.Dashboard;
+
+  constructor(scope: Construct, id: string, props: ApiMonitoringProps) {
+    super(scope, id);
+
+    const { distributionPrefix, lambdaFunction, logGroup } = props;
+    this.namespace = apiMetricsNamespace(distributionPrefix);
+
+    const requestLog = logs.FilterPattern.stringValue('$.message', '=', REQUEST_LOG_MESSAGE);
+
+    // Metrics from the request log; each is a count of matching entries unless a value is given
+    const metricFilter = (filterId: string, metricName: string, filterPattern: logs.IFilterPattern, metricValue = '1') =>
+      new logs.MetricFilter(this, filterId, {
+        logGroup,
+        metricNamespace: this.namespace,
+        metricName,
+        filterPattern,
+        metricValue,
+        defaultValue: metricValue === '1' ? 0 : undefined,
+        unit: metricValue === '1' ? cloudwatch.Unit.COUNT : cloudwatch.Unit.MILLISECONDS,
+      }).metric({ period: cdk.Duration.minutes(5) });
+
+    const requests = metricFilter('RequestsFilter', 'Requests', requestLog).with({ statistic: 'Sum' });
+    const clientErrors = metricFilter('ClientErrorsFilter', 'ClientErrors', logs.FilterPattern.all(
+      requestLog,
+      logs.FilterPattern.numberValue('$.status', '>=', 400),
+      logs.FilterPattern.numberValue('$.status', '<', 500),
+    )).with({ statistic: 'Sum' });
+    const serverErrors = metricFilter('ServerErrorsFilter', 'ServerErrors', logs.FilterPattern.all(
+      requestLog,
+      logs.FilterPattern.numberValue('$.status', '>=', 500),
+    )).with({ statistic: 'Sum' });
+    const latency = metricFilter('LatencyFilter', 'Latency', requestLog, '$.latencyMs').with({ statistic: 'p95' });
+    const unhandledErrors = metricFilter('UnhandledErrorsFilter', 'UnhandledErrors',
+      logs.FilterPattern.stringValue('$.level', '=', 'ERROR')).with({ statistic: 'Sum' });
+
+    const period = cdk.Duration.minutes(5);
+    const errors = lambdaFunction.metricErrors({ period, statistic: 'Sum' });
+    const throttles = lambdaFunction.metricThrottles({ period, statistic: 'Sum' });
+    const invocations = lambdaFunction.metricInvocations({ period, statistic: 'Sum' });
+    const duration = (statistic: string) => lambdaFunction.metricDuration({ period, statistic, label: statistic });
+
+    const alarm = (alarmId: string, name: string, metric: cloudwatch.IMetric, threshold: number, description: string, evaluationPeriods = 1) =>
+      new cloudwatch.Alarm(this, alarmId, {
+        alarmName: `${distributionPrefix}-api-${name}`,
+        alarmDescription: description,
+        metric,
+        threshold,
+        evaluationPeriods,
+        comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+        treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+      });
+
+    this.serverErrorsAlarm = alarm('ServerErrorsAlarm', 'server-errors', serverErrors, 1, 'The API answered with a 5xx status');
+
+    this.alarms = [
+      alarm('ErrorsAlarm', 'errors', errors, 1, 'The API Lambda function failed (invocation errors)'),
+      this.serverErrorsAlarm,
+      alarm('ThrottlesAlarm', 'throttles', throttles, 1, 'The API Lambda function was throttled'),
+      alarm('DurationP95Alarm', 'duration-p95', lambdaFunction.metricDuration({ period, statistic: 'p95' }), props.p95DurationThreshold.toMilliseconds(),
+        `p95 duration of the API Lambda function is at or above ${props.p95DurationThreshold.toHumanString()}`, 3),
+    ];
+
+    this.dashboard = new cloudwatch.Dashboard(this, 'Dashboard', {
+      dashboardName: `${distributionPrefix}-api`,
+      defaultInterval: cdk.Duration.hours(3),
+      widgets: [
+        [
+          new cloudwatch.GraphWidget({
+            title: 'Requests by status',
+            left: [requests, clientErrors, serverErrors],
+            width: 12,
+          }),
+          new cloudwatch.GraphWidget({
+            title: 'Invocations, errors and throttles',
+            left: [invocations, errors, throttles, unhandledErrors],
+            width: 12,
+          }),
+        ],
+        [
+          new cloudwatch.GraphWidget({
+            title: 'Lambda duration',
+            left: [duration('p50'), duration('p95'), duration('p99')],
+            leftAnnotations: [{ value: props.p95DurationThreshold.toMilliseconds(), label: 'p95 alarm' }],
+            width: 12,
+          }),
+          new cloudwatch.GraphWidget({
+            title: 'Request latency (p95)',
+            left: [latency],
+            width: 12,
+          }),
+        ],
+        [
+          new cloudwatch.AlarmStatusWidget({
+            title: 'Alarms',
+            alarms: this.alarms,
+            width: 24,
+          }),
+        ],
+        [
+          new cloudwatch.LogQueryWidget({
+            title: 'Recent failed requests',
+            logGroupNames: [logGroup.logGroupName],
+            queryLines: [
+              'fields @timestamp, requestId, method, path, route, status, latencyMs, error.message',
+              'filter level = "ERROR" or status >= 500',
+              'sort @timestamp desc',
+              'limit 50',
+            ],
+            width: 24,
+          }),
+        ],
+      ],
+    });
+  }
+}
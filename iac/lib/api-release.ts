@@ -0,0 +1,128 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as codedeploy from 'aws-cdk-lib/aws-codedeploy';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import { Construct } from 'constructs';
+
+// How traffic moves to a new version, by CodeDeploy's name for the configuration
+export const LAMBDA_DEPLOYMENT_CONFIGS: Record<string, codedeploy.ILambdaDeploymentConfig> = {
+  AllAtOnce: codedeploy.LambdaDeploymentConfig.ALL_AT_ONCE,
+  Canary10Percent5Minutes: codedeploy.LambdaDeploymentConfig.CANARY_10PERCENT_5MINUTES,
+  Canary10Percent10Minutes: codedeploy.LambdaDeploymentConfig.CANARY_10PERCENT_10MINUTES,
+  Canary10Percent15Minutes: codedeploy.LambdaDeploymentConfig.CANARY_10PERCENT_15MINUTES,
+  Canary10Percent30Minutes: codedeploy.LambdaDeploymentConfig.CANARY_10PERCENT_30MINUTES,
+  Linear10PercentEvery1Minute: codedeploy.LambdaDeploymentConfig.LINEAR_10PERCENT_EVERY_1MINUTE,
+  Linear10PercentEvery2Minutes: codedeploy.LambdaDeploymentConfig.LINEAR_10PERCENT_EVERY_2MINUTES,
+  Linear10PercentEvery3Minutes: codedeploy.LambdaDeploymentConfig.LINEAR_10PERCENT_EVERY_3MINUTES,
+  Linear10PercentEvery10Minutes: codedeploy.LambdaDeploymentConfig.LINEAR_10PERCENT_EVERY_10MINUTES,
+};
+
+export const lambdaDeploymentConfig = (name: string): codedeploy.ILambdaDeploymentConfig => {
+  const deploymentConfig = LAMBDA_DEPLOYMENT_CONFIGS[name];
+  if (!deploymentConfig) {
+    throw new Error(
+      `Unknown Lambda deployment config "${name}". Valid configs are ${Object.keys(LAMBDA_DEPLOYMENT_CONFIGS).join(', ')}`
+    );
+  }
+  return deploymentConfig;
+};
+
+// Read-only paths the pre-traffic hook requests from a new version
+export const PRE_TRAFFIC_SMOKE_PATHS = ['/api/health', '/api/'];
+
+export interface ApiReleaseProps {
+  readonly distributionPrefix: string;
+  readonly lambdaFunction: lambda.Function;
+  readonly deploymentConfig: string; // A key of LAMBDA_DEPLOYMENT_CONFIGS
+  readonly p95DurationThreshold: cdk.Duration;
+  readonly alarms?: cloudwatch.IAlarm[]; // Also roll back when these go off, e.g. the 5xx response alarm
+  readonly preTrafficHook?: boolean; // Smoke test each new version before it receives traffic
+}
+
+// Publishes the function as a version on every change and serves it through the `live` alias.
+// CodeDeploy moves the alias to a new version with the deployment config and moves it back when
+// the release alarms (errors and p95 duration of the alias, checked every minute) or the given
+// alarms go off, or when the pre-traffic hook fails.
+export class ApiRelease extends Construct {
+  public readonly alias: lambda.Alias;
+  public readonly deploymentGroup: codedeploy.LambdaDeploymentGroup;
+  public readonly alarms: cloudwatch.Alarm[];
+  public readonly preTrafficHook?: lambda.Function;
+
+  constructor(scope: Construct, id: string, props: ApiReleaseProps) {
+    super(scope, id);
+
+    const { distributionPrefix, lambdaFunction } = props;
+    const deploymentConfig = lambdaDeploymentConfig(props.deploymentConfig);
+
+    // A new version is published whenever the code or configuration changes
+    const version = lambdaFunction.currentVersion;
+
+    this.alias = new lambda.Alias(this, 'LiveAlias', {
+      aliasName: 'live',
+      version,
+      description: 'Version served by the Function URL',
+    });
+
+    // One-minute periods so a canary's bake time sees a few datapoints
+    const period = cdk.Duration.minutes(1);
+    const alarm = (alarmId: string, name: string, metric: cloudwatch.IMetric, threshold: number, description: string, evaluationPeriods = 1) =>
+      new cloudwatch.Alarm(this, alarmId, {
+        alarmName: `${distributionPrefix}-api-release-${name}`,
+        alarmDescription: description,
+        metric,
+        threshold,
+        evaluationPeriods,
+        comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD,
+        treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+      });
+
+    this.alarms = [
+      alarm('ErrorsAlarm', 'errors', this.alias.metricErrors({ period, statistic: 'Sum' }), 1,
+        'Invocations of the live alias failed; rolls back a release in progress'),
+      alarm('DurationP95Alarm', 'duration-p95', this.alias.metricDuration({ period, statistic: 'p95' }), props.p95DurationThreshold.toMilliseconds(),
+        `p95 duration of the live alias is at or above ${props.p95DurationThreshold.toHumanString()}; rolls back a release in progress`, 2),
+    ];
+
+    if (props.preTrafficHook) {
+      const hookLogGroup = new logs.LogGroup(this, 'PreTrafficHookLogGroup', {
+        retention: logs.RetentionDays.ONE_WEEK,
+        removalPolicy: cdk.RemovalPolicy.DESTROY,
+      });
+
+      this.preTrafficHook = new lambda.Function(this, 'PreTrafficHook', {
+        functionName: `${distributionPrefix}-api-pre-traffic-hook`,
+        runtime: lambda.Runtime.NODEJS_20_X,
+        handler: 'index.handler',
+        code: lambda.Code.fromAsset(path.join(__dirname, '../lambda/api-pre-traffic-hook')),
+        description: `Smoke checks new versions of ${distributionPrefix}-api before they receive traffic`,
+        timeout: cdk.Duration.minutes(1),
+        logGroup: hookLogGroup,
+        environment: {
+          // Changes with every published version, so the hook always checks the one being deployed
+          TARGET_VERSION_ARN: version.functionArn,
+          SMOKE_PATHS: JSON.stringify(PRE_TRAFFIC_SMOKE_PATHS),
+        },
+      });
+      version.grantInvoke(this.preTrafficHook);
+    }
+
+    this.deploymentGroup = new codedeploy.LambdaDeploymentGroup(this, 'DeploymentGroup', {
+      application: new codedeploy.LambdaApplication(this, 'Application', {
+        applicationName: `${distributionPrefix}-api`,
+      }),
+      deploymentGroupName: `${distributionPrefix}-api`,
+      alias: this.alias,
+      deploymentConfig,
+      alarms: [...this.alarms, ...(props.alarms || [])],
+      preHook: this.preTrafficHook,
+      autoRollback: {
+        failedDeployment: true,
+        stoppedDeployment: true,
+        deploymentInAlarm: true,
+      },
+    });
+  }
+}
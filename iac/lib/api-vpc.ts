@@ -0,0 +1,154 @@
+import * as cdk from 'aws-cdk-lib';
+import * as ec2 from 'aws-cdk-lib/aws-ec2';
+import { Construct } from 'constructs';
+import { EnvironmentConfig } from './environment-config';
+
+// VPC endpoints the function may need, by the name used in `stage-c-lambda:vpcEndpoints`.
+// Gateway endpoints are free and attach to the subnets' route tables; interface endpoints are
+// billed per hour and AZ and are placed in the function's subnets.
+export const VPC_ENDPOINTS: Record<string, { gateway?: ec2.GatewayVpcEndpointAwsService; service?: ec2.InterfaceVpcEndpointAwsService }> = {
+  dynamodb: { gateway: ec2.GatewayVpcEndpointAwsService.DYNAMODB }, // The data table (iac/lib/api-data.ts)
+  s3: { gateway: ec2.GatewayVpcEndpointAwsService.S3 },
+  xray: { service: ec2.InterfaceVpcEndpointAwsService.XRAY }, // Active tracing
+  secretsmanager: { service: ec2.InterfaceVpcEndpointAwsService.SECRETS_MANAGER }, // e.g. RDS credentials
+  ssm: { service: ec2.InterfaceVpcEndpointAwsService.SSM },
+  kms: { service: ec2.InterfaceVpcEndpointAwsService.KMS },
+  sts: { service: ec2.InterfaceVpcEndpointAwsService.STS },
+  'rds-data': { service: ec2.InterfaceVpcEndpointAwsService.RDS_DATA },
+};
+
+export const validateVpcEndpoints = (endpoints: string[]): void => {
+  const unknown = endpoints.filter((name) => !(name in VPC_ENDPOINTS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown VPC endpoint(s): ${unknown.join(', ')}. Valid endpoints are ${Object.keys(VPC_ENDPOINTS).join(', ')} (stage-c-lambda:vpcEndpoints)`);
+  }
+};
+
+export interface ApiSubnetRequirements {
+  config: EnvironmentConfig;
+  endpoints: string[];
+  auth?: boolean; // Cognito's key set and token endpoint are only reachable over the internet
+  data?: boolean; // DynamoDB needs a NAT gateway or the dynamodb endpoint
+}
+
+export interface ApiSubnetLayout {
+  subnetType: ec2.SubnetType;
+  subnets: ec2.ISubnet[];
+  warnings: string[];
+}
+
+// Picks the subnets for the function and checks the VPC can serve it: private subnets with a NAT
+// route when there are any, otherwise isolated subnets, which reach AWS services through
+// endpoints only. A looked-up VPC exposes its real layout here, so problems fail the synth
+// instead of the deployment or the first request.
+export const apiSubnetLayout = (vpc: ec2.IVpc, requirements: ApiSubnetRequirements): ApiSubnetLayout => {
+  const { config, endpoints } = requirements;
+  const warnings: string[] = [];
+
+  const subnetType = vpc.privateSubnets.length > 0 ? ec2.SubnetType.PRIVATE_WITH_EGRESS : ec2.SubnetType.PRIVATE_ISOLATED;
+  const subnets = subnetType === ec2.SubnetType.PRIVATE_WITH_EGRESS ? vpc.privateSubnets : vpc.isolatedSubnets;
+
+  if (subnets.length === 0) {
+    throw new Error(
+      `VPC ${vpc.vpcId} has no private or isolated subnets. A function in a public subnet gets no public IP and cannot reach anything; please add private subnets`
+    );
+  }
+
+  const zones = new Set(subnets.map((subnet) => subnet.availabilityZone));
+  if (zones.size < 2) {
+    const message = `The function's subnets in VPC ${vpc.vpcId} are all in ${[...zones][0]}; it stops serving if that AZ fails`;
+    if (config.name !== 'dev') {
+      throw new Error(`${message}. Please add private subnets in a second AZ for ${config.name}`);
+    }
+    warnings.push(message);
+  }
+
+  if (subnetType === ec2.SubnetType.PRIVATE_ISOLATED) {
+    if (requirements.auth) {
+      throw new Error(
+        `VPC ${vpc.vpcId} only has isolated subnets, but authentication needs the internet to fetch Cognito's signing keys and exchange tokens. Please add private subnets with a NAT gateway`
+      );
+    }
+    if (requirements.data && !endpoints.includes('dynamodb')) {
+      throw new Error(`VPC ${vpc.vpcId} only has isolated subnets, so the data table needs the dynamodb VPC endpoint (stage-c-lambda:vpcEndpoints)`);
+    }
+    if (!endpoints.includes('xray')) {
+      warnings.push(`VPC ${vpc.vpcId} only has isolated subnets and no xray endpoint, so X-Ray traces are not delivered`);
+    }
+  }
+
+  return { subnetType, subnets, warnings };
+};
+
+export interface ApiVpcProps extends Omit<ApiSubnetRequirements, 'endpoints'> {
+  distributionPrefix: string;
+  vpcId: string;
+  endpoints?: string[];
+}
+
+// Places the API function in the target VPC (looked up by ID, so the stack needs a concrete
+// account and region): a security group for the function, whose ID other resources such as RDS
+// can allow, and the optional VPC endpoints it uses.
+export class ApiVpc extends Construct {
+  public readonly vpc: ec2.IVpc;
+  public readonly securityGroup: ec2.SecurityGroup;
+  public readonly subnets: ec2.SubnetSelection;
+  public readonly subnetType: ec2.SubnetType;
+  public readonly endpointSecurityGroup?: ec2.SecurityGroup;
+
+  constructor(scope: Construct, id: string, props: ApiVpcProps) {
+    super(scope, id);
+
+    const { distributionPrefix } = props;
+    const endpoints = [...new Set(props.endpoints || [])];
+    validateVpcEndpoints(endpoints);
+
+    this.vpc = ec2.Vpc.fromLookup(this, 'Vpc', { vpcId: props.vpcId });
+
+    const layout = apiSubnetLayout(this.vpc, { ...props, endpoints });
+    for (const warning of layout.warnings) {
+      cdk.Annotations.of(this).addWarningV2('aws-spa-boilerplate:ApiVpc.subnets', warning);
+    }
+    this.subnetType = layout.subnetType;
+    this.subnets = { subnets: layout.subnets };
+
+    // Outbound only: the function is invoked through its Function URL, not over the network
+    this.securityGroup = new ec2.SecurityGroup(this, 'SecurityGroup', {
+      vpc: this.vpc,
+      securityGroupName: `${distributionPrefix}-lambda`,
+      description: `${distributionPrefix} API Lambda function`,
+      allowAllOutbound: true,
+    });
+
+    for (const name of endpoints.filter((endpoint) => VPC_ENDPOINTS[endpoint].gateway)) {
+      this.vpc.addGatewayEndpoint(`${pascalCase(name)}Endpoint`, {
+        service: VPC_ENDPOINTS[name].gateway!,
+        subnets: [this.subnets],
+      });
+    }
+
+    const interfaceEndpoints = endpoints.filter((endpoint) => VPC_ENDPOINTS[endpoint].service);
+    if (interfaceEndpoints.length > 0) {
+      // HTTPS from the function only, rather than from the whole VPC
+      this.endpointSecurityGroup = new ec2.SecurityGroup(this, 'EndpointSecurityGroup', {
+        vpc: this.vpc,
+        securityGroupName: `${distributionPrefix}-lambda-endpoints`,
+        description: `${distributionPrefix} VPC endpoints used by the API Lambda function`,
+        allowAllOutbound: false,
+      });
+      this.endpointSecurityGroup.addIngressRule(this.securityGroup, ec2.Port.tcp(443), 'HTTPS from the API Lambda function');
+
+      for (const name of interfaceEndpoints) {
+        this.vpc.addInterfaceEndpoint(`${pascalCase(name)}Endpoint`, {
+          service: VPC_ENDPOINTS[name].service!,
+          subnets: this.subnets,
+          securityGroups: [this.endpointSecurityGroup],
+          open: false,
+          privateDnsEnabled: true,
+        });
+      }
+    }
+  }
+}
+
+const pascalCase = (name: string) => name.replace(/(^|-)([a-z])/g, (_match, _dash, letter: string) => letter.toUpperCase());
@@ -0,0 +1,63 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as cr from 'aws-cdk-lib/custom-resources';
+import { Construct } from 'constructs';
+
+export interface BucketReadGrantProps {
+  readonly bucket: s3.IBucket; // Owned by another stack, which also owns its bucket policy
+  readonly distributionId: string; // Reads the bucket through origin access control
+}
+
+// Lets a distribution created in this stack read a bucket whose policy belongs to another stack
+// (Stage E's distribution and Stage A's content bucket). The distribution ID only exists once the
+// distribution does, so the statement is merged into the live bucket policy during deployment,
+// before anything that serves content through the distribution runs. A later deployment of the
+// owning stack rewrites the policy, so that stack has to name the distribution as well.
+export class BucketReadGrant extends Construct {
+  public readonly handler: lambda.Function;
+  public readonly resource: cdk.CustomResource;
+
+  constructor(scope: Construct, id: string, props: BucketReadGrantProps) {
+    super(scope, id);
+
+    const logGroup = new logs.LogGroup(this, 'LogGroup', {
+      retention: logs.RetentionDays.ONE_WEEK,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+    });
+
+    this.handler = new lambda.Function(this, 'Handler', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../lambda/bucket-read-grant')),
+      description: `Lets distribution ${props.distributionId} read the content bucket`,
+      timeout: cdk.Duration.minutes(1),
+      logGroup,
+    });
+
+    this.handler.addToRolePolicy(new iam.PolicyStatement({
+      actions: ['s3:GetBucketPolicy', 's3:PutBucketPolicy', 's3:DeleteBucketPolicy'],
+      resources: [props.bucket.bucketArn],
+    }));
+
+    const provider = new cr.Provider(this, 'Provider', {
+      onEventHandler: this.handler,
+      logGroup,
+    });
+
+    this.resource = new cdk.CustomResource(this, 'Resource', {
+      serviceToken: provider.serviceToken,
+      resourceType: 'Custom::BucketReadGrant',
+      properties: {
+        BucketName: props.bucket.bucketName,
+        BucketArn: props.bucket.bucketArn,
+        DistributionArn: `arn:aws:cloudfront::${cdk.Aws.ACCOUNT_ID}:distribution/${props.distributionId}`,
+        // Statement IDs are alphanumeric, like distribution IDs
+        StatementId: `CloudFrontRead${props.distributionId}`,
+      },
+    });
+  }
+}
@@ -0,0 +1,298 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as origins from 'aws-cdk-lib/aws-cloudfront-origins';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import { Construct } from 'constructs';
+import { ACCESS_LOG_PREFIXES, AccessLogBucket } from './access-logs';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import { ContentSecurityPolicySources, createSpaResponseHeadersPolicy } from './security-headers';
+import { CloudFrontOutputs } from './stage-references';
+
+const VIEWER_REQUEST_FUNCTION = path.join(__dirname, '../cloudfront-functions/viewer-request/index.js');
+
+// The function file also runs under jest and the local emulator, which have no `cloudfront`
+// module, so the import and the release store binding are added here
+const viewerRequestFunctionCode = (releaseStoreId: string) => [
+  "import cf from 'cloudfront';",
+  fs.readFileSync(VIEWER_REQUEST_FUNCTION, 'utf8'),
+  `releaseStore = cf.kvs('${releaseStoreId}');`,
+].join('\n');
+
+export interface CloudFrontStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  targetRegion: string;
+  targetVpcId: string;
+  config?: EnvironmentConfig; // Defaults to the dev preset
+  privateBucket?: boolean; // Defaults to the environment's `privateBucket` setting
+  contentSecurityPolicy?: ContentSecurityPolicySources; // Extra CSP sources beyond the distribution itself
+  webAclArn?: string; // WAF web ACL (iac/lib/web-acl-stack.ts) attached to the distribution
+  stageEDistributionId?: string; // Stage E's distribution, which also reads the bucket through this OAC
+}
+
+export class CloudFrontStack extends cdk.Stack implements CloudFrontOutputs {
+  public readonly bucket: s3.Bucket;
+  public readonly distribution: cloudfront.Distribution;
+  public readonly originAccessControl: cloudfront.S3OriginAccessControl;
+  public readonly cachePolicy: cloudfront.CachePolicy;
+  public readonly responseHeadersPolicy: cloudfront.ResponseHeadersPolicy;
+  public readonly viewerRequestFunction: cloudfront.Function;
+  public readonly releaseStore: cloudfront.KeyValueStore;
+  public readonly accessLogs?: AccessLogBucket;
+
+  constructor(scope: Construct, id: string, props: CloudFrontStackProps) {
+    super(scope, id, props);
+
+    const { distributionPrefix, targetRegion, targetVpcId } = props;
+    const config = props.config || getEnvironmentConfig();
+    const privateBucket = props.privateBucket ?? config.privateBucket;
+
+    // Private mode: content is only reachable through CloudFront (OAC)
+    const bucketAccess: Partial<s3.BucketProps> = privateBucket
+      ? {
+          blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+          enforceSSL: true,
+        }
+      : {
+          publicReadAccess: true,
+          blockPublicAccess: new s3.BlockPublicAccess({
+            blockPublicAcls: false,
+            blockPublicPolicy: false,
+            ignorePublicAcls: false,
+            restrictPublicBuckets: false,
+          }),
+          websiteIndexDocument: 'index.html',
+          websiteErrorDocument: 'index.html',
+        };
+
+    if (config.accessLogs) {
+      this.accessLogs = new AccessLogBucket(this, 'AccessLogs', { distributionPrefix, config });
+    }
+
+    // Create S3 bucket for static content storage
+    this.bucket = new s3.Bucket(this, 'ContentBucket', {
+      bucketName: `${distributionPrefix}-content-${cdk.Aws.ACCOUNT_ID}`,
+      ...bucketAccess,
+      serverAccessLogsBucket: this.accessLogs?.bucket,
+      serverAccessLogsPrefix: this.accessLogs ? ACCESS_LOG_PREFIXES.contentBucket : undefined,
+      removalPolicy: config.removalPolicy,
+      autoDeleteObjects: config.autoDeleteObjects && config.removalPolicy === cdk.RemovalPolicy.DESTROY,
+    });
+
+    // Create CloudFront Origin Access Control for S3
+    this.originAccessControl = new cloudfront.S3OriginAccessControl(this, 'OriginAccessControl', {
+      description: `OAC for ${distributionPrefix} S3 bucket`,
+    });
+
+    // Create cache policy for the default behavior (reused by later stages)
+    this.cachePolicy = new cloudfront.CachePolicy(this, 'CachePolicy', {
+      cachePolicyName: `${distributionPrefix}-cache-policy`,
+      comment: `Cache policy for the ${config.name} environment`,
+      defaultTtl: config.cache.defaultTtl,
+      minTtl: config.cache.minTtl,
+      maxTtl: config.cache.maxTtl,
+      cookieBehavior: cloudfront.CacheCookieBehavior.none(),
+      headerBehavior: cloudfront.CacheHeaderBehavior.none(),
+      queryStringBehavior: cloudfront.CacheQueryStringBehavior.none(),
+      enableAcceptEncodingBrotli: true,
+      enableAcceptEncodingGzip: true,
+    });
+
+    // Create security headers policy for the default behavior (reused by later stages)
+    this.responseHeadersPolicy = createSpaResponseHeadersPolicy(this, 'ResponseHeadersPolicy', {
+      responseHeadersPolicyName: `${distributionPrefix}-security-headers`,
+      hstsMaxAge: config.securityHeaders.hstsMaxAge,
+      contentSecurityPolicy: props.contentSecurityPolicy,
+    });
+
+    // Names the live React release (stages/shared/manage-releases.sh writes it)
+    this.releaseStore = new cloudfront.KeyValueStore(this, 'ReleaseStore', {
+      keyValueStoreName: `${distributionPrefix}-releases`,
+      comment: `Live React release for ${distributionPrefix}`,
+    });
+
+    // Viewer request function for the default behavior: routes SPA deep links to /index.html,
+    // serves the live release from releases/<releaseId>/ and preview builds at
+    // <branch>.preview.<domain> from previews/<branch>/ (reused by later stages)
+    this.viewerRequestFunction = new cloudfront.Function(this, 'ViewerRequestFunction', {
+      functionName: `${distributionPrefix}-viewer-request`,
+      comment: `Viewer request routing for ${distributionPrefix}`,
+      code: cloudfront.FunctionCode.fromInline(viewerRequestFunctionCode(this.releaseStore.keyValueStoreId)),
+      runtime: cloudfront.FunctionRuntime.JS_2_0,
+      keyValueStore: this.releaseStore,
+    });
+
+    // Create CloudFront distribution
+    this.distribution = new cloudfront.Distribution(this, 'Distribution', {
+      comment: `${distributionPrefix} - Stage A CloudFront Distribution`,
+      defaultBehavior: {
+        origin: origins.S3BucketOrigin.withOriginAccessControl(this.bucket, {
+          originAccessControl: this.originAccessControl,
+        }),
+        viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
+        cachePolicy: this.cachePolicy,
+        responseHeadersPolicy: this.responseHeadersPolicy,
+        allowedMethods: cloudfront.AllowedMethods.ALLOW_GET_HEAD,
+        compress: true,
+        functionAssociations: [
+          {
+            function: this.viewerRequestFunction,
+            eventType: cloudfront.FunctionEventType.VIEWER_REQUEST,
+          },
+        ],
+      },
+      defaultRootObject: 'index.html',
+      // Deep links are routed by the viewer request function, so errors keep their status and
+      // are only cached briefly
+      errorResponses: [404, 403].map((httpStatus) => ({
+        httpStatus,
+        ttl: config.cache.errorResponseTtl,
+      })),
+      priceClass: config.priceClass,
+      webAclId: props.webAclArn,
+      enableLogging: Boolean(this.accessLogs),
+      logBucket: this.accessLogs?.bucket,
+      logFilePrefix: this.accessLogs ? ACCESS_LOG_PREFIXES.distribution : undefined,
+      enabled: true,
+    });
+
+    // Add bucket policy to allow CloudFront access, from this distribution and Stage E's, which
+    // serves the same bucket through this OAC. Stage E adds its own statement when it first
+    // deploys (iac/lib/bucket-read-grant.ts); recording its ID here keeps the access when this
+    // stack rewrites the policy. ListBucket lets S3 answer missing objects with 404 instead of 403.
+    const distributionArn = (distributionId: string) => `arn:aws:cloudfront::${cdk.Aws.ACCOUNT_ID}:distribution/${distributionId}`;
+    const cloudFrontSourceArn = {
+      StringEquals: {
+        'AWS:SourceArn': [
+          distributionArn(this.distribution.distributionId),
+          ...(props.stageEDistributionId ? [distributionArn(props.stageEDistributionId)] : []),
+        ],
+      },
+    };
+
+    this.bucket.addToResourcePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        principals: [new iam.ServicePrincipal('cloudfront.amazonaws.com')],
+        actions: ['s3:GetObject'],
+        resources: [`${this.bucket.bucketArn}/*`],
+        conditions: cloudFrontSourceArn,
+      })
+    );
+
+    this.bucket.addToResourcePolicy(
+      new iam.PolicyStatement({
+        effect: iam.Effect.ALLOW,
+        principals: [new iam.ServicePrincipal('cloudfront.amazonaws.com')],
+        actions: ['s3:ListBucket'],
+        resources: [this.bucket.bucketArn],
+        conditions: cloudFrontSourceArn,
+      })
+    );
+
+    // Stack outputs for subsequent stages
+    new cdk.CfnOutput(this, 'DistributionId', {
+      value: this.distribution.distributionId,
+      description: 'CloudFront Distribution ID',
+      exportName: `${distributionPrefix}-distribution-id`,
+    });
+
+    new cdk.CfnOutput(this, 'DistributionDomainName', {
+      value: this.distribution.distributionDomainName,
+      description: 'CloudFront Distribution Domain Name',
+      exportName: `${distributionPrefix}-distribution-domain`,
+    });
+
+    new cdk.CfnOutput(this, 'DistributionUrl', {
+      value: `https://${this.distribution.distributionDomainName}`,
+      description: 'CloudFront Distribution HTTPS URL',
+      exportName: `${distributionPrefix}-distribution-url`,
+    });
+
+    new cdk.CfnOutput(this, 'BucketName', {
+      value: this.bucket.bucketName,
+      description: 'S3 Content Bucket Name',
+      exportName: `${distributionPrefix}-bucket-name`,
+    });
+
+    new cdk.CfnOutput(this, 'BucketArn', {
+      value: this.bucket.bucketArn,
+      description: 'S3 Content Bucket ARN',
+      exportName: `${distributionPrefix}-bucket-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'BucketRegionalDomainName', {
+      value: this.bucket.bucketRegionalDomainName,
+      description: 'S3 Content Bucket Regional Domain Name (S3 origin domain)',
+      exportName: `${distributionPrefix}-bucket-regional-domain`,
+    });
+
+    new cdk.CfnOutput(this, 'OriginAccessControlId', {
+      value: this.originAccessControl.originAccessControlId,
+      description: 'CloudFront Origin Access Control ID for the S3 origin',
+      exportName: `${distributionPrefix}-oac-id`,
+    });
+
+    new cdk.CfnOutput(this, 'CachePolicyId', {
+      value: this.cachePolicy.cachePolicyId,
+      description: 'CloudFront Cache Policy ID for the default behavior',
+      exportName: `${distributionPrefix}-cache-policy-id`,
+    });
+
+    new cdk.CfnOutput(this, 'ResponseHeadersPolicyId', {
+      value: this.responseHeadersPolicy.responseHeadersPolicyId,
+      description: 'CloudFront Response Headers Policy ID (security headers) for the default behavior',
+      exportName: `${distributionPrefix}-response-headers-policy-id`,
+    });
+
+    new cdk.CfnOutput(this, 'ViewerRequestFunctionArn', {
+      value: this.viewerRequestFunction.functionArn,
+      description: 'CloudFront Function ARN for viewer requests on the default behavior',
+      exportName: `${distributionPrefix}-viewer-request-function-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'ReleaseStoreArn', {
+      value: this.releaseStore.keyValueStoreArn,
+      description: 'CloudFront KeyValueStore naming the live React release',
+      exportName: `${distributionPrefix}-release-store-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'BucketAccess', {
+      value: privateBucket ? 'private' : 'public',
+      description: 'S3 Content Bucket access mode (private = CloudFront OAC only)',
+    });
+
+    if (this.accessLogs) {
+      new cdk.CfnOutput(this, 'AccessLogBucketName', {
+        value: this.accessLogs.bucket.bucketName,
+        description: 'S3 bucket receiving CloudFront and content bucket access logs',
+        exportName: `${distributionPrefix}-access-log-bucket`,
+      });
+    }
+
+    new cdk.CfnOutput(this, 'DistributionPrefix', {
+      value: distributionPrefix,
+      description: 'Distribution Prefix Used',
+      exportName: `${distributionPrefix}-prefix`,
+    });
+
+    new cdk.CfnOutput(this, 'TargetRegion', {
+      value: targetRegion,
+      description: 'Target Region for Deployment',
+      exportName: `${distributionPrefix}-target-region`,
+    });
+
+    new cdk.CfnOutput(this, 'TargetVpcId', {
+      value: targetVpcId,
+      description: 'Target VPC ID for Deployment',
+      exportName: `${distributionPrefix}-target-vpc-id`,
+    });
+
+    // Add tags for resource identification
+    cdk.Tags.of(this).add('Stage', 'A-CloudFront');
+    cdk.Tags.of(this).add('Component', 'CloudFront-Distribution');
+    cdk.Tags.of(this).add('DistributionPrefix', distributionPrefix);
+  }
+} 
\ No newline at end of file
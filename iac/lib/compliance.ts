@@ -0,0 +1,199 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import { IConstruct } from 'constructs';
+
+// Policy-as-code checks run over every stack at synth time (`--context compliance=...`):
+//   warn    Findings are synth warnings (the default)
+//   strict  Findings are synth errors, so `cdk synth` and `cdk deploy` fail
+//   off     No checks
+// A finding that is intended is suppressed on the construct (or any scope above it) with
+// suppressCompliance and a reason, which is recorded in the cloud assembly.
+
+export type ComplianceMode = 'off' | 'warn' | 'strict';
+
+export const COMPLIANCE_MODES: ComplianceMode[] = ['off', 'warn', 'strict'];
+
+export const COMPLIANCE_RULES = {
+  'S3-PUBLIC-ACCESS': 'S3 buckets block all public access and have no website endpoint',
+  'S3-TLS': 'S3 bucket policies deny requests that do not use TLS',
+  'S3-ACCESS-LOGS': 'S3 buckets write server access logs',
+  'CLOUDFRONT-TLS': 'CloudFront redirects or refuses HTTP and serves custom domains with TLS 1.2 or later',
+  'CLOUDFRONT-ACCESS-LOGS': 'CloudFront distributions write standard access logs',
+  'IAM-WILDCARD-RESOURCE': 'IAM statements allow actions on specific resources, not "*"',
+  'REQUIRED-TAGS': 'Resources carry the required tags',
+} as const;
+
+export type ComplianceRuleId = keyof typeof COMPLIANCE_RULES;
+
+// Tags every taggable resource needs; Project is added to the whole app, Component by each stack
+export const REQUIRED_TAGS = ['Project', 'Component'];
+
+// Actions with no resource-level permissions, which IAM only accepts with "*"
+export const WILDCARD_ONLY_ACTIONS = [
+  'xray:PutTraceSegments',
+  'xray:PutTelemetryRecords',
+  'cloudwatch:PutMetricData',
+  'ec2:DescribeNetworkInterfaces',
+  'ec2:CreateNetworkInterface',
+  'ec2:DeleteNetworkInterface',
+  'ec2:AssignPrivateIpAddresses',
+  'ec2:UnassignPrivateIpAddresses',
+  's3:ListAllMyBuckets',
+];
+
+const SUPPRESSION_METADATA = 'aws-spa-boilerplate:compliance-suppression';
+
+export const isComplianceMode = (mode: string): mode is ComplianceMode =>
+  (COMPLIANCE_MODES as string[]).includes(mode);
+
+export interface ComplianceSuppressionOptions {
+  // IAM-WILDCARD-RESOURCE only: suppress statements whose actions are all listed here, rather
+  // than every statement (CDK framework functions are created once per stack, outside the
+  // construct that needs them, so their suppressions go on the stack)
+  readonly actions?: string[];
+}
+
+// Suppresses a rule for a construct and everything inside it
+export const suppressCompliance = (scope: IConstruct, rule: ComplianceRuleId, reason: string, options: ComplianceSuppressionOptions = {}): void => {
+  if (!(rule in COMPLIANCE_RULES)) {
+    throw new Error(`Unknown compliance rule "${rule}". Valid rules are ${Object.keys(COMPLIANCE_RULES).join(', ')}`);
+  }
+  if (!reason.trim()) {
+    throw new Error(`Suppressing ${rule} on ${scope.node.path} needs a reason`);
+  }
+  scope.node.addMetadata(SUPPRESSION_METADATA, { rule, reason, ...(options.actions ? { actions: options.actions } : {}) });
+};
+
+const isSuppressed = (node: IConstruct, rule: ComplianceRuleId, actions: string[] = []): boolean =>
+  node.node.scopes.some((scope) => scope.node.metadata.some((entry) => {
+    const suppression = entry.data as { rule: string; actions?: string[] };
+    return entry.type === SUPPRESSION_METADATA
+      && suppression.rule === rule
+      && (!suppression.actions || actions.every((action) => suppression.actions!.includes(action)));
+  }));
+
+type PolicyStatementJson = { Effect?: string; Action?: string | string[]; Resource?: unknown };
+
+// Statements of a policy document, resolved against its stack
+const statementsOf = (node: IConstruct, document: unknown): PolicyStatementJson[] => {
+  const resolved = cdk.Stack.of(node).resolve(document);
+  return resolved && Array.isArray(resolved.Statement) ? resolved.Statement : [];
+};
+
+// Actions of each statement allowing more than wildcard-only actions on "*"
+const wildcardStatements = (statements: PolicyStatementJson[]): string[][] => statements
+  .filter((statement) => statement.Effect === 'Allow' && ([] as unknown[]).concat(statement.Resource).includes('*'))
+  .map((statement) => ([] as string[]).concat(statement.Action || []))
+  .filter((actions) => actions.some((action) => !WILDCARD_ONLY_ACTIONS.includes(action)));
+
+const deniesInsecureTransport = (node: IConstruct, policy?: s3.BucketPolicy): boolean =>
+  statementsOf(node, policy?.document).some((statement: any) => statement.Effect === 'Deny'
+    && String(statement.Condition?.Bool?.['aws:SecureTransport']) === 'false');
+
+export interface ComplianceChecksProps {
+  readonly mode: ComplianceMode;
+  readonly requiredTags?: string[]; // Defaults to REQUIRED_TAGS
+}
+
+// Aspect reporting findings on the offending resources: warnings, or errors in strict mode
+export class ComplianceChecks implements cdk.IAspect {
+  private readonly mode: ComplianceMode;
+  private readonly requiredTags: string[];
+
+  constructor(props: ComplianceChecksProps) {
+    this.mode = props.mode;
+    this.requiredTags = props.requiredTags || REQUIRED_TAGS;
+  }
+
+  public visit(node: IConstruct): void {
+    if (this.mode === 'off' || !cdk.CfnResource.isCfnResource(node)) {
+      return;
+    }
+
+    const report = (rule: ComplianceRuleId, message: string, actions?: string[]) => {
+      if (isSuppressed(node, rule, actions)) {
+        return;
+      }
+      const finding = `[${rule}] ${message}. ${COMPLIANCE_RULES[rule]}; fix it or suppress the rule with a reason (iac/lib/compliance.ts)`;
+      if (this.mode === 'strict') {
+        cdk.Annotations.of(node).addError(finding);
+      } else {
+        cdk.Annotations.of(node).addWarningV2(`aws-spa-boilerplate:compliance:${rule}`, finding);
+      }
+    };
+
+    if (node instanceof s3.CfnBucket) {
+      this.checkBucket(node, report);
+    } else if (node instanceof cloudfront.CfnDistribution) {
+      this.checkDistribution(node, report);
+    } else if (node instanceof iam.CfnPolicy || node instanceof iam.CfnManagedPolicy) {
+      for (const actions of wildcardStatements(statementsOf(node, node.policyDocument))) {
+        report('IAM-WILDCARD-RESOURCE', `Policy allows ${actions.join(', ')} on "*"`, actions);
+      }
+    } else if (node instanceof iam.CfnRole) {
+      const policies = cdk.Stack.of(node).resolve(node.policies) || [];
+      for (const policy of policies) {
+        for (const actions of wildcardStatements(statementsOf(node, policy.policyDocument))) {
+          report('IAM-WILDCARD-RESOURCE', `Role policy ${policy.policyName} allows ${actions.join(', ')} on "*"`, actions);
+        }
+      }
+    }
+
+    if (cdk.TagManager.isTaggable(node)) {
+      const tags = { ...cdk.Stack.of(node).tags.tagValues(), ...node.tags.tagValues() };
+      const missing = this.requiredTags.filter((key) => !tags[key]);
+      if (missing.length > 0) {
+        report('REQUIRED-TAGS', `Missing tag(s) ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  private checkBucket(bucket: s3.CfnBucket, report: (rule: ComplianceRuleId, message: string) => void): void {
+    const stack = cdk.Stack.of(bucket);
+    const publicAccess = stack.resolve(bucket.publicAccessBlockConfiguration) || {};
+    const blocked = ['blockPublicAcls', 'blockPublicPolicy', 'ignorePublicAcls', 'restrictPublicBuckets']
+      .every((setting) => publicAccess[setting] === true);
+    if (!blocked) {
+      report('S3-PUBLIC-ACCESS', 'Bucket does not block all public access');
+    }
+    if (bucket.websiteConfiguration) {
+      report('S3-PUBLIC-ACCESS', 'Bucket has a website endpoint, which only serves public buckets over HTTP');
+    }
+
+    const scope = bucket.node.scope;
+    if (!(scope instanceof s3.Bucket) || !deniesInsecureTransport(bucket, scope.policy)) {
+      report('S3-TLS', 'Bucket policy does not deny requests without TLS (enforceSSL)');
+    }
+
+    if (!bucket.loggingConfiguration) {
+      report('S3-ACCESS-LOGS', 'Bucket has no server access logging');
+    }
+  }
+
+  private checkDistribution(distribution: cloudfront.CfnDistribution, report: (rule: ComplianceRuleId, message: string) => void): void {
+    const config = cdk.Stack.of(distribution).resolve(distribution.distributionConfig) || {};
+
+    const behaviors = [config.defaultCacheBehavior, ...(config.cacheBehaviors || [])].filter(Boolean);
+    const insecure = behaviors.filter((behavior: any) => behavior.viewerProtocolPolicy === 'allow-all');
+    if (insecure.length > 0) {
+      const paths = insecure.map((behavior: any) => behavior.pathPattern || 'default');
+      report('CLOUDFRONT-TLS', `Cache behavior(s) ${paths.join(', ')} serve HTTP`);
+    }
+
+    const certificate = config.viewerCertificate || {};
+    if (certificate.acmCertificateArn && !String(certificate.minimumProtocolVersion || '').startsWith('TLSv1.2')) {
+      report('CLOUDFRONT-TLS', `Custom domains accept ${certificate.minimumProtocolVersion || 'TLSv1'}`);
+    }
+
+    if (!config.logging) {
+      report('CLOUDFRONT-ACCESS-LOGS', 'Distribution has no standard logging');
+    }
+  }
+}
+
+// Runs the checks over every stack in the scope once construction is done (and tags are applied)
+export const applyCompliance = (scope: IConstruct, props: ComplianceChecksProps): void => {
+  cdk.Aspects.of(scope).add(new ComplianceChecks(props), { priority: cdk.AspectPriority.READONLY });
+};
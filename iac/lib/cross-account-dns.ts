@@ -0,0 +1,197 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as acm from 'aws-cdk-lib/aws-certificatemanager';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import * as cr from 'aws-cdk-lib/custom-resources';
+import { Construct } from 'constructs';
+import { suppressCompliance } from './compliance';
+
+// Route53 records for Stage B in hosted zones owned by the infrastructure account. The certificate
+// and distribution live in the target account, so every record change is made through a role in
+// the infrastructure account (CrossAccountDnsRoleStack) that the target account may assume.
+
+// Hosted zone for a domain, as discovered by stages/b-ssl/scripts/aws-discovery.sh
+export interface HostedZoneMapping {
+  readonly domain: string;
+  readonly zoneId: string; // With or without the /hostedzone/ prefix
+  readonly zoneName: string;
+}
+
+// Alias target hosted zone shared by every CloudFront distribution
+export const CLOUDFRONT_HOSTED_ZONE_ID = 'Z2FDTNDATAQYW2';
+
+export const normalizeHostedZoneId = (zoneId: string) => zoneId.replace(/^\/hostedzone\//, '');
+
+// Role in the infrastructure account that the target account assumes to change records
+export const crossAccountDnsRoleName = (targetAccountId: string) => `stage-b-ssl-dns-${targetAccountId}`;
+
+export const crossAccountDnsRoleArn = (infraAccountId: string, targetAccountId: string) =>
+  `arn:aws:iam::${infraAccountId}:role/${crossAccountDnsRoleName(targetAccountId)}`;
+
+// Explicit mapping for the domain first, otherwise the zone with the longest matching name
+export const hostedZoneForDomain = (hostedZones: HostedZoneMapping[], domain: string): HostedZoneMapping => {
+  const exact = hostedZones.find((zone) => zone.domain === domain);
+  if (exact) {
+    return exact;
+  }
+
+  const candidates = hostedZones
+    .filter((zone) => domain === zone.zoneName || domain.endsWith(`.${zone.zoneName}`))
+    .sort((a, b) => b.zoneName.length - a.zoneName.length);
+
+  if (candidates.length === 0) {
+    throw new Error(`No hosted zone configured for ${domain}. Please ensure stage-b-ssl:hostedZones covers every domain`);
+  }
+
+  return candidates[0];
+};
+
+export interface CrossAccountDnsValidatedCertificateProps {
+  readonly domains: string[]; // The first domain is the certificate's primary name
+  readonly hostedZones: HostedZoneMapping[];
+  readonly dnsRoleArn: string;
+  readonly certificateName: string;
+  readonly removalPolicy?: cdk.RemovalPolicy;
+}
+
+// ACM certificate validated through records in another account's hosted zones. Creation waits
+// until the certificate is ISSUED; deletion removes the validation records and the certificate.
+export class CrossAccountDnsValidatedCertificate extends Construct {
+  public readonly certificate: acm.ICertificate;
+  public readonly certificateArn: string;
+
+  constructor(scope: Construct, id: string, props: CrossAccountDnsValidatedCertificateProps) {
+    super(scope, id);
+
+    const { domains, hostedZones, dnsRoleArn, certificateName } = props;
+
+    // Fail at synth time rather than halfway through validation
+    domains.forEach((domain) => hostedZoneForDomain(hostedZones, domain));
+
+    const logGroup = new logs.LogGroup(this, 'LogGroup', {
+      retention: logs.RetentionDays.ONE_WEEK,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+    });
+
+    const handlerProps: Omit<lambda.FunctionProps, 'handler'> = {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      code: lambda.Code.fromAsset(path.join(__dirname, '../lambda/cross-account-certificate')),
+      timeout: cdk.Duration.minutes(2),
+      logGroup,
+    };
+
+    const onEventHandler = new lambda.Function(this, 'OnEventHandler', {
+      ...handlerProps,
+      handler: 'index.onEvent',
+      description: 'Requests and deletes the Stage B certificate',
+    });
+
+    const isCompleteHandler = new lambda.Function(this, 'IsCompleteHandler', {
+      ...handlerProps,
+      handler: 'index.isComplete',
+      description: 'Writes the Stage B validation records and waits for the certificate',
+    });
+
+    const certificateActions = ['acm:RequestCertificate', 'acm:DescribeCertificate', 'acm:DeleteCertificate', 'acm:AddTagsToCertificate'];
+    for (const handler of [onEventHandler, isCompleteHandler]) {
+      handler.addToRolePolicy(new iam.PolicyStatement({
+        actions: certificateActions,
+        resources: ['*'], // RequestCertificate cannot be scoped to an ARN that does not exist yet
+      }));
+      handler.addToRolePolicy(new iam.PolicyStatement({
+        actions: ['sts:AssumeRole'],
+        resources: [dnsRoleArn],
+      }));
+    }
+
+    const provider = new cr.Provider(this, 'Provider', {
+      onEventHandler,
+      isCompleteHandler,
+      queryInterval: cdk.Duration.seconds(30),
+      totalTimeout: cdk.Duration.hours(1),
+      logGroup,
+    });
+
+    suppressCompliance(this, 'IAM-WILDCARD-RESOURCE', 'acm:RequestCertificate cannot be scoped to a certificate that does not exist yet',
+      { actions: certificateActions });
+
+    const resource = new cdk.CustomResource(this, 'Resource', {
+      serviceToken: provider.serviceToken,
+      resourceType: 'Custom::CrossAccountDnsValidatedCertificate',
+      removalPolicy: props.removalPolicy,
+      properties: {
+        DomainNames: domains,
+        CertificateName: certificateName,
+        DnsRoleArn: dnsRoleArn,
+        HostedZones: hostedZones.map((zone) => ({ ...zone, zoneId: normalizeHostedZoneId(zone.zoneId) })),
+      },
+    });
+
+    this.certificateArn = resource.ref;
+    this.certificate = acm.Certificate.fromCertificateArn(this, 'Certificate', this.certificateArn);
+  }
+}
+
+export interface CrossAccountAliasRecordsProps {
+  readonly domains: string[];
+  readonly hostedZones: HostedZoneMapping[];
+  readonly dnsRoleArn: string;
+  readonly distribution: cloudfront.IDistribution;
+}
+
+// A and AAAA alias records pointing each domain at the distribution, removed with the stack
+export class CrossAccountAliasRecords extends Construct {
+  constructor(scope: Construct, id: string, props: CrossAccountAliasRecordsProps) {
+    super(scope, id);
+
+    const { domains, hostedZones, dnsRoleArn, distribution } = props;
+
+    const changeBatch = (domain: string, action: 'UPSERT' | 'DELETE') => ({
+      HostedZoneId: normalizeHostedZoneId(hostedZoneForDomain(hostedZones, domain).zoneId),
+      ChangeBatch: {
+        Comment: `Stage B alias for ${domain}`,
+        Changes: ['A', 'AAAA'].map((type) => ({
+          Action: action,
+          ResourceRecordSet: {
+            Name: domain,
+            Type: type,
+            AliasTarget: {
+              DNSName: distribution.distributionDomainName,
+              HostedZoneId: CLOUDFRONT_HOSTED_ZONE_ID,
+              EvaluateTargetHealth: false,
+            },
+          },
+        })),
+      },
+    });
+
+    for (const domain of domains) {
+      const call = (action: 'UPSERT' | 'DELETE'): cr.AwsSdkCall => ({
+        service: 'Route53',
+        action: 'changeResourceRecordSets',
+        parameters: changeBatch(domain, action),
+        physicalResourceId: cr.PhysicalResourceId.of(`${domain}-alias`),
+        assumedRoleArn: dnsRoleArn,
+        // A record that is already gone must not block stack deletion
+        ignoreErrorCodesMatching: action === 'DELETE' ? 'InvalidChangeBatch' : undefined,
+      });
+
+      new cr.AwsCustomResource(this, `Alias-${domain}`, {
+        resourceType: 'Custom::CrossAccountAliasRecord',
+        onCreate: call('UPSERT'),
+        onUpdate: call('UPSERT'),
+        onDelete: call('DELETE'),
+        policy: cr.AwsCustomResourcePolicy.fromStatements([
+          new iam.PolicyStatement({
+            actions: ['sts:AssumeRole'],
+            resources: [dnsRoleArn],
+          }),
+        ]),
+        installLatestAwsSdk: false,
+      });
+    }
+  }
+}
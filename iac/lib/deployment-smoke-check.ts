@@ -0,0 +1,79 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import * as cr from 'aws-cdk-lib/custom-resources';
+import { Construct } from 'constructs';
+
+export interface DeploymentSmokeCheckProps {
+  readonly domain: string; // Checked over HTTPS, so it must already resolve to the distribution
+  readonly buildHash?: string; // Expected in the served index.html; only the status is checked when omitted
+  readonly path?: string; // HTML page expected to reference the build, defaults to /
+  readonly releaseId?: string; // Content hash of the whole uploaded build, so any change to it re-runs the checks
+  readonly checkApi?: boolean; // Also require a JSON 200 from /api/
+  readonly attempts?: number; // Defaults to 16
+  readonly interval?: cdk.Duration; // Between attempts, defaults to 30 seconds
+  readonly properties?: Record<string, string>; // Extra values recorded on the custom resource
+}
+
+// Custom resource that fails `cdk deploy` (and rolls the stack back) when the site does not
+// serve the expected release. It runs after the resources it depends on whenever its properties
+// change (a new build, domain or distribution), so an unchanged stack synthesizes the same
+// template; the Update sent during a rollback is not checked.
+export class DeploymentSmokeCheck extends Construct {
+  public readonly handler: lambda.Function;
+  public readonly resource: cdk.CustomResource;
+
+  constructor(scope: Construct, id: string, props: DeploymentSmokeCheckProps) {
+    super(scope, id);
+
+    const attempts = props.attempts ?? 16;
+    const interval = props.interval ?? cdk.Duration.seconds(30);
+
+    // Leave room for the requests themselves within the 15 minute Lambda limit
+    if (attempts < 1 || attempts * interval.toSeconds() > 12 * 60) {
+      throw new Error('Smoke check attempts and interval must fit within 12 minutes');
+    }
+
+    const logGroup = new logs.LogGroup(this, 'LogGroup', {
+      retention: logs.RetentionDays.ONE_WEEK,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,
+    });
+
+    this.handler = new lambda.Function(this, 'Handler', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../lambda/deployment-smoke-check')),
+      description: `Smoke checks https://${props.domain} after deployment`,
+      timeout: cdk.Duration.minutes(14),
+      logGroup,
+    });
+
+    const provider = new cr.Provider(this, 'Provider', {
+      onEventHandler: this.handler,
+      logGroup,
+    });
+
+    // Lets the handler tell a rollback from a deployment
+    this.handler.addToRolePolicy(new iam.PolicyStatement({
+      actions: ['cloudformation:DescribeStacks'],
+      resources: [cdk.Stack.of(this).stackId],
+    }));
+
+    this.resource = new cdk.CustomResource(this, 'Resource', {
+      serviceToken: provider.serviceToken,
+      resourceType: 'Custom::DeploymentSmokeCheck',
+      properties: {
+        ...props.properties,
+        Domain: props.domain,
+        BuildHash: props.buildHash || '',
+        Path: props.path || '/',
+        CheckApi: String(props.checkApi ?? false),
+        Attempts: String(attempts),
+        IntervalSeconds: String(interval.toSeconds()),
+        ReleaseId: props.releaseId || '',
+      },
+    });
+  }
+}
@@ -0,0 +1,59 @@
+import * as cdk from 'aws-cdk-lib';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import { Construct } from 'constructs';
+import { HostedZoneMapping, crossAccountDnsRoleName, normalizeHostedZoneId } from './cross-account-dns';
+
+export interface CrossAccountDnsRoleStackProps extends cdk.StackProps {
+  targetAccountId: string;
+  hostedZones: HostedZoneMapping[];
+}
+
+// Deployed to the infrastructure account: lets the target account's Stage B stack manage
+// records in the hosted zones that serve the site's domains, and nothing else.
+export class CrossAccountDnsRoleStack extends cdk.Stack {
+  public readonly role: iam.Role;
+
+  constructor(scope: Construct, id: string, props: CrossAccountDnsRoleStackProps) {
+    super(scope, id, props);
+
+    const { targetAccountId, hostedZones } = props;
+
+    if (!hostedZones || hostedZones.length === 0) {
+      throw new Error('Missing required prop: hostedZones');
+    }
+
+    const zoneArns = [...new Set(hostedZones.map((zone) => normalizeHostedZoneId(zone.zoneId)))]
+      .map((zoneId) => `arn:aws:route53:::hostedzone/${zoneId}`);
+
+    this.role = new iam.Role(this, 'CrossAccountDnsRole', {
+      roleName: crossAccountDnsRoleName(targetAccountId),
+      assumedBy: new iam.AccountPrincipal(targetAccountId),
+      description: `Stage B DNS records for account ${targetAccountId}`,
+      inlinePolicies: {
+        Route53RecordsPolicy: new iam.PolicyDocument({
+          statements: [
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: ['route53:ChangeResourceRecordSets', 'route53:ListResourceRecordSets'],
+              resources: zoneArns,
+            }),
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: ['route53:GetChange'],
+              resources: ['arn:aws:route53:::change/*'],
+            }),
+          ],
+        }),
+      },
+    });
+
+    new cdk.CfnOutput(this, 'DnsRoleArnOutput', {
+      value: this.role.roleArn,
+      description: 'Role assumed by the target account to manage Stage B DNS records',
+    });
+
+    cdk.Tags.of(this).add('Stage', 'B-SSL');
+    cdk.Tags.of(this).add('Component', 'Cross-Account-DNS');
+    cdk.Tags.of(this).add('TargetAccount', targetAccountId);
+  }
+}
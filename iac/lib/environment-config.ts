@@ -0,0 +1,171 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as logs from 'aws-cdk-lib/aws-logs';
+
+// Per-environment settings shared by every stack. The active environment is chosen
+// with the `environment` context key (`--context environment=prod`) and defaults to dev.
+
+export type EnvironmentName = 'dev' | 'staging' | 'prod';
+
+export interface EnvironmentConfig {
+  readonly name: EnvironmentName;
+  readonly cache: {
+    readonly defaultTtl: cdk.Duration;
+    readonly minTtl: cdk.Duration;
+    readonly maxTtl: cdk.Duration;
+    readonly errorResponseTtl: cdk.Duration; // How long CloudFront caches 403/404 responses
+  };
+  readonly priceClass: cloudfront.PriceClass;
+  readonly logRetention: logs.RetentionDays;
+  readonly removalPolicy: cdk.RemovalPolicy; // Applied to buckets, log groups and certificates
+  readonly autoDeleteObjects: boolean; // Only honoured together with RemovalPolicy.DESTROY
+  readonly privateBucket: boolean; // Content bucket reachable only through CloudFront (no public access, no website endpoint)
+  readonly accessLogs: boolean; // CloudFront and content bucket access logs, kept for the log retention period
+  readonly lambda: {
+    readonly memorySize: number;
+    readonly timeout: cdk.Duration;
+    readonly p95DurationAlarm: cdk.Duration; // Alarm when the p95 duration stays at or above this for 15 minutes
+    readonly deploymentConfig: string; // How releases shift traffic to a new version, see LAMBDA_DEPLOYMENT_CONFIGS in api-release.ts
+  };
+  readonly cors: {
+    // `true` allows any origin; otherwise only the site's own HTTPS domains are allowed
+    readonly allowAnyOrigin: boolean;
+  };
+  readonly securityHeaders: {
+    readonly hstsMaxAge: cdk.Duration; // Kept short in dev so a misconfigured domain is not pinned to HTTPS for long
+  };
+  readonly waf: {
+    // Requests per client IP in any 5-minute window before further requests are blocked
+    readonly apiRateLimit: number; // `/api` and `/api/*`, which reach the Lambda
+    readonly siteRateLimit: number; // Every other path, served from the bucket or the edge cache
+    readonly countOnly: boolean; // Managed and rate-based rules only count matches, for tuning
+  };
+}
+
+export const ENVIRONMENTS: Record<EnvironmentName, EnvironmentConfig> = {
+  dev: {
+    name: 'dev',
+    cache: {
+      defaultTtl: cdk.Duration.minutes(1),
+      minTtl: cdk.Duration.minutes(1),
+      maxTtl: cdk.Duration.minutes(1),
+      errorResponseTtl: cdk.Duration.minutes(1),
+    },
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_100,
+    logRetention: logs.RetentionDays.ONE_MONTH,
+    removalPolicy: cdk.RemovalPolicy.DESTROY,
+    autoDeleteObjects: true,
+    privateBucket: false,
+    accessLogs: false,
+    lambda: {
+      memorySize: 128,
+      timeout: cdk.Duration.seconds(30),
+      p95DurationAlarm: cdk.Duration.seconds(10),
+      deploymentConfig: 'AllAtOnce',
+    },
+    cors: {
+      allowAnyOrigin: true,
+    },
+    securityHeaders: {
+      hstsMaxAge: cdk.Duration.days(1),
+    },
+    waf: {
+      apiRateLimit: 1000,
+      siteRateLimit: 10000,
+      countOnly: true,
+    },
+  },
+  staging: {
+    name: 'staging',
+    cache: {
+      defaultTtl: cdk.Duration.hours(1),
+      minTtl: cdk.Duration.seconds(0),
+      maxTtl: cdk.Duration.days(1),
+      errorResponseTtl: cdk.Duration.minutes(1),
+    },
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_100,
+    logRetention: logs.RetentionDays.THREE_MONTHS,
+    removalPolicy: cdk.RemovalPolicy.DESTROY,
+    autoDeleteObjects: true,
+    privateBucket: true,
+    accessLogs: true,
+    lambda: {
+      memorySize: 256,
+      timeout: cdk.Duration.seconds(30),
+      p95DurationAlarm: cdk.Duration.seconds(5),
+      deploymentConfig: 'Canary10Percent5Minutes',
+    },
+    cors: {
+      allowAnyOrigin: false,
+    },
+    securityHeaders: {
+      hstsMaxAge: cdk.Duration.days(365),
+    },
+    waf: {
+      apiRateLimit: 500,
+      siteRateLimit: 5000,
+      countOnly: false,
+    },
+  },
+  prod: {
+    name: 'prod',
+    cache: {
+      defaultTtl: cdk.Duration.days(1),
+      minTtl: cdk.Duration.seconds(0),
+      maxTtl: cdk.Duration.days(365),
+      errorResponseTtl: cdk.Duration.minutes(5),
+    },
+    priceClass: cloudfront.PriceClass.PRICE_CLASS_ALL,
+    logRetention: logs.RetentionDays.ONE_YEAR,
+    removalPolicy: cdk.RemovalPolicy.RETAIN,
+    autoDeleteObjects: false,
+    privateBucket: true,
+    accessLogs: true,
+    lambda: {
+      memorySize: 512,
+      timeout: cdk.Duration.seconds(30),
+      p95DurationAlarm: cdk.Duration.seconds(3),
+      deploymentConfig: 'Canary10Percent10Minutes',
+    },
+    cors: {
+      allowAnyOrigin: false,
+    },
+    securityHeaders: {
+      hstsMaxAge: cdk.Duration.days(730),
+    },
+    waf: {
+      apiRateLimit: 500,
+      siteRateLimit: 5000,
+      countOnly: false,
+    },
+  },
+};
+
+export const DEFAULT_ENVIRONMENT: EnvironmentName = 'dev';
+
+export const isEnvironmentName = (name: string): name is EnvironmentName =>
+  Object.prototype.hasOwnProperty.call(ENVIRONMENTS, name);
+
+export const getEnvironmentConfig = (name: string = DEFAULT_ENVIRONMENT): EnvironmentConfig => {
+  if (!isEnvironmentName(name)) {
+    throw new Error(
+      `Unknown environment "${name}". Valid environments are ${Object.keys(ENVIRONMENTS).join(', ')}`
+    );
+  }
+  return ENVIRONMENTS[name];
+};
+
+// CORS origins for an environment: any origin, or the HTTPS origins of the site's domains
+export const corsAllowedOrigins = (config: EnvironmentConfig, domains: string[] = []): string[] => {
+  if (config.cors.allowAnyOrigin) {
+    return ['*'];
+  }
+
+  if (domains.length === 0) {
+    throw new Error(
+      `The ${config.name} environment only allows the site's own domains as CORS origins, but no domains were provided`
+    );
+  }
+
+  return domains.map((domain) => `https://${domain}`);
+};
@@ -0,0 +1,299 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import { Construct } from 'constructs';
+import { ApiAuth } from './api-auth';
+import { ApiData } from './api-data';
+import { API_AUTHORIZATION_HEADER } from './api-behaviors';
+import { ApiMonitoring } from './api-monitoring';
+import { ApiRelease } from './api-release';
+import { ApiVpc } from './api-vpc';
+import { EnvironmentConfig, corsAllowedOrigins, getEnvironmentConfig } from './environment-config';
+import { CloudFrontReference, LambdaOutputs, resolveCloudFront } from './stage-references';
+
+export interface LambdaStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  targetRegion: string;
+  targetVpcId: string;
+  cloudFront: CloudFrontReference;
+  domains?: string[]; // Site domains from Stage B, used as CORS origins outside dev and as auth callback URLs
+  auth?: boolean; // Cognito user pool and hosted UI for the SPA; the handler verifies its tokens
+  authDomainPrefix?: string; // Hosted UI domain prefix, defaults to `<prefix>-auth`
+  data?: boolean; // DynamoDB table behind the /items endpoints
+  vpc?: boolean; // Run the function in the target VPC's private subnets
+  vpcEndpoints?: string[]; // VPC endpoints to create for it, see VPC_ENDPOINTS in api-vpc.ts
+  releases?: boolean; // Serve published versions through the `live` alias, shifted by CodeDeploy
+  deploymentConfig?: string; // Overrides the environment's traffic shifting, e.g. Canary10Percent5Minutes
+  preTrafficHook?: boolean; // Smoke test each new version before it receives traffic (releases only)
+  config?: EnvironmentConfig; // Defaults to the dev preset
+  codePath?: string; // Optional code path for testing
+}
+
+export class LambdaStack extends cdk.Stack implements LambdaOutputs {
+  public readonly lambdaFunction: lambda.Function;
+  public readonly functionUrl: lambda.FunctionUrl;
+  public readonly logGroup: logs.LogGroup;
+  public readonly monitoring: ApiMonitoring;
+  public readonly auth?: ApiAuth;
+  public readonly data?: ApiData;
+  public readonly apiVpc?: ApiVpc;
+  public readonly release?: ApiRelease;
+  public readonly liveAlias?: lambda.Alias;
+
+  constructor(scope: Construct, id: string, props: LambdaStackProps) {
+    super(scope, id, props);
+
+    const { distributionPrefix, targetRegion, targetVpcId, codePath } = props;
+    const config = props.config || getEnvironmentConfig();
+
+    // Distribution and bucket from Stage A
+    const { bucket, distribution } = resolveCloudFront(this, props.cloudFront);
+    const distributionId = distribution.distributionId;
+    const bucketName = bucket.bucketName;
+
+    if (props.auth) {
+      this.auth = new ApiAuth(this, 'ApiAuth', {
+        distributionPrefix,
+        domains: props.domains,
+        config,
+        domainPrefix: props.authDomainPrefix,
+      });
+    }
+
+    if (props.data) {
+      this.data = new ApiData(this, 'ApiData', { distributionPrefix, config });
+    }
+
+    if (props.vpc) {
+      this.apiVpc = new ApiVpc(this, 'ApiVpc', {
+        distributionPrefix,
+        vpcId: targetVpcId,
+        config,
+        endpoints: props.vpcEndpoints,
+        auth: props.auth,
+        data: props.data,
+      });
+    }
+
+    // Create CloudWatch log group with the environment's retention
+    this.logGroup = new logs.LogGroup(this, 'LambdaLogGroup', {
+      logGroupName: `/aws/lambda/${distributionPrefix}-api`,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
+    });
+
+    // Create IAM execution role for Lambda function
+    const executionRole = new iam.Role(this, 'LambdaExecutionRole', {
+      roleName: `${distributionPrefix}-lambda-execution-role`,
+      assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com'),
+      managedPolicies: [
+        iam.ManagedPolicy.fromAwsManagedPolicyName('service-role/AWSLambdaBasicExecutionRole'),
+        // Network interfaces in the VPC's subnets
+        ...(this.apiVpc ? [iam.ManagedPolicy.fromAwsManagedPolicyName('service-role/AWSLambdaVPCAccessExecutionRole')] : []),
+      ],
+      inlinePolicies: {
+        CloudWatchLogsPolicy: new iam.PolicyDocument({
+          statements: [
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: [
+                'logs:CreateLogGroup',
+                'logs:CreateLogStream',
+                'logs:PutLogEvents',
+              ],
+              resources: [
+                `arn:aws:logs:${targetRegion}:${cdk.Aws.ACCOUNT_ID}:log-group:/aws/lambda/${distributionPrefix}-api*`,
+              ],
+            }),
+          ],
+        }),
+      },
+    });
+
+    // Create Lambda function
+    this.lambdaFunction = new lambda.Function(this, 'ApiLambda', {
+      functionName: `${distributionPrefix}-api`,
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'index.handler',
+      // local/ holds the offline stand-ins used by tests and the dev server
+      code: codePath
+        ? lambda.Code.fromAsset(codePath)
+        : lambda.Code.fromAsset(path.join(__dirname, '../../apps/hello-world-lambda'), {
+          // Local tooling only; the AWS SDK comes with the runtime
+          exclude: ['local', 'node_modules', 'package.json', 'package-lock.json'],
+        }),
+      memorySize: config.lambda.memorySize,
+      timeout: config.lambda.timeout,
+      role: executionRole,
+      logGroup: this.logGroup,
+      tracing: lambda.Tracing.ACTIVE,
+      ...(this.apiVpc
+        ? { vpc: this.apiVpc.vpc, vpcSubnets: this.apiVpc.subnets, securityGroups: [this.apiVpc.securityGroup] }
+        : {}),
+      environment: {
+        DISTRIBUTION_PREFIX: distributionPrefix,
+        TARGET_REGION: targetRegion,
+        DISTRIBUTION_ID: distributionId,
+        BUCKET_NAME: bucketName,
+        ...(this.auth ? this.auth.lambdaEnvironment : {}),
+        ...(this.data ? this.data.lambdaEnvironment : {}),
+      },
+      description: `Stage C API Lambda Function - ${distributionPrefix}`,
+    });
+
+    this.data?.grantHandlerAccess(this.lambdaFunction);
+
+    // Metric filters over the handler's JSON request logs, alarms and the API dashboard
+    this.monitoring = new ApiMonitoring(this, 'ApiMonitoring', {
+      distributionPrefix,
+      lambdaFunction: this.lambdaFunction,
+      logGroup: this.logGroup,
+      p95DurationThreshold: config.lambda.p95DurationAlarm,
+    });
+
+    if (props.releases) {
+      this.release = new ApiRelease(this, 'ApiRelease', {
+        distributionPrefix,
+        lambdaFunction: this.lambdaFunction,
+        deploymentConfig: props.deploymentConfig || config.lambda.deploymentConfig,
+        p95DurationThreshold: config.lambda.p95DurationAlarm,
+        alarms: [this.monitoring.serverErrorsAlarm],
+        preTrafficHook: props.preTrafficHook,
+      });
+      this.liveAlias = this.release.alias;
+    } else if (props.preTrafficHook || props.deploymentConfig) {
+      throw new Error('The pre-traffic hook and deployment config only apply to releases. Please also enable stage-c-lambda:releases');
+    }
+
+    // Create Function URL with AWS_IAM auth type. Only CloudFront may invoke it: Stage E signs
+    // requests with a Lambda origin access control and grants its distribution invoke access.
+    // With releases it belongs to the live alias, so it always serves the released version.
+    this.functionUrl = (this.liveAlias || this.lambdaFunction).addFunctionUrl({
+      authType: lambda.FunctionUrlAuthType.AWS_IAM,
+      cors: {
+        allowCredentials: false,
+        allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', API_AUTHORIZATION_HEADER],
+        allowedMethods: [lambda.HttpMethod.GET, lambda.HttpMethod.POST, lambda.HttpMethod.PUT, lambda.HttpMethod.DELETE],
+        allowedOrigins: corsAllowedOrigins(config, props.domains),
+        maxAge: cdk.Duration.minutes(5),
+      },
+    });
+
+    // Stack outputs for subsequent stages and validation
+    new cdk.CfnOutput(this, 'LambdaFunctionArn', {
+      value: this.lambdaFunction.functionArn,
+      description: 'Lambda Function ARN',
+      exportName: `${distributionPrefix}-lambda-function-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'LambdaFunctionName', {
+      value: this.lambdaFunction.functionName,
+      description: 'Lambda Function Name',
+      exportName: `${distributionPrefix}-lambda-function-name`,
+    });
+
+    new cdk.CfnOutput(this, 'FunctionUrl', {
+      value: this.functionUrl.url,
+      description: 'Lambda Function URL',
+      exportName: `${distributionPrefix}-lambda-function-url`,
+    });
+
+    new cdk.CfnOutput(this, 'LogGroupName', {
+      value: this.logGroup.logGroupName,
+      description: 'CloudWatch Log Group Name',
+      exportName: `${distributionPrefix}-lambda-log-group`,
+    });
+
+    new cdk.CfnOutput(this, 'DashboardName', {
+      value: this.monitoring.dashboard.dashboardName,
+      description: 'CloudWatch Dashboard Name',
+      exportName: `${distributionPrefix}-lambda-dashboard`,
+    });
+
+    new cdk.CfnOutput(this, 'DashboardUrl', {
+      value: `https://${targetRegion}.console.aws.amazon.com/cloudwatch/home?region=${targetRegion}#dashboards:name=${distributionPrefix}-api`,
+      description: 'CloudWatch Dashboard URL',
+    });
+
+    if (this.auth) {
+      new cdk.CfnOutput(this, 'UserPoolId', {
+        value: this.auth.userPool.userPoolId,
+        description: 'Cognito User Pool ID',
+        exportName: `${distributionPrefix}-lambda-user-pool-id`,
+      });
+
+      new cdk.CfnOutput(this, 'UserPoolClientId', {
+        value: this.auth.userPoolClient.userPoolClientId,
+        description: 'Cognito App Client ID used by the SPA',
+        exportName: `${distributionPrefix}-lambda-user-pool-client-id`,
+      });
+
+      new cdk.CfnOutput(this, 'AuthDomainUrl', {
+        value: this.auth.userPoolDomain.baseUrl(),
+        description: 'Cognito Hosted UI URL',
+      });
+    }
+
+    if (this.data) {
+      new cdk.CfnOutput(this, 'DataTableName', {
+        value: this.data.table.tableName,
+        description: 'DynamoDB table behind the /items endpoints',
+        exportName: `${distributionPrefix}-lambda-data-table`,
+      });
+    }
+
+    if (this.apiVpc) {
+      new cdk.CfnOutput(this, 'SecurityGroupId', {
+        value: this.apiVpc.securityGroup.securityGroupId,
+        description: 'Security group of the Lambda function, to allow in databases and other VPC resources',
+        exportName: `${distributionPrefix}-lambda-security-group-id`,
+      });
+    }
+
+    if (this.release) {
+      new cdk.CfnOutput(this, 'LiveAliasArn', {
+        value: this.release.alias.functionArn,
+        description: 'ARN of the live alias behind the Function URL',
+        exportName: `${distributionPrefix}-lambda-live-alias-arn`,
+      });
+
+      new cdk.CfnOutput(this, 'DeploymentGroupName', {
+        value: this.release.deploymentGroup.deploymentGroupName,
+        description: 'CodeDeploy deployment group that shifts traffic between versions',
+      });
+    }
+
+    new cdk.CfnOutput(this, 'TargetRegion', {
+      value: targetRegion,
+      description: 'Target Region for Lambda Deployment',
+      exportName: `${distributionPrefix}-lambda-target-region`,
+    });
+
+    new cdk.CfnOutput(this, 'DistributionPrefix', {
+      value: distributionPrefix,
+      description: 'Distribution Prefix Used',
+      exportName: `${distributionPrefix}-lambda-prefix`,
+    });
+
+    new cdk.CfnOutput(this, 'DistributionId', {
+      value: distributionId,
+      description: 'CloudFront Distribution ID (from previous stages)',
+      exportName: `${distributionPrefix}-lambda-distribution-id`,
+    });
+
+    new cdk.CfnOutput(this, 'BucketName', {
+      value: bucketName,
+      description: 'S3 Bucket Name (from previous stages)',
+      exportName: `${distributionPrefix}-lambda-bucket-name`,
+    });
+
+    // Add tags for resource identification
+    cdk.Tags.of(this).add('Stage', 'C-Lambda');
+    cdk.Tags.of(this).add('Component', 'Lambda-Function');
+    cdk.Tags.of(this).add('Environment', cdk.Aws.ACCOUNT_ID);
+    cdk.Tags.of(this).add('DistributionPrefix', distributionPrefix);
+    cdk.Tags.of(this).add('Runtime', 'nodejs20.x');
+  }
+} 
\ No newline at end of file
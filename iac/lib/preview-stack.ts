@@ -0,0 +1,114 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as s3deploy from 'aws-cdk-lib/aws-s3-deployment';
+import { Construct } from 'constructs';
+import { DeploymentSmokeCheck } from './deployment-smoke-check';
+import { CACHE_CONTROL, PREVIEWS_PREFIX, allowInvalidationWildcard, buildHashFromIndexHtml, releaseIdForBuild } from './react-asset-deployment';
+import { CloudFrontReference, SslReference, resolveCloudFront, resolveSsl } from './stage-references';
+
+// Branch previews share the Stage A bucket and distribution: a branch build is uploaded to
+// previews/<branch>/ and served at https://<branch>.preview.<primary domain>, where the viewer
+// request function (iac/cloudfront-functions/viewer-request) rewrites requests into the prefix.
+// `/api/*` has no such rewrite, so a preview calls the same Lambda origin as the site.
+export const PREVIEW_SUBDOMAIN = 'preview';
+
+// Certificate and alias name covering every preview host (Stage B `previews` option)
+export const previewDomainFor = (primaryDomain: string) => `*.${PREVIEW_SUBDOMAIN}.${primaryDomain}`;
+
+// DNS label for a branch name, e.g. feature/Login_Form -> feature-login-form
+export const previewSlugForBranch = (branch: string): string => {
+  const slug = branch
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, 63)
+    .replace(/-+$/, '');
+
+  if (!slug) {
+    throw new Error(`Invalid preview branch ${branch}. Please use a branch name containing letters or digits`);
+  }
+
+  return slug;
+};
+
+// One stack per branch, so a preview is torn down by deleting its stack
+export const previewStackName = (distributionPrefix: string, branch: string) =>
+  `${distributionPrefix}-preview-${previewSlugForBranch(branch)}`;
+
+export interface PreviewStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  branch: string;
+  cloudFront: CloudFrontReference;
+  ssl: SslReference;
+  buildPath: string; // Output of `npm run build` for the branch
+  checkApi?: boolean; // Also smoke-check /api/ through the preview host
+}
+
+export class PreviewStack extends cdk.Stack {
+  public readonly slug: string;
+  public readonly host: string;
+  public readonly keyPrefix: string;
+  public readonly assetDeployment: s3deploy.BucketDeployment;
+  public readonly deploymentStatus: DeploymentSmokeCheck;
+
+  constructor(scope: Construct, id: string, props: PreviewStackProps) {
+    super(scope, id, props);
+
+    const { distributionPrefix, branch } = props;
+    const cloudFront = resolveCloudFront(this, props.cloudFront);
+    const { primaryDomain } = resolveSsl(this, props.ssl);
+
+    this.slug = previewSlugForBranch(branch);
+    this.host = `${this.slug}.${PREVIEW_SUBDOMAIN}.${primaryDomain}`;
+    this.keyPrefix = `${PREVIEWS_PREFIX}${this.slug}/`;
+
+    const buildPath = path.resolve(props.buildPath);
+    const indexHtml = path.join(buildPath, 'index.html');
+
+    if (!fs.existsSync(indexHtml)) {
+      throw new Error(`React build not found at ${buildPath}. Please run the React build before deploying`);
+    }
+
+    // Previews are rebuilt on every push, so nothing is cached by browsers; the prefix is pruned
+    // on each deployment and emptied when the stack is deleted
+    this.assetDeployment = new s3deploy.BucketDeployment(this, 'PreviewAssets', {
+      sources: [s3deploy.Source.asset(buildPath)],
+      destinationBucket: cloudFront.bucket,
+      destinationKeyPrefix: this.keyPrefix,
+      cacheControl: [s3deploy.CacheControl.fromString(CACHE_CONTROL.noStore)],
+      prune: true,
+      retainOnDelete: false,
+      distribution: cloudFront.distribution,
+      distributionPaths: [`/${this.keyPrefix}*`],
+      memoryLimit: 512,
+    });
+    allowInvalidationWildcard(this);
+
+    // Verify the preview host serves this build; a failed check fails the deployment
+    this.deploymentStatus = new DeploymentSmokeCheck(this, 'PreviewDeploymentStatus', {
+      domain: this.host,
+      buildHash: buildHashFromIndexHtml(fs.readFileSync(indexHtml, 'utf8')),
+      releaseId: releaseIdForBuild(buildPath),
+      checkApi: props.checkApi,
+      properties: {
+        DistributionPrefix: distributionPrefix,
+        PreviewBranch: branch,
+      },
+    });
+    this.deploymentStatus.node.addDependency(this.assetDeployment);
+
+    new cdk.CfnOutput(this, 'PreviewUrl', {
+      value: `https://${this.host}`,
+      description: `Preview of branch ${branch}`,
+    });
+
+    new cdk.CfnOutput(this, 'PreviewKeyPrefix', {
+      value: this.keyPrefix,
+      description: 'Content bucket prefix holding the preview build',
+    });
+
+    cdk.Tags.of(this).add('Component', 'Preview');
+    cdk.Tags.of(this).add('PreviewBranch', this.slug);
+  }
+}
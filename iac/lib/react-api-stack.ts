@@ -0,0 +1,394 @@
+import * as cdk from 'aws-cdk-lib';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as origins from 'aws-cdk-lib/aws-cloudfront-origins';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as logs from 'aws-cdk-lib/aws-logs';
+import { Construct } from 'constructs';
+import {
+  API_ORIGIN_ID,
+  ApiCacheRoute,
+  apiBehaviorPatterns,
+  apiCacheBehaviors,
+  createApiCachePolicy,
+  createApiOriginRequestPolicy,
+} from './api-behaviors';
+import { BucketReadGrant } from './bucket-read-grant';
+import { DeploymentSmokeCheck } from './deployment-smoke-check';
+import { ReactAssetDeployment } from './react-asset-deployment';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import { distributionLogging } from './access-logs';
+import { createApiResponseHeadersPolicy } from './security-headers';
+import {
+  CloudFrontReference,
+  LambdaReference,
+  SslReference,
+  resolveCloudFront,
+  resolveLambda,
+  resolveSsl,
+} from './stage-references';
+
+export interface ReactApiStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  targetRegion: string;
+  targetProfile?: string;
+  infrastructureProfile?: string;
+  targetVpcId: string;
+  cloudFront: CloudFrontReference; // Origin access control, cache and response headers policies default to the Stage A exports
+  ssl: SslReference;
+  lambda: LambdaReference;
+  buildPath?: string; // React build output uploaded by the stack; the bucket content is left untouched when omitted
+  releaseId?: string; // Release prefix for buildPath, defaults to a content hash of the build
+  buildHash?: string; // Expected in the served index.html after deployment, defaults to the hash of buildPath's entry bundle
+  apiCacheRoutes?: ApiCacheRoute[]; // GET routes cached briefly at the edge; every other API route is never cached
+  webAclArn?: string; // WAF web ACL (iac/lib/web-acl-stack.ts) attached to the distribution
+  config?: EnvironmentConfig; // Defaults to the dev preset
+}
+
+export class ReactApiStack extends cdk.Stack {
+  public readonly s3Bucket: s3.IBucket;
+  public readonly cloudFrontDistribution: cloudfront.IDistribution;
+  public readonly distribution: cloudfront.IDistribution; // Created by this stack, serves the primary domain
+  public readonly lambdaOriginAccessControl: cloudfront.FunctionUrlOriginAccessControl;
+  public readonly apiResponseHeadersPolicy: cloudfront.ResponseHeadersPolicy;
+  public readonly apiOriginRequestPolicy: cloudfront.OriginRequestPolicy;
+  public readonly apiCachePolicies: cloudfront.CachePolicy[];
+  public readonly bucketReadGrant: BucketReadGrant;
+  public readonly deploymentRole: iam.Role;
+  public readonly logGroup: logs.LogGroup;
+  public readonly assetDeployment?: ReactAssetDeployment;
+  public readonly deploymentStatus: DeploymentSmokeCheck;
+
+  constructor(scope: Construct, id: string, props: ReactApiStackProps) {
+    super(scope, id, props);
+
+    const {
+      distributionPrefix,
+      targetRegion,
+      targetVpcId,
+    } = props;
+    const config = props.config || getEnvironmentConfig();
+
+    // Resources handed over by Stages A, B and C
+    const cloudFront = resolveCloudFront(this, props.cloudFront);
+    const { certificate, primaryDomain, domains, previewDomain } = resolveSsl(this, props.ssl);
+    const { lambdaFunction, liveAlias, functionUrl } = resolveLambda(this, props.lambda);
+
+    // Resolve Stage A origin settings, falling back to its CloudFormation exports
+    const originAccessControlId = cloudFront.originAccessControl?.originAccessControlId
+      || cdk.Fn.importValue(`${distributionPrefix}-oac-id`);
+    const cachePolicyId = cloudFront.cachePolicy?.cachePolicyId
+      || cdk.Fn.importValue(`${distributionPrefix}-cache-policy-id`);
+    const responseHeadersPolicyId = cloudFront.responseHeadersPolicy?.responseHeadersPolicyId
+      || cdk.Fn.importValue(`${distributionPrefix}-response-headers-policy-id`);
+    const viewerRequestFunctionArn = cloudFront.viewerRequestFunction?.functionArn
+      || cdk.Fn.importValue(`${distributionPrefix}-viewer-request-function-arn`);
+    const bucketRegionalDomainName = cloudFront.bucket.bucketRegionalDomainName;
+
+    // Create CloudWatch log group for React API deployment activities
+    this.logGroup = new logs.LogGroup(this, 'ReactApiDeploymentLogGroup', {
+      logGroupName: `/aws/react-api-deployment/${distributionPrefix}`,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
+    });
+
+    // Existing S3 bucket and CloudFront distribution from Stage A
+    this.s3Bucket = cloudFront.bucket;
+    this.cloudFrontDistribution = cloudFront.distribution;
+
+    const distributionId = this.cloudFrontDistribution.distributionId;
+    const distributionDomainName = this.cloudFrontDistribution.distributionDomainName;
+
+    // CloudFront signs every request to the Function URL (AWS_IAM auth) with SigV4
+    this.lambdaOriginAccessControl = new cloudfront.FunctionUrlOriginAccessControl(this, 'LambdaOriginAccessControl', {
+      originAccessControlName: `${distributionPrefix}-lambda-oac`,
+      description: `OAC for ${distributionPrefix} Lambda Function URL`,
+      signing: cloudfront.Signing.SIGV4_ALWAYS,
+    });
+
+    // Security headers for API responses, with CORS limited to the site's own domains (Stage B)
+    this.apiResponseHeadersPolicy = createApiResponseHeadersPolicy(this, 'ApiResponseHeadersPolicy', {
+      responseHeadersPolicyName: `${distributionPrefix}-api-security-headers`,
+      hstsMaxAge: config.securityHeaders.hstsMaxAge,
+      allowedOrigins: domains.map((domain) => `https://${domain}`),
+    });
+
+    // Dedicated API policies: forward what the Lambda needs (never Host), cache only chosen routes
+    this.apiOriginRequestPolicy = createApiOriginRequestPolicy(this, 'ApiOriginRequestPolicy', `${distributionPrefix}-api-origin-request`);
+    const apiCacheRoutes = props.apiCacheRoutes || [];
+    this.apiCachePolicies = apiCacheRoutes.map((route, index) =>
+      createApiCachePolicy(this, `ApiCachePolicy${index + 1}`, `${distributionPrefix}-api-cache-${index + 1}`, route));
+
+    // Create a simple custom resource to update cache behaviors using CloudFormation
+    const cfnDistribution = new cloudfront.CfnDistribution(this, 'UpdatedDistribution', {
+      distributionConfig: {
+        // Branch previews (iac/lib/preview-stack.ts) are served from the same distribution
+        aliases: [primaryDomain, `www.${primaryDomain}`, ...(previewDomain ? [previewDomain] : [])],
+        enabled: true,
+        httpVersion: 'http2',
+        ipv6Enabled: true,
+        priceClass: config.priceClass,
+        webAclId: props.webAclArn,
+        // Stage A's access log bucket, which this config would otherwise stop logging to
+        logging: config.accessLogs ? distributionLogging(distributionPrefix) : undefined,
+        origins: [
+          {
+            id: 'S3Origin',
+            domainName: bucketRegionalDomainName,
+            s3OriginConfig: {
+              originAccessIdentity: '',
+            },
+            originAccessControlId: originAccessControlId,
+          },
+          {
+            id: API_ORIGIN_ID,
+            domainName: cdk.Fn.select(2, cdk.Fn.split('/', functionUrl.url)),
+            originAccessControlId: this.lambdaOriginAccessControl.originAccessControlId,
+            customOriginConfig: {
+              httpPort: 443,
+              httpsPort: 443,
+              originProtocolPolicy: 'https-only',
+              originSslProtocols: ['TLSv1.2'],
+              originReadTimeout: 30,
+              originKeepaliveTimeout: 5,
+            },
+          },
+        ],
+        defaultCacheBehavior: {
+          targetOriginId: 'S3Origin',
+          viewerProtocolPolicy: 'redirect-to-https',
+          cachePolicyId: cachePolicyId,
+          responseHeadersPolicyId: responseHeadersPolicyId,
+          originRequestPolicyId: cloudfront.OriginRequestPolicy.CORS_S3_ORIGIN.originRequestPolicyId,
+          compress: true,
+          allowedMethods: ['GET', 'HEAD'],
+          cachedMethods: ['GET', 'HEAD'],
+          functionAssociations: [
+            {
+              eventType: 'viewer-request',
+              functionArn: viewerRequestFunctionArn,
+            },
+          ],
+        },
+        // `/api` and `/api/*` to the Lambda origin, declared in iac/lib/api-behaviors.ts
+        cacheBehaviors: apiCacheBehaviors({
+          cachePolicyId: cloudfront.CachePolicy.CACHING_DISABLED.cachePolicyId,
+          originRequestPolicyId: this.apiOriginRequestPolicy.originRequestPolicyId,
+          responseHeadersPolicyId: this.apiResponseHeadersPolicy.responseHeadersPolicyId,
+          cachedRoutes: apiCacheRoutes.map(({ pathPattern }, index) => ({
+            pathPattern,
+            cachePolicyId: this.apiCachePolicies[index].cachePolicyId,
+          })),
+        }),
+        viewerCertificate: {
+          acmCertificateArn: certificate.certificateArn,
+          sslSupportMethod: 'sni-only',
+          minimumProtocolVersion: 'TLSv1.2_2021',
+        },
+      },
+    });
+
+    // Override the physical ID to match the existing distribution
+    cfnDistribution.overrideLogicalId('ExistingDistribution');
+    this.distribution = cloudfront.Distribution.fromDistributionAttributes(this, 'Distribution', {
+      distributionId: cfnDistribution.ref,
+      domainName: cfnDistribution.attrDomainName,
+    });
+
+    // Allow only this distribution to invoke the Function URL; unsigned direct requests get a 403.
+    // A URL that belongs to an alias needs the permission on that alias.
+    const invokePermission = new lambda.CfnPermission(this, 'LambdaOriginInvokePermission', {
+      action: 'lambda:InvokeFunctionUrl',
+      functionName: (liveAlias || lambdaFunction).functionArn,
+      principal: 'cloudfront.amazonaws.com',
+      sourceArn: `arn:aws:cloudfront::${cdk.Aws.ACCOUNT_ID}:distribution/${cfnDistribution.ref}`,
+      functionUrlAuthType: 'AWS_IAM',
+    });
+
+    // Stage A's bucket policy only accepts reads from the distributions it names, and this one
+    // has no ID until it exists, so it adds its own statement before serving anything
+    this.bucketReadGrant = new BucketReadGrant(this, 'ContentBucketReadGrant', {
+      bucket: this.s3Bucket,
+      distributionId: cfnDistribution.ref,
+    });
+
+    // Create IAM role for React API deployment automation
+    this.deploymentRole = new iam.Role(this, 'ReactApiDeploymentRole', {
+      roleName: `${distributionPrefix}-react-api-deployment-role`,
+      assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com'),
+      description: 'Role for automated React API deployment tasks',
+      managedPolicies: [
+        iam.ManagedPolicy.fromAwsManagedPolicyName('service-role/AWSLambdaBasicExecutionRole'),
+      ],
+      inlinePolicies: {
+        S3DeploymentPolicy: new iam.PolicyDocument({
+          statements: [
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: [
+                's3:GetObject',
+                's3:PutObject',
+                's3:DeleteObject',
+                's3:ListBucket',
+              ],
+              resources: [
+                this.s3Bucket.bucketArn,
+                `${this.s3Bucket.bucketArn}/*`,
+              ],
+            }),
+          ],
+        }),
+        CloudFrontInvalidationPolicy: new iam.PolicyDocument({
+          statements: [
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: [
+                'cloudfront:CreateInvalidation',
+                'cloudfront:GetInvalidation',
+                'cloudfront:ListInvalidations',
+              ],
+              resources: [
+                `arn:aws:cloudfront::${cdk.Aws.ACCOUNT_ID}:distribution/${this.distribution.distributionId}`,
+              ],
+            }),
+          ],
+        }),
+        CloudWatchLogsPolicy: new iam.PolicyDocument({
+          statements: [
+            new iam.PolicyStatement({
+              effect: iam.Effect.ALLOW,
+              actions: [
+                'logs:CreateLogGroup',
+                'logs:CreateLogStream',
+                'logs:PutLogEvents',
+              ],
+              resources: [
+                this.logGroup.logGroupArn,
+                `${this.logGroup.logGroupArn}:*`,
+              ],
+            }),
+          ],
+        }),
+      },
+    });
+
+    // Store the React build as a release; scripts/manage-releases.sh makes it live
+    if (props.buildPath) {
+      this.assetDeployment = new ReactAssetDeployment(this, 'ReactAssets', {
+        buildPath: props.buildPath,
+        bucket: this.s3Bucket,
+        releaseId: props.releaseId,
+      });
+      this.assetDeployment.node.addDependency(cfnDistribution);
+    }
+
+    // Verify the SPA and the API answer through the updated distribution; a failed check fails the deployment
+    this.deploymentStatus = new DeploymentSmokeCheck(this, 'ReactApiDeploymentStatus', {
+      domain: primaryDomain,
+      buildHash: props.buildHash || this.assetDeployment?.buildHash,
+      releaseId: this.assetDeployment?.releaseId,
+      // The new release is not live yet, so it is checked through its own prefix
+      path: this.assetDeployment ? `/${this.assetDeployment.releasePrefix}index.html` : undefined,
+      checkApi: true,
+      properties: {
+        DistributionPrefix: distributionPrefix,
+        DistributionId: this.distribution.distributionId,
+      },
+    });
+    this.deploymentStatus.node.addDependency(cfnDistribution, invokePermission, this.bucketReadGrant);
+    if (this.assetDeployment) {
+      this.deploymentStatus.node.addDependency(this.assetDeployment);
+    }
+    this.logGroup.grantWrite(this.deploymentStatus.handler);
+
+    // Output important values for reference
+    new cdk.CfnOutput(this, 'ReactApiS3BucketName', {
+      value: this.s3Bucket.bucketName,
+      description: 'S3 bucket name for React application content',
+      exportName: `${distributionPrefix}-react-api-s3-bucket`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiCloudFrontDistributionId', {
+      value: distributionId,
+      description: 'Stage A CloudFront distribution ID, which shares the content bucket',
+      exportName: `${distributionPrefix}-react-api-cloudfront-id`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiDistributionId', {
+      value: cfnDistribution.ref,
+      description: 'CloudFront distribution ID created by this stack, serving React application with API',
+      exportName: `${distributionPrefix}-react-api-distribution-id`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiCloudFrontDomainName', {
+      value: distributionDomainName,
+      description: 'Stage A CloudFront distribution domain name',
+      exportName: `${distributionPrefix}-react-api-cloudfront-domain`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiPrimaryDomain', {
+      value: primaryDomain,
+      description: 'Primary domain name for React application with API',
+      exportName: `${distributionPrefix}-react-api-primary-domain`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiLambdaFunctionUrl', {
+      value: functionUrl.url,
+      description: 'Lambda Function URL for API integration',
+      exportName: `${distributionPrefix}-react-api-lambda-url`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiLambdaFunctionArn', {
+      value: lambdaFunction.functionArn,
+      description: 'Lambda Function ARN for API integration',
+      exportName: `${distributionPrefix}-react-api-lambda-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiLambdaOriginAccessControlId', {
+      value: this.lambdaOriginAccessControl.originAccessControlId,
+      description: 'Origin access control used to sign requests to the Lambda Function URL',
+      exportName: `${distributionPrefix}-react-api-lambda-oac-id`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiDeploymentRoleArn', {
+      value: this.deploymentRole.roleArn,
+      description: 'IAM role ARN for React API deployment automation',
+      exportName: `${distributionPrefix}-react-api-deployment-role`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiLogGroupName', {
+      value: this.logGroup.logGroupName,
+      description: 'CloudWatch log group for React API deployment',
+      exportName: `${distributionPrefix}-react-api-log-group`,
+    });
+
+    // Add CloudFront behavior configuration outputs
+    new cdk.CfnOutput(this, 'ReactApiApiBehaviorPattern', {
+      value: apiBehaviorPatterns(apiCacheRoutes).join(','),
+      description: 'CloudFront behavior path patterns for API routes, in precedence order',
+      exportName: `${distributionPrefix}-react-api-behavior-pattern`,
+    });
+
+    new cdk.CfnOutput(this, 'ReactApiApiBehaviorPrecedence', {
+      value: apiBehaviorPatterns(apiCacheRoutes).map((_pattern, precedence) => precedence).join(','),
+      description: 'CloudFront behavior precedence for API routes (highest priority first)',
+      exportName: `${distributionPrefix}-react-api-behavior-precedence`,
+    });
+
+    if (this.assetDeployment) {
+      new cdk.CfnOutput(this, 'ReactApiReleaseId', {
+        value: this.assetDeployment.releaseId,
+        description: 'Release stored by this deployment, made live by scripts/manage-releases.sh',
+      });
+    }
+
+    // Add stack tags for better resource management
+    cdk.Tags.of(this).add('Component', 'React-API-Deployment');
+    cdk.Tags.of(this).add('Stage', 'E');
+    cdk.Tags.of(this).add('IntegratesWithStageA', 'true');
+    cdk.Tags.of(this).add('IntegratesWithStageB', 'true');
+    cdk.Tags.of(this).add('IntegratesWithStageC', 'true');
+    cdk.Tags.of(this).add('IntegratesWithStageD', 'true');
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,144 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as s3deploy from 'aws-cdk-lib/aws-s3-deployment';
+import { Construct } from 'constructs';
+import { suppressCompliance } from './compliance';
+
+// Cache tiers for a React build. Vite (assets/) and Create React App (static/) put every
+// content-hashed file in one top-level directory; root HTML files must always be revalidated
+// so a new release is picked up at once; everything else (manifests, service workers,
+// favicons) keeps its name across releases and is only cached briefly.
+export type CacheTier = 'immutable' | 'short' | 'noStore';
+
+export const CACHE_CONTROL: Record<CacheTier, string> = {
+  immutable: 'public, max-age=31536000, immutable',
+  short: 'public, max-age=300, must-revalidate',
+  noStore: 'no-cache, no-store, must-revalidate',
+};
+
+export const HASHED_ASSET_DIRS = ['assets', 'static'];
+
+// Every build is stored under releases/<releaseId>/, and the viewer request function serves the
+// release named by Stage A's release store (iac/cloudfront-functions/viewer-request), so a release
+// is made live, or an earlier one again, without rebuilding (stages/shared/manage-releases.sh)
+export const RELEASES_PREFIX = 'releases/';
+
+// Branch previews (iac/lib/preview-stack.ts) share the bucket under previews/<branch>/
+export const PREVIEWS_PREFIX = 'previews/';
+
+export const cacheTierForPath = (relativePath: string): CacheTier => {
+  const [topLevel] = relativePath.split('/');
+  if (relativePath.includes('/') && HASHED_ASSET_DIRS.includes(topLevel)) {
+    return 'immutable';
+  }
+  if (!relativePath.includes('/') && relativePath.endsWith('.html')) {
+    return 'noStore';
+  }
+  return 'short';
+};
+
+// Hash of the entry bundle referenced by index.html (Vite: assets/index-<hash>.js,
+// Create React App: static/js/main.<hash>.js)
+export const buildHashFromIndexHtml = (html: string): string | undefined =>
+  html.match(/(?:index-|main\.)([A-Za-z0-9_-]{6,})\.js/)?.[1];
+
+const listFiles = (dir: string, prefix = ''): string[] =>
+  fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap((entry) => {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(dir, relativePath) : [relativePath];
+  });
+
+// Asset exclusions (gitignore syntax) that leave only the files of one tier
+const ASSET_EXCLUDES: Record<CacheTier, string[]> = {
+  immutable: ['/*', ...HASHED_ASSET_DIRS.map((dir) => `!/${dir}`)],
+  noStore: ['/*', '!/*.html'],
+  short: ['/*.html', ...HASHED_ASSET_DIRS.map((dir) => `/${dir}`)],
+};
+
+// Content hash of the whole build, so a release prefix never receives different files
+export const releaseIdForBuild = (buildPath: string) => cdk.FileSystem.fingerprint(buildPath).slice(0, 12);
+
+// BucketDeployment's upload function is shared by the whole stack, and CDK lets it invalidate
+// any distribution. Suppressed on the stack for these two actions only.
+export const INVALIDATION_ACTIONS = ['cloudfront:GetInvalidation', 'cloudfront:CreateInvalidation'];
+
+export const allowInvalidationWildcard = (scope: Construct) => suppressCompliance(cdk.Stack.of(scope), 'IAM-WILDCARD-RESOURCE',
+  'CDK grants the shared BucketDeployment function CloudFront invalidations on "*"', { actions: INVALIDATION_ACTIONS });
+
+export interface ReactAssetDeploymentProps {
+  readonly buildPath: string; // Output of `npm run build` (dist/ or build/)
+  readonly bucket: s3.IBucket;
+  readonly releaseId?: string; // Defaults to a content hash of the build
+  readonly memoryLimit?: number; // MiB for the upload function, defaults to 512
+}
+
+// Uploads a React build as a release, in three cache tiers. Hashed assets go to the bucket root,
+// where the assets of every release stay (their names change with their content and they are
+// never pruned), so pages still holding an earlier index.html keep working. Everything else goes
+// to releases/<releaseId>/, index.html last so it never references files that are not uploaded
+// yet. Nothing is overwritten or invalidated: the release is only served once the release store
+// names it, and the smoke check reaches it at /releases/<releaseId>/index.html before that.
+export class ReactAssetDeployment extends Construct {
+  public readonly buildHash?: string;
+  public readonly releaseId: string;
+  public readonly releasePrefix: string;
+  public readonly deployments: Partial<Record<CacheTier, s3deploy.BucketDeployment>> = {};
+
+  constructor(scope: Construct, id: string, props: ReactAssetDeploymentProps) {
+    super(scope, id);
+
+    const buildPath = path.resolve(props.buildPath);
+    const indexHtml = path.join(buildPath, 'index.html');
+
+    if (!fs.existsSync(indexHtml)) {
+      throw new Error(`React build not found at ${buildPath}. Please run the React build before deploying`);
+    }
+
+    this.buildHash = buildHashFromIndexHtml(fs.readFileSync(indexHtml, 'utf8'));
+    this.releaseId = props.releaseId || releaseIdForBuild(buildPath);
+    const memoryLimit = props.memoryLimit ?? 512;
+
+    if (!/^[A-Za-z0-9_-]+$/.test(this.releaseId)) {
+      throw new Error(`Invalid release ID ${this.releaseId}. Please use letters, digits, dashes and underscores only`);
+    }
+    this.releasePrefix = `${RELEASES_PREFIX}${this.releaseId}/`;
+
+    const files = listFiles(buildPath);
+    const filesInTier = (tier: CacheTier) => files.filter((file) => cacheTierForPath(file) === tier);
+
+    let previous: s3deploy.BucketDeployment | undefined;
+    for (const tier of ['immutable', 'short', 'noStore'] as CacheTier[]) {
+      const tierFiles = filesInTier(tier);
+      // The short tier also carries release.json, so it is never skipped
+      if (tierFiles.length === 0 && tier !== 'short') {
+        continue;
+      }
+
+      const deployment = new s3deploy.BucketDeployment(this, `${tier[0].toUpperCase()}${tier.slice(1)}Assets`, {
+        sources: [
+          ...(tierFiles.length > 0
+            ? [s3deploy.Source.asset(buildPath, { exclude: ASSET_EXCLUDES[tier], ignoreMode: cdk.IgnoreMode.GIT })]
+            : []),
+          // Describes the release for scripts/manage-releases.sh
+          ...(tier === 'short'
+            ? [s3deploy.Source.jsonData('release.json', { releaseId: this.releaseId, buildHash: this.buildHash || null })]
+            : []),
+        ],
+        destinationBucket: props.bucket,
+        destinationKeyPrefix: tier === 'immutable' ? undefined : this.releasePrefix,
+        cacheControl: [s3deploy.CacheControl.fromString(CACHE_CONTROL[tier])],
+        prune: false,
+        retainOnDelete: true, // Earlier releases and their assets stay available for rollback
+        memoryLimit,
+      });
+
+      if (previous) {
+        deployment.node.addDependency(previous);
+      }
+      previous = deployment;
+      this.deployments[tier] = deployment;
+    }
+  }
+}
@@ -4,6 +4,17 @@ import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as logs from 'aws-cdk-lib/aws-logs';
 import { Construct } from 'constructs';
+import { DeploymentSmokeCheck } from './deployment-smoke-check';
+import { ReactAssetDeployment } from './react-asset-deployment';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import {
+  CloudFrontReference,
+  LambdaReference,
+  SslReference,
+  resolveCloudFront,
+  resolveLambda,
+  resolveSsl,
+} from './stage-references';
 
 export interface ReactStackProps extends cdk.StackProps {
   distributionPrefix: string;
@@ -11,11 +22,13 @@ export interface ReactStackProps extends cdk.StackProps {
   targetProfile?: string;
   infrastructureProfile?: string;
   targetVpcId: string;
-  distributionId: string;
-  bucketName: string;
-  primaryDomain: string;
-  certificateArn: string;
-  lambdaFunctionUrl?: string;
+  cloudFront: CloudFrontReference;
+  ssl: SslReference;
+  lambda?: LambdaReference; // Stage C is optional for the static React deployment
+  buildPath?: string; // React build output uploaded by the stack; the bucket content is left untouched when omitted
+  releaseId?: string; // Release prefix for buildPath, defaults to a content hash of the build
+  buildHash?: string; // Expected in the served index.html after deployment, defaults to the hash of buildPath's entry bundle
+  config?: EnvironmentConfig; // Defaults to the dev preset
 }
 
 export class ReactStack extends cdk.Stack {
@@ -23,6 +36,8 @@ export class ReactStack extends cdk.Stack {
   public readonly cloudFrontDistribution: cloudfront.IDistribution;
   public readonly deploymentRole: iam.Role;
   public readonly logGroup: logs.LogGroup;
+  public readonly assetDeployment?: ReactAssetDeployment;
+  public readonly deploymentStatus: DeploymentSmokeCheck;
 
   constructor(scope: Construct, id: string, props: ReactStackProps) {
     super(scope, id, props);
@@ -31,31 +46,28 @@ export class ReactStack extends cdk.Stack {
       distributionPrefix,
       targetRegion,
       targetVpcId,
-      distributionId,
-      bucketName,
-      primaryDomain,
-      certificateArn,
-      lambdaFunctionUrl,
     } = props;
+    const config = props.config || getEnvironmentConfig();
+
+    // Resources handed over by Stages A, B and C
+    const cloudFront = resolveCloudFront(this, props.cloudFront);
+    const { primaryDomain } = resolveSsl(this, props.ssl);
+    const lambdaFunctionUrl = props.lambda ? resolveLambda(this, props.lambda).functionUrl.url : undefined;
 
     // Create CloudWatch log group for React deployment activities
     this.logGroup = new logs.LogGroup(this, 'ReactDeploymentLogGroup', {
       logGroupName: `/aws/react-deployment/${distributionPrefix}`,
-      retention: logs.RetentionDays.ONE_MONTH,
-      removalPolicy: cdk.RemovalPolicy.DESTROY,
+      retention: config.logRetention,
+      removalPolicy: config.removalPolicy,
     });
 
-    // Import existing S3 bucket from Stage A (do not create new one)
-    this.s3Bucket = s3.Bucket.fromBucketName(this, 'ImportedS3Bucket', bucketName);
+    // Existing S3 bucket and CloudFront distribution from Stage A (do not create or modify)
+    this.s3Bucket = cloudFront.bucket;
+    this.cloudFrontDistribution = cloudFront.distribution;
 
-    // Import existing CloudFront distribution from Stage A (do not modify)
-    this.cloudFrontDistribution = cloudfront.Distribution.fromDistributionAttributes(this, 'ImportedCloudFrontDistribution', {
-      distributionId: distributionId,
-      domainName: `${distributionId}.cloudfront.net`,
-    });
-    
-    // Store the domain name for outputs since IDistribution doesn't expose it
-    const distributionDomainName = `${distributionId}.cloudfront.net`;
+    const bucketName = this.s3Bucket.bucketName;
+    const distributionId = this.cloudFrontDistribution.distributionId;
+    const distributionDomainName = this.cloudFrontDistribution.distributionDomainName;
 
     // Create IAM role for React deployment automation (if needed for future automation)
     this.deploymentRole = new iam.Role(this, 'ReactDeploymentRole', {
@@ -117,18 +129,33 @@ export class ReactStack extends cdk.Stack {
       },
     });
 
-    // Create custom resource for deployment status tracking (optional)
-    const deploymentStatus = new cdk.CustomResource(this, 'ReactDeploymentStatus', {
-      serviceToken: this.createDeploymentStatusProvider().serviceToken,
+    // Store the React build as a release; scripts/manage-releases.sh makes it live
+    if (props.buildPath) {
+      this.assetDeployment = new ReactAssetDeployment(this, 'ReactAssets', {
+        buildPath: props.buildPath,
+        bucket: this.s3Bucket,
+        releaseId: props.releaseId,
+      });
+    }
+
+    // Verify the primary domain serves the uploaded release; a failed check fails the deployment
+    this.deploymentStatus = new DeploymentSmokeCheck(this, 'ReactDeploymentStatus', {
+      domain: primaryDomain,
+      buildHash: props.buildHash || this.assetDeployment?.buildHash,
+      releaseId: this.assetDeployment?.releaseId,
+      // The new release is not live yet, so it is checked through its own prefix
+      path: this.assetDeployment ? `/${this.assetDeployment.releasePrefix}index.html` : undefined,
       properties: {
         DistributionPrefix: distributionPrefix,
         BucketName: bucketName,
         DistributionId: distributionId,
-        PrimaryDomain: primaryDomain,
         LambdaFunctionUrl: lambdaFunctionUrl || '',
-        DeploymentTimestamp: new Date().toISOString(),
       },
     });
+    if (this.assetDeployment) {
+      this.deploymentStatus.node.addDependency(this.assetDeployment);
+    }
+    this.logGroup.grantWrite(this.deploymentStatus.handler);
 
     // Output important values for reference
     new cdk.CfnOutput(this, 'ReactS3BucketName', {
@@ -167,6 +194,13 @@ export class ReactStack extends cdk.Stack {
       exportName: `${distributionPrefix}-react-log-group`,
     });
 
+    if (this.assetDeployment) {
+      new cdk.CfnOutput(this, 'ReactReleaseId', {
+        value: this.assetDeployment.releaseId,
+        description: 'Release stored by this deployment, made live by scripts/manage-releases.sh',
+      });
+    }
+
     // Add stack tags for better resource management
     cdk.Tags.of(this).add('Component', 'React-Deployment');
     cdk.Tags.of(this).add('Stage', 'D');
@@ -174,46 +208,4 @@ export class ReactStack extends cdk.Stack {
     cdk.Tags.of(this).add('IntegratesWithStageB', 'true');
     cdk.Tags.of(this).add('IntegratesWithStageC', 'true');
   }
-
-  /**
-   * Creates a Lambda-backed custom resource provider for deployment status tracking
-   */
-  private createDeploymentStatusProvider(): cdk.custom_resources.Provider {
-    // Create a simple Lambda function for the custom resource
-    const statusLambda = new cdk.aws_lambda.Function(this, 'DeploymentStatusLambda', {
-      runtime: cdk.aws_lambda.Runtime.NODEJS_18_X,
-      handler: 'index.handler',
-      code: cdk.aws_lambda.Code.fromInline(`
-        exports.handler = async (event) => {
-          console.log('Deployment Status Event:', JSON.stringify(event, null, 2));
-          
-          const response = {
-            Status: 'SUCCESS',
-            Reason: 'React deployment status recorded',
-            PhysicalResourceId: 'react-deployment-' + Date.now(),
-            Data: {
-              DeploymentStatus: 'SUCCESS',
-              Timestamp: new Date().toISOString(),
-              DistributionPrefix: event.ResourceProperties.DistributionPrefix,
-              BucketName: event.ResourceProperties.BucketName,
-              DistributionId: event.ResourceProperties.DistributionId,
-            }
-          };
-          
-          return response;
-        };
-      `),
-      description: 'Custom resource for React deployment status tracking',
-      timeout: cdk.Duration.minutes(5),
-      logRetention: logs.RetentionDays.ONE_WEEK,
-    });
-
-    // Grant the Lambda function permissions to write to the log group
-    this.logGroup.grantWrite(statusLambda);
-
-    return new cdk.custom_resources.Provider(this, 'DeploymentStatusProvider', {
-      onEventHandler: statusLambda,
-      logRetention: logs.RetentionDays.ONE_WEEK,
-    });
-  }
 } 
\ No newline at end of file
@@ -0,0 +1,120 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import { Construct } from 'constructs';
+import { API_AUTHORIZATION_HEADER } from './api-behaviors';
+
+// Response headers policies for the SPA (default S3 behavior) and the API (`/api/*` behavior).
+// Stage A owns the SPA policy and later stages reuse it; Stage E owns the API policy because
+// only it knows the site domains (Stage B) allowed as CORS origins.
+
+// Additional sources per CSP directive, on top of 'self'. The SPA bundles (hello-world-html and
+// the Vite build of hello-world-react) load every script, style, image and font from the
+// distribution itself and call the API on the same origin, so nothing is needed by default.
+export interface ContentSecurityPolicySources {
+  readonly scriptSrc?: string[];
+  readonly styleSrc?: string[];
+  readonly imgSrc?: string[];
+  readonly fontSrc?: string[];
+  readonly connectSrc?: string[];
+}
+
+export interface SpaResponseHeadersPolicyProps {
+  readonly responseHeadersPolicyName: string;
+  readonly hstsMaxAge: cdk.Duration;
+  readonly contentSecurityPolicy?: ContentSecurityPolicySources;
+}
+
+export interface ApiResponseHeadersPolicyProps {
+  readonly responseHeadersPolicyName: string;
+  readonly hstsMaxAge: cdk.Duration;
+  readonly allowedOrigins: string[]; // Full origins, e.g. https://example.com
+}
+
+// Browser features the boilerplate never uses
+export const PERMISSIONS_POLICY = 'camera=(), microphone=(), geolocation=(), payment=(), usb=()';
+
+// API responses are JSON and never render or embed anything
+export const API_CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+// Headers the SPA may send cross-origin to `/api/*`. POST and PUT bodies going through the
+// Lambda origin access control must carry their SHA-256 hash in x-amz-content-sha256, and
+// credentials go in API_AUTHORIZATION_HEADER because the access control signs with Authorization.
+export const API_ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'x-amz-content-sha256', 'If-Match', API_AUTHORIZATION_HEADER];
+
+const sources = (extra: string[] = [], ...defaults: string[]) => [...new Set([...defaults, ...extra])].join(' ');
+
+export const buildContentSecurityPolicy = (extra: ContentSecurityPolicySources = {}): string =>
+  [
+    `default-src 'self'`,
+    `script-src ${sources(extra.scriptSrc, "'self'")}`,
+    `style-src ${sources(extra.styleSrc, "'self'")}`,
+    `img-src ${sources(extra.imgSrc, "'self'", 'data:')}`,
+    `font-src ${sources(extra.fontSrc, "'self'")}`,
+    `connect-src ${sources(extra.connectSrc, "'self'")}`,
+    `object-src 'none'`,
+    `base-uri 'self'`,
+    `form-action 'self'`,
+    `frame-ancestors 'none'`,
+  ].join('; ');
+
+const securityHeaders = (hstsMaxAge: cdk.Duration, contentSecurityPolicy: string): cloudfront.ResponseSecurityHeadersBehavior => ({
+  strictTransportSecurity: {
+    accessControlMaxAge: hstsMaxAge,
+    includeSubdomains: true,
+    override: true,
+  },
+  contentSecurityPolicy: {
+    contentSecurityPolicy,
+    override: true,
+  },
+  contentTypeOptions: { override: true },
+  frameOptions: {
+    frameOption: cloudfront.HeadersFrameOption.DENY,
+    override: true,
+  },
+  referrerPolicy: {
+    referrerPolicy: cloudfront.HeadersReferrerPolicy.STRICT_ORIGIN_WHEN_CROSS_ORIGIN,
+    override: true,
+  },
+});
+
+const permissionsPolicy: cloudfront.ResponseCustomHeadersBehavior = {
+  customHeaders: [{ header: 'Permissions-Policy', value: PERMISSIONS_POLICY, override: true }],
+};
+
+export const createSpaResponseHeadersPolicy = (
+  scope: Construct,
+  id: string,
+  props: SpaResponseHeadersPolicyProps
+): cloudfront.ResponseHeadersPolicy =>
+  new cloudfront.ResponseHeadersPolicy(scope, id, {
+    responseHeadersPolicyName: props.responseHeadersPolicyName,
+    comment: 'Security headers for the SPA',
+    securityHeadersBehavior: securityHeaders(props.hstsMaxAge, buildContentSecurityPolicy(props.contentSecurityPolicy)),
+    customHeadersBehavior: permissionsPolicy,
+  });
+
+export const createApiResponseHeadersPolicy = (
+  scope: Construct,
+  id: string,
+  props: ApiResponseHeadersPolicyProps
+): cloudfront.ResponseHeadersPolicy => {
+  if (props.allowedOrigins.length === 0) {
+    throw new Error('The API response headers policy needs at least one allowed CORS origin');
+  }
+
+  return new cloudfront.ResponseHeadersPolicy(scope, id, {
+    responseHeadersPolicyName: props.responseHeadersPolicyName,
+    comment: 'Security headers and CORS for /api/*',
+    securityHeadersBehavior: securityHeaders(props.hstsMaxAge, API_CONTENT_SECURITY_POLICY),
+    customHeadersBehavior: permissionsPolicy,
+    corsBehavior: {
+      accessControlAllowCredentials: false,
+      accessControlAllowHeaders: API_ALLOWED_HEADERS,
+      accessControlAllowMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'POST', 'PATCH', 'DELETE'],
+      accessControlAllowOrigins: props.allowedOrigins,
+      accessControlMaxAge: cdk.Duration.minutes(5),
+      originOverride: true, // Replaces whatever CORS headers the Function URL returns
+    },
+  });
+};
@@ -0,0 +1,160 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as cloudwatchActions from 'aws-cdk-lib/aws-cloudwatch-actions';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as sns from 'aws-cdk-lib/aws-sns';
+import * as subscriptions from 'aws-cdk-lib/aws-sns-subscriptions';
+import * as synthetics from 'aws-cdk-lib/aws-synthetics';
+import { Construct } from 'constructs';
+import { suppressCompliance } from './compliance';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import { CloudFrontReference, SslReference, resolveCloudFront, resolveSsl } from './stage-references';
+
+// Canary names are limited to 21 lowercase characters
+export const canaryNameFor = (distributionPrefix: string) =>
+  `${distributionPrefix.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').slice(0, 16).replace(/-+$/, '')}-site`;
+
+export const siteMonitoringStackName = (distributionPrefix: string) => `${distributionPrefix}-site-monitoring`;
+
+export interface SiteMonitoringStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  cloudFront: CloudFrontReference;
+  ssl: SslReference;
+  checkApi?: boolean; // Also call /api/ from the page (Stage E)
+  alarmTopicArn?: string; // Existing SNS topic for the alarms; a topic is created when omitted
+  alarmEmail?: string; // Subscribed to the created topic
+  schedule?: cdk.Duration; // Between canary runs, defaults to 5 minutes
+  config?: EnvironmentConfig; // Defaults to the dev preset
+}
+
+// End-to-end monitoring of the site: a synthetic canary that loads the SPA through the Stage B
+// domain and the Stage A distribution, plus alarms on canary failures, the CloudFront 5xx rate
+// and certificate expiry, all notifying one SNS topic. CloudFront and ACM publish these metrics
+// in us-east-1 only, so the stack must be deployed there.
+export class SiteMonitoringStack extends cdk.Stack {
+  public readonly alarmTopic: sns.ITopic;
+  public readonly canary: synthetics.Canary;
+  public readonly alarms: cloudwatch.Alarm[];
+
+  constructor(scope: Construct, id: string, props: SiteMonitoringStackProps) {
+    super(scope, id, props);
+
+    const { distributionPrefix } = props;
+    const config = props.config || getEnvironmentConfig();
+    const { distribution } = resolveCloudFront(this, props.cloudFront);
+    const { certificate, primaryDomain } = resolveSsl(this, props.ssl);
+
+    if (!cdk.Token.isUnresolved(this.region) && this.region !== 'us-east-1') {
+      throw new Error(`SiteMonitoringStack must be deployed to us-east-1, where CloudFront and ACM publish metrics (got ${this.region})`);
+    }
+
+    this.alarmTopic = props.alarmTopicArn
+      ? sns.Topic.fromTopicArn(this, 'AlarmTopic', props.alarmTopicArn)
+      : new sns.Topic(this, 'AlarmTopic', {
+        topicName: `${distributionPrefix}-site-alarms`,
+        displayName: `${distributionPrefix} site alarms`,
+      });
+
+    if (props.alarmEmail) {
+      this.alarmTopic.addSubscription(new subscriptions.EmailSubscription(props.alarmEmail));
+    }
+
+    // Screenshots, HAR files and logs of each run
+    const artifactsBucket = new s3.Bucket(this, 'CanaryArtifacts', {
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      lifecycleRules: [{ expiration: cdk.Duration.days(30) }],
+      removalPolicy: config.removalPolicy,
+      autoDeleteObjects: config.autoDeleteObjects && config.removalPolicy === cdk.RemovalPolicy.DESTROY,
+    });
+    suppressCompliance(artifactsBucket, 'S3-ACCESS-LOGS', 'Only the canary writes here, and its runs are recorded in CloudWatch');
+
+    this.canary = new synthetics.Canary(this, 'SiteCanary', {
+      canaryName: canaryNameFor(distributionPrefix),
+      runtime: synthetics.Runtime.SYNTHETICS_NODEJS_PUPPETEER_9_1,
+      test: synthetics.Test.custom({
+        code: synthetics.Code.fromInline(fs.readFileSync(path.join(__dirname, '../canaries/site-check/index.js'), 'utf8')),
+        handler: 'index.handler',
+      }),
+      schedule: synthetics.Schedule.rate(props.schedule ?? cdk.Duration.minutes(5)),
+      environmentVariables: {
+        SITE_URL: `https://${primaryDomain}`,
+        CHECK_API: String(props.checkApi ?? false),
+      },
+      timeout: cdk.Duration.minutes(1),
+      artifactsBucketLocation: { bucket: artifactsBucket },
+      provisionedResourceCleanup: true,
+    });
+
+    // Region "Global" is how CloudFront publishes distribution metrics
+    const cloudFront5xxRate = new cloudwatch.Metric({
+      namespace: 'AWS/CloudFront',
+      metricName: '5xxErrorRate',
+      dimensionsMap: { DistributionId: distribution.distributionId, Region: 'Global' },
+      statistic: 'Average',
+      period: cdk.Duration.minutes(5),
+    });
+
+    const daysToExpiry = new cloudwatch.Metric({
+      namespace: 'AWS/CertificateManager',
+      metricName: 'DaysToExpiry',
+      dimensionsMap: { CertificateArn: certificate.certificateArn },
+      statistic: 'Minimum',
+      period: cdk.Duration.days(1),
+    });
+
+    this.alarms = [
+      // Two failed runs in a row; a canary that stops running is also a failure
+      new cloudwatch.Alarm(this, 'CanaryFailedAlarm', {
+        alarmName: `${distributionPrefix}-site-canary-failed`,
+        alarmDescription: `The synthetic check of https://${primaryDomain} failed`,
+        metric: this.canary.metricSuccessPercent({ period: cdk.Duration.minutes(5), statistic: 'Average' }),
+        threshold: 100,
+        comparisonOperator: cloudwatch.ComparisonOperator.LESS_THAN_THRESHOLD,
+        evaluationPeriods: 2,
+        treatMissingData: cloudwatch.TreatMissingData.BREACHING,
+      }),
+      new cloudwatch.Alarm(this, 'CloudFront5xxRateAlarm', {
+        alarmName: `${distributionPrefix}-site-cloudfront-5xx-rate`,
+        alarmDescription: 'More than 5% of CloudFront responses were 5xx errors',
+        metric: cloudFront5xxRate,
+        threshold: 5,
+        comparisonOperator: cloudwatch.ComparisonOperator.GREATER_THAN_THRESHOLD,
+        evaluationPeriods: 3,
+        treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+      }),
+      new cloudwatch.Alarm(this, 'CertificateExpiryAlarm', {
+        alarmName: `${distributionPrefix}-site-certificate-expiry`,
+        alarmDescription: `The certificate for ${primaryDomain} expires within 30 days (ACM renewal may have failed)`,
+        metric: daysToExpiry,
+        threshold: 30,
+        comparisonOperator: cloudwatch.ComparisonOperator.LESS_THAN_THRESHOLD,
+        evaluationPeriods: 1,
+        treatMissingData: cloudwatch.TreatMissingData.MISSING,
+      }),
+    ];
+
+    const alarmAction = new cloudwatchActions.SnsAction(this.alarmTopic);
+    for (const alarm of this.alarms) {
+      alarm.addAlarmAction(alarmAction);
+      alarm.addOkAction(alarmAction);
+    }
+
+    new cdk.CfnOutput(this, 'AlarmTopicArn', {
+      value: this.alarmTopic.topicArn,
+      description: 'SNS topic receiving the site alarms',
+      exportName: `${distributionPrefix}-site-alarm-topic-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'CanaryName', {
+      value: this.canary.canaryName,
+      description: 'Synthetic canary checking the site',
+    });
+
+    cdk.Tags.of(this).add('Component', 'Site-Monitoring');
+    cdk.Tags.of(this).add('DistributionPrefix', distributionPrefix);
+  }
+}
@@ -0,0 +1,189 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as wafv2 from 'aws-cdk-lib/aws-wafv2';
+import { Construct } from 'constructs';
+
+// AWS managed rule groups evaluated for every request, in this order
+export const MANAGED_RULE_GROUPS = [
+  'AWSManagedRulesAmazonIpReputationList',
+  'AWSManagedRulesCommonRuleSet',
+  'AWSManagedRulesKnownBadInputsRuleSet',
+];
+
+// Matches `/api` and `/api/...`, the paths routed to the Lambda origin (iac/lib/api-behaviors.ts)
+const API_PATH_PREFIX = '/api';
+
+// Rate-based rules count requests over this window
+const RATE_LIMIT_WINDOW_SECONDS = 300;
+
+const IPV4_CIDR = /^(\d{1,3}\.){3}\d{1,3}(\/\d{1,2})?$/;
+const IPV6_CIDR = /^[0-9a-f:]+(\/\d{1,3})?$/i;
+
+// Splits addresses into IPv4 and IPv6 CIDRs, as WAF IP sets hold one version each; bare
+// addresses become single-host ranges
+export const toIpSetAddresses = (addresses: string[] = []) => {
+  const ipv4: string[] = [];
+  const ipv6: string[] = [];
+
+  for (const address of addresses.map((value) => value.trim()).filter(Boolean)) {
+    if (IPV4_CIDR.test(address)) {
+      ipv4.push(address.includes('/') ? address : `${address}/32`);
+    } else if (address.includes(':') && IPV6_CIDR.test(address)) {
+      ipv6.push(address.includes('/') ? address : `${address}/128`);
+    } else {
+      throw new Error(`Invalid IP address ${address}. Please use an IPv4 or IPv6 address or CIDR range, e.g. 203.0.113.0/24`);
+    }
+  }
+
+  return { ipv4, ipv6 };
+};
+
+export interface SiteWebAclProps {
+  webAclName: string;
+  apiRateLimit: number; // Requests per IP per 5 minutes to /api and /api/*
+  siteRateLimit: number; // Requests per IP per 5 minutes to every other path
+  countOnly?: boolean; // Managed and rate-based rules count instead of blocking
+  allowedIps?: string[]; // Always allowed, skipping the managed and rate-based rules
+  blockedIps?: string[]; // Always blocked, also in count-only mode
+}
+
+// WAF web ACL for a CloudFront distribution (CLOUDFRONT scope, so its stack must be in us-east-1).
+// Rules, in evaluation order: the IP block list, the IP allow list, the AWS managed rule groups,
+// then per-IP rate limits that are tighter on the API than on static paths. Every rule publishes
+// allowed, blocked and counted request metrics to CloudWatch (AWS/WAFV2).
+export class SiteWebAcl extends Construct {
+  public readonly webAcl: wafv2.CfnWebACL;
+  public readonly webAclName: string;
+  public readonly ruleMetricNames: string[];
+
+  constructor(scope: Construct, id: string, props: SiteWebAclProps) {
+    super(scope, id);
+
+    const { webAclName, countOnly = false } = props;
+    this.webAclName = webAclName;
+
+    for (const [name, limit] of [['apiRateLimit', props.apiRateLimit], ['siteRateLimit', props.siteRateLimit]] as const) {
+      if (!Number.isInteger(limit) || limit < 10 || limit > 2000000000) {
+        throw new Error(`Invalid WAF ${name} ${limit}. Please use a whole number of requests between 10 and 2,000,000,000`);
+      }
+    }
+
+    const visibilityConfig = (ruleName: string): wafv2.CfnWebACL.VisibilityConfigProperty => ({
+      metricName: `${webAclName}-${ruleName}`,
+      cloudWatchMetricsEnabled: true,
+      sampledRequestsEnabled: true,
+    });
+
+    // The action of a rule that counts while tuning
+    const enforce = (action: wafv2.CfnWebACL.RuleActionProperty): wafv2.CfnWebACL.RuleActionProperty =>
+      (countOnly ? { count: {} } : action);
+
+    const rateLimitResponse = { block: { customResponse: { responseCode: 429 } } };
+
+    const apiPathMatch: wafv2.CfnWebACL.StatementProperty = {
+      byteMatchStatement: {
+        fieldToMatch: { uriPath: {} },
+        positionalConstraint: 'STARTS_WITH',
+        searchString: API_PATH_PREFIX,
+        textTransformations: [{ priority: 0, type: 'NONE' }],
+      },
+    };
+
+    // One statement per address family; a list mixing both becomes an OR of two IP sets
+    const ipSetStatement = (listName: string, addresses: string[] = []): wafv2.CfnWebACL.StatementProperty | undefined => {
+      const { ipv4, ipv6 } = toIpSetAddresses(addresses);
+      const statements = ([['IPV4', ipv4], ['IPV6', ipv6]] as const)
+        .filter(([, cidrs]) => cidrs.length > 0)
+        .map(([version, cidrs]) => ({
+          ipSetReferenceStatement: {
+            arn: new wafv2.CfnIPSet(this, `${listName}${version === 'IPV4' ? 'V4' : 'V6'}`, {
+              name: `${webAclName}-${listName.toLowerCase()}-${version.toLowerCase()}`,
+              scope: 'CLOUDFRONT',
+              ipAddressVersion: version,
+              addresses: [...cidrs],
+            }).attrArn,
+          },
+        }));
+
+      if (statements.length === 0) {
+        return undefined;
+      }
+      return statements.length === 1 ? statements[0] : { orStatement: { statements } };
+    };
+
+    const rules: Omit<wafv2.CfnWebACL.RuleProperty, 'priority' | 'visibilityConfig'>[] = [];
+
+    const blockedIps = ipSetStatement('BlockedIps', props.blockedIps);
+    if (blockedIps) {
+      rules.push({ name: 'BlockedIps', statement: blockedIps, action: { block: {} } });
+    }
+
+    const allowedIps = ipSetStatement('AllowedIps', props.allowedIps);
+    if (allowedIps) {
+      rules.push({ name: 'AllowedIps', statement: allowedIps, action: { allow: {} } });
+    }
+
+    for (const ruleGroup of MANAGED_RULE_GROUPS) {
+      rules.push({
+        name: ruleGroup,
+        statement: { managedRuleGroupStatement: { vendorName: 'AWS', name: ruleGroup } },
+        overrideAction: countOnly ? { count: {} } : { none: {} },
+      });
+    }
+
+    rules.push({
+      name: 'ApiRateLimit',
+      statement: {
+        rateBasedStatement: {
+          limit: props.apiRateLimit,
+          evaluationWindowSec: RATE_LIMIT_WINDOW_SECONDS,
+          aggregateKeyType: 'IP',
+          scopeDownStatement: apiPathMatch,
+        },
+      },
+      action: enforce(rateLimitResponse),
+    });
+
+    rules.push({
+      name: 'SiteRateLimit',
+      statement: {
+        rateBasedStatement: {
+          limit: props.siteRateLimit,
+          evaluationWindowSec: RATE_LIMIT_WINDOW_SECONDS,
+          aggregateKeyType: 'IP',
+          scopeDownStatement: { notStatement: { statement: apiPathMatch } },
+        },
+      },
+      action: enforce(rateLimitResponse),
+    });
+
+    this.ruleMetricNames = rules.map(({ name }) => `${webAclName}-${name}`);
+
+    this.webAcl = new wafv2.CfnWebACL(this, 'WebAcl', {
+      name: webAclName,
+      description: `${webAclName}: managed rules and per-IP rate limits${countOnly ? ' (count only)' : ''}`,
+      scope: 'CLOUDFRONT',
+      defaultAction: { allow: {} },
+      visibilityConfig: visibilityConfig('all'),
+      rules: rules.map((rule, priority) => ({
+        ...rule,
+        priority,
+        visibilityConfig: visibilityConfig(rule.name),
+      })),
+    });
+  }
+
+  // CloudFront web ACL metrics carry no Region dimension. `Rule` is a rule's metric name, or
+  // ALL for the whole web ACL.
+  public metric(metricName: 'AllowedRequests' | 'BlockedRequests' | 'CountedRequests', rule = 'ALL', props: cloudwatch.MetricOptions = {}) {
+    return new cloudwatch.Metric({
+      namespace: 'AWS/WAFV2',
+      metricName,
+      dimensionsMap: { WebACL: this.webAclName, Rule: rule },
+      statistic: 'Sum',
+      period: cdk.Duration.minutes(5),
+      region: 'us-east-1',
+      ...props,
+    });
+  }
+}
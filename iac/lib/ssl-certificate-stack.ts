@@ -0,0 +1,165 @@
+import * as cdk from 'aws-cdk-lib';
+import * as acm from 'aws-cdk-lib/aws-certificatemanager';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import { Construct } from 'constructs';
+import {
+  CrossAccountAliasRecords,
+  CrossAccountDnsValidatedCertificate,
+  HostedZoneMapping,
+  crossAccountDnsRoleArn,
+} from './cross-account-dns';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import { previewDomainFor } from './preview-stack';
+import { CloudFrontReference, SslOutputs, resolveCloudFront } from './stage-references';
+
+export interface SslCertificateStackProps extends cdk.StackProps {
+  domains: string[];
+  cloudFront: CloudFrontReference;
+  infraAccountId: string;
+  targetAccountId: string;
+  hostedZones: HostedZoneMapping[]; // Infrastructure account zones for the domains
+  dnsRoleArn?: string; // Defaults to the role created by CrossAccountDnsRoleStack
+  existingCertificateArn?: string; // Reuse a certificate that already covers the same domain set
+  previews?: boolean; // Also cover *.preview.<primary domain> for branch previews (iac/lib/preview-stack.ts)
+  config?: EnvironmentConfig; // Defaults to the dev preset
+}
+
+export class SslCertificateStack extends cdk.Stack implements SslOutputs {
+  public readonly certificate: acm.ICertificate;
+  public readonly distribution: cloudfront.IDistribution;
+  public readonly primaryDomain: string;
+  public readonly domains: string[];
+  public readonly previewDomain?: string;
+
+  constructor(scope: Construct, id: string, props: SslCertificateStackProps) {
+    super(scope, id, props);
+
+    const { domains, hostedZones, infraAccountId, targetAccountId, existingCertificateArn } = props;
+    const config = props.config || getEnvironmentConfig();
+
+    // Validate required props
+    if (!domains || domains.length === 0) {
+      throw new Error('Missing required prop: domains');
+    }
+
+    if (!infraAccountId || !targetAccountId) {
+      throw new Error('Missing required props: infraAccountId or targetAccountId');
+    }
+
+    if (!hostedZones || hostedZones.length === 0) {
+      throw new Error('Missing required prop: hostedZones');
+    }
+
+    const dnsRoleArn = props.dnsRoleArn || crossAccountDnsRoleArn(infraAccountId, targetAccountId);
+
+    // Sort domains alphabetically for consistent certificate creation
+    const sortedDomains = [...domains].sort();
+    this.domains = sortedDomains;
+    this.primaryDomain = sortedDomains[0];
+    this.previewDomain = props.previews ? previewDomainFor(this.primaryDomain) : undefined;
+
+    // Names on the certificate and the distribution; the primary domain stays first
+    const certificateDomains = this.previewDomain ? [...sortedDomains, this.previewDomain] : sortedDomains;
+
+    if (existingCertificateArn) {
+      // Reuse existing certificate
+      this.certificate = acm.Certificate.fromCertificateArn(this, 'ExistingCertificate', existingCertificateArn);
+      
+      new cdk.CfnOutput(this, 'CertificateArnOutput', {
+        value: this.certificate.certificateArn,
+        description: 'SSL Certificate ARN (reused existing)',
+        exportName: 'StageBSslCertificateArn',
+      });
+    } else {
+      // Create new SSL certificate with DNS validation
+      // Per architecture: Certificate created in environment-specific account (us-east-1),
+      // validation records written to the infrastructure account's hosted zones
+      this.certificate = new CrossAccountDnsValidatedCertificate(this, 'SslCertificate', {
+        domains: certificateDomains, // Primary domain first
+        hostedZones,
+        dnsRoleArn,
+        certificateName: `stage-b-ssl-${sortedDomains.join('-').replace(/\./g, '-')}${this.previewDomain ? '-previews' : ''}`,
+        removalPolicy: config.removalPolicy,
+      }).certificate;
+
+      new cdk.CfnOutput(this, 'CertificateArnOutput', {
+        value: this.certificate.certificateArn,
+        description: 'SSL Certificate ARN (newly created)',
+        exportName: 'StageBSslCertificateArn',
+      });
+
+    }
+
+    // CloudFront distribution from Stage A
+    this.distribution = resolveCloudFront(this, props.cloudFront).distribution;
+
+    // Apex and www (every certificate domain) resolve to the distribution
+    new CrossAccountAliasRecords(this, 'AliasRecords', {
+      domains: certificateDomains,
+      hostedZones,
+      dnsRoleArn,
+      distribution: this.distribution,
+    });
+
+    // Output the distribution information
+    new cdk.CfnOutput(this, 'DistributionIdOutput', {
+      value: this.distribution.distributionId,
+      description: 'CloudFront Distribution ID',
+      exportName: 'StageBDistributionId',
+    });
+
+    new cdk.CfnOutput(this, 'DistributionDomainNameOutput', {
+      value: this.distribution.distributionDomainName,
+      description: 'CloudFront Distribution Domain Name',
+      exportName: 'StageBDistributionDomainName',
+    });
+
+    // Output domain information
+    new cdk.CfnOutput(this, 'DomainsOutput', {
+      value: sortedDomains.join(','),
+      description: 'SSL Certificate Domains',
+      exportName: 'StageBSslDomains',
+    });
+
+    if (this.previewDomain) {
+      new cdk.CfnOutput(this, 'PreviewDomainOutput', {
+        value: this.previewDomain,
+        description: 'Wildcard domain serving branch previews',
+        exportName: 'StageBPreviewDomain',
+      });
+    }
+
+    // Output account information for cross-account operations
+    new cdk.CfnOutput(this, 'InfraAccountIdOutput', {
+      value: infraAccountId,
+      description: 'Infrastructure Account ID (for Route53 DNS validation)',
+      exportName: 'StageBInfraAccountId',
+    });
+
+    new cdk.CfnOutput(this, 'TargetAccountIdOutput', {
+      value: targetAccountId,
+      description: 'Target Account ID (where certificate is created)',
+      exportName: 'StageBTargetAccountId',
+    });
+
+    new cdk.CfnOutput(this, 'DnsRoleArnOutput', {
+      value: dnsRoleArn,
+      description: 'Infrastructure account role used to manage DNS validation and alias records',
+      exportName: 'StageBDnsRoleArn',
+    });
+
+    // Output validation status
+    new cdk.CfnOutput(this, 'ValidationMethodOutput', {
+      value: 'DNS',
+      description: 'Certificate Validation Method',
+      exportName: 'StageBValidationMethod',
+    });
+
+    // Tags for resource identification
+    cdk.Tags.of(this).add('Stage', 'B-SSL');
+    cdk.Tags.of(this).add('Component', 'SSL-Certificate');
+    cdk.Tags.of(this).add('Environment', targetAccountId);
+    cdk.Tags.of(this).add('InfrastructureAccount', infraAccountId);
+    cdk.Tags.of(this).add('DomainCount', sortedDomains.length.toString());
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,135 @@
+import * as acm from 'aws-cdk-lib/aws-certificatemanager';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import { Construct } from 'constructs';
+
+// Typed hand-off between stages.
+//
+// When stages are synthesized together the producing stack itself is passed to the
+// consumer (CloudFrontStack satisfies CloudFrontOutputs, and so on). When a stage is
+// deployed on its own, the consumer receives the plain attributes recorded by the
+// earlier stage's scripts instead, and the resolve* helpers rebuild the same typed
+// shape from them inside the consuming stack.
+
+// Stage A - CloudFront distribution and content bucket
+export interface CloudFrontOutputs {
+  readonly bucket: s3.IBucket;
+  readonly distribution: cloudfront.IDistribution;
+  readonly originAccessControl?: cloudfront.IOriginAccessControl;
+  readonly cachePolicy?: cloudfront.ICachePolicy;
+  readonly responseHeadersPolicy?: cloudfront.IResponseHeadersPolicy;
+  readonly viewerRequestFunction?: cloudfront.IFunction;
+}
+
+export interface CloudFrontAttributes {
+  readonly bucketName: string;
+  readonly distributionId: string;
+  readonly distributionDomainName?: string; // Defaults to `${distributionId}.cloudfront.net`
+  readonly bucketRegionalDomainName?: string;
+  readonly originAccessControlId?: string;
+  readonly cachePolicyId?: string;
+  readonly responseHeadersPolicyId?: string;
+  readonly viewerRequestFunctionArn?: string;
+}
+
+export type CloudFrontReference = CloudFrontOutputs | CloudFrontAttributes;
+
+// Stage B - SSL certificate and the domains it covers
+export interface SslOutputs {
+  readonly certificate: acm.ICertificate;
+  readonly primaryDomain: string;
+  readonly domains: string[];
+  readonly previewDomain?: string; // Wildcard for branch previews, e.g. *.preview.example.com
+}
+
+export interface SslAttributes {
+  readonly certificateArn: string;
+  readonly primaryDomain: string;
+  readonly domains?: string[]; // Defaults to [primaryDomain]
+  readonly previewDomain?: string;
+}
+
+export type SslReference = SslOutputs | SslAttributes;
+
+// Stage C - API Lambda function and its Function URL
+export interface LambdaOutputs {
+  readonly lambdaFunction: lambda.IFunction;
+  readonly liveAlias?: lambda.IFunction; // Owns the Function URL when Stage C serves releases
+  readonly functionUrl: Pick<lambda.IFunctionUrl, 'url'>;
+}
+
+export interface LambdaAttributes {
+  readonly functionArn: string; // The live alias ARN when Stage C serves releases, since it owns the Function URL
+  readonly functionUrl: string;
+}
+
+export type LambdaReference = LambdaOutputs | LambdaAttributes;
+
+export const resolveCloudFront = (scope: Construct, reference: CloudFrontReference): CloudFrontOutputs => {
+  if ('distribution' in reference) {
+    return reference;
+  }
+
+  const {
+    bucketName,
+    distributionId,
+    distributionDomainName,
+    bucketRegionalDomainName,
+    originAccessControlId,
+    cachePolicyId,
+    responseHeadersPolicyId,
+    viewerRequestFunctionArn,
+  } = reference;
+
+  return {
+    bucket: s3.Bucket.fromBucketAttributes(scope, 'ImportedS3Bucket', {
+      bucketName,
+      bucketRegionalDomainName,
+    }),
+    distribution: cloudfront.Distribution.fromDistributionAttributes(scope, 'ImportedCloudFrontDistribution', {
+      distributionId,
+      domainName: distributionDomainName || `${distributionId}.cloudfront.net`,
+    }),
+    originAccessControl: originAccessControlId
+      ? cloudfront.S3OriginAccessControl.fromOriginAccessControlId(scope, 'ImportedOriginAccessControl', originAccessControlId)
+      : undefined,
+    cachePolicy: cachePolicyId
+      ? cloudfront.CachePolicy.fromCachePolicyId(scope, 'ImportedCachePolicy', cachePolicyId)
+      : undefined,
+    responseHeadersPolicy: responseHeadersPolicyId
+      ? cloudfront.ResponseHeadersPolicy.fromResponseHeadersPolicyId(scope, 'ImportedResponseHeadersPolicy', responseHeadersPolicyId)
+      : undefined,
+    viewerRequestFunction: viewerRequestFunctionArn
+      ? cloudfront.Function.fromFunctionAttributes(scope, 'ImportedViewerRequestFunction', {
+          functionArn: viewerRequestFunctionArn,
+          functionName: viewerRequestFunctionArn.split('/').pop() as string,
+          functionRuntime: cloudfront.FunctionRuntime.JS_2_0.value,
+        })
+      : undefined,
+  };
+};
+
+export const resolveSsl = (scope: Construct, reference: SslReference): SslOutputs => {
+  if ('certificate' in reference) {
+    return reference;
+  }
+
+  return {
+    certificate: acm.Certificate.fromCertificateArn(scope, 'ImportedCertificate', reference.certificateArn),
+    primaryDomain: reference.primaryDomain,
+    domains: reference.domains || [reference.primaryDomain],
+    previewDomain: reference.previewDomain,
+  };
+};
+
+export const resolveLambda = (scope: Construct, reference: LambdaReference): LambdaOutputs => {
+  if ('lambdaFunction' in reference) {
+    return reference;
+  }
+
+  return {
+    lambdaFunction: lambda.Function.fromFunctionArn(scope, 'ImportedLambdaFunction', reference.functionArn),
+    functionUrl: { url: reference.functionUrl },
+  };
+};
@@ -0,0 +1,99 @@
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import { Construct } from 'constructs';
+import { EnvironmentConfig, getEnvironmentConfig } from './environment-config';
+import { SiteWebAcl } from './site-web-acl';
+
+export const webAclStackName = (distributionPrefix: string) => `${distributionPrefix}-web-acl`;
+
+export interface WebAclStackProps extends cdk.StackProps {
+  distributionPrefix: string;
+  allowedIps?: string[]; // IPv4/IPv6 addresses or CIDR ranges that skip the other rules
+  blockedIps?: string[]; // IPv4/IPv6 addresses or CIDR ranges that are always blocked
+  countOnly?: boolean; // Defaults to the environment's `waf.countOnly` setting
+  config?: EnvironmentConfig; // Defaults to the dev preset
+}
+
+// Web application firewall for the site's distribution. The web ACL is attached by Stage A or E
+// through their `webAclArn` context value. CloudFront web ACLs and their metrics live in
+// us-east-1 only, so the stack must be deployed there.
+export class WebAclStack extends cdk.Stack {
+  public readonly siteWebAcl: SiteWebAcl;
+  public readonly webAclArn: string;
+  public readonly dashboard: cloudwatch.Dashboard;
+
+  constructor(scope: Construct, id: string, props: WebAclStackProps) {
+    super(scope, id, props);
+
+    const { distributionPrefix } = props;
+    const config = props.config || getEnvironmentConfig();
+    const countOnly = props.countOnly ?? config.waf.countOnly;
+
+    if (!cdk.Token.isUnresolved(this.region) && this.region !== 'us-east-1') {
+      throw new Error(`WebAclStack must be deployed to us-east-1, where CloudFront web ACLs are created (got ${this.region})`);
+    }
+
+    this.siteWebAcl = new SiteWebAcl(this, 'SiteWebAcl', {
+      webAclName: `${distributionPrefix}-site`,
+      apiRateLimit: config.waf.apiRateLimit,
+      siteRateLimit: config.waf.siteRateLimit,
+      countOnly,
+      allowedIps: props.allowedIps,
+      blockedIps: props.blockedIps,
+    });
+    this.webAclArn = this.siteWebAcl.webAcl.attrArn;
+
+    const perRule = (metricName: 'BlockedRequests' | 'CountedRequests') => this.siteWebAcl.ruleMetricNames.map((rule) =>
+      this.siteWebAcl.metric(metricName, rule, { label: rule.slice(this.siteWebAcl.webAclName.length + 1) }));
+
+    this.dashboard = new cloudwatch.Dashboard(this, 'Dashboard', {
+      dashboardName: `${distributionPrefix}-waf`,
+      defaultInterval: cdk.Duration.hours(3),
+      widgets: [
+        [
+          new cloudwatch.GraphWidget({
+            title: 'Requests',
+            left: [
+              this.siteWebAcl.metric('AllowedRequests', 'ALL', { label: 'Allowed' }),
+              this.siteWebAcl.metric('BlockedRequests', 'ALL', { label: 'Blocked' }),
+              this.siteWebAcl.metric('CountedRequests', 'ALL', { label: 'Counted' }),
+            ],
+            width: 24,
+          }),
+        ],
+        [
+          new cloudwatch.GraphWidget({
+            title: 'Blocked requests by rule',
+            left: perRule('BlockedRequests'),
+            width: 12,
+          }),
+          // What count-only mode would have blocked
+          new cloudwatch.GraphWidget({
+            title: 'Counted requests by rule',
+            left: perRule('CountedRequests'),
+            width: 12,
+          }),
+        ],
+      ],
+    });
+
+    new cdk.CfnOutput(this, 'WebAclArn', {
+      value: this.webAclArn,
+      description: 'WAF web ACL for the CloudFront distribution (Stage A/E webAclArn)',
+      exportName: `${distributionPrefix}-web-acl-arn`,
+    });
+
+    new cdk.CfnOutput(this, 'WebAclMode', {
+      value: countOnly ? 'count' : 'block',
+      description: 'Whether the managed and rate-based rules block or only count matching requests',
+    });
+
+    new cdk.CfnOutput(this, 'DashboardName', {
+      value: this.dashboard.dashboardName,
+      description: 'CloudWatch dashboard of allowed, blocked and counted requests',
+    });
+
+    cdk.Tags.of(this).add('Component', 'Web-ACL');
+    cdk.Tags.of(this).add('DistributionPrefix', distributionPrefix);
+  }
+}
@@ -0,0 +1,610 @@
+// Unit tests for the Stage C API handler in apps/hello-world-lambda
+import * as crypto from 'crypto';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+
+const { handler } = require('../../apps/hello-world-lambda/index');
+const { normalizePath } = require('../../apps/hello-world-lambda/router');
+const { createLogger } = require('../../apps/hello-world-lambda/logger');
+const { verifyAccessToken } = require('../../apps/hello-world-lambda/auth');
+const { createItemStore, itemStore } = require('../../apps/hello-world-lambda/items');
+const { createDynamoDbClient } = require('../../apps/hello-world-lambda/dynamodb');
+const { createDynamoDbStandIn } = require('../../apps/hello-world-lambda/local/dynamodb-stand-in');
+
+const functionUrlEvent = (method: string, rawPath: string, extra: Record<string, any> = {}) => ({
+  version: '2.0',
+  rawPath,
+  rawQueryString: '',
+  headers: {},
+  requestContext: {
+    http: { method, path: rawPath },
+  },
+  isBase64Encoded: false,
+  ...extra,
+});
+
+const parse = (response: any) => JSON.parse(response.body);
+
+describe('API handler', () => {
+  let logSpy: jest.SpyInstance;
+  let errorSpy: jest.SpyInstance;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const logEntries = (spy: jest.SpyInstance) => spy.mock.calls.map(([line]) => JSON.parse(line));
+
+  describe('Path normalization', () => {
+    test('should strip the CloudFront /api prefix', () => {
+      expect(normalizePath('/api')).toBe('/');
+      expect(normalizePath('/api/')).toBe('/');
+      expect(normalizePath('/api/hello/world')).toBe('/hello/world');
+    });
+
+    test('should not strip paths that merely start with api', () => {
+      expect(normalizePath('/apiary')).toBe('/apiary');
+    });
+
+    test('should remove trailing and duplicate slashes', () => {
+      expect(normalizePath('/health/')).toBe('/health');
+      expect(normalizePath('//hello//world')).toBe('/hello/world');
+      expect(normalizePath(undefined)).toBe('/');
+    });
+  });
+
+  describe('Routing', () => {
+    test('should serve the root route through the /api/ prefix', async () => {
+      const response = await handler(functionUrlEvent('GET', '/api/'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/json');
+      expect(parse(response).title).toBe('AWS Lambda API Working!');
+    });
+
+    test('should treat an empty direct invocation as GET /', async () => {
+      const response = await handler({});
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).date).toBeDefined();
+    });
+
+    test('should extract path parameters and query strings', async () => {
+      const response = await handler(functionUrlEvent('GET', '/api/hello/Jane%20Doe', {
+        rawQueryString: 'lang=en&tag=a&tag=b',
+      }));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual(expect.objectContaining({
+        message: 'Hello, Jane Doe!',
+        query: { lang: 'en', tag: ['a', 'b'] },
+      }));
+    });
+
+    test('should parse JSON bodies', async () => {
+      const response = await handler(functionUrlEvent('POST', '/api/echo', {
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ hello: 'world' }),
+      }));
+
+      expect(response.statusCode).toBe(201);
+      expect(parse(response).received).toEqual({ hello: 'world' });
+    });
+
+    test('should decode base64 encoded bodies', async () => {
+      const response = await handler(functionUrlEvent('POST', '/api/echo', {
+        headers: { 'content-type': 'application/json' },
+        body: Buffer.from('{"encoded":true}').toString('base64'),
+        isBase64Encoded: true,
+      }));
+
+      expect(parse(response).received).toEqual({ encoded: true });
+    });
+
+    test('should answer OPTIONS preflight requests for known paths', async () => {
+      const response = await handler(functionUrlEvent('OPTIONS', '/api/echo'));
+
+      expect(response.statusCode).toBe(204);
+      expect(response.headers.Allow).toBe('POST, OPTIONS');
+    });
+  });
+
+  describe('Error envelopes', () => {
+    test('should return 404 for unknown routes', async () => {
+      const response = await handler(functionUrlEvent('GET', '/api/missing'));
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response)).toEqual({
+        error: { code: 'NOT_FOUND', message: 'No route for GET /missing' },
+      });
+    });
+
+    test('should return 405 with an Allow header for unsupported methods', async () => {
+      const response = await handler(functionUrlEvent('DELETE', '/api/health'));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, OPTIONS');
+      expect(parse(response).error.code).toBe('METHOD_NOT_ALLOWED');
+    });
+
+    test('should return 400 for malformed JSON bodies', async () => {
+      const response = await handler(functionUrlEvent('POST', '/api/echo', {
+        headers: { 'content-type': 'application/json' },
+        body: '{not json',
+      }));
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.code).toBe('INVALID_JSON');
+    });
+
+    test('should return 400 for malformed percent-encoding in path parameters', async () => {
+      const response = await handler(functionUrlEvent('GET', '/api/items/%E0%A4%A'));
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response)).toEqual({
+        error: { code: 'INVALID_PATH', message: 'Path segment %E0%A4%A is not valid percent-encoding' },
+      });
+    });
+
+    test('should surface errors thrown by route handlers', async () => {
+      const response = await handler(functionUrlEvent('POST', '/api/echo'));
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response)).toEqual({
+        error: { code: 'MISSING_BODY', message: 'Request body is required' },
+      });
+    });
+  });
+
+  describe('Structured logging', () => {
+    test('should log one JSON entry per request with IDs, route, status and latency', async () => {
+      process.env._X_AMZN_TRACE_ID = 'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1';
+      try {
+        await handler(
+          functionUrlEvent('GET', '/api/hello/world', { headers: { 'X-Amz-Cf-Id': 'cf-123' } }),
+          { awsRequestId: 'req-123' },
+        );
+      } finally {
+        delete process.env._X_AMZN_TRACE_ID;
+      }
+
+      const entries = logEntries(logSpy);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        level: 'INFO',
+        message: 'Request completed',
+        requestId: 'req-123',
+        cloudFrontId: 'cf-123',
+        traceId: '1-5759e988-bd862e3fe1be46a994272793',
+        method: 'GET',
+        path: '/hello/world',
+        route: '/hello/:name',
+        status: 200,
+      }));
+      expect(typeof entries[0].latencyMs).toBe('number');
+    });
+
+    test('should log unmatched requests without a route', async () => {
+      await handler(functionUrlEvent('GET', '/api/missing'));
+
+      expect(logEntries(logSpy)[0]).toEqual(expect.objectContaining({ route: null, status: 404 }));
+    });
+
+    test('should log unhandled errors at ERROR level and answer 500', async () => {
+      const { createRouter } = require('../../apps/hello-world-lambda/router');
+      const router = createRouter().get('/boom', async () => {
+        throw new Error('kaboom');
+      });
+
+      const response = await router.handle(functionUrlEvent('GET', '/api/boom'), { awsRequestId: 'req-500' });
+
+      expect(response.statusCode).toBe(500);
+      expect(logEntries(errorSpy)[0]).toEqual(expect.objectContaining({
+        level: 'ERROR',
+        message: 'Unhandled error',
+        requestId: 'req-500',
+        error: expect.objectContaining({ name: 'Error', message: 'kaboom' }),
+      }));
+      expect(logEntries(logSpy)[0]).toEqual(expect.objectContaining({ route: '/boom', status: 500 }));
+    });
+
+    test('should honour LOG_LEVEL', () => {
+      process.env.LOG_LEVEL = 'warn';
+      try {
+        const log = createLogger({ requestId: 'req-1' });
+        log.info('hidden');
+        log.warn('shown');
+      } finally {
+        delete process.env.LOG_LEVEL;
+      }
+
+      expect(logEntries(logSpy)).toEqual([expect.objectContaining({ level: 'WARN', message: 'shown', requestId: 'req-1' })]);
+    });
+  });
+
+  describe('Authentication', () => {
+    const issuer = 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_TEST';
+    const jwksUrl = `${issuer}/.well-known/jwks.json`;
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+    let fetchSpy: jest.SpyInstance;
+
+    // Cognito-shaped access token signed with the test key
+    const accessToken = (claims: Record<string, any> = {}, { kid = 'key-1', key = privateKey } = {}) => {
+      const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const input = `${encode({ kid, alg: 'RS256' })}.${encode({
+        sub: 'user-1',
+        iss: issuer,
+        token_use: 'access',
+        client_id: 'client-1',
+        scope: 'openid email',
+        username: 'jane',
+        exp: Math.floor(Date.now() / 1000) + 3600,
+        ...claims,
+      })}`;
+      return `${input}.${crypto.sign('RSA-SHA256', Buffer.from(input), key).toString('base64url')}`;
+    };
+
+    const authorized = (method: string, rawPath: string, token: string, extra: Record<string, any> = {}) =>
+      functionUrlEvent(method, rawPath, { headers: { 'x-api-authorization': `Bearer ${token}` }, ...extra });
+
+    const jsonResponse = (status: number, body: object) =>
+      ({ ok: status < 400, status, json: async () => body }) as Response;
+
+    beforeEach(() => {
+      process.env.AUTH_ISSUER = issuer;
+      process.env.AUTH_CLIENT_ID = 'client-1';
+      process.env.AUTH_DOMAIN = 'https://test-auth.auth.us-east-1.amazoncognito.com';
+      // A fresh key set URL per test keeps the module's JWKS cache from leaking between tests
+      process.env.AUTH_JWKS_URL = `${jwksUrl}?test=${Math.random()}`;
+      fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(async (url: any) => {
+        if (String(url).startsWith(jwksUrl)) {
+          return jsonResponse(200, jwks);
+        }
+        throw new Error(`Unexpected fetch ${url}`);
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.AUTH_ISSUER;
+      delete process.env.AUTH_CLIENT_ID;
+      delete process.env.AUTH_DOMAIN;
+      delete process.env.AUTH_JWKS_URL;
+    });
+
+    test('should report auth settings for the SPA without secrets', async () => {
+      const response = await handler(functionUrlEvent('GET', '/api/auth/config'));
+
+      expect(parse(response)).toEqual({
+        enabled: true,
+        domain: 'https://test-auth.auth.us-east-1.amazoncognito.com',
+        clientId: 'client-1',
+        scopes: ['openid', 'email', 'profile'],
+      });
+    });
+
+    test('should return the caller for a valid access token', async () => {
+      const response = await handler(authorized('GET', '/api/me', accessToken({ 'cognito:groups': ['admins'] })));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).user).toEqual({
+        sub: 'user-1',
+        username: 'jane',
+        scopes: ['openid', 'email'],
+        groups: ['admins'],
+      });
+      expect(logEntries(logSpy)[0]).toEqual(expect.objectContaining({ route: '/me', userId: 'user-1' }));
+    });
+
+    test('should cache the signing keys between requests', async () => {
+      await handler(authorized('GET', '/api/me', accessToken()));
+      await handler(authorized('GET', '/api/me', accessToken()));
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should require a token on protected routes only', async () => {
+      const protectedResponse = await handler(functionUrlEvent('GET', '/api/me'));
+      const publicResponse = await handler(functionUrlEvent('GET', '/api/'));
+
+      expect(protectedResponse.statusCode).toBe(401);
+      expect(protectedResponse.headers['WWW-Authenticate']).toBe('Bearer');
+      expect(parse(protectedResponse).error.code).toBe('UNAUTHORIZED');
+      expect(publicResponse.statusCode).toBe(200);
+    });
+
+    test.each([
+      ['an expired token', () => accessToken({ exp: Math.floor(Date.now() / 1000) - 1 }), 'Token has expired'],
+      ['another issuer', () => accessToken({ iss: 'https://cognito-idp.us-east-1.amazonaws.com/other' }), 'Token was issued by another user pool'],
+      ['another client', () => accessToken({ client_id: 'client-2' }), 'Token was issued to another client'],
+      ['an ID token', () => accessToken({ token_use: 'id' }), 'Token is not an access token'],
+      ['an unknown key', () => accessToken({}, { kid: 'key-2' }), 'Token was signed with an unknown key'],
+      ['a forged signature', () => accessToken({}, { key: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey }), 'Token signature is invalid'],
+      ['a malformed token', () => 'not-a-jwt', 'Token is not a valid JWT'],
+    ])('should reject %s', async (_name, token, message) => {
+      const response = await handler(authorized('GET', '/api/me', token()));
+
+      expect(response.statusCode).toBe(401);
+      expect(response.headers['WWW-Authenticate']).toBe('Bearer error="invalid_token"');
+      expect(parse(response).error).toEqual({ code: 'INVALID_TOKEN', message });
+    });
+
+    test('should reject an invalid token on public routes too', async () => {
+      const response = await handler(authorized('GET', '/api/', 'not-a-jwt'));
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should verify tokens directly against a configuration', async () => {
+      const config = { issuer, clientId: 'client-1', jwksUrl: process.env.AUTH_JWKS_URL };
+
+      await expect(verifyAccessToken(accessToken(), config)).resolves.toEqual(expect.objectContaining({ sub: 'user-1' }));
+      await expect(verifyAccessToken(accessToken(), config, Date.now() + 2 * 3600 * 1000)).rejects.toThrow('Token has expired');
+    });
+
+    test('should exchange an authorization code at the token endpoint', async () => {
+      fetchSpy.mockImplementation(async () => jsonResponse(200, {
+        access_token: 'access',
+        id_token: 'id',
+        refresh_token: 'refresh',
+        expires_in: 3600,
+        token_type: 'Bearer',
+      }));
+
+      const response = await handler(functionUrlEvent('POST', '/api/auth/token', {
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ grantType: 'authorization_code', code: 'code-1', redirectUri: 'https://example.com/auth/callback', codeVerifier: 'verifier' }),
+      }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Cache-Control']).toBe('no-store');
+      expect(parse(response)).toEqual({
+        accessToken: 'access',
+        idToken: 'id',
+        refreshToken: 'refresh',
+        expiresIn: 3600,
+        tokenType: 'Bearer',
+      });
+
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://test-auth.auth.us-east-1.amazoncognito.com/oauth2/token');
+      expect(Object.fromEntries(new URLSearchParams(init.body))).toEqual({
+        grant_type: 'authorization_code',
+        client_id: 'client-1',
+        code: 'code-1',
+        redirect_uri: 'https://example.com/auth/callback',
+        code_verifier: 'verifier',
+      });
+    });
+
+    test('should answer 400 for rejected grants and unknown grant types', async () => {
+      fetchSpy.mockImplementation(async () => jsonResponse(400, { error: 'invalid_grant' }));
+      const tokenRequest = (body: object) => handler(functionUrlEvent('POST', '/api/auth/token', {
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+      }));
+
+      const rejected = await tokenRequest({ grantType: 'refresh_token', refreshToken: 'revoked' });
+      const unknown = await tokenRequest({ grantType: 'password' });
+      const incomplete = await tokenRequest({ grantType: 'authorization_code', code: 'code-1' });
+
+      expect(parse(rejected).error).toEqual({ code: 'INVALID_GRANT', message: 'invalid_grant' });
+      expect(parse(unknown).error.code).toBe('INVALID_GRANT_TYPE');
+      expect(parse(incomplete).error).toEqual({ code: 'MISSING_PARAMETER', message: 'redirectUri is required for authorization_code' });
+    });
+
+    test('should report auth as disabled without the Stage C settings', async () => {
+      delete process.env.AUTH_ISSUER;
+
+      const config = await handler(functionUrlEvent('GET', '/api/auth/config'));
+      const me = await handler(authorized('GET', '/api/me', accessToken()));
+
+      expect(parse(config)).toEqual({ enabled: false });
+      expect(me.statusCode).toBe(404);
+      expect(parse(me).error.code).toBe('AUTH_NOT_ENABLED');
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  // The handler's DynamoDB client talks to the local stand-in over HTTP, as it would to DynamoDB
+  describe('Items', () => {
+    const standIn = createDynamoDbStandIn({ tables: ['test-data'] });
+    const server = http.createServer(standIn.middleware());
+    const savedCredentials = { ...process.env };
+
+    const json = (method: string, rawPath: string, body?: unknown, headers: Record<string, string> = {}) =>
+      handler(functionUrlEvent(method, rawPath, {
+        headers: { 'content-type': 'application/json', ...headers },
+        ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+      }));
+
+    const createItem = async (name: string) => parse(await json('POST', '/api/items', { name }));
+
+    beforeAll(async () => {
+      await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+      // Unsigned requests, whatever credentials the test run has
+      delete process.env.AWS_ACCESS_KEY_ID;
+      delete process.env.AWS_SECRET_ACCESS_KEY;
+      delete process.env.AWS_SESSION_TOKEN;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      Object.assign(process.env, savedCredentials);
+    });
+
+    beforeEach(() => {
+      standIn.reset();
+      process.env.ITEMS_TABLE = 'test-data';
+      process.env.DYNAMODB_ENDPOINT = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterEach(() => {
+      delete process.env.ITEMS_TABLE;
+      delete process.env.DYNAMODB_ENDPOINT;
+    });
+
+    test('should create, read, update and delete an item', async () => {
+      const created = await json('POST', '/api/items', { name: ' Widget ', description: 'First' });
+      const item = parse(created);
+
+      expect(created.statusCode).toBe(201);
+      expect(item).toEqual({
+        id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+        name: 'Widget',
+        description: 'First',
+        version: 1,
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+      });
+      expect(created.headers).toEqual(expect.objectContaining({ Location: `/api/items/${item.id}`, ETag: '"1"' }));
+
+      const read = await json('GET', `/api/items/${item.id}`);
+      expect(parse(read)).toEqual(item);
+      expect(read.headers.ETag).toBe('"1"');
+
+      const updated = await json('PUT', `/api/items/${item.id}`, { name: 'Gadget' }, { 'if-match': '"1"' });
+      expect(updated.statusCode).toBe(200);
+      expect(parse(updated)).toEqual(expect.objectContaining({ name: 'Gadget', description: '', version: 2, createdAt: item.createdAt }));
+      expect(updated.headers.ETag).toBe('"2"');
+
+      const deleted = await json('DELETE', `/api/items/${item.id}`, undefined, { 'if-match': '"2"' });
+      expect(deleted.statusCode).toBe(204);
+      expect(deleted.body).toBe('');
+
+      const missing = await json('GET', `/api/items/${item.id}`);
+      expect(missing.statusCode).toBe(404);
+      expect(parse(missing).error.code).toBe('ITEM_NOT_FOUND');
+    });
+
+    test('should reject writes based on a stale version', async () => {
+      const { id } = await createItem('Widget');
+      await json('PUT', `/api/items/${id}`, { name: 'First edit' }, { 'if-match': '"1"' });
+
+      const staleUpdate = await json('PUT', `/api/items/${id}`, { name: 'Second edit' }, { 'if-match': '"1"' });
+      const staleDelete = await json('DELETE', `/api/items/${id}`, undefined, { 'if-match': '"1"' });
+
+      expect(staleUpdate.statusCode).toBe(412);
+      expect(parse(staleUpdate).error.code).toBe('PRECONDITION_FAILED');
+      expect(staleUpdate.headers.ETag).toBe('"2"');
+      expect(staleDelete.statusCode).toBe(412);
+      expect(parse(await json('GET', `/api/items/${id}`)).name).toBe('First edit');
+    });
+
+    test('should write unconditionally without If-Match but never create on update', async () => {
+      const { id } = await createItem('Widget');
+
+      const updated = await json('PUT', `/api/items/${id}`, { name: 'Edited' });
+      const missingUpdate = await json('PUT', '/api/items/no-such-item', { name: 'Edited' });
+      const missingDelete = await json('DELETE', '/api/items/no-such-item');
+
+      expect(parse(updated).version).toBe(2);
+      expect(missingUpdate.statusCode).toBe(404);
+      expect(parse(missingUpdate).error.code).toBe('ITEM_NOT_FOUND');
+      expect(missingDelete.statusCode).toBe(404);
+      expect((await standIn.send('GetItem', { TableName: 'test-data', Key: { pk: { S: 'ITEM' }, sk: { S: 'no-such-item' } } })).Item)
+        .toBeUndefined();
+    });
+
+    test('should list items a page at a time', async () => {
+      for (const name of ['a', 'b', 'c', 'd', 'e']) {
+        await createItem(name);
+      }
+
+      const names: string[] = [];
+      let cursor: string | null = null;
+      let pages = 0;
+      do {
+        const path: string = `/api/items?limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+        const page: any = parse(await handler(functionUrlEvent('GET', path.split('?')[0], { rawQueryString: path.split('?')[1] })));
+        expect(page.items.length).toBeLessThanOrEqual(2);
+        names.push(...page.items.map((item: any) => item.name));
+        cursor = page.nextCursor;
+        pages += 1;
+      } while (cursor && pages < 10);
+
+      expect(names.sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(pages).toBe(3);
+
+      const all = parse(await json('GET', '/api/items'));
+      expect(all.items).toHaveLength(5);
+      expect(all.nextCursor).toBeNull();
+    });
+
+    test('should validate input', async () => {
+      const invalid = async (response: any, code: string) => {
+        expect(response.statusCode).toBe(400);
+        expect(parse(response).error.code).toBe(code);
+      };
+
+      await invalid(await json('POST', '/api/items', { description: 'no name' }), 'VALIDATION_ERROR');
+      await invalid(await json('POST', '/api/items', { name: 'x', owner: 'someone' }), 'VALIDATION_ERROR');
+      await invalid(await json('POST', '/api/items', { name: 'x'.repeat(201) }), 'VALIDATION_ERROR');
+      await invalid(await json('POST', '/api/items', ['x']), 'VALIDATION_ERROR');
+      await invalid(await handler(functionUrlEvent('GET', '/api/items', { rawQueryString: 'limit=500' })), 'INVALID_LIMIT');
+      await invalid(await handler(functionUrlEvent('GET', '/api/items', { rawQueryString: 'cursor=nonsense' })), 'INVALID_CURSOR');
+
+      const { id } = await createItem('Widget');
+      await invalid(await json('PUT', `/api/items/${id}`, { name: 'x' }, { 'if-match': 'version-1' }), 'INVALID_IF_MATCH');
+    });
+
+    test('should answer 503 when DynamoDB throttles', async () => {
+      const throttled = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+      const store = createItemStore({ table: 'test-data', client: { send: async () => { throw throttled; } } });
+
+      await expect(store.get('item-1')).rejects.toMatchObject({
+        statusCode: 503,
+        code: 'SERVICE_UNAVAILABLE',
+        headers: { 'Retry-After': '1' },
+      });
+    });
+
+    test('should reuse one store and DynamoDB client across invocations', () => {
+      const store = itemStore();
+
+      expect(itemStore()).toBe(store);
+      process.env.DYNAMODB_ENDPOINT = 'http://127.0.0.1:1';
+      expect(itemStore()).not.toBe(store);
+    });
+
+    test('should report items as disabled without the Stage C table', async () => {
+      delete process.env.ITEMS_TABLE;
+
+      const response = await json('GET', '/api/items');
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('ITEMS_NOT_ENABLED');
+    });
+
+    test('should return items other clients wrote with sets and binary values', async () => {
+      await createDynamoDbClient().send('PutItem', {
+        TableName: 'test-data',
+        Item: {
+          pk: { S: 'ITEM' },
+          sk: { S: 'imported' },
+          id: { S: 'imported' },
+          name: { S: 'Imported' },
+          version: { N: '1' },
+          tags: { SS: ['red', 'blue'] },
+          sizes: { NS: ['1', '2'] },
+          checksum: { B: Buffer.from('abc') },
+        },
+      });
+
+      const response = await json('GET', '/api/items/imported');
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual(expect.objectContaining({
+        name: 'Imported',
+        tags: ['red', 'blue'],
+        sizes: [1, 2],
+        checksum: Buffer.from('abc').toString('base64'),
+      }));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import * as cdk from 'aws-cdk-lib';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { BucketReadGrant } from '../lib/bucket-read-grant';
+
+// Unit tests for the bucket policy handler in lambda/bucket-read-grant
+const { onEvent } = require('../lambda/bucket-read-grant/index');
+
+const BUCKET_ARN = 'arn:aws:s3:::test-prefix-content-123456789012';
+
+const stageAStatement = {
+  Sid: 'StageARead',
+  Effect: 'Allow',
+  Principal: { Service: 'cloudfront.amazonaws.com' },
+  Action: 's3:GetObject',
+  Resource: `${BUCKET_ARN}/*`,
+};
+
+// In-memory bucket policies, keyed by bucket name; a missing key is a bucket without a policy
+const fakeS3 = (policies: Record<string, any>) => ({
+  getPolicy: async (bucket: string) => policies[bucket] || { Version: '2012-10-17', Statement: [] },
+  putPolicy: async (bucket: string, policy: any) => {
+    if (policy.Statement.length === 0) {
+      delete policies[bucket];
+    } else {
+      policies[bucket] = policy;
+    }
+  },
+});
+
+const properties = {
+  BucketName: 'test-prefix-content-123456789012',
+  BucketArn: BUCKET_ARN,
+  DistributionArn: 'arn:aws:cloudfront::123456789012:distribution/E2STAGEE000001',
+  StatementId: 'CloudFrontReadE2STAGEE000001',
+};
+
+const event = (RequestType: string, extra: Record<string, unknown> = {}) => ({
+  RequestType,
+  ResourceProperties: properties,
+  ...extra,
+});
+
+describe('Bucket read grant handler', () => {
+  test('should add a read statement for the distribution next to the existing ones', async () => {
+    const policies: Record<string, any> = { [properties.BucketName]: { Version: '2012-10-17', Statement: [stageAStatement] } };
+
+    await expect(onEvent(event('Create'), { s3: fakeS3(policies) }))
+      .resolves.toEqual({ PhysicalResourceId: 'test-prefix-content-123456789012/CloudFrontReadE2STAGEE000001' });
+
+    expect(policies[properties.BucketName].Statement).toEqual([
+      stageAStatement,
+      {
+        Sid: 'CloudFrontReadE2STAGEE000001',
+        Effect: 'Allow',
+        Principal: { Service: 'cloudfront.amazonaws.com' },
+        Action: ['s3:GetObject', 's3:ListBucket'],
+        Resource: [BUCKET_ARN, `${BUCKET_ARN}/*`],
+        Condition: { StringEquals: { 'AWS:SourceArn': 'arn:aws:cloudfront::123456789012:distribution/E2STAGEE000001' } },
+      },
+    ]);
+  });
+
+  test('should replace its own statement instead of adding another one on update', async () => {
+    const policies: Record<string, any> = {};
+    const s3 = fakeS3(policies);
+
+    await onEvent(event('Create'), { s3 });
+    await onEvent(event('Update', { PhysicalResourceId: 'test-prefix-content-123456789012/CloudFrontReadE2STAGEE000001' }), { s3 });
+
+    expect(policies[properties.BucketName].Statement).toHaveLength(1);
+  });
+
+  test('should create the policy when the bucket has none', async () => {
+    const policies: Record<string, any> = {};
+
+    await onEvent(event('Create'), { s3: fakeS3(policies) });
+
+    expect(policies[properties.BucketName]).toMatchObject({ Version: '2012-10-17', Statement: [{ Sid: properties.StatementId }] });
+  });
+
+  test('should remove only its own statement on delete', async () => {
+    const policies: Record<string, any> = { [properties.BucketName]: { Version: '2012-10-17', Statement: [stageAStatement] } };
+    const s3 = fakeS3(policies);
+
+    await onEvent(event('Create'), { s3 });
+    await onEvent(event('Delete', { PhysicalResourceId: 'test-prefix-content-123456789012/CloudFrontReadE2STAGEE000001' }), { s3 });
+
+    expect(policies[properties.BucketName].Statement).toEqual([stageAStatement]);
+  });
+
+  test('should succeed on delete when the bucket is already gone', async () => {
+    const missingBucket = Object.assign(new Error('The specified bucket does not exist'), { name: 'NoSuchBucket' });
+    const s3 = { getPolicy: async () => { throw missingBucket; }, putPolicy: async () => undefined };
+
+    await expect(onEvent(event('Delete', { PhysicalResourceId: 'grant' }), { s3 })).resolves.toEqual({ PhysicalResourceId: 'grant' });
+  });
+});
+
+describe('BucketReadGrant', () => {
+  test('should only be allowed to change the policy of the given bucket', () => {
+    const stack = new cdk.Stack(new cdk.App(), 'TestStack', { env: { account: '123456789012', region: 'us-east-1' } });
+    new BucketReadGrant(stack, 'Grant', {
+      bucket: s3.Bucket.fromBucketName(stack, 'Bucket', 'test-prefix-content-123456789012'),
+      distributionId: 'E2STAGEE000001',
+    });
+    const template = Template.fromStack(stack);
+
+    template.hasResourceProperties('AWS::IAM::Policy', {
+      PolicyDocument: {
+        Statement: Match.arrayWith([{
+          Effect: 'Allow',
+          Action: ['s3:GetBucketPolicy', 's3:PutBucketPolicy', 's3:DeleteBucketPolicy'],
+          Resource: { 'Fn::Join': ['', ['arn:', { Ref: 'AWS::Partition' }, ':s3:::test-prefix-content-123456789012']] },
+        }]),
+      },
+    });
+    template.hasResourceProperties('Custom::BucketReadGrant', {
+      StatementId: 'CloudFrontReadE2STAGEE000001',
+      DistributionArn: { 'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/E2STAGEE000001']] },
+    });
+    template.resourceCountIs('Custom::LogRetention', 0);
+  });
+});
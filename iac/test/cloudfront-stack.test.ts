@@ -0,0 +1,320 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { CloudFrontStack, CloudFrontStackProps } from '../lib/cloudfront-stack';
+import { ENVIRONMENTS } from '../lib/environment-config';
+
+describe('CloudFrontStack', () => {
+  const defaultProps: CloudFrontStackProps = {
+    distributionPrefix: 'test-prefix',
+    targetRegion: 'us-east-1',
+    targetVpcId: 'vpc-12345678',
+    env: {
+      account: '123456789012',
+      region: 'us-east-1',
+    },
+  };
+
+  const synth = (props: Partial<CloudFrontStackProps> = {}) => {
+    const app = new cdk.App();
+    const stack = new CloudFrontStack(app, 'TestCloudFrontStack', { ...defaultProps, ...props });
+    return Template.fromStack(stack);
+  };
+
+  const bucketPolicyStatements = (template: Template): any[] => {
+    const policies = template.findResources('AWS::S3::BucketPolicy');
+    return Object.values(policies)[0].Properties.PolicyDocument.Statement;
+  };
+
+  describe('Public website mode', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth({ privateBucket: false });
+    });
+
+    test('should keep website hosting and public read access', () => {
+      template.hasResourceProperties('AWS::S3::Bucket', {
+        WebsiteConfiguration: {
+          IndexDocument: 'index.html',
+          ErrorDocument: 'index.html',
+        },
+        PublicAccessBlockConfiguration: {
+          BlockPublicAcls: false,
+          BlockPublicPolicy: false,
+          IgnorePublicAcls: false,
+          RestrictPublicBuckets: false,
+        },
+      });
+    });
+
+    test('should report public bucket access', () => {
+      template.hasOutput('BucketAccess', { Value: 'public' });
+    });
+  });
+
+  describe('Private bucket mode', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth({ privateBucket: true });
+    });
+
+    test('should block all public access and drop the website endpoint', () => {
+      template.hasResourceProperties('AWS::S3::Bucket', {
+        PublicAccessBlockConfiguration: {
+          BlockPublicAcls: true,
+          BlockPublicPolicy: true,
+          IgnorePublicAcls: true,
+          RestrictPublicBuckets: true,
+        },
+        WebsiteConfiguration: Match.absent(),
+      });
+    });
+
+    test('should not grant reads to anonymous principals', () => {
+      const publicStatements = bucketPolicyStatements(template).filter(
+        (statement) => statement.Effect === 'Allow' && (statement.Principal === '*' || statement.Principal?.AWS === '*')
+      );
+      expect(publicStatements).toHaveLength(0);
+    });
+
+    test('should only allow CloudFront distributions in this account to read objects', () => {
+      const cloudFrontStatements = bucketPolicyStatements(template).filter(
+        (statement) => statement.Effect === 'Allow' && statement.Principal?.Service === 'cloudfront.amazonaws.com'
+      );
+      expect(new Set(cloudFrontStatements.map((statement) => statement.Action))).toEqual(new Set(['s3:GetObject', 's3:ListBucket']));
+      for (const statement of cloudFrontStatements) {
+        expect(statement.Condition).toBeDefined();
+      }
+    });
+
+    // Every distinct AWS:SourceArn allowed to read the bucket, with the condition operator
+    const cloudFrontSourceArns = (statements: any[]) => new Set(statements
+      .filter((statement) => statement.Principal?.Service === 'cloudfront.amazonaws.com')
+      .flatMap((statement) => Object.entries(statement.Condition).flatMap(([operator, condition]: [string, any]) =>
+        [].concat(condition['AWS:SourceArn']).map((arn) => JSON.stringify({ operator, arn })))));
+
+    const sourceArn = (distributionRef: unknown) => JSON.stringify({
+      operator: 'StringEquals',
+      arn: { 'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', distributionRef]] },
+    });
+
+    test('should only accept reads from this distribution', () => {
+      const distributionRef = { Ref: Object.keys(template.findResources('AWS::CloudFront::Distribution'))[0] };
+      const arns = cloudFrontSourceArns(bucketPolicyStatements(template));
+      // CDK's own OAC grant uses the partition-qualified form of the same ARN
+      arns.delete(JSON.stringify({
+        operator: 'StringEquals',
+        arn: { 'Fn::Join': ['', ['arn:', { Ref: 'AWS::Partition' }, ':cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', distributionRef]] },
+      }));
+      expect(arns).toEqual(new Set([sourceArn(distributionRef)]));
+    });
+
+    test('should also accept reads from the recorded Stage E distribution', () => {
+      const stageETemplate = synth({ privateBucket: true, stageEDistributionId: 'E2STAGEEDIST' });
+      const statements = bucketPolicyStatements(stageETemplate)
+        .filter((statement) => statement.Principal?.Service === 'cloudfront.amazonaws.com' && Array.isArray(statement.Condition.StringEquals['AWS:SourceArn']));
+      const distributionRef = { Ref: Object.keys(stageETemplate.findResources('AWS::CloudFront::Distribution'))[0] };
+
+      expect(statements.map((statement) => statement.Action)).toEqual(['s3:GetObject', 's3:ListBucket']);
+      for (const statement of statements) {
+        expect(statement.Condition).toEqual({
+          StringEquals: {
+            'AWS:SourceArn': [
+              { 'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', distributionRef]] },
+              { 'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/E2STAGEEDIST']] },
+            ],
+          },
+        });
+      }
+    });
+
+    test('should deny requests without TLS', () => {
+      const denyStatements = bucketPolicyStatements(template).filter(
+        (statement) => statement.Effect === 'Deny' && statement.Condition?.Bool?.['aws:SecureTransport'] === 'false'
+      );
+      expect(denyStatements).toHaveLength(1);
+    });
+
+    test('should pass 403 and 404 responses through instead of serving the SPA', () => {
+      template.hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({
+          CustomErrorResponses: [
+            { ErrorCode: 404, ErrorCachingMinTTL: 60 },
+            { ErrorCode: 403, ErrorCachingMinTTL: 60 },
+          ],
+        }),
+      });
+    });
+
+    test('should report private bucket access', () => {
+      template.hasOutput('BucketAccess', { Value: 'private' });
+    });
+  });
+
+  describe('Security headers', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth({ contentSecurityPolicy: { connectSrc: ['https://api.example.com'] } });
+    });
+
+    test('should attach the response headers policy to the default behavior', () => {
+      const policyLogicalId = Object.keys(template.findResources('AWS::CloudFront::ResponseHeadersPolicy'))[0];
+      template.hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({
+          DefaultCacheBehavior: Match.objectLike({
+            ResponseHeadersPolicyId: { Ref: policyLogicalId },
+          }),
+        }),
+      });
+    });
+
+    test('should send HSTS, CSP, frame, referrer and permissions headers', () => {
+      template.hasResourceProperties('AWS::CloudFront::ResponseHeadersPolicy', {
+        ResponseHeadersPolicyConfig: Match.objectLike({
+          Name: 'test-prefix-security-headers',
+          SecurityHeadersConfig: Match.objectLike({
+            StrictTransportSecurity: Match.objectLike({ AccessControlMaxAgeSec: 86400, IncludeSubdomains: true }),
+            ContentSecurityPolicy: Match.objectLike({
+              ContentSecurityPolicy: Match.stringLikeRegexp("connect-src 'self' https://api.example.com"),
+            }),
+            FrameOptions: Match.objectLike({ FrameOption: 'DENY' }),
+            ReferrerPolicy: Match.objectLike({ ReferrerPolicy: 'strict-origin-when-cross-origin' }),
+          }),
+          CustomHeadersConfig: {
+            Items: [Match.objectLike({ Header: 'Permissions-Policy' })],
+          },
+        }),
+      });
+    });
+
+    test('should use the environment HSTS max age', () => {
+      synth({ config: ENVIRONMENTS.prod }).hasResourceProperties('AWS::CloudFront::ResponseHeadersPolicy', {
+        ResponseHeadersPolicyConfig: Match.objectLike({
+          SecurityHeadersConfig: Match.objectLike({
+            StrictTransportSecurity: Match.objectLike({ AccessControlMaxAgeSec: 63072000 }),
+          }),
+        }),
+      });
+    });
+
+    test('should export the policy for later stages', () => {
+      template.hasOutput('ResponseHeadersPolicyId', {
+        Export: { Name: 'test-prefix-response-headers-policy-id' },
+      });
+    });
+  });
+
+  describe('Viewer request function', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth();
+    });
+
+    test('should run the viewer request function on the default behavior', () => {
+      const functionLogicalId = Object.keys(template.findResources('AWS::CloudFront::Function'))[0];
+      template.hasResourceProperties('AWS::CloudFront::Function', {
+        Name: 'test-prefix-viewer-request',
+        FunctionConfig: Match.objectLike({ Runtime: 'cloudfront-js-2.0' }),
+        FunctionCode: {
+          'Fn::Join': ['', Match.arrayWith([Match.stringLikeRegexp('async function handler\\(event\\)')])],
+        },
+      });
+      template.hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({
+          DefaultCacheBehavior: Match.objectLike({
+            FunctionAssociations: [
+              { EventType: 'viewer-request', FunctionARN: { 'Fn::GetAtt': [functionLogicalId, 'FunctionARN'] } },
+            ],
+          }),
+        }),
+      });
+    });
+
+    test('should export the function for later stages', () => {
+      template.hasOutput('ViewerRequestFunctionArn', {
+        Export: { Name: 'test-prefix-viewer-request-function-arn' },
+      });
+    });
+
+    test('should bind the release store to the function', () => {
+      const storeLogicalId = Object.keys(template.findResources('AWS::CloudFront::KeyValueStore'))[0];
+      template.hasResourceProperties('AWS::CloudFront::KeyValueStore', { Name: 'test-prefix-releases' });
+      template.hasResourceProperties('AWS::CloudFront::Function', {
+        FunctionConfig: Match.objectLike({
+          KeyValueStoreAssociations: [{ KeyValueStoreARN: { 'Fn::GetAtt': [storeLogicalId, 'Arn'] } }],
+        }),
+        FunctionCode: {
+          'Fn::Join': ['', Match.arrayWith([
+            Match.stringLikeRegexp("^import cf from 'cloudfront';"),
+            { 'Fn::GetAtt': [storeLogicalId, 'Id'] },
+          ])],
+        },
+      });
+    });
+
+    test('should export the release store for the release script', () => {
+      template.hasOutput('ReleaseStoreArn', {
+        Export: { Name: 'test-prefix-release-store-arn' },
+      });
+    });
+  });
+
+  describe('Environment defaults', () => {
+    test('should use a public website bucket in dev', () => {
+      synth({ config: ENVIRONMENTS.dev }).hasOutput('BucketAccess', { Value: 'public' });
+    });
+
+    test('should use a private bucket in staging and prod', () => {
+      synth({ config: ENVIRONMENTS.staging }).hasOutput('BucketAccess', { Value: 'private' });
+      synth({ config: ENVIRONMENTS.prod }).hasOutput('BucketAccess', { Value: 'private' });
+    });
+
+    test('should let an explicit setting override the environment', () => {
+      synth({ config: ENVIRONMENTS.dev, privateBucket: true }).hasOutput('BucketAccess', { Value: 'private' });
+    });
+  });
+
+  describe('Access logs', () => {
+    test('should log the content bucket and the distribution to a private bucket in prod', () => {
+      const template = synth({ config: ENVIRONMENTS.prod });
+      template.hasResourceProperties('AWS::S3::Bucket', {
+        BucketName: { 'Fn::Join': ['', ['test-prefix-access-logs-', { Ref: 'AWS::AccountId' }]] },
+        OwnershipControls: { Rules: [{ ObjectOwnership: 'ObjectWriter' }] },
+        LifecycleConfiguration: { Rules: [Match.objectLike({ ExpirationInDays: 365 })] },
+      });
+      template.hasResourceProperties('AWS::S3::Bucket', {
+        LoggingConfiguration: { DestinationBucketName: Match.anyValue(), LogFilePrefix: 's3/content/' },
+      });
+      template.hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({
+          Logging: { Bucket: Match.anyValue(), Prefix: 'cloudfront/' },
+        }),
+      });
+      template.hasOutput('AccessLogBucketName', {});
+    });
+
+    test('should not create a log bucket in dev', () => {
+      const template = synth({ config: ENVIRONMENTS.dev });
+      template.resourceCountIs('AWS::S3::Bucket', 1);
+      expect(Object.keys(template.findOutputs('AccessLogBucketName'))).toHaveLength(0);
+    });
+  });
+
+  describe('Web ACL', () => {
+    const webAclArn = 'arn:aws:wafv2:us-east-1:123456789012:global/webacl/test-prefix-site/abc123';
+
+    test('should attach a configured web ACL', () => {
+      synth({ webAclArn }).hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({ WebACLId: webAclArn }),
+      });
+    });
+
+    test('should leave the distribution without a web ACL by default', () => {
+      const distribution = Object.values(synth().findResources('AWS::CloudFront::Distribution'))[0];
+      expect(distribution.Properties.DistributionConfig.WebACLId).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,271 @@
+import * as cdk from 'aws-cdk-lib';
+import { Annotations, Match } from 'aws-cdk-lib/assertions';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as iam from 'aws-cdk-lib/aws-iam';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import { CloudFrontStack } from '../lib/cloudfront-stack';
+import { ComplianceMode, ComplianceRuleId, applyCompliance, suppressCompliance } from '../lib/compliance';
+import { ENVIRONMENTS } from '../lib/environment-config';
+
+describe('Compliance checks', () => {
+  const env = {
+    account: '123456789012',
+    region: 'us-east-1',
+  };
+
+  // Stack carrying the required tags, with the checks applied to the whole app
+  const stackWith = (mode: ComplianceMode, build: (stack: cdk.Stack) => void) => {
+    const app = new cdk.App();
+    applyCompliance(app, { mode });
+    const stack = new cdk.Stack(app, 'TestComplianceStack', { env });
+    cdk.Tags.of(stack).add('Project', 'Test');
+    cdk.Tags.of(stack).add('Component', 'Test');
+    build(stack);
+    return stack;
+  };
+
+  const findings = (stack: cdk.Stack, rule: ComplianceRuleId) =>
+    Annotations.fromStack(stack).findWarning('*', Match.stringLikeRegexp(`^\\[${rule}\\]`));
+
+  const compliantBucket = (stack: cdk.Stack, id = 'Bucket') => {
+    const logs = new s3.Bucket(stack, `${id}Logs`, { blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL, enforceSSL: true });
+    suppressCompliance(logs, 'S3-ACCESS-LOGS', 'Log bucket');
+    return new s3.Bucket(stack, id, {
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      enforceSSL: true,
+      serverAccessLogsBucket: logs,
+    });
+  };
+
+  const distributionConfig = (overrides: Partial<cloudfront.CfnDistribution.DistributionConfigProperty> = {}) => ({
+    enabled: true,
+    origins: [{ id: 'origin', domainName: 'example.com', customOriginConfig: { originProtocolPolicy: 'https-only' } }],
+    defaultCacheBehavior: {
+      targetOriginId: 'origin',
+      viewerProtocolPolicy: 'redirect-to-https',
+      cachePolicyId: '658327ea-f89d-4fab-a63d-7e88639e58f6',
+    },
+    logging: { bucket: 'logs.s3.amazonaws.com' },
+    ...overrides,
+  });
+
+  const policyAllowing = (stack: cdk.Stack, actions: string[], resources = ['*']) => new iam.Policy(stack, 'Policy', {
+    statements: [new iam.PolicyStatement({ actions, resources })],
+    roles: [new iam.Role(stack, 'Role', { assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com') })],
+  });
+
+  describe('S3 buckets', () => {
+    test('should accept a private, TLS-only, logged bucket', () => {
+      const stack = stackWith('warn', (s) => compliantBucket(s));
+      for (const rule of ['S3-PUBLIC-ACCESS', 'S3-TLS', 'S3-ACCESS-LOGS'] as ComplianceRuleId[]) {
+        expect(findings(stack, rule)).toHaveLength(0);
+      }
+    });
+
+    test('should flag public access and website endpoints', () => {
+      const stack = stackWith('warn', (s) => new s3.Bucket(s, 'Bucket', {
+        blockPublicAccess: s3.BlockPublicAccess.BLOCK_ACLS,
+        websiteIndexDocument: 'index.html',
+        enforceSSL: true,
+      }));
+      const messages = findings(stack, 'S3-PUBLIC-ACCESS').map((finding) => finding.entry.data);
+      expect(messages).toEqual([
+        expect.stringContaining('does not block all public access'),
+        expect.stringContaining('website endpoint'),
+      ]);
+    });
+
+    test('should flag buckets that do not enforce TLS', () => {
+      const stack = stackWith('warn', (s) => new s3.Bucket(s, 'Bucket', { blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL }));
+      expect(findings(stack, 'S3-TLS')).toHaveLength(1);
+    });
+
+    test('should flag buckets without server access logs', () => {
+      const stack = stackWith('warn', (s) => new s3.Bucket(s, 'Bucket', { blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL, enforceSSL: true }));
+      expect(findings(stack, 'S3-ACCESS-LOGS')).toHaveLength(1);
+    });
+  });
+
+  describe('CloudFront distributions', () => {
+    test('should accept HTTPS-only, logged distributions', () => {
+      const stack = stackWith('warn', (s) => new cloudfront.CfnDistribution(s, 'Distribution', { distributionConfig: distributionConfig() }));
+      expect(findings(stack, 'CLOUDFRONT-TLS')).toHaveLength(0);
+      expect(findings(stack, 'CLOUDFRONT-ACCESS-LOGS')).toHaveLength(0);
+    });
+
+    test('should flag behaviors serving HTTP', () => {
+      const stack = stackWith('warn', (s) => new cloudfront.CfnDistribution(s, 'Distribution', {
+        distributionConfig: distributionConfig({
+          cacheBehaviors: [{
+            pathPattern: '/api/*',
+            targetOriginId: 'origin',
+            viewerProtocolPolicy: 'allow-all',
+            cachePolicyId: '4135ea2d-6df8-44a3-9df3-4b5a84be39ad',
+          }],
+        }),
+      }));
+      const [finding] = findings(stack, 'CLOUDFRONT-TLS');
+      expect(finding.entry.data).toContain('/api/* serve HTTP');
+    });
+
+    test('should flag custom domains accepting TLS older than 1.2', () => {
+      const stack = stackWith('warn', (s) => new cloudfront.CfnDistribution(s, 'Distribution', {
+        distributionConfig: distributionConfig({
+          aliases: ['example.com'],
+          viewerCertificate: {
+            acmCertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+            sslSupportMethod: 'sni-only',
+            minimumProtocolVersion: 'TLSv1.1_2016',
+          },
+        }),
+      }));
+      const [finding] = findings(stack, 'CLOUDFRONT-TLS');
+      expect(finding.entry.data).toContain('Custom domains accept TLSv1.1_2016');
+    });
+
+    test('should flag distributions without standard logging', () => {
+      const stack = stackWith('warn', (s) => new cloudfront.CfnDistribution(s, 'Distribution', {
+        distributionConfig: distributionConfig({ logging: undefined }),
+      }));
+      expect(findings(stack, 'CLOUDFRONT-ACCESS-LOGS')).toHaveLength(1);
+    });
+  });
+
+  describe('IAM policies', () => {
+    test('should flag actions allowed on "*"', () => {
+      const stack = stackWith('warn', (s) => policyAllowing(s, ['s3:GetObject']));
+      const [finding] = findings(stack, 'IAM-WILDCARD-RESOURCE');
+      expect(finding.entry.data).toContain('Policy allows s3:GetObject on "*"');
+    });
+
+    test('should flag inline role policies', () => {
+      const stack = stackWith('warn', (s) => new iam.Role(s, 'Role', {
+        assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com'),
+        inlinePolicies: {
+          Data: new iam.PolicyDocument({ statements: [new iam.PolicyStatement({ actions: ['dynamodb:*'], resources: ['*'] })] }),
+        },
+      }));
+      const [finding] = findings(stack, 'IAM-WILDCARD-RESOURCE');
+      expect(finding.entry.data).toContain('Role policy Data allows dynamodb:* on "*"');
+    });
+
+    test('should accept scoped resources and actions that only support "*"', () => {
+      const stack = stackWith('warn', (s) => {
+        policyAllowing(s, ['s3:GetObject'], ['arn:aws:s3:::bucket/*']);
+        new iam.ManagedPolicy(s, 'Tracing', {
+          statements: [new iam.PolicyStatement({ actions: ['xray:PutTraceSegments', 'xray:PutTelemetryRecords'], resources: ['*'] })],
+        });
+      });
+      expect(findings(stack, 'IAM-WILDCARD-RESOURCE')).toHaveLength(0);
+    });
+  });
+
+  describe('Required tags', () => {
+    test('should flag taggable resources missing a required tag', () => {
+      const app = new cdk.App();
+      applyCompliance(app, { mode: 'warn' });
+      const stack = new cdk.Stack(app, 'TestUntaggedStack', { env });
+      cdk.Tags.of(stack).add('Project', 'Test');
+      new iam.Role(stack, 'Role', { assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com') });
+
+      const [finding] = findings(stack, 'REQUIRED-TAGS');
+      expect(finding.entry.data).toContain('Missing tag(s) Component');
+    });
+
+    test('should accept tags applied to the whole app', () => {
+      const app = new cdk.App();
+      applyCompliance(app, { mode: 'warn', requiredTags: ['Project'] });
+      cdk.Tags.of(app).add('Project', 'Test');
+      const stack = new cdk.Stack(app, 'TestAppTaggedStack', { env });
+      new iam.Role(stack, 'Role', { assumedBy: new iam.ServicePrincipal('lambda.amazonaws.com') });
+
+      expect(findings(stack, 'REQUIRED-TAGS')).toHaveLength(0);
+    });
+  });
+
+  describe('Suppressions', () => {
+    test('should suppress a rule for the construct and everything inside it', () => {
+      const stack = stackWith('warn', (s) => {
+        const bucket = new s3.Bucket(s, 'Bucket', { blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL });
+        suppressCompliance(bucket, 'S3-TLS', 'Read by a client that cannot use TLS');
+      });
+      expect(findings(stack, 'S3-TLS')).toHaveLength(0);
+      expect(findings(stack, 'S3-ACCESS-LOGS')).toHaveLength(1);
+    });
+
+    test('should only suppress wildcard statements whose actions are all listed', () => {
+      const stack = stackWith('warn', (s) => {
+        const policy = policyAllowing(s, ['acm:RequestCertificate']);
+        policy.addStatements(new iam.PolicyStatement({ actions: ['acm:RequestCertificate', 's3:GetObject'], resources: ['*'] }));
+        suppressCompliance(s, 'IAM-WILDCARD-RESOURCE', 'Certificates do not exist yet', { actions: ['acm:RequestCertificate'] });
+      });
+      const [finding, ...others] = findings(stack, 'IAM-WILDCARD-RESOURCE');
+      expect(others).toHaveLength(0);
+      expect(finding.entry.data).toContain('acm:RequestCertificate, s3:GetObject');
+    });
+
+    test('should record the reason in the cloud assembly', () => {
+      const stack = stackWith('warn', (s) => compliantBucket(s));
+      const metadata = stack.node.findChild('BucketLogs').node.metadata;
+      expect(metadata).toEqual([expect.objectContaining({
+        type: 'aws-spa-boilerplate:compliance-suppression',
+        data: { rule: 'S3-ACCESS-LOGS', reason: 'Log bucket' },
+      })]);
+    });
+
+    test('should require a reason and a known rule', () => {
+      const stack = new cdk.Stack(new cdk.App(), 'TestSuppressionStack');
+      expect(() => suppressCompliance(stack, 'S3-TLS', ' ')).toThrow('Suppressing S3-TLS on TestSuppressionStack needs a reason');
+      expect(() => suppressCompliance(stack, 'S3-MFA' as ComplianceRuleId, 'Not needed')).toThrow('Unknown compliance rule "S3-MFA"');
+    });
+  });
+
+  describe('Modes', () => {
+    const publicBucket = (s: cdk.Stack) => new s3.Bucket(s, 'Bucket', { blockPublicAccess: s3.BlockPublicAccess.BLOCK_ACLS });
+
+    test('should report findings as errors in strict mode', () => {
+      const stack = stackWith('strict', publicBucket);
+      Annotations.fromStack(stack).hasError('/TestComplianceStack/Bucket/Resource', Match.stringLikeRegexp('^\\[S3-PUBLIC-ACCESS\\]'));
+      expect(findings(stack, 'S3-PUBLIC-ACCESS')).toHaveLength(0);
+    });
+
+    test('should write the errors to the cloud assembly, which fails `cdk synth` and `cdk deploy`', () => {
+      const stack = stackWith('strict', publicBucket);
+      const { messages } = cdk.App.of(stack)!.synth().getStackArtifact(stack.artifactId);
+      expect(messages.filter((message) => message.level === 'error').length).toBeGreaterThan(0);
+    });
+
+    test('should skip the checks when off', () => {
+      const stack = stackWith('off', publicBucket);
+      expect(Annotations.fromStack(stack).findWarning('*', Match.stringLikeRegexp('^\\['))).toHaveLength(0);
+      expect(Annotations.fromStack(stack).findError('*', Match.anyValue())).toHaveLength(0);
+    });
+  });
+
+  describe('Stages', () => {
+    const cloudFrontFindings = (config: typeof ENVIRONMENTS.prod) => {
+      const app = new cdk.App();
+      applyCompliance(app, { mode: 'warn' });
+      cdk.Tags.of(app).add('Project', 'Test');
+      const stack = new CloudFrontStack(app, 'TestCloudFrontStack', {
+        distributionPrefix: 'test-prefix',
+        targetRegion: 'us-east-1',
+        targetVpcId: 'vpc-12345678',
+        config,
+        env,
+      });
+      return Annotations.fromStack(stack).findWarning('*', Match.stringLikeRegexp('^\\['))
+        .map((finding) => String(finding.entry.data).match(/^\[([A-Z0-9-]+)\]/)![1]);
+    };
+
+    test('should pass Stage A in prod', () => {
+      expect(cloudFrontFindings(ENVIRONMENTS.prod)).toEqual([]);
+    });
+
+    test('should report the public website bucket in dev', () => {
+      expect(new Set(cloudFrontFindings(ENVIRONMENTS.dev))).toEqual(
+        new Set(['S3-PUBLIC-ACCESS', 'S3-TLS', 'S3-ACCESS-LOGS', 'CLOUDFRONT-ACCESS-LOGS'])
+      );
+    });
+  });
+});
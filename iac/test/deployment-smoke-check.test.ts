@@ -0,0 +1,239 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { ReactStack } from '../lib/react-stack';
+import { DeploymentSmokeCheck } from '../lib/deployment-smoke-check';
+
+// Unit tests for the smoke check handler in lambda/deployment-smoke-check
+const { handler, onEvent, runSmokeChecks } = require('../lambda/deployment-smoke-check/index');
+
+type FakeResponse = { status: number; contentType?: string; body?: string };
+
+// Fake fetch answering by path; a list of responses is served in order, the last one repeating
+const fakeFetch = (routes: Record<string, FakeResponse | FakeResponse[] | Error>) => {
+  const calls: string[] = [];
+  const fetch = async (url: string) => {
+    calls.push(url);
+    const route = routes[new URL(url).pathname];
+    if (route instanceof Error) {
+      throw route;
+    }
+    const response = Array.isArray(route)
+      ? route[Math.min(calls.filter((call) => call === url).length, route.length) - 1]
+      : route;
+    return {
+      status: response.status,
+      headers: { get: () => response.contentType || null },
+      text: async () => response.body || '',
+    };
+  };
+  return { fetch, calls };
+};
+
+const html = (buildHash: string): FakeResponse => ({
+  status: 200,
+  contentType: 'text/html',
+  body: `<script type="module" src="/assets/index-${buildHash}.js"></script>`,
+});
+
+const properties = (extra: Record<string, string> = {}) => ({
+  Domain: 'example.com',
+  BuildHash: 'C1a2b3c4',
+  CheckApi: 'false',
+  Attempts: '3',
+  IntervalSeconds: '30',
+  ...extra,
+});
+
+const noSleep = async () => undefined;
+
+describe('Deployment smoke check handler', () => {
+  test('should pass when index.html references the expected build', async () => {
+    const { fetch, calls } = fakeFetch({ '/': html('C1a2b3c4') });
+    await expect(runSmokeChecks(properties(), { fetch, sleep: noSleep })).resolves.toEqual({ attempts: 1 });
+    expect(calls).toEqual(['https://example.com/']);
+  });
+
+  test('should fail when the previous build is still served', async () => {
+    const { fetch, calls } = fakeFetch({ '/': html('0ld0ld00') });
+    await expect(runSmokeChecks(properties(), { fetch, sleep: noSleep }))
+      .rejects.toThrow('https://example.com/ does not reference build C1a2b3c4');
+    expect(calls).toHaveLength(3);
+  });
+
+  test('should retry until CloudFront serves the new build', async () => {
+    const { fetch } = fakeFetch({ '/': [html('0ld0ld00'), { status: 503 }, html('C1a2b3c4')] });
+    const sleep = jest.fn(noSleep);
+    await expect(runSmokeChecks(properties(), { fetch, sleep })).resolves.toEqual({ attempts: 3 });
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(30000);
+  });
+
+  test('should check a release that is not live yet through its own path', async () => {
+    const { fetch, calls } = fakeFetch({ '/releases/abc123/index.html': html('C1a2b3c4') });
+    await expect(runSmokeChecks(properties({ Path: '/releases/abc123/index.html' }), { fetch, sleep: noSleep }))
+      .resolves.toEqual({ attempts: 1 });
+    expect(calls).toEqual(['https://example.com/releases/abc123/index.html']);
+  });
+
+  test('should only check the status and content type without a build hash', async () => {
+    const { fetch } = fakeFetch({ '/': { status: 200, contentType: 'text/html; charset=utf-8', body: '<html></html>' } });
+    await expect(runSmokeChecks(properties({ BuildHash: '' }), { fetch, sleep: noSleep })).resolves.toEqual({ attempts: 1 });
+  });
+
+  test('should require a JSON 200 from the API when requested', async () => {
+    const { fetch, calls } = fakeFetch({
+      '/': html('C1a2b3c4'),
+      '/api/': { status: 200, contentType: 'application/json', body: '{"message":"Hello"}' },
+    });
+    await runSmokeChecks(properties({ CheckApi: 'true' }), { fetch, sleep: noSleep });
+    expect(calls.sort()).toEqual(['https://example.com/', 'https://example.com/api/']);
+  });
+
+  test('should report API failures such as the SPA fallback page', async () => {
+    const { fetch } = fakeFetch({ '/': html('C1a2b3c4'), '/api/': html('C1a2b3c4') });
+    await expect(runSmokeChecks(properties({ CheckApi: 'true', Attempts: '1' }), { fetch, sleep: noSleep }))
+      .rejects.toThrow('https://example.com/api/ returned text/html instead of application/json');
+  });
+
+  test('should report unreachable sites instead of crashing', async () => {
+    const { fetch } = fakeFetch({ '/': new Error('getaddrinfo ENOTFOUND example.com') });
+    await expect(runSmokeChecks(properties({ Attempts: '1' }), { fetch, sleep: noSleep }))
+      .rejects.toThrow('https://example.com: getaddrinfo ENOTFOUND example.com');
+  });
+
+  test('should not check anything when the stack is deleted', async () => {
+    await expect(handler({
+      RequestType: 'Delete',
+      PhysicalResourceId: 'example.com-smoke-check',
+      ResourceProperties: properties(),
+    })).resolves.toEqual({ PhysicalResourceId: 'example.com-smoke-check' });
+  });
+
+  describe('Updates', () => {
+    const update = {
+      RequestType: 'Update',
+      StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/TestReactApiStack/abc',
+      PhysicalResourceId: 'example.com-smoke-check',
+      ResourceProperties: properties({ CheckApi: 'true', Attempts: '1' }),
+    };
+    const brokenApi = () => fakeFetch({ '/': html('C1a2b3c4'), '/api/': { status: 502 } });
+
+    test('should not check anything while the stack rolls back', async () => {
+      const { fetch, calls } = brokenApi();
+      const stackStatus = jest.fn(async () => 'UPDATE_ROLLBACK_IN_PROGRESS');
+
+      const result = await onEvent(update, { fetch, sleep: noSleep, stackStatus });
+      expect(result.Data.DeploymentStatus).toBe('ROLLBACK');
+      expect(stackStatus).toHaveBeenCalledWith(update.StackId);
+      expect(calls).toHaveLength(0);
+    });
+
+    test('should check a normal update', async () => {
+      const { fetch } = brokenApi();
+      await expect(onEvent(update, { fetch, sleep: noSleep, stackStatus: async () => 'UPDATE_IN_PROGRESS' }))
+        .rejects.toThrow('https://example.com/api/ returned HTTP 502');
+    });
+
+    test('should check the update when the stack status cannot be read', async () => {
+      const { fetch } = brokenApi();
+      const stackStatus = async () => { throw new Error('AccessDenied'); };
+      await expect(onEvent(update, { fetch, sleep: noSleep, stackStatus })).rejects.toThrow('returned HTTP 502');
+    });
+  });
+});
+
+describe('DeploymentSmokeCheck', () => {
+  test('should pass the checks to the custom resource', () => {
+    const stack = new cdk.Stack();
+    new DeploymentSmokeCheck(stack, 'SmokeCheck', {
+      domain: 'example.com',
+      buildHash: 'C1a2b3c4',
+      releaseId: 'a1b2c3d4e5f6',
+      checkApi: true,
+      attempts: 10,
+      interval: cdk.Duration.seconds(15),
+    });
+
+    Template.fromStack(stack).hasResourceProperties('Custom::DeploymentSmokeCheck', {
+      Domain: 'example.com',
+      BuildHash: 'C1a2b3c4',
+      ReleaseId: 'a1b2c3d4e5f6',
+      CheckApi: 'true',
+      Attempts: '10',
+      IntervalSeconds: '15',
+    });
+  });
+
+  test('should synthesize the same template when nothing changed', () => {
+    const synth = () => {
+      const stack = new cdk.Stack();
+      new DeploymentSmokeCheck(stack, 'SmokeCheck', { domain: 'example.com', buildHash: 'C1a2b3c4', releaseId: 'a1b2c3d4e5f6' });
+      return Template.fromStack(stack).toJSON();
+    };
+    expect(synth()).toEqual(synth());
+  });
+
+  test('should let the handler read the stack status to detect rollbacks', () => {
+    const stack = new cdk.Stack();
+    new DeploymentSmokeCheck(stack, 'SmokeCheck', { domain: 'example.com' });
+
+    Template.fromStack(stack).hasResourceProperties('AWS::IAM::Policy', {
+      PolicyDocument: {
+        Statement: Match.arrayWith([Match.objectLike({
+          Action: 'cloudformation:DescribeStacks',
+          Resource: { Ref: 'AWS::StackId' },
+        })]),
+      },
+    });
+  });
+
+  test('should log to its own log group instead of the shared log retention function', () => {
+    const stack = new cdk.Stack();
+    new DeploymentSmokeCheck(stack, 'SmokeCheck', { domain: 'example.com' });
+    const template = Template.fromStack(stack);
+    const [logGroupId] = Object.keys(template.findResources('AWS::Logs::LogGroup'));
+
+    template.resourceCountIs('Custom::LogRetention', 0);
+    template.resourceCountIs('AWS::Logs::LogGroup', 1);
+    template.hasResourceProperties('AWS::Logs::LogGroup', { RetentionInDays: 7 });
+    template.hasResourceProperties('AWS::Lambda::Function', {
+      Description: 'Smoke checks https://example.com after deployment',
+      LoggingConfig: { LogGroup: { Ref: logGroupId } },
+    });
+  });
+
+  test('should reject retries that cannot finish within the Lambda timeout', () => {
+    const stack = new cdk.Stack();
+    expect(() => new DeploymentSmokeCheck(stack, 'SmokeCheck', {
+      domain: 'example.com',
+      attempts: 30,
+      interval: cdk.Duration.minutes(1),
+    })).toThrow('Smoke check attempts and interval must fit within 12 minutes');
+  });
+
+  test('should check the build uploaded by Stage D without calling the API', () => {
+    const app = new cdk.App();
+    const stack = new ReactStack(app, 'TestReactStack', {
+      distributionPrefix: 'test-prefix',
+      targetRegion: 'us-east-1',
+      targetVpcId: 'vpc-12345678',
+      cloudFront: {
+        bucketName: 'test-prefix-content-123456789012',
+        distributionId: 'E1234567890ABC',
+      },
+      ssl: {
+        certificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+        primaryDomain: 'example.com',
+      },
+      buildHash: 'C1a2b3c4',
+      env: { account: '123456789012', region: 'us-east-1' },
+    });
+
+    Template.fromStack(stack).hasResourceProperties('Custom::DeploymentSmokeCheck', {
+      Domain: 'example.com',
+      BuildHash: 'C1a2b3c4',
+      CheckApi: 'false',
+      DistributionId: 'E1234567890ABC',
+    });
+  });
+});
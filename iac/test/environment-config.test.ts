@@ -0,0 +1,131 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { CloudFrontStack } from '../lib/cloudfront-stack';
+import { LambdaStack } from '../lib/lambda-stack';
+import { ENVIRONMENTS, corsAllowedOrigins, getEnvironmentConfig } from '../lib/environment-config';
+
+describe('Environment configuration', () => {
+  const env = {
+    account: '123456789012',
+    region: 'us-east-1',
+  };
+
+  const cloudFrontTemplate = (config = ENVIRONMENTS.dev) => {
+    const app = new cdk.App();
+    const stack = new CloudFrontStack(app, 'TestCloudFrontStack', {
+      distributionPrefix: 'test-prefix',
+      targetRegion: 'us-east-1',
+      targetVpcId: 'vpc-12345678',
+      config,
+      env,
+    });
+    return Template.fromStack(stack);
+  };
+
+  const lambdaTemplate = (config = ENVIRONMENTS.dev, domains?: string[]) => {
+    const app = new cdk.App();
+    const stack = new LambdaStack(app, 'TestLambdaStack', {
+      distributionPrefix: 'test-prefix',
+      targetRegion: 'us-east-1',
+      targetVpcId: 'vpc-12345678',
+      cloudFront: {
+        distributionId: 'E1234567890ABC',
+        bucketName: 'test-prefix-content-123456789012',
+      },
+      codePath: './test/assets',
+      domains,
+      config,
+      env,
+    });
+    return Template.fromStack(stack);
+  };
+
+  describe('Selection', () => {
+    test('should default to the dev preset', () => {
+      expect(getEnvironmentConfig()).toBe(ENVIRONMENTS.dev);
+    });
+
+    test('should return the requested preset', () => {
+      expect(getEnvironmentConfig('prod')).toBe(ENVIRONMENTS.prod);
+      expect(getEnvironmentConfig('staging')).toBe(ENVIRONMENTS.staging);
+    });
+
+    test('should reject unknown environments', () => {
+      expect(() => getEnvironmentConfig('production')).toThrow('Unknown environment "production"');
+    });
+  });
+
+  describe('CORS origins', () => {
+    test('should allow any origin in dev', () => {
+      expect(corsAllowedOrigins(ENVIRONMENTS.dev)).toEqual(['*']);
+    });
+
+    test('should restrict staging and prod to the site domains', () => {
+      expect(corsAllowedOrigins(ENVIRONMENTS.prod, ['example.com', 'www.example.com'])).toEqual([
+        'https://example.com',
+        'https://www.example.com',
+      ]);
+    });
+
+    test('should fail when a restricted environment has no domains', () => {
+      expect(() => corsAllowedOrigins(ENVIRONMENTS.staging)).toThrow('no domains were provided');
+    });
+  });
+
+  describe('CloudFrontStack', () => {
+    test('should keep short TTLs and a disposable bucket in dev', () => {
+      const template = cloudFrontTemplate(ENVIRONMENTS.dev);
+
+      template.hasResourceProperties('AWS::CloudFront::CachePolicy', {
+        CachePolicyConfig: Match.objectLike({ DefaultTTL: 60, MinTTL: 60, MaxTTL: 60 }),
+      });
+      template.hasResource('AWS::S3::Bucket', { DeletionPolicy: 'Delete' });
+      template.resourceCountIs('Custom::S3AutoDeleteObjects', 1);
+    });
+
+    test('should retain the bucket and use long TTLs in prod', () => {
+      const template = cloudFrontTemplate(ENVIRONMENTS.prod);
+
+      template.hasResourceProperties('AWS::CloudFront::CachePolicy', {
+        CachePolicyConfig: Match.objectLike({ DefaultTTL: 86400, MinTTL: 0, MaxTTL: 31536000 }),
+      });
+      template.hasResourceProperties('AWS::CloudFront::Distribution', {
+        DistributionConfig: Match.objectLike({ PriceClass: 'PriceClass_All' }),
+      });
+      template.hasResource('AWS::S3::Bucket', {
+        DeletionPolicy: 'Retain',
+        UpdateReplacePolicy: 'Retain',
+      });
+      template.resourceCountIs('Custom::S3AutoDeleteObjects', 0);
+    });
+  });
+
+  describe('LambdaStack', () => {
+    test('should size the function and log retention from the preset', () => {
+      const template = lambdaTemplate(ENVIRONMENTS.prod, ['example.com']);
+
+      template.hasResourceProperties('AWS::Lambda::Function', {
+        MemorySize: 512,
+        Timeout: 30,
+      });
+      template.hasResourceProperties('AWS::Logs::LogGroup', {
+        RetentionInDays: 365,
+      });
+      template.hasResource('AWS::Logs::LogGroup', { DeletionPolicy: 'Retain' });
+    });
+
+    test('should restrict Function URL CORS to the site domains in prod', () => {
+      const template = lambdaTemplate(ENVIRONMENTS.prod, ['example.com', 'www.example.com']);
+
+      template.hasResourceProperties('AWS::Lambda::Url', {
+        Cors: Match.objectLike({
+          AllowOrigins: ['https://example.com', 'https://www.example.com'],
+        }),
+      });
+    });
+
+    test('should refuse to synthesize prod without site domains', () => {
+      expect(() => lambdaTemplate(ENVIRONMENTS.prod)).toThrow('no domains were provided');
+    });
+  });
+});
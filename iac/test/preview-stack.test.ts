@@ -0,0 +1,158 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import { Template } from 'aws-cdk-lib/assertions';
+import { PreviewStack, PreviewStackProps, previewSlugForBranch, previewStackName } from '../lib/preview-stack';
+
+// Unit tests for the viewer request function in cloudfront-functions/viewer-request
+const { handler, routeRequest, isNavigation, previewBranch, LIVE_RELEASE_KEY } = require('../cloudfront-functions/viewer-request/index');
+
+const BUILD_PATH = path.join(__dirname, 'assets/react-build');
+
+const request = (host: string, uri: string) => ({
+  method: 'GET',
+  uri,
+  querystring: {},
+  headers: { host: { value: host } },
+  cookies: {},
+});
+
+const viewerRequest = (host: string, uri: string) => handler({ request: request(host, uri) });
+
+// Stands in for the cf.kvs handle: get() rejects for missing keys
+const releaseStore = (values: Record<string, string>) => ({
+  get: async (key: string) => {
+    if (!(key in values)) {
+      throw new Error(`Key ${key} not found`);
+    }
+    return values[key];
+  },
+});
+
+describe('Viewer request function', () => {
+  test('should serve preview assets from the branch prefix', async () => {
+    expect((await viewerRequest('feature-login.preview.example.com', '/assets/index-C1a2b3c4.js')).uri)
+      .toBe('/previews/feature-login/assets/index-C1a2b3c4.js');
+    expect((await viewerRequest('feature-login.preview.example.com', '/manifest.json')).uri)
+      .toBe('/previews/feature-login/manifest.json');
+  });
+
+  test('should serve the branch index.html for navigation paths', async () => {
+    expect((await viewerRequest('feature-login.preview.example.com', '/')).uri).toBe('/previews/feature-login/index.html');
+    expect((await viewerRequest('feature-login.preview.example.com', '/users/42')).uri).toBe('/previews/feature-login/index.html');
+  });
+
+  test('should serve index.html for navigation paths of the site itself', async () => {
+    expect((await viewerRequest('example.com', '/')).uri).toBe('/index.html');
+    expect((await viewerRequest('example.com', '/users/42')).uri).toBe('/index.html');
+    expect((await viewerRequest('www.example.com', '/docs/')).uri).toBe('/index.html');
+  });
+
+  test('should fetch files of the site itself as is', async () => {
+    expect((await viewerRequest('www.example.com', '/assets/index-C1a2b3c4.js')).uri).toBe('/assets/index-C1a2b3c4.js');
+    expect((await viewerRequest('example.com', '/favicon.ico')).uri).toBe('/favicon.ico');
+    expect((await viewerRequest('example.com', '/assets/missing.png')).uri).toBe('/assets/missing.png');
+  });
+
+  test('should serve unhashed files of the site from the live release', async () => {
+    const store = releaseStore({ [LIVE_RELEASE_KEY]: 'abc123' });
+    expect((await routeRequest(request('example.com', '/users/42'), store)).uri).toBe('/releases/abc123/index.html');
+    expect((await routeRequest(request('example.com', '/manifest.json'), store)).uri).toBe('/releases/abc123/manifest.json');
+  });
+
+  test('should serve hashed assets from the bucket root whatever the live release', async () => {
+    const store = releaseStore({ [LIVE_RELEASE_KEY]: 'abc123' });
+    expect((await routeRequest(request('example.com', '/assets/index-C1a2b3c4.js'), store)).uri).toBe('/assets/index-C1a2b3c4.js');
+    expect((await routeRequest(request('example.com', '/static/js/main.1a2b3c4d.js'), store)).uri).toBe('/static/js/main.1a2b3c4d.js');
+  });
+
+  test('should fetch release paths as is so a release can be checked before it is live', async () => {
+    const store = releaseStore({ [LIVE_RELEASE_KEY]: 'abc123' });
+    expect((await routeRequest(request('example.com', '/releases/def456/index.html'), store)).uri).toBe('/releases/def456/index.html');
+  });
+
+  test('should serve the bucket root until a release is live', async () => {
+    expect((await routeRequest(request('example.com', '/users/42'), releaseStore({}))).uri).toBe('/index.html');
+    expect((await routeRequest(request('example.com', '/manifest.json'), null)).uri).toBe('/manifest.json');
+  });
+
+  test('should not read the release store for preview hosts', async () => {
+    const store = releaseStore({ [LIVE_RELEASE_KEY]: 'abc123' });
+    expect((await routeRequest(request('feature-login.preview.example.com', '/releases/x'), store)).uri)
+      .toBe('/previews/feature-login/index.html');
+  });
+
+  test('should only treat paths without an extension in the last segment as navigation', () => {
+    expect(isNavigation('/users/42')).toBe(true);
+    expect(isNavigation('/v1.2/users')).toBe(true);
+    expect(isNavigation('/users/jane.doe')).toBe(false);
+  });
+
+  test('should only treat a single label before .preview. as a branch', () => {
+    expect(previewBranch('Feature-Login.Preview.example.com')).toBe('feature-login');
+    expect(previewBranch('a.b.preview.example.com')).toBeNull();
+    expect(previewBranch('preview.example.com')).toBeNull();
+    expect(previewBranch(undefined)).toBeNull();
+  });
+});
+
+describe('PreviewStack', () => {
+  const props: PreviewStackProps = {
+    distributionPrefix: 'test-prefix',
+    branch: 'feature/Login_Form',
+    cloudFront: {
+      bucketName: 'test-prefix-content-123456789012',
+      distributionId: 'E1234567890ABC',
+    },
+    ssl: {
+      certificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+      primaryDomain: 'example.com',
+    },
+    buildPath: BUILD_PATH,
+    checkApi: true,
+    env: { account: '123456789012', region: 'us-east-1' },
+  };
+
+  let template: Template;
+
+  beforeAll(() => {
+    const app = new cdk.App();
+    template = Template.fromStack(new PreviewStack(app, previewStackName('test-prefix', props.branch), props));
+  });
+
+  test('should turn branch names into DNS labels', () => {
+    expect(previewSlugForBranch('feature/Login_Form')).toBe('feature-login-form');
+    expect(previewSlugForBranch('--fix--')).toBe('fix');
+    expect(previewSlugForBranch('x'.repeat(80))).toHaveLength(63);
+    expect(previewStackName('test-prefix', 'feature/Login_Form')).toBe('test-prefix-preview-feature-login-form');
+    expect(() => previewSlugForBranch('///')).toThrow('Invalid preview branch ///');
+  });
+
+  test('should upload the build to the branch prefix and empty it on teardown', () => {
+    template.resourceCountIs('Custom::CDKBucketDeployment', 1);
+    template.hasResourceProperties('Custom::CDKBucketDeployment', {
+      DestinationBucketName: 'test-prefix-content-123456789012',
+      DestinationBucketKeyPrefix: 'previews/feature-login-form/',
+      Prune: true,
+      RetainOnDelete: false,
+      DistributionId: 'E1234567890ABC',
+      DistributionPaths: ['/previews/feature-login-form/*'],
+      SystemMetadata: { 'cache-control': 'no-cache, no-store, must-revalidate' },
+    });
+  });
+
+  test('should smoke-check the build and the API through the preview host', () => {
+    template.hasResourceProperties('Custom::DeploymentSmokeCheck', {
+      Domain: 'feature-login-form.preview.example.com',
+      BuildHash: 'C1a2b3c4',
+      CheckApi: 'true',
+      PreviewBranch: 'feature/Login_Form',
+    });
+    template.hasOutput('PreviewUrl', { Value: 'https://feature-login-form.preview.example.com' });
+  });
+
+  test('should fail at synth time when the build is missing', () => {
+    const app = new cdk.App();
+    expect(() => new PreviewStack(app, 'TestPreviewMissingBuild', { ...props, buildPath: '/nonexistent/dist' }))
+      .toThrow('React build not found at /nonexistent/dist');
+  });
+});
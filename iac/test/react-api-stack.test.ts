@@ -0,0 +1,410 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { CloudFrontStack } from '../lib/cloudfront-stack';
+import { ENVIRONMENTS } from '../lib/environment-config';
+import { LambdaStack } from '../lib/lambda-stack';
+import { ReactApiStack, ReactApiStackProps } from '../lib/react-api-stack';
+
+describe('ReactApiStack', () => {
+  const env = {
+    account: '123456789012',
+    region: 'us-east-1',
+  };
+
+  const defaultProps: ReactApiStackProps = {
+    distributionPrefix: 'test-prefix',
+    targetRegion: 'us-east-1',
+    targetVpcId: 'vpc-12345678',
+    cloudFront: {
+      bucketName: 'test-prefix-content-123456789012',
+      distributionId: 'E1234567890ABC',
+      bucketRegionalDomainName: 'test-prefix-content-123456789012.s3.us-east-1.amazonaws.com',
+      originAccessControlId: 'E2QWRUHAPOMQZL',
+      cachePolicyId: '658327ea-f89d-4fab-a63d-7e88639e58f6',
+    },
+    ssl: {
+      certificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+      primaryDomain: 'example.com',
+      domains: ['example.com', 'www.example.com'],
+    },
+    lambda: {
+      functionArn: 'arn:aws:lambda:us-east-1:123456789012:function:test-prefix-api',
+      functionUrl: 'https://abcdefghijklmnop.lambda-url.us-east-1.on.aws/',
+    },
+    env,
+  };
+
+  let template: Template;
+
+  beforeAll(() => {
+    const app = new cdk.App();
+    const stack = new ReactApiStack(app, 'TestReactApiStack', defaultProps);
+    template = Template.fromStack(stack);
+  });
+
+  const distributionOrigins = (): any[] => {
+    const distributions = template.findResources('AWS::CloudFront::Distribution');
+    return distributions.ExistingDistribution.Properties.DistributionConfig.Origins;
+  };
+
+  describe('Lambda origin access control', () => {
+    test('should create a SigV4 origin access control for the Function URL', () => {
+      template.hasResourceProperties('AWS::CloudFront::OriginAccessControl', {
+        OriginAccessControlConfig: {
+          Name: 'test-prefix-lambda-oac',
+          OriginAccessControlOriginType: 'lambda',
+          SigningBehavior: 'always',
+          SigningProtocol: 'sigv4',
+          Description: Match.anyValue(),
+        },
+      });
+    });
+
+    test('should attach the origin access control to the Lambda origin', () => {
+      const lambdaOrigin = distributionOrigins().find((origin) => origin.Id === 'LambdaOrigin');
+      const oacLogicalId = Object.keys(template.findResources('AWS::CloudFront::OriginAccessControl'))[0];
+
+      expect(lambdaOrigin.DomainName).toBe('abcdefghijklmnop.lambda-url.us-east-1.on.aws');
+      expect(lambdaOrigin.OriginAccessControlId).toEqual({ 'Fn::GetAtt': [oacLogicalId, 'Id'] });
+    });
+
+    test('should keep the Stage A origin access control on the S3 origin', () => {
+      const s3Origin = distributionOrigins().find((origin) => origin.Id === 'S3Origin');
+      expect(s3Origin.OriginAccessControlId).toBe('E2QWRUHAPOMQZL');
+    });
+  });
+
+  describe('Function URL permission', () => {
+    test('should grant InvokeFunctionUrl to CloudFront scoped to this distribution', () => {
+      template.resourceCountIs('AWS::Lambda::Permission', 1);
+      template.hasResourceProperties('AWS::Lambda::Permission', {
+        Action: 'lambda:InvokeFunctionUrl',
+        FunctionName: 'arn:aws:lambda:us-east-1:123456789012:function:test-prefix-api',
+        Principal: 'cloudfront.amazonaws.com',
+        FunctionUrlAuthType: 'AWS_IAM',
+        SourceArn: {
+          'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', { Ref: 'ExistingDistribution' }]],
+        },
+      });
+    });
+  });
+
+  describe('Response headers policies', () => {
+    const behaviors = () => template.findResources('AWS::CloudFront::Distribution')
+      .ExistingDistribution.Properties.DistributionConfig;
+
+    test('should fall back to the Stage A security headers policy export for the SPA', () => {
+      expect(behaviors().DefaultCacheBehavior.ResponseHeadersPolicyId).toEqual({
+        'Fn::ImportValue': 'test-prefix-response-headers-policy-id',
+      });
+    });
+
+    test('should attach the API policy to /api/*', () => {
+      const policyLogicalId = Object.keys(template.findResources('AWS::CloudFront::ResponseHeadersPolicy'))[0];
+      const apiBehavior = behaviors().CacheBehaviors.find((behavior: any) => behavior.PathPattern === '/api/*');
+      expect(apiBehavior.ResponseHeadersPolicyId).toEqual({ Ref: policyLogicalId });
+    });
+
+    test('should restrict API CORS to the Stage B domains', () => {
+      template.hasResourceProperties('AWS::CloudFront::ResponseHeadersPolicy', {
+        ResponseHeadersPolicyConfig: Match.objectLike({
+          Name: 'test-prefix-api-security-headers',
+          CorsConfig: Match.objectLike({
+            AccessControlAllowOrigins: { Items: ['https://example.com', 'https://www.example.com'] },
+            AccessControlAllowHeaders: { Items: Match.arrayWith(['x-amz-content-sha256']) },
+            OriginOverride: true,
+          }),
+          SecurityHeadersConfig: Match.objectLike({
+            ContentSecurityPolicy: Match.objectLike({ ContentSecurityPolicy: "default-src 'none'; frame-ancestors 'none'" }),
+          }),
+        }),
+      });
+    });
+  });
+
+  describe('API behaviors', () => {
+    const cacheBehaviors = () => template.findResources('AWS::CloudFront::Distribution')
+      .ExistingDistribution.Properties.DistributionConfig.CacheBehaviors;
+
+    test('should route the exact /api path before /api/* to the Lambda origin', () => {
+      expect(cacheBehaviors().map((behavior: any) => behavior.PathPattern)).toEqual(['/api', '/api/*']);
+      for (const behavior of cacheBehaviors()) {
+        expect(behavior.TargetOriginId).toBe('LambdaOrigin');
+        expect(behavior.AllowedMethods).toEqual(['GET', 'HEAD', 'OPTIONS', 'PUT', 'POST', 'PATCH', 'DELETE']);
+      }
+    });
+
+    test('should apply the same policies to both API behaviors', () => {
+      const [exact, wildcard] = cacheBehaviors();
+      expect(exact.CachePolicyId).toEqual(wildcard.CachePolicyId);
+      expect(exact.OriginRequestPolicyId).toEqual(wildcard.OriginRequestPolicyId);
+      expect(exact.ResponseHeadersPolicyId).toEqual(wildcard.ResponseHeadersPolicyId);
+    });
+
+    test('should export the declared patterns in precedence order', () => {
+      template.hasOutput('ReactApiApiBehaviorPattern', { Value: '/api,/api/*' });
+      template.hasOutput('ReactApiApiBehaviorPrecedence', { Value: '0,1' });
+    });
+
+    test('should forward query strings, cookies and API headers but not Host', () => {
+      template.hasResourceProperties('AWS::CloudFront::OriginRequestPolicy', {
+        OriginRequestPolicyConfig: {
+          Name: 'test-prefix-api-origin-request',
+          Comment: Match.anyValue(),
+          QueryStringsConfig: { QueryStringBehavior: 'all' },
+          CookiesConfig: { CookieBehavior: 'all' },
+          HeadersConfig: {
+            HeaderBehavior: 'whitelist',
+            Headers: Match.arrayWith(['Content-Type', 'x-amz-content-sha256', 'X-Api-Authorization']),
+          },
+        },
+      });
+
+      const policy = Object.values(template.findResources('AWS::CloudFront::OriginRequestPolicy'))[0];
+      const headers: string[] = policy.Properties.OriginRequestPolicyConfig.HeadersConfig.Headers;
+      expect(headers.map((header) => header.toLowerCase())).not.toContain('host');
+
+      const policyLogicalId = Object.keys(template.findResources('AWS::CloudFront::OriginRequestPolicy'))[0];
+      for (const behavior of cacheBehaviors()) {
+        expect(behavior.OriginRequestPolicyId).toEqual({ Ref: policyLogicalId });
+        // Managed CachingDisabled policy
+        expect(behavior.CachePolicyId).toBe('4135ea2d-6df8-44a3-9df3-4b5a84be39ad');
+      }
+    });
+
+    test('should cache selected GET routes briefly, keyed on their query parameters', () => {
+      const app = new cdk.App();
+      const cached = Template.fromStack(new ReactApiStack(app, 'TestCachedRoutes', {
+        ...defaultProps,
+        apiCacheRoutes: [{ pathPattern: '/api/hello/*', ttl: cdk.Duration.seconds(60), queryStrings: ['lang'] }],
+      }));
+      const config = cached.findResources('AWS::CloudFront::Distribution').ExistingDistribution.Properties.DistributionConfig;
+      const policyLogicalId = Object.keys(cached.findResources('AWS::CloudFront::CachePolicy'))[0];
+
+      expect(config.CacheBehaviors.map((behavior: any) => behavior.PathPattern)).toEqual(['/api', '/api/hello/*', '/api/*']);
+      expect(config.CacheBehaviors[1].CachePolicyId).toEqual({ Ref: policyLogicalId });
+      cached.hasResourceProperties('AWS::CloudFront::CachePolicy', {
+        CachePolicyConfig: Match.objectLike({
+          Name: 'test-prefix-api-cache-1',
+          DefaultTTL: 60,
+          MaxTTL: 60,
+          MinTTL: 0,
+          ParametersInCacheKeyAndForwardedToOrigin: Match.objectLike({
+            QueryStringsConfig: { QueryStringBehavior: 'whitelist', QueryStrings: ['lang'] },
+            HeadersConfig: { HeaderBehavior: 'none' },
+            CookiesConfig: { CookieBehavior: 'none' },
+          }),
+        }),
+      });
+      cached.hasOutput('ReactApiApiBehaviorPrecedence', { Value: '0,1,2' });
+    });
+
+    test('should reject cached routes outside the API or cached for long', () => {
+      const app = new cdk.App();
+      expect(() => new ReactApiStack(app, 'TestCachedOutside', {
+        ...defaultProps,
+        apiCacheRoutes: [{ pathPattern: '/assets/*', ttl: cdk.Duration.seconds(60) }],
+      })).toThrow('Invalid cached API route /assets/*');
+      expect(() => new ReactApiStack(app, 'TestCachedLong', {
+        ...defaultProps,
+        apiCacheRoutes: [{ pathPattern: '/api/hello/*', ttl: cdk.Duration.days(1) }],
+      })).toThrow('Invalid cache TTL for /api/hello/*');
+    });
+  });
+
+  describe('Branch previews', () => {
+    test('should keep the Stage A viewer request function on the SPA behavior', () => {
+      const { DefaultCacheBehavior } = template.findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(DefaultCacheBehavior.FunctionAssociations).toEqual([
+        { EventType: 'viewer-request', FunctionARN: { 'Fn::ImportValue': 'test-prefix-viewer-request-function-arn' } },
+      ]);
+    });
+
+    test('should serve the preview wildcard when Stage B enabled previews', () => {
+      const app = new cdk.App();
+      const stack = new ReactApiStack(app, 'TestPreviewReactApiStack', {
+        ...defaultProps,
+        ssl: { ...defaultProps.ssl, previewDomain: '*.preview.example.com' },
+      });
+      const { Aliases } = Template.fromStack(stack).findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(Aliases).toEqual(['example.com', 'www.example.com', '*.preview.example.com']);
+    });
+  });
+
+  describe('Web ACL', () => {
+    test('should attach a configured web ACL to the distribution', () => {
+      const webAclArn = 'arn:aws:wafv2:us-east-1:123456789012:global/webacl/test-prefix-site/abc123';
+      const app = new cdk.App();
+      const stack = new ReactApiStack(app, 'TestWebAclReactApiStack', { ...defaultProps, webAclArn });
+      const { WebACLId } = Template.fromStack(stack).findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(WebACLId).toBe(webAclArn);
+    });
+
+    test('should leave the distribution without a web ACL by default', () => {
+      const { WebACLId } = template.findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(WebACLId).toBeUndefined();
+    });
+  });
+
+  describe('Access logs', () => {
+    test('should keep logging to the Stage A access log bucket in prod', () => {
+      const app = new cdk.App();
+      const stack = new ReactApiStack(app, 'TestLoggingReactApiStack', { ...defaultProps, config: ENVIRONMENTS.prod });
+      const { Logging } = Template.fromStack(stack).findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(Logging).toEqual({
+        Bucket: { 'Fn::Join': ['', ['test-prefix-access-logs-', { Ref: 'AWS::AccountId' }, '.s3.amazonaws.com']] },
+        Prefix: 'cloudfront/',
+        IncludeCookies: false,
+      });
+    });
+
+    test('should leave logging off in dev', () => {
+      const { Logging } = template.findResources('AWS::CloudFront::Distribution')
+        .ExistingDistribution.Properties.DistributionConfig;
+      expect(Logging).toBeUndefined();
+    });
+  });
+
+  describe('Content bucket access', () => {
+    test('should add a read statement for this distribution to the Stage A bucket policy', () => {
+      template.hasResourceProperties('Custom::BucketReadGrant', {
+        BucketName: 'test-prefix-content-123456789012',
+        DistributionArn: {
+          'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', { Ref: 'ExistingDistribution' }]],
+        },
+        StatementId: { 'Fn::Join': ['', ['CloudFrontRead', { Ref: 'ExistingDistribution' }]] },
+      });
+    });
+
+    test('should grant read access before the smoke check requests the site', () => {
+      const [grantId] = Object.keys(template.findResources('Custom::BucketReadGrant'));
+      const [check] = Object.values(template.findResources('Custom::DeploymentSmokeCheck')) as any[];
+
+      expect(check.DependsOn).toEqual(expect.arrayContaining([grantId]));
+    });
+
+    test('should output the ID of this distribution, not Stage A\'s', () => {
+      template.hasOutput('ReactApiDistributionId', {
+        Value: { Ref: 'ExistingDistribution' },
+        Export: { Name: 'test-prefix-react-api-distribution-id' },
+      });
+      template.hasOutput('ReactApiCloudFrontDistributionId', { Value: 'E1234567890ABC' });
+    });
+  });
+
+  describe('React build', () => {
+    let built: Template;
+
+    beforeAll(() => {
+      const app = new cdk.App();
+      built = Template.fromStack(new ReactApiStack(app, 'TestBuiltReactApiStack', {
+        ...defaultProps,
+        buildPath: path.join(__dirname, 'assets/react-build'),
+      }));
+    });
+
+    test('should store the build as a release without invalidating any distribution', () => {
+      const deployments = Object.values(built.findResources('Custom::CDKBucketDeployment')) as any[];
+
+      expect(deployments.length).toBeGreaterThan(0);
+      for (const deployment of deployments) {
+        expect(deployment.Properties.DistributionId).toBeUndefined();
+      }
+    });
+
+    test('should smoke-check the release through the distribution serving the primary domain', () => {
+      const [check] = Object.values(built.findResources('Custom::DeploymentSmokeCheck')) as any[];
+      expect(check.Properties.DistributionId).toEqual({ Ref: 'ExistingDistribution' });
+      expect(check.Properties.Path).toMatch(/^\/releases\/[0-9a-f]{12}\/index\.html$/);
+    });
+
+    test('should only let the deployment role invalidate that distribution', () => {
+      built.hasResourceProperties('AWS::IAM::Role', {
+        RoleName: 'test-prefix-react-api-deployment-role',
+        Policies: Match.arrayWith([{
+          PolicyName: 'CloudFrontInvalidationPolicy',
+          PolicyDocument: {
+            Version: '2012-10-17',
+            Statement: [Match.objectLike({
+              Resource: {
+                'Fn::Join': ['', ['arn:aws:cloudfront::', { Ref: 'AWS::AccountId' }, ':distribution/', { Ref: 'ExistingDistribution' }]],
+              },
+            })],
+          },
+        }]),
+      });
+    });
+  });
+
+  describe('Deployment smoke check', () => {
+    test('should check the SPA and the API once the distribution is updated', () => {
+      const checks = template.findResources('Custom::DeploymentSmokeCheck');
+      const [check] = Object.values(checks) as any[];
+
+      expect(check.Properties).toMatchObject({ Domain: 'example.com', CheckApi: 'true' });
+      expect(check.DependsOn).toEqual(expect.arrayContaining(['ExistingDistribution']));
+      expect(check.DependsOn.some((id: string) => id.startsWith('LambdaOriginInvokePermission'))).toBe(true);
+    });
+  });
+
+  describe('Composed with Stages A and C', () => {
+    test('should grant the permission on the Stage C function', () => {
+      const app = new cdk.App();
+      const cloudFrontStack = new CloudFrontStack(app, 'TestCloudFrontStack', {
+        distributionPrefix: 'test-prefix',
+        targetRegion: 'us-east-1',
+        targetVpcId: 'vpc-12345678',
+        env,
+      });
+      const lambdaStack = new LambdaStack(app, 'TestLambdaStack', {
+        distributionPrefix: 'test-prefix',
+        targetRegion: 'us-east-1',
+        targetVpcId: 'vpc-12345678',
+        cloudFront: cloudFrontStack,
+        codePath: './test/assets',
+        env,
+      });
+      const stack = new ReactApiStack(app, 'TestComposedReactApiStack', {
+        ...defaultProps,
+        cloudFront: cloudFrontStack,
+        lambda: lambdaStack,
+      });
+
+      Template.fromStack(lambdaStack).resourceCountIs('AWS::Lambda::Permission', 0);
+      Template.fromStack(stack).hasResourceProperties('AWS::Lambda::Permission', {
+        Action: 'lambda:InvokeFunctionUrl',
+        FunctionName: { 'Fn::ImportValue': Match.stringLikeRegexp('TestLambdaStack') },
+        Principal: 'cloudfront.amazonaws.com',
+      });
+    });
+
+    test('should grant invoke access on the live alias when Stage C serves releases', () => {
+      const app = new cdk.App();
+      const lambdaStack = new LambdaStack(app, 'TestLambdaStack', {
+        distributionPrefix: 'test-prefix',
+        targetRegion: 'us-east-1',
+        targetVpcId: 'vpc-12345678',
+        cloudFront: defaultProps.cloudFront,
+        codePath: './test/assets',
+        releases: true,
+        env,
+      });
+      const stack = new ReactApiStack(app, 'TestReleaseReactApiStack', {
+        ...defaultProps,
+        lambda: lambdaStack,
+      });
+
+      const permissions = Template.fromStack(stack).findResources('AWS::Lambda::Permission', {
+        Properties: { Action: 'lambda:InvokeFunctionUrl' },
+      });
+      const functionName = Object.values(permissions)[0].Properties.FunctionName;
+      expect(functionName['Fn::ImportValue']).toMatch(/ApiReleaseLiveAlias/);
+    });
+  });
+});
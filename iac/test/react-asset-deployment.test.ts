@@ -0,0 +1,137 @@
+import * as path from 'path';
+import * as cdk from 'aws-cdk-lib';
+import { Template } from 'aws-cdk-lib/assertions';
+import { ReactStack, ReactStackProps } from '../lib/react-stack';
+import { CACHE_CONTROL, buildHashFromIndexHtml, cacheTierForPath, releaseIdForBuild } from '../lib/react-asset-deployment';
+
+const BUILD_PATH = path.join(__dirname, 'assets/react-build');
+
+describe('ReactAssetDeployment', () => {
+  describe('Cache tiers', () => {
+    test('should treat files in the hashed asset directories as immutable', () => {
+      expect(cacheTierForPath('assets/index-C1a2b3c4.js')).toBe('immutable');
+      expect(cacheTierForPath('static/js/main.1a2b3c4d.js')).toBe('immutable');
+    });
+
+    test('should never cache root HTML files', () => {
+      expect(cacheTierForPath('index.html')).toBe('noStore');
+    });
+
+    test('should keep manifests, service workers and other unhashed files short-lived', () => {
+      expect(cacheTierForPath('manifest.json')).toBe('short');
+      expect(cacheTierForPath('service-worker.js')).toBe('short');
+      expect(cacheTierForPath('vite.svg')).toBe('short');
+      expect(cacheTierForPath('img/assets/logo.png')).toBe('short');
+      expect(cacheTierForPath('docs/page.html')).toBe('short');
+    });
+
+    test('should read the build hash from the entry bundle', () => {
+      expect(buildHashFromIndexHtml('<script type="module" src="/assets/index-C1a2b3c4.js"></script>')).toBe('C1a2b3c4');
+      expect(buildHashFromIndexHtml('<script defer="defer" src="/static/js/main.1a2b3c4d.js"></script>')).toBe('1a2b3c4d');
+      expect(buildHashFromIndexHtml('<script src="/src/main.jsx"></script>')).toBeUndefined();
+    });
+  });
+
+  describe('Stage D stack', () => {
+    const props: ReactStackProps = {
+      distributionPrefix: 'test-prefix',
+      targetRegion: 'us-east-1',
+      targetVpcId: 'vpc-12345678',
+      cloudFront: {
+        bucketName: 'test-prefix-content-123456789012',
+        distributionId: 'E1234567890ABC',
+      },
+      ssl: {
+        certificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+        primaryDomain: 'example.com',
+      },
+      buildPath: BUILD_PATH,
+      env: { account: '123456789012', region: 'us-east-1' },
+    };
+
+    let template: Template;
+
+    beforeAll(() => {
+      const app = new cdk.App();
+      template = Template.fromStack(new ReactStack(app, 'TestReactStack', props));
+    });
+
+    const releasePrefix = `releases/${releaseIdForBuild(BUILD_PATH)}/`;
+
+    // Deployment for one cache tier
+    const deployment = (cacheControl: string) => {
+      const [logicalId, resource] = Object.entries(template.findResources('Custom::CDKBucketDeployment'))
+        .find(([, candidate]: [string, any]) => candidate.Properties.SystemMetadata['cache-control'] === cacheControl) as [string, any];
+      return { logicalId, ...resource };
+    };
+
+    test('should upload one deployment per cache tier', () => {
+      template.resourceCountIs('Custom::CDKBucketDeployment', 3);
+      for (const cacheControl of Object.values(CACHE_CONTROL)) {
+        expect(deployment(cacheControl).Properties).toMatchObject({
+          DestinationBucketName: 'test-prefix-content-123456789012',
+          Prune: false,
+          RetainOnDelete: true,
+        });
+      }
+    });
+
+    test('should share hashed assets between releases at the bucket root', () => {
+      expect(deployment(CACHE_CONTROL.immutable).Properties.DestinationBucketKeyPrefix).toBeUndefined();
+    });
+
+    test('should keep every other file under the release prefix', () => {
+      const short = deployment(CACHE_CONTROL.short);
+      const noStore = deployment(CACHE_CONTROL.noStore);
+      expect(short.Properties.DestinationBucketKeyPrefix).toBe(releasePrefix);
+      expect(short.Properties.SourceObjectKeys).toHaveLength(2); // Build plus release.json
+      expect(noStore.Properties.DestinationBucketKeyPrefix).toBe(releasePrefix);
+    });
+
+    test('should never invalidate, as the release store decides what is served', () => {
+      for (const cacheControl of Object.values(CACHE_CONTROL)) {
+        expect(deployment(cacheControl).Properties.DistributionId).toBeUndefined();
+      }
+    });
+
+    test('should upload index.html after the files it references', () => {
+      const immutable = deployment(CACHE_CONTROL.immutable);
+      const short = deployment(CACHE_CONTROL.short);
+      const noStore = deployment(CACHE_CONTROL.noStore);
+
+      expect(short.DependsOn).toEqual(expect.arrayContaining([immutable.logicalId]));
+      expect(noStore.DependsOn).toEqual(expect.arrayContaining([short.logicalId]));
+    });
+
+    test('should derive the release ID from the build content', () => {
+      expect(releaseIdForBuild(BUILD_PATH)).toMatch(/^[0-9a-f]{12}$/);
+      expect(releaseIdForBuild(BUILD_PATH)).toBe(releaseIdForBuild(BUILD_PATH));
+    });
+
+    test('should reject release IDs that are not safe key prefixes', () => {
+      const app = new cdk.App();
+      expect(() => new ReactStack(app, 'TestReactStackBadRelease', { ...props, releaseId: '../live' }))
+        .toThrow('Invalid release ID ../live');
+    });
+
+    test('should smoke-check the release before it is live', () => {
+      const [check] = Object.values(template.findResources('Custom::DeploymentSmokeCheck')) as any[];
+      expect(check.Properties.BuildHash).toBe('C1a2b3c4');
+      expect(check.Properties.Path).toBe(`/${releasePrefix}index.html`);
+      expect(check.DependsOn).toEqual(expect.arrayContaining([deployment(CACHE_CONTROL.noStore).logicalId]));
+    });
+
+    test('should leave the bucket untouched without a build', () => {
+      const app = new cdk.App();
+      const stack = new ReactStack(app, 'TestReactStackWithoutBuild', { ...props, buildPath: undefined });
+      Template.fromStack(stack).resourceCountIs('Custom::CDKBucketDeployment', 0);
+      Template.fromStack(stack).hasResourceProperties('Custom::DeploymentSmokeCheck', { BuildHash: '', Path: '/' });
+    });
+
+    test('should fail at synth time when the build is missing', () => {
+      const app = new cdk.App();
+      expect(() => new ReactStack(app, 'TestReactStackMissingBuild', { ...props, buildPath: '/nonexistent/dist' }))
+        .toThrow('React build not found at /nonexistent/dist');
+    });
+  });
+});
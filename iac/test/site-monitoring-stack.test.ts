@@ -0,0 +1,130 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { SiteMonitoringStack, SiteMonitoringStackProps, canaryNameFor } from '../lib/site-monitoring-stack';
+
+// Unit tests for the canary checks in canaries/site-check
+const { checkApiResponse, checkPageResponse } = require('../canaries/site-check/index');
+
+describe('Site canary checks', () => {
+  test('should accept the SPA and reject other page responses', () => {
+    expect(checkPageResponse('https://example.com/', { status: 200, contentType: 'text/html; charset=utf-8' })).toBeNull();
+    expect(checkPageResponse('https://example.com/', { status: 503, contentType: 'text/html' }))
+      .toBe('https://example.com/ returned HTTP 503');
+    expect(checkPageResponse('https://example.com/', { status: 200, contentType: 'application/xml' }))
+      .toBe('https://example.com/ returned application/xml instead of text/html');
+  });
+
+  test('should require JSON from the API', () => {
+    const url = 'https://example.com/api/';
+
+    expect(checkApiResponse(url, { status: 200, contentType: 'application/json', body: '{"ok":true}' })).toBeNull();
+    expect(checkApiResponse(url, { status: 200, contentType: 'text/html', body: '<!doctype html>' }))
+      .toBe(`${url} returned text/html instead of application/json`);
+    expect(checkApiResponse(url, { status: 200, contentType: 'application/json', body: '{' }))
+      .toMatch(`${url} returned invalid JSON`);
+    expect(checkApiResponse(url, { status: 502, contentType: 'text/plain', body: '' })).toBe(`${url} returned HTTP 502`);
+  });
+});
+
+describe('SiteMonitoringStack', () => {
+  const certificateArn = 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012';
+  const props: SiteMonitoringStackProps = {
+    distributionPrefix: 'test-prefix',
+    cloudFront: {
+      bucketName: 'test-prefix-content-123456789012',
+      distributionId: 'E1234567890ABC',
+    },
+    ssl: {
+      certificateArn,
+      primaryDomain: 'example.com',
+    },
+    checkApi: true,
+    alarmEmail: 'ops@example.com',
+    env: { account: '123456789012', region: 'us-east-1' },
+  };
+
+  let template: Template;
+
+  beforeAll(() => {
+    const app = new cdk.App();
+    template = Template.fromStack(new SiteMonitoringStack(app, 'TestSiteMonitoringStack', props));
+  });
+
+  test('should keep canary names within the 21 character limit', () => {
+    expect(canaryNameFor('test-prefix')).toBe('test-prefix-site');
+    expect(canaryNameFor('My_Very.Long-Distribution-Prefix').length).toBeLessThanOrEqual(21);
+    expect(canaryNameFor('My_Very.Long-Distribution-Prefix')).toMatch(/^[a-z0-9_-]+$/);
+  });
+
+  test('should run the canary against the site domain on a schedule', () => {
+    template.hasResourceProperties('AWS::Synthetics::Canary', {
+      Name: 'test-prefix-site',
+      RuntimeVersion: 'syn-nodejs-puppeteer-9.1',
+      Schedule: Match.objectLike({ Expression: 'rate(5 minutes)' }),
+      RunConfig: Match.objectLike({
+        EnvironmentVariables: { SITE_URL: 'https://example.com', CHECK_API: 'true' },
+      }),
+      Code: Match.objectLike({
+        Handler: 'index.handler',
+        Script: Match.stringLikeRegexp("executeStep\\('renderReact'"),
+      }),
+    });
+  });
+
+  test('should alarm on canary failures, the CloudFront 5xx rate and certificate expiry', () => {
+    template.resourceCountIs('AWS::CloudWatch::Alarm', 3);
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'test-prefix-site-canary-failed',
+      MetricName: 'SuccessPercent',
+      Namespace: 'CloudWatchSynthetics',
+      ComparisonOperator: 'LessThanThreshold',
+      Threshold: 100,
+      TreatMissingData: 'breaching',
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'test-prefix-site-cloudfront-5xx-rate',
+      MetricName: '5xxErrorRate',
+      Namespace: 'AWS/CloudFront',
+      Dimensions: Match.arrayWith([
+        { Name: 'DistributionId', Value: 'E1234567890ABC' },
+        { Name: 'Region', Value: 'Global' },
+      ]),
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'test-prefix-site-certificate-expiry',
+      MetricName: 'DaysToExpiry',
+      Dimensions: [{ Name: 'CertificateArn', Value: certificateArn }],
+      Threshold: 30,
+    });
+  });
+
+  test('should notify the alarm topic on alarm and recovery', () => {
+    template.hasResourceProperties('AWS::SNS::Topic', { TopicName: 'test-prefix-site-alarms' });
+    template.hasResourceProperties('AWS::SNS::Subscription', { Protocol: 'email', Endpoint: 'ops@example.com' });
+
+    const alarms = Object.values(template.findResources('AWS::CloudWatch::Alarm'));
+    for (const alarm of alarms) {
+      expect(alarm.Properties.AlarmActions).toEqual([{ Ref: expect.stringContaining('AlarmTopic') }]);
+      expect(alarm.Properties.OKActions).toEqual(alarm.Properties.AlarmActions);
+    }
+  });
+
+  test('should use an existing topic when one is configured', () => {
+    const app = new cdk.App();
+    const topicArn = 'arn:aws:sns:us-east-1:123456789012:ops-alarms';
+    const existing = Template.fromStack(new SiteMonitoringStack(app, 'TestExistingTopic', {
+      ...props,
+      alarmEmail: undefined,
+      alarmTopicArn: topicArn,
+    }));
+
+    existing.resourceCountIs('AWS::SNS::Topic', 0);
+    existing.hasResourceProperties('AWS::CloudWatch::Alarm', { AlarmActions: [topicArn] });
+  });
+
+  test('should refuse regions without CloudFront and ACM metrics', () => {
+    const app = new cdk.App();
+    expect(() => new SiteMonitoringStack(app, 'TestWrongRegion', { ...props, env: { account: '123456789012', region: 'eu-west-1' } }))
+      .toThrow('SiteMonitoringStack must be deployed to us-east-1');
+  });
+});
@@ -0,0 +1,246 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { SslCertificateStack, SslCertificateStackProps } from '../lib/ssl-certificate-stack';
+import { CrossAccountDnsRoleStack } from '../lib/dns-role-stack';
+import { ENVIRONMENTS } from '../lib/environment-config';
+import { CLOUDFRONT_HOSTED_ZONE_ID, HostedZoneMapping, hostedZoneForDomain } from '../lib/cross-account-dns';
+
+// Validation record helpers of the certificate custom resource handler
+const { validationChanges } = require('../lambda/cross-account-certificate/index');
+
+describe('SslCertificateStack', () => {
+  const hostedZones: HostedZoneMapping[] = [
+    { domain: 'example.com', zoneId: '/hostedzone/Z0123456789ABC', zoneName: 'example.com' },
+    { domain: 'www.example.com', zoneId: '/hostedzone/Z0123456789ABC', zoneName: 'example.com' },
+  ];
+
+  const defaultProps: SslCertificateStackProps = {
+    domains: ['www.example.com', 'example.com'],
+    hostedZones,
+    cloudFront: {
+      bucketName: 'test-prefix-content-123456789012',
+      distributionId: 'E1234567890ABC',
+      distributionDomainName: 'd1234567890abc.cloudfront.net',
+    },
+    infraAccountId: '210987654321',
+    targetAccountId: '123456789012',
+    env: {
+      account: '123456789012',
+      region: 'us-east-1',
+    },
+  };
+
+  const synth = (props: Partial<SslCertificateStackProps> = {}) => {
+    const app = new cdk.App();
+    const stack = new SslCertificateStack(app, 'TestSslCertificateStack', { ...defaultProps, ...props });
+    return Template.fromStack(stack);
+  };
+
+  const aliasCalls = (template: Template, phase: 'Create' | 'Delete') =>
+    Object.values(template.findResources('Custom::CrossAccountAliasRecord')).map((resource: any) =>
+      JSON.parse(resource.Properties[phase])
+    );
+
+  describe('New certificate', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth();
+    });
+
+    test('should request the certificate through the cross-account custom resource', () => {
+      template.hasResourceProperties('Custom::CrossAccountDnsValidatedCertificate', {
+        DomainNames: ['example.com', 'www.example.com'],
+        DnsRoleArn: 'arn:aws:iam::210987654321:role/stage-b-ssl-dns-123456789012',
+        HostedZones: Match.arrayWith([Match.objectLike({ domain: 'example.com', zoneId: 'Z0123456789ABC' })]),
+      });
+      template.resourceCountIs('AWS::CertificateManager::Certificate', 0);
+    });
+
+    test('should only let the handlers assume the infrastructure account role', () => {
+      template.hasResourceProperties('AWS::IAM::Policy', {
+        PolicyDocument: {
+          Statement: Match.arrayWith([
+            Match.objectLike({
+              Action: 'sts:AssumeRole',
+              Resource: 'arn:aws:iam::210987654321:role/stage-b-ssl-dns-123456789012',
+            }),
+          ]),
+        },
+      });
+    });
+
+    test('should log the handlers to their own log group instead of the log retention function', () => {
+      template.resourceCountIs('Custom::LogRetention', 0);
+      template.hasResourceProperties('AWS::Logs::LogGroup', { RetentionInDays: 7 });
+      template.hasResourceProperties('AWS::Lambda::Function', {
+        Description: 'Requests and deletes the Stage B certificate',
+        LoggingConfig: { LogGroup: { Ref: Match.stringLikeRegexp('LogGroup') } },
+      });
+    });
+
+    test('should follow the environment removal policy', () => {
+      template.hasResource('Custom::CrossAccountDnsValidatedCertificate', { DeletionPolicy: 'Delete' });
+      synth({ config: ENVIRONMENTS.prod }).hasResource('Custom::CrossAccountDnsValidatedCertificate', { DeletionPolicy: 'Retain' });
+    });
+
+    test('should not emit the manual validation placeholder output', () => {
+      expect(template.findOutputs('CertificateValidationRecordsOutput')).toEqual({});
+    });
+  });
+
+  describe('Alias records', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth();
+    });
+
+    test('should create A and AAAA aliases to the distribution for every domain', () => {
+      const calls = aliasCalls(template, 'Create');
+      expect(calls).toHaveLength(2);
+
+      for (const call of calls) {
+        expect(call.assumedRoleArn).toBe('arn:aws:iam::210987654321:role/stage-b-ssl-dns-123456789012');
+        expect(call.parameters.HostedZoneId).toBe('Z0123456789ABC');
+        expect(call.parameters.ChangeBatch.Changes.map((change: any) => change.ResourceRecordSet.Type)).toEqual(['A', 'AAAA']);
+        for (const change of call.parameters.ChangeBatch.Changes) {
+          expect(change.Action).toBe('UPSERT');
+          expect(change.ResourceRecordSet.AliasTarget).toEqual({
+            DNSName: 'd1234567890abc.cloudfront.net',
+            HostedZoneId: CLOUDFRONT_HOSTED_ZONE_ID,
+            EvaluateTargetHealth: false,
+          });
+        }
+      }
+
+      expect(calls.map((call) => call.parameters.ChangeBatch.Changes[0].ResourceRecordSet.Name).sort()).toEqual([
+        'example.com',
+        'www.example.com',
+      ]);
+    });
+
+    test('should delete the aliases with the stack', () => {
+      for (const call of aliasCalls(template, 'Delete')) {
+        expect(call.parameters.ChangeBatch.Changes.every((change: any) => change.Action === 'DELETE')).toBe(true);
+      }
+    });
+
+    test('should still create aliases when reusing an existing certificate', () => {
+      const reused = synth({
+        existingCertificateArn: 'arn:aws:acm:us-east-1:123456789012:certificate/12345678-1234-1234-1234-123456789012',
+      });
+      reused.resourceCountIs('Custom::CrossAccountDnsValidatedCertificate', 0);
+      reused.resourceCountIs('Custom::CrossAccountAliasRecord', 2);
+    });
+  });
+
+  describe('Branch previews', () => {
+    let template: Template;
+
+    beforeAll(() => {
+      template = synth({ previews: true });
+    });
+
+    test('should add the preview wildcard after the primary domain', () => {
+      template.hasResourceProperties('Custom::CrossAccountDnsValidatedCertificate', {
+        DomainNames: ['example.com', 'www.example.com', '*.preview.example.com'],
+      });
+      template.hasOutput('PreviewDomainOutput', { Value: '*.preview.example.com' });
+    });
+
+    test('should point the preview wildcard at the distribution', () => {
+      const names = aliasCalls(template, 'Create').map((call) => call.parameters.ChangeBatch.Changes[0].ResourceRecordSet.Name);
+      expect(names).toContain('*.preview.example.com');
+    });
+
+    test('should leave the domains handed to later stages unchanged', () => {
+      const app = new cdk.App();
+      const stack = new SslCertificateStack(app, 'TestPreviewSslCertificateStack', { ...defaultProps, previews: true });
+      expect(stack.domains).toEqual(['example.com', 'www.example.com']);
+      expect(stack.primaryDomain).toBe('example.com');
+    });
+  });
+
+  describe('Hosted zones', () => {
+    test('should fail at synth time when a domain has no hosted zone', () => {
+      expect(() => synth({ domains: ['example.com', 'api.other.org'] })).toThrow('No hosted zone configured for api.other.org');
+    });
+
+    test('should require hosted zones', () => {
+      expect(() => synth({ hostedZones: [] })).toThrow('Missing required prop: hostedZones');
+    });
+
+    test('should pick the most specific zone when a domain has no explicit mapping', () => {
+      const zones: HostedZoneMapping[] = [
+        { domain: 'example.com', zoneId: 'ZPARENT', zoneName: 'example.com' },
+        { domain: 'sbx.example.com', zoneId: 'ZCHILD', zoneName: 'sbx.example.com' },
+      ];
+      expect(hostedZoneForDomain(zones, 'www.sbx.example.com').zoneId).toBe('ZCHILD');
+      expect(hostedZoneForDomain(zones, 'www.example.com').zoneId).toBe('ZPARENT');
+    });
+
+    test('should use an explicitly supplied role', () => {
+      synth({ dnsRoleArn: 'arn:aws:iam::210987654321:role/custom-dns' }).hasOutput('DnsRoleArnOutput', {
+        Value: 'arn:aws:iam::210987654321:role/custom-dns',
+      });
+    });
+  });
+
+  describe('Validation record changes', () => {
+    test('should group records by hosted zone and write shared records once', () => {
+      const options = [
+        { DomainName: 'example.com', ResourceRecord: { Name: '_a.example.com.', Type: 'CNAME', Value: '_x.acm-validations.aws.' } },
+        { DomainName: 'www.example.com', ResourceRecord: { Name: '_b.www.example.com.', Type: 'CNAME', Value: '_y.acm-validations.aws.' } },
+        { DomainName: '*.example.com', ResourceRecord: { Name: '_a.example.com.', Type: 'CNAME', Value: '_x.acm-validations.aws.' } },
+      ];
+
+      const batches = validationChanges(options, hostedZones, 'UPSERT');
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0].hostedZoneId).toBe('Z0123456789ABC');
+      expect(batches[0].changes.map((change: any) => change.ResourceRecordSet.Name)).toEqual([
+        '_a.example.com.',
+        '_b.www.example.com.',
+      ]);
+    });
+  });
+});
+
+describe('CrossAccountDnsRoleStack', () => {
+  test('should let only the target account change records in the configured zones', () => {
+    const app = new cdk.App();
+    const stack = new CrossAccountDnsRoleStack(app, 'TestDnsRoleStack', {
+      targetAccountId: '123456789012',
+      hostedZones: [
+        { domain: 'example.com', zoneId: '/hostedzone/Z0123456789ABC', zoneName: 'example.com' },
+        { domain: 'www.example.com', zoneId: '/hostedzone/Z0123456789ABC', zoneName: 'example.com' },
+      ],
+      env: { account: '210987654321', region: 'us-east-1' },
+    });
+    const template = Template.fromStack(stack);
+
+    template.hasResourceProperties('AWS::IAM::Role', {
+      RoleName: 'stage-b-ssl-dns-123456789012',
+      AssumeRolePolicyDocument: {
+        Statement: [
+          Match.objectLike({
+            Principal: { AWS: { 'Fn::Join': ['', ['arn:', { Ref: 'AWS::Partition' }, ':iam::123456789012:root']] } },
+          }),
+        ],
+      },
+      Policies: [
+        Match.objectLike({
+          PolicyDocument: {
+            Statement: Match.arrayWith([
+              Match.objectLike({
+                Action: ['route53:ChangeResourceRecordSets', 'route53:ListResourceRecordSets'],
+                Resource: 'arn:aws:route53:::hostedzone/Z0123456789ABC',
+              }),
+            ]),
+          },
+        }),
+      ],
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { ENVIRONMENTS } from '../lib/environment-config';
+import { MANAGED_RULE_GROUPS, toIpSetAddresses } from '../lib/site-web-acl';
+import { WebAclStack, WebAclStackProps, webAclStackName } from '../lib/web-acl-stack';
+
+describe('WebAclStack', () => {
+  const props: WebAclStackProps = {
+    distributionPrefix: 'test-prefix',
+    config: ENVIRONMENTS.prod,
+    env: { account: '123456789012', region: 'us-east-1' },
+  };
+
+  const synth = (overrides: Partial<WebAclStackProps> = {}) => {
+    const app = new cdk.App();
+    return Template.fromStack(new WebAclStack(app, 'TestWebAclStack', { ...props, ...overrides }));
+  };
+
+  const webAclRules = (template: Template): any[] =>
+    Object.values(template.findResources('AWS::WAFv2::WebACL'))[0].Properties.Rules;
+
+  const rule = (template: Template, name: string) => webAclRules(template).find((candidate) => candidate.Name === name);
+
+  let template: Template;
+
+  beforeAll(() => {
+    template = synth();
+  });
+
+  test('should name the stack after the distribution prefix', () => {
+    expect(webAclStackName('test-prefix')).toBe('test-prefix-web-acl');
+  });
+
+  test('should create a CloudFront web ACL that allows by default', () => {
+    template.hasResourceProperties('AWS::WAFv2::WebACL', {
+      Name: 'test-prefix-site',
+      Scope: 'CLOUDFRONT',
+      DefaultAction: { Allow: {} },
+      VisibilityConfig: { MetricName: 'test-prefix-site-all', CloudWatchMetricsEnabled: true, SampledRequestsEnabled: true },
+    });
+    template.hasOutput('WebAclArn', { Export: { Name: 'test-prefix-web-acl-arn' } });
+    template.hasOutput('WebAclMode', { Value: 'block' });
+  });
+
+  test('should evaluate the managed rule groups before the rate limits', () => {
+    const rules = webAclRules(template);
+
+    expect(rules.map(({ Name }) => Name)).toEqual([...MANAGED_RULE_GROUPS, 'ApiRateLimit', 'SiteRateLimit']);
+    expect(rules.map(({ Priority }) => Priority)).toEqual([0, 1, 2, 3, 4]);
+    for (const { Name, VisibilityConfig } of rules) {
+      expect(VisibilityConfig).toEqual({
+        MetricName: `test-prefix-site-${Name}`,
+        CloudWatchMetricsEnabled: true,
+        SampledRequestsEnabled: true,
+      });
+    }
+    expect(rule(template, 'AWSManagedRulesCommonRuleSet')).toMatchObject({
+      Statement: { ManagedRuleGroupStatement: { VendorName: 'AWS', Name: 'AWSManagedRulesCommonRuleSet' } },
+      OverrideAction: { None: {} },
+    });
+  });
+
+  test('should rate limit the API more tightly than static paths', () => {
+    const apiPath = {
+      ByteMatchStatement: Match.objectLike({
+        FieldToMatch: { UriPath: {} },
+        PositionalConstraint: 'STARTS_WITH',
+        SearchString: '/api',
+      }),
+    };
+    const tooManyRequests = { Block: { CustomResponse: { ResponseCode: 429 } } };
+
+    template.hasResourceProperties('AWS::WAFv2::WebACL', {
+      Rules: Match.arrayWith([
+        Match.objectLike({
+          Name: 'ApiRateLimit',
+          Action: tooManyRequests,
+          Statement: {
+            RateBasedStatement: {
+              Limit: ENVIRONMENTS.prod.waf.apiRateLimit,
+              EvaluationWindowSec: 300,
+              AggregateKeyType: 'IP',
+              ScopeDownStatement: apiPath,
+            },
+          },
+        }),
+        Match.objectLike({
+          Name: 'SiteRateLimit',
+          Action: tooManyRequests,
+          Statement: {
+            RateBasedStatement: Match.objectLike({
+              Limit: ENVIRONMENTS.prod.waf.siteRateLimit,
+              ScopeDownStatement: { NotStatement: { Statement: apiPath } },
+            }),
+          },
+        }),
+      ]),
+    });
+    expect(ENVIRONMENTS.prod.waf.apiRateLimit).toBeLessThan(ENVIRONMENTS.prod.waf.siteRateLimit);
+  });
+
+  test('should check the IP block list first and let the allow list skip the other rules', () => {
+    const lists = synth({
+      allowedIps: ['203.0.113.10', '2001:db8::/32'],
+      blockedIps: ['198.51.100.0/24'],
+    });
+
+    lists.resourceCountIs('AWS::WAFv2::IPSet', 3);
+    lists.hasResourceProperties('AWS::WAFv2::IPSet', {
+      Name: 'test-prefix-site-blockedips-ipv4',
+      Scope: 'CLOUDFRONT',
+      IPAddressVersion: 'IPV4',
+      Addresses: ['198.51.100.0/24'],
+    });
+    lists.hasResourceProperties('AWS::WAFv2::IPSet', { IPAddressVersion: 'IPV4', Addresses: ['203.0.113.10/32'] });
+    lists.hasResourceProperties('AWS::WAFv2::IPSet', { IPAddressVersion: 'IPV6', Addresses: ['2001:db8::/32'] });
+
+    const rules = webAclRules(lists);
+    expect(rules[0]).toMatchObject({ Name: 'BlockedIps', Priority: 0, Action: { Block: {} } });
+    expect(rules[0].Statement.IPSetReferenceStatement.Arn['Fn::GetAtt'][1]).toBe('Arn');
+    expect(rules[1]).toMatchObject({ Name: 'AllowedIps', Priority: 1, Action: { Allow: {} } });
+    expect(rules[1].Statement.OrStatement.Statements).toHaveLength(2);
+  });
+
+  test('should only count in count-only mode, except for the block list', () => {
+    const counting = synth({ countOnly: true, blockedIps: ['198.51.100.7'] });
+
+    expect(rule(counting, 'BlockedIps').Action).toEqual({ Block: {} });
+    expect(rule(counting, 'AWSManagedRulesAmazonIpReputationList').OverrideAction).toEqual({ Count: {} });
+    expect(rule(counting, 'ApiRateLimit').Action).toEqual({ Count: {} });
+    expect(rule(counting, 'SiteRateLimit').Action).toEqual({ Count: {} });
+    counting.hasOutput('WebAclMode', { Value: 'count' });
+  });
+
+  test('should take count-only mode from the environment by default', () => {
+    expect(rule(synth({ config: ENVIRONMENTS.dev }), 'ApiRateLimit').Action).toEqual({ Count: {} });
+    expect(rule(synth({ config: ENVIRONMENTS.dev, countOnly: false }), 'ApiRateLimit').Action)
+      .toEqual({ Block: { CustomResponse: { ResponseCode: 429 } } });
+  });
+
+  test('should chart blocked and counted requests per rule', () => {
+    const dashboards = template.findResources('AWS::CloudWatch::Dashboard');
+    const [dashboard] = Object.values(dashboards);
+    const body = JSON.stringify(dashboard.Properties.DashboardBody);
+
+    expect(dashboard.Properties.DashboardName).toBe('test-prefix-waf');
+    expect(body).toContain('AWS/WAFV2');
+    expect(body).toContain('BlockedRequests');
+    expect(body).toContain('CountedRequests');
+    expect(body).toContain('test-prefix-site-ApiRateLimit');
+    expect(body).not.toContain('\\"Region\\"');
+  });
+
+  test('should reject invalid addresses and rate limits', () => {
+    expect(toIpSetAddresses([' 192.0.2.1 ', '2001:db8::1', ''])).toEqual({ ipv4: ['192.0.2.1/32'], ipv6: ['2001:db8::1/128'] });
+    expect(() => toIpSetAddresses(['example.com'])).toThrow('Invalid IP address example.com');
+    expect(() => synth({ config: { ...ENVIRONMENTS.prod, waf: { ...ENVIRONMENTS.prod.waf, apiRateLimit: 5 } } }))
+      .toThrow('Invalid WAF apiRateLimit 5');
+  });
+
+  test('should refuse regions other than us-east-1', () => {
+    const app = new cdk.App();
+    expect(() => new WebAclStack(app, 'TestWrongRegion', { ...props, env: { account: '123456789012', region: 'eu-west-1' } }))
+      .toThrow('WebAclStack must be deployed to us-east-1');
+  });
+});
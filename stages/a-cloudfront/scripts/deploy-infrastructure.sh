@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="a"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 
 echo "=== Stage A CloudFront Deployment - Infrastructure Deployment ==="
 echo "This script will deploy the CDK infrastructure for CloudFront distribution."
@@ -106,7 +107,7 @@ deploy_cdk_stack() {
     
     # Bootstrap CDK if needed (this is safe to run multiple times)
     echo "Bootstrapping CDK (if needed)..."
-    if ! npx cdk bootstrap --profile "$target_profile" 2>/dev/null; then
+    if ! npx cdk bootstrap --context stages="$CDK_STAGE" --profile "$target_profile" 2>/dev/null; then
         echo "⚠️  CDK bootstrap failed or not needed, continuing..."
     fi
     
@@ -116,7 +117,7 @@ deploy_cdk_stack() {
     
     # Deploy the stack
     echo "Deploying CloudFront stack..."
-    npx cdk deploy --require-approval never --profile "$target_profile" --outputs-file "$DATA_DIR/cdk-outputs.json"
+    npx cdk deploy --context stages="$CDK_STAGE" --require-approval never --profile "$target_profile" --outputs-file "$DATA_DIR/cdk-outputs.json"
     
     local exit_code=$?
     
@@ -58,6 +58,12 @@ extract_deployment_info() {
     DISTRIBUTION_URL=$(jq -r '.DistributionUrl' "$stack_outputs")
     BUCKET_NAME=$(jq -r '.BucketName' "$stack_outputs")
     BUCKET_ARN=$(jq -r '.BucketArn' "$stack_outputs")
+    BUCKET_REGIONAL_DOMAIN=$(jq -r '.BucketRegionalDomainName // empty' "$stack_outputs")
+    ORIGIN_ACCESS_CONTROL_ID=$(jq -r '.OriginAccessControlId // empty' "$stack_outputs")
+    CACHE_POLICY_ID=$(jq -r '.CachePolicyId // empty' "$stack_outputs")
+    RESPONSE_HEADERS_POLICY_ID=$(jq -r '.ResponseHeadersPolicyId // empty' "$stack_outputs")
+    VIEWER_REQUEST_FUNCTION_ARN=$(jq -r '.ViewerRequestFunctionArn // empty' "$stack_outputs")
+    BUCKET_ACCESS=$(jq -r '.BucketAccess // "public"' "$stack_outputs")
     
     # Extract from inputs
     DISTRIBUTION_PREFIX=$(jq -r '.distributionPrefix' "$inputs_file")
@@ -225,6 +231,12 @@ generate_final_outputs() {
     "distributionUrl": "$DISTRIBUTION_URL",
     "bucketName": "$BUCKET_NAME",
     "bucketArn": "$BUCKET_ARN",
+    "bucketRegionalDomainName": "$BUCKET_REGIONAL_DOMAIN",
+    "originAccessControlId": "$ORIGIN_ACCESS_CONTROL_ID",
+    "cachePolicyId": "$CACHE_POLICY_ID",
+    "responseHeadersPolicyId": "$RESPONSE_HEADERS_POLICY_ID",
+    "viewerRequestFunctionArn": "$VIEWER_REQUEST_FUNCTION_ARN",
+    "bucketAccess": "$BUCKET_ACCESS",
     "distributionPrefix": "$DISTRIBUTION_PREFIX",
     "targetRegion": "$TARGET_REGION",
     "targetVpcId": "$TARGET_VPC_ID",
@@ -238,6 +250,12 @@ generate_final_outputs() {
   "distributionUrl": "$DISTRIBUTION_URL",
   "bucketName": "$BUCKET_NAME",
   "bucketArn": "$BUCKET_ARN",
+  "bucketRegionalDomainName": "$BUCKET_REGIONAL_DOMAIN",
+  "originAccessControlId": "$ORIGIN_ACCESS_CONTROL_ID",
+  "cachePolicyId": "$CACHE_POLICY_ID",
+  "responseHeadersPolicyId": "$RESPONSE_HEADERS_POLICY_ID",
+  "viewerRequestFunctionArn": "$VIEWER_REQUEST_FUNCTION_ARN",
+  "bucketAccess": "$BUCKET_ACCESS",
   "distributionPrefix": "$DISTRIBUTION_PREFIX",
   "targetRegion": "$TARGET_REGION",
   "targetVpcId": "$TARGET_VPC_ID",
@@ -346,6 +364,11 @@ DISTRIBUTION_DOMAIN=""
 DISTRIBUTION_URL=""
 BUCKET_NAME=""
 BUCKET_ARN=""
+BUCKET_REGIONAL_DOMAIN=""
+ORIGIN_ACCESS_CONTROL_ID=""
+CACHE_POLICY_ID=""
+RESPONSE_HEADERS_POLICY_ID=""
+VIEWER_REQUEST_FUNCTION_ARN=""
 DISTRIBUTION_PREFIX=""
 TARGET_REGION=""
 TARGET_VPC_ID=""
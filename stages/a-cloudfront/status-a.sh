@@ -8,6 +8,7 @@ set -euo pipefail
 # Script directory and related paths
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 DATA_DIR="$SCRIPT_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$SCRIPT_DIR")")/iac"
 
 # Colors for output
 RED='\033[0;31m'
@@ -327,7 +328,7 @@ check_cdk_stack_status() {
     print_status "$CYAN" "📦 CDK Stack Status"
     print_status "$CYAN" "══════════════════"
     
-    local iac_dir="$SCRIPT_DIR/iac"
+    local iac_dir="$IAC_DIR"
     if [[ ! -d "$iac_dir" ]]; then
         print_status "$YELLOW" "⚠️  No IAC directory found"
         return 0
@@ -340,7 +341,7 @@ check_cdk_stack_status() {
     
     # List CDK stacks
     local stacks
-    stacks=$(npx cdk list --profile "$PROFILE" 2>/dev/null || echo "")
+    stacks=$(npx cdk list --context stages=a --profile "$PROFILE" 2>/dev/null || echo "")
     
     if [[ -z "$stacks" ]] || [[ "$stacks" == *"no stacks"* ]]; then
         print_status "$GREEN" "✅ No CDK stacks found"
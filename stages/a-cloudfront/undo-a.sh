@@ -9,6 +9,7 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 SCRIPTS_DIR="$SCRIPT_DIR/scripts"
 DATA_DIR="$SCRIPT_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$SCRIPT_DIR")")/iac"
 
 # Colors for output
 RED='\033[0;31m'
@@ -297,7 +298,7 @@ cleanup_s3_bucket_targeted() {
 
 # Function to clean up CDK stack using targeted approach
 cleanup_cdk_stack_targeted() {
-    local iac_dir="$SCRIPT_DIR/iac"
+    local iac_dir="$IAC_DIR"
     if [[ ! -d "$iac_dir" ]]; then
         print_status "$BLUE" "      📋 No IAC directory found - skipping CDK cleanup"
         return 0
@@ -307,21 +308,21 @@ cleanup_cdk_stack_targeted() {
     cd "$iac_dir"
     
     # Check if there are any stacks to destroy first
-    print_status "$BLUE" "      ⏳ Running: npx cdk list --profile $DEPLOY_TARGET_PROFILE"
+    print_status "$BLUE" "      ⏳ Running: npx cdk list --context stages=a --profile $DEPLOY_TARGET_PROFILE"
     local stacks_output
-    stacks_output=$(npx cdk list --profile "$DEPLOY_TARGET_PROFILE" 2>/dev/null || echo "")
+    stacks_output=$(npx cdk list --context stages=a --profile "$DEPLOY_TARGET_PROFILE" 2>/dev/null || echo "")
     print_status "$BLUE" "      📊 CDK list command completed"
     
     if [[ -n "$stacks_output" ]] && [[ "$stacks_output" != *"no stacks"* ]] && [[ "$stacks_output" != "" ]]; then
         print_status "$BLUE" "      🗑️  Destroying CDK stack(s): $stacks_output"
         print_status "$YELLOW" "      ⚠️  This may take several minutes - CDK is working..."
-        print_status "$BLUE" "      ⏳ Running: npx cdk destroy --all --force --profile $DEPLOY_TARGET_PROFILE"
+        print_status "$BLUE" "      ⏳ Running: npx cdk destroy --context stages=a --all --force --profile $DEPLOY_TARGET_PROFILE"
         
         # Set the correct region context for CDK
         export CDK_DEFAULT_REGION="$DEPLOY_TARGET_REGION"
         
         # Run CDK destroy with the correct profile and region
-        if npx cdk destroy --all --force --profile "$DEPLOY_TARGET_PROFILE" --context "targetRegion=$DEPLOY_TARGET_REGION"; then
+        if npx cdk destroy --context stages=a --all --force --profile "$DEPLOY_TARGET_PROFILE" --context "targetRegion=$DEPLOY_TARGET_REGION"; then
             print_status "$GREEN" "      ✅ CDK stack destroyed successfully"
             cd "$SCRIPT_DIR"
             return 0
@@ -400,7 +401,7 @@ cleanup_cdk_artifacts() {
     
     print_status "$BLUE" "🔧 Cleaning up CDK build artifacts..."
     
-    local iac_dir="$SCRIPT_DIR/iac"
+    local iac_dir="$IAC_DIR"
     if [[ ! -d "$iac_dir" ]]; then
         print_status "$GREEN" "   ✅ No IAC directory found (already cleaned up)"
         return 0
@@ -587,11 +588,11 @@ verify_cleanup() {
     fi
     
     # Check for CDK stacks if we have the necessary info
-    if [[ "$DATA_ONLY" != "true" ]] && [[ -n "$DEPLOY_TARGET_PROFILE" ]] && [[ -d "$SCRIPT_DIR/iac" ]]; then
+    if [[ "$DATA_ONLY" != "true" ]] && [[ -n "$DEPLOY_TARGET_PROFILE" ]] && [[ -d "$IAC_DIR" ]]; then
         print_status "$BLUE" "   Checking for remaining CDK stacks..."
-        cd "$SCRIPT_DIR/iac"
+        cd "$IAC_DIR"
         local remaining_stacks
-        remaining_stacks=$(npx cdk list --profile "$DEPLOY_TARGET_PROFILE" 2>/dev/null || echo "")
+        remaining_stacks=$(npx cdk list --context stages=a --profile "$DEPLOY_TARGET_PROFILE" 2>/dev/null || echo "")
         cd "$SCRIPT_DIR"
         
         if [[ -n "$remaining_stacks" ]] && [[ "$remaining_stacks" != *"no stacks"* ]] && [[ "$remaining_stacks" != "" ]]; then
@@ -6,7 +6,7 @@
 # 
 # ARCHITECTURE COMPLIANCE:
 # - SSL certificates created in environment-specific accounts (us-east-1)
-# - DNS validation records managed in infrastructure account Route53
+# - DNS validation and alias records managed in infrastructure account Route53 (cross-account role)
 # - CloudFront distributions updated in environment-specific accounts
 # - Aligns with ARCHITECTURE.md centralized DNS approach
 
@@ -20,16 +20,21 @@ DATA_DIR="$SCRIPT_DIR/data"
 # Function to show usage
 show_usage() {
     cat << EOF
-Usage: $0 -d DOMAIN [-d DOMAIN2] [-d DOMAIN3] ...
+Usage: $0 -d DOMAIN [-d DOMAIN2] [-d DOMAIN3] ... [-p]
 
 Required Options:
   -d DOMAIN                 Fully qualified domain name (FQDN) for SSL certificate
                            Can be specified multiple times for multi-domain certificates
 
+Optional Options:
+  -p                        Serve branch previews at <branch>.preview.<primary domain>
+                           (adds *.preview.<primary domain> to the certificate and DNS)
+
 Examples:
   $0 -d www.sbx.yourdomain.com -d sbx.yourdomain.com
   $0 -d api.example.com
   $0 -d www.mysite.com -d mysite.com -d api.mysite.com
+  $0 -d www.sbx.yourdomain.com -d sbx.yourdomain.com -p
 
 Notes:
   - At least one domain is required
@@ -73,7 +78,6 @@ validate_helper_scripts() {
         "gather-inputs.sh"
         "aws-discovery.sh"
         "deploy-infrastructure.sh"
-        "deploy-dns.sh"
         "validate-deployment.sh"
         "cleanup-rollback.sh"
     )
@@ -131,11 +135,6 @@ handle_script_error() {
             echo "Check the error messages above, fix the issue, and re-run this script."
             echo "No manual cleanup needed - CDK handles rollback automatically."
             ;;
-        "deploy-dns.sh")
-            echo "DNS validation record deployment failed. The SSL certificate may be in pending validation state."
-            echo "Fix the DNS issue and re-run this script."
-            echo "Manual cleanup only needed if you want to remove the entire deployment."
-            ;;
         "validate-deployment.sh")
             echo "HTTPS validation failed. This may be due to CloudFront propagation delays or DNS resolution issues."
             echo "Wait a few minutes and re-run this script, or test the deployment manually."
@@ -171,10 +170,6 @@ is_step_completed() {
         "infrastructure")
             [[ -f "$DATA_DIR/cdk-stack-outputs.json" ]]
             ;;
-        "dns")
-            # Check if certificate is validated (implies DNS records were created)
-            [[ -f "$DATA_DIR/outputs.json" ]] && jq -e '.certificateStatus == "ISSUED"' "$DATA_DIR/outputs.json" > /dev/null 2>&1
-            ;;
         "validation")
             [[ -f "$DATA_DIR/outputs.json" ]] && jq -e '.validationStatus == "passed"' "$DATA_DIR/outputs.json" > /dev/null 2>&1
             ;;
@@ -204,7 +199,7 @@ execute_step() {
     local script_name="$3"
     local description="$4"
     
-    show_progress "$step_number" "5" "$description"
+    show_progress "$step_number" "4" "$description"
     
     if should_skip_step "$step_name" "$step_number"; then
         return 0  # Step was skipped
@@ -342,13 +337,11 @@ main_deployment() {
     execute_step 2 "discovery" "aws-discovery.sh" "Discover Route53 zones and validate account access"
     
     # Step 3: Deploy Infrastructure
-    execute_step 3 "infrastructure" "deploy-infrastructure.sh" "Create SSL certificate and update CloudFront via CDK"
-    
-    # Step 4: Deploy DNS
-    execute_step 4 "dns" "deploy-dns.sh" "Configure Route53 DNS validation records"
+    # DNS validation and alias records are written by the CDK stacks through the cross-account role
+    execute_step 3 "infrastructure" "deploy-infrastructure.sh" "Create SSL certificate, DNS records and update CloudFront via CDK"
     
-    # Step 5: Validate Deployment
-    execute_step 5 "validation" "validate-deployment.sh" "Test HTTPS connectivity and certificate attachment"
+    # Step 4: Validate Deployment
+    execute_step 4 "validation" "validate-deployment.sh" "Test HTTPS connectivity and certificate attachment"
     
     # Show final summary
     show_deployment_summary
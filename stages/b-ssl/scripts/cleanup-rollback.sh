@@ -36,12 +36,13 @@ confirm_cleanup() {
     echo
     echo "📋 What will be cleaned up:"
     echo "   - SSL certificates created by Stage B"
+    echo "   - DNS validation and alias records in infrastructure account Route53"
+    echo "   - Cross-account DNS role in the infrastructure account"
     echo "   - CloudFront SSL configuration (revert to HTTP-only)"
     echo "   - Custom domain aliases from CloudFront distribution"
     echo "   - Stage B deployment data files"
     echo
     echo "📋 What will be preserved:"
-    echo "   - DNS validation records in Route53 (retained permanently)"
     echo "   - CloudFront distribution itself (reverted to Stage A state)"
     echo "   - S3 bucket and content from Stage A"
     echo "   - Stage A configuration and data"
@@ -131,100 +132,56 @@ revert_cloudfront_distribution() {
     return 0
 }
 
-# Function to remove SSL certificate
-remove_ssl_certificate() {
-    local target_profile="$1"
-    local cert_arn="$2"
-    
-    echo "🔒 Removing SSL certificate..."
-    echo "   Certificate ARN: $cert_arn"
-    echo "   Target Profile: $target_profile (environment-specific account)"
-    
-    # Check if certificate still exists
-    echo "   🔍 Checking certificate status..."
-    local cert_details
-    cert_details=$(aws acm describe-certificate --certificate-arn "$cert_arn" --profile "$target_profile" --region us-east-1 --output json 2>/dev/null || echo '{}')
+# Function to destroy a single Stage B CDK stack with the given profile
+destroy_cdk_stack() {
+    local stack_name="$1"
+    local profile="$2"
     
-    if [[ "$cert_details" == "{}" ]]; then
-        echo "✅ SSL certificate no longer exists or is not accessible"
+    # Check if CDK stack exists
+    echo "   🔍 Checking for $stack_name..."
+    if ! npx cdk list --context stages=b 2>/dev/null | grep -qx "$stack_name"; then
+        echo "   ✅ $stack_name not found - nothing to destroy"
         return 0
     fi
     
-    local cert_status in_use_by
-    cert_status=$(echo "$cert_details" | jq -r '.Certificate.Status // "UNKNOWN"' 2>/dev/null)
-    in_use_by=$(echo "$cert_details" | jq -r '.Certificate.InUseBy[]?' 2>/dev/null | tr '\n' ' ' || echo "")
-    
-    echo "   📋 Certificate Status: $cert_status"
-    echo "   📋 In Use By: ${in_use_by:-none}"
-    
-    # Check if certificate is still in use
-    if [[ -n "$in_use_by" ]]; then
-        echo "⚠️  Certificate is still in use by other resources:"
-        echo "   $in_use_by"
-        echo "   Cannot delete certificate while it's attached to resources"
-        echo "   Please ensure CloudFront distribution has been updated first"
-        return 1
-    fi
-    
-    # Attempt to delete the certificate
-    echo "   🗑️  Deleting SSL certificate..."
-    if aws acm delete-certificate --certificate-arn "$cert_arn" --profile "$target_profile" --region us-east-1 2>/dev/null; then
-        echo "✅ SSL certificate deleted successfully"
+    echo "   🗑️  Destroying $stack_name (profile: $profile)..."
+    if npx cdk destroy "$stack_name" --context stages=b --profile "$profile" --force 2>&1 | tee -a "$DATA_DIR/cdk-destroy.log"; then
+        echo "   ✅ $stack_name destroyed successfully"
         return 0
     else
-        local exit_code=$?
-        echo "❌ Failed to delete SSL certificate (exit code: $exit_code)"
-        echo "   This may be because:"
-        echo "   - Certificate is still attached to CloudFront (wait for propagation)"
-        echo "   - Certificate has other dependencies"
-        echo "   - Insufficient permissions"
-        return $exit_code
+        echo "   ❌ $stack_name destruction failed"
+        echo "   Check the destruction log: $DATA_DIR/cdk-destroy.log"
+        return 1
     fi
 }
 
 # Function to clean up CDK resources
+# The certificate stack removes its DNS validation and alias records and the certificate itself,
+# so it must be destroyed before the role it assumes in the infrastructure account
 cleanup_cdk_resources() {
-    local infra_profile="$1"
+    local target_profile="$1"
+    local infra_profile="$2"
     
     echo "🏗️  Cleaning up CDK resources..."
+    echo "   Target Profile: $target_profile"
     echo "   Infrastructure Profile: $infra_profile"
     
     # Check if CDK directory exists
-    local iac_dir="$STAGE_DIR/iac"
+    local iac_dir="$(dirname "$(dirname "$STAGE_DIR")")/iac"
     if [[ ! -d "$iac_dir" ]]; then
         echo "✅ CDK directory does not exist - no CDK resources to clean up"
         return 0
     fi
     
     cd "$iac_dir"
-    
-    # Set AWS profile for CDK
-    export AWS_PROFILE="$infra_profile"
     export AWS_DEFAULT_REGION="us-east-1"
     
-    # Check if CDK stack exists
-    echo "   🔍 Checking for existing CDK stacks..."
-    local existing_stacks
-    existing_stacks=$(npx cdk list 2>/dev/null | grep -E "StageBSslCertificateStack" || echo "")
-    
-    if [[ -z "$existing_stacks" ]]; then
-        echo "✅ No CDK stacks found - nothing to destroy"
-        return 0
-    fi
-    
-    echo "   📋 Found CDK stacks to destroy:"
-    echo "$existing_stacks" | sed 's/^/      - /'
-    
-    # Destroy the CDK stack
-    echo "   🗑️  Destroying CDK stack..."
-    if npx cdk destroy --force 2>&1 | tee "$DATA_DIR/cdk-destroy.log"; then
-        echo "✅ CDK stack destroyed successfully"
-        return 0
-    else
-        echo "❌ CDK stack destruction failed"
-        echo "   Check the destruction log: $DATA_DIR/cdk-destroy.log"
+    if ! destroy_cdk_stack "StageBSslCertificateStack" "$target_profile"; then
+        echo "   Keeping the DNS role so the certificate stack can still clean up its records"
         return 1
     fi
+    
+    destroy_cdk_stack "StageBDnsRoleStack" "$infra_profile"
 }
 
 # Function to clean up local data files
@@ -236,6 +193,7 @@ cleanup_local_data() {
         "$DATA_DIR/cdk-outputs.json"
         "$DATA_DIR/cdk-stack-outputs.json"
         "$DATA_DIR/cdk-deploy.log"
+        "$DATA_DIR/cdk-dns-role-deploy.log"
         "$DATA_DIR/cdk-destroy.log"
         "$DATA_DIR/cdk-stack-list.json"
         "$DATA_DIR/.existing_cert_arn"
@@ -275,14 +233,13 @@ show_cleanup_summary() {
     echo "📋 Current State:"
     echo "   - CloudFront distribution: HTTP-only (Stage A state)"
     echo "   - SSL certificates: Removed"
-    echo "   - DNS validation records: Retained in Route53 (as intended)"
+    echo "   - DNS validation and alias records: Removed from Route53"
     echo "   - Stage A resources: Unchanged and functional"
     echo
     echo "💡 Next Steps:"
     echo "   - Your application is now accessible via HTTP using the CloudFront URL"
     echo "   - You can re-run Stage B deployment if needed: ./go-b.sh -d [domains]"
     echo "   - Or proceed with Stage A configuration (HTTP-only)"
-    echo "   - DNS validation records are retained for future certificate deployments"
 }
 
 # Main cleanup orchestration function
@@ -325,54 +282,21 @@ main_cleanup() {
     fi
     echo
     
-    # Step 5: Remove DNS validation records from infrastructure account Route53
-    echo "🔄 Step 2: Removing DNS validation records from infrastructure account Route53..."
-    echo "   Per architecture: DNS validation records managed in infrastructure account"
-    
-    local dns_script="$SCRIPT_DIR/manage-dns-validation.sh"
-    if [[ -f "$dns_script" ]] && [[ -n "$cert_arn" ]] && [[ "$cert_arn" != "unknown" ]]; then
-        if ! "$dns_script" remove; then
-            echo "⚠️  DNS validation record removal failed or records already removed"
-            echo "   This is usually not critical - continuing with cleanup..."
-        fi
-    else
-        echo "   ℹ️  Skipping DNS validation cleanup (no certificate or script not found)"
-    fi
-    echo
-
-    # Step 6: Remove SSL certificate (if it exists)
-    if [[ -n "$cert_arn" ]] && [[ "$cert_arn" != "unknown" ]]; then
-        echo "🔄 Step 3: Removing SSL certificate from environment account..."
-        echo "   Per architecture: Certificate stored in environment-specific account"
-        
-        # Wait a bit for CloudFront changes to take effect
-        echo "   ⏰ Waiting 30 seconds for CloudFront changes to propagate..."
-        sleep 30
-        
-        if ! remove_ssl_certificate "$target_profile" "$cert_arn"; then
-            echo "⚠️  SSL certificate removal failed"
-            echo "   The certificate may still be in use or have dependencies"
-            echo "   You can try running this cleanup script again in a few minutes"
-        fi
-    else
-        echo "⏭️  Step 2: No SSL certificate to remove"
-    fi
-    echo
-    
-    # Step 6: Clean up CDK resources
-    echo "🔄 Step 3: Cleaning up CDK infrastructure..."
-    if ! cleanup_cdk_resources "$infra_profile"; then
+    # Step 5: Clean up CDK resources (certificate, DNS validation and alias records, DNS role)
+    echo "🔄 Step 2: Cleaning up CDK infrastructure..."
+    echo "   Per architecture: DNS records are removed through the cross-account role"
+    if ! cleanup_cdk_resources "$target_profile" "$infra_profile"; then
         echo "⚠️  CDK cleanup failed - some resources may remain"
-        echo "   You may need to clean up CDK resources manually"
+        echo "   You can try running this cleanup script again in a few minutes"
     fi
     echo
     
-    # Step 7: Clean up local data files
-    echo "🔄 Step 4: Cleaning up local data files..."
+    # Step 6: Clean up local data files
+    echo "🔄 Step 3: Cleaning up local data files..."
     cleanup_local_data
     echo
     
-    # Step 8: Display summary
+    # Step 7: Display summary
     show_cleanup_summary
     
     echo "🎉 Stage B SSL certificate cleanup completed!"
@@ -4,6 +4,7 @@
 # CDK deployment orchestration for Stage B SSL Certificate deployment
 # Generates CDK context from data files and executes SSL certificate creation
 # Per architecture: Certificates in environment accounts, DNS validation in infrastructure account
+# DNS validation and alias records are created by the CDK stacks through a cross-account role
 
 set -euo pipefail
 
@@ -11,11 +12,12 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="b"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 
 # Timeout settings to prevent hanging
 CDK_TIMEOUT=1800  # 30 minutes for CDK operations
-DNS_TIMEOUT=300   # 5 minutes for DNS operations
+DNS_TIMEOUT=300   # 5 minutes for CLI lookups
 
 echo "=== Stage B SSL Certificate Deployment - Infrastructure Deployment ==="
 echo "This script will deploy SSL certificates and update CloudFront via CDK."
@@ -123,17 +125,24 @@ generate_cdk_context() {
     discovery=$(cat "$discovery_file")
     
     # Extract key values
-    local domains infra_profile target_profile infra_account_id target_account_id distribution_id
+    local domains infra_profile target_profile infra_account_id target_account_id distribution_id bucket_name
     domains=$(echo "$inputs" | jq -r '.domains[]')
     infra_profile=$(echo "$inputs" | jq -r '.infraProfile')
     target_profile=$(echo "$inputs" | jq -r '.targetProfile')
     infra_account_id=$(echo "$discovery" | jq -r '.infraAccountId')
     target_account_id=$(echo "$discovery" | jq -r '.targetAccountId')
     distribution_id=$(echo "$inputs" | jq -r '.distributionId')
+    bucket_name=$(echo "$inputs" | jq -r '.bucketName // empty')
     
     # Convert domains to array for certificate checking
-    local domains_array
+    local domains_array previews
     readarray -t domains_array < <(echo "$inputs" | jq -r '.domains[]')
+    previews=$(echo "$inputs" | jq -r '.previews // false')
+    
+    # Branch previews add a wildcard under the primary (alphabetically first) domain
+    if [[ "$previews" == "true" ]]; then
+        domains_array+=("*.preview.$(echo "$inputs" | jq -r '.domains | sort | .[0]')")
+    fi
     
     # Check for existing certificate
     local existing_cert_arn
@@ -143,16 +152,22 @@ generate_cdk_context() {
     local cdk_context
     cdk_context=$(jq -n \
         --argjson domains "$(echo "$inputs" | jq '.domains')" \
+        --argjson hostedZones "$(echo "$discovery" | jq '[.hostedZones[] | {domain, zoneId, zoneName}]')" \
         --arg distributionId "$distribution_id" \
+        --arg bucketName "$bucket_name" \
         --arg infraAccountId "$infra_account_id" \
         --arg targetAccountId "$target_account_id" \
         --arg existingCertificateArn "$existing_cert_arn" \
+        --argjson previews "$previews" \
         '{
         "stage-b-ssl:domains": $domains,
+        "stage-b-ssl:hostedZones": $hostedZones,
         "stage-b-ssl:distributionId": $distributionId,
+        "stage-b-ssl:bucketName": ($bucketName | if . == "" then null else . end),
         "stage-b-ssl:infraAccountId": $infraAccountId,
         "stage-b-ssl:targetAccountId": $targetAccountId,
-        "stage-b-ssl:existingCertificateArn": ($existingCertificateArn | if . == "" then null else . end)
+        "stage-b-ssl:existingCertificateArn": ($existingCertificateArn | if . == "" then null else . end),
+        "stage-b-ssl:previews": $previews
     }')
     
     echo "   Generated context:"
@@ -160,19 +175,49 @@ generate_cdk_context() {
     echo "   Target Account: $target_account_id"
     echo "   Distribution ID: $distribution_id"
     echo "   Domains: $(echo "$inputs" | jq -r '.domains | join(", ")')"
+    echo "   Branch Previews: $previews"
+    echo "   Hosted Zones: $(echo "$discovery" | jq -r '[.hostedZones[].zoneName] | unique | join(", ")')"
     if [[ -n "$existing_cert_arn" ]]; then
         echo "   Existing Certificate: $existing_cert_arn"
     else
         echo "   Existing Certificate: None (will create new)"
     fi
     
-    # Write context to CDK context file
-    echo "$cdk_context" > "$IAC_DIR/cdk.context.json"
+    # Merge context into the shared cdk.json (other stages keep their own keys)
+    local cdk_json="$IAC_DIR/cdk.json"
+    jq --argjson ctx "$cdk_context" '.context += $ctx' "$cdk_json" > "${cdk_json}.tmp" && mv "${cdk_json}.tmp" "$cdk_json"
     
     echo "✅ CDK context generated successfully"
     return 0
 }
 
+# Function to deploy the cross-account DNS role in the infrastructure account
+deploy_dns_role_stack() {
+    local infra_profile="$1"
+    
+    echo "🔑 Deploying cross-account DNS role..."
+    echo "   Using AWS profile: $infra_profile"
+    echo "   Per architecture: Route53 hosted zones stay in the infrastructure account"
+    
+    cd "$IAC_DIR"
+    
+    # Bootstrap CDK in the infrastructure account if needed (idempotent operation) with timeout
+    echo "   🔧 Ensuring CDK bootstrap..."
+    timeout $CDK_TIMEOUT npx cdk bootstrap --context stages="$CDK_STAGE" --profile "$infra_profile" "aws://$(aws sts get-caller-identity --profile "$infra_profile" --query Account --output text)/us-east-1" || {
+        echo "⚠️  CDK bootstrap failed or timed out, but continuing with deployment..."
+    }
+    
+    echo "   📤 Deploying DNS role stack..."
+    if timeout $CDK_TIMEOUT npx cdk deploy StageBDnsRoleStack --context stages="$CDK_STAGE" --profile "$infra_profile" --require-approval never 2>&1 | tee "$DATA_DIR/cdk-dns-role-deploy.log"; then
+        echo "✅ DNS role deployment completed successfully"
+        return 0
+    else
+        echo "❌ DNS role deployment failed or timed out"
+        echo "   Check the deployment log: $DATA_DIR/cdk-dns-role-deploy.log"
+        return 1
+    fi
+}
+
 # Function to deploy CDK stack
 deploy_cdk_stack() {
     local target_profile="$1"
@@ -181,6 +226,8 @@ deploy_cdk_stack() {
     echo "   Using AWS profile: $target_profile"
     echo "   Target region: us-east-1 (required for CloudFront certificates)"
     echo "   Per architecture: Certificate created in environment-specific account"
+    echo "   The stack writes DNS validation and alias records through the cross-account role"
+    echo "   and only completes once the certificate is issued (usually 5-30 minutes)"
     
     cd "$IAC_DIR"
     
@@ -190,17 +237,17 @@ deploy_cdk_stack() {
     
     # Bootstrap CDK if needed (idempotent operation) with timeout
     echo "   🔧 Ensuring CDK bootstrap..."
-    timeout $CDK_TIMEOUT npx cdk bootstrap "aws://$(aws sts get-caller-identity --query Account --output text)/us-east-1" || {
+    timeout $CDK_TIMEOUT npx cdk bootstrap --context stages="$CDK_STAGE" "aws://$(aws sts get-caller-identity --query Account --output text)/us-east-1" || {
         echo "⚠️  CDK bootstrap failed or timed out, but continuing with deployment..."
     }
     
     # Deploy the stack with timeout
     echo "   📤 Deploying SSL certificate stack..."
-    if timeout $CDK_TIMEOUT npx cdk deploy --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json" 2>&1 | tee "$DATA_DIR/cdk-deploy.log"; then
+    if timeout $CDK_TIMEOUT npx cdk deploy StageBSslCertificateStack --context stages="$CDK_STAGE" --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json" 2>&1 | tee "$DATA_DIR/cdk-deploy.log"; then
         echo "✅ CDK deployment completed successfully"
         
         # Also save stack outputs in a separate file
-        timeout $DNS_TIMEOUT npx cdk ls --json > "$DATA_DIR/cdk-stack-list.json" 2>/dev/null || echo "[]" > "$DATA_DIR/cdk-stack-list.json"
+        timeout $DNS_TIMEOUT npx cdk ls --context stages="$CDK_STAGE" --json > "$DATA_DIR/cdk-stack-list.json" 2>/dev/null || echo "[]" > "$DATA_DIR/cdk-stack-list.json"
         
         return 0
     else
@@ -210,101 +257,6 @@ deploy_cdk_stack() {
     fi
 }
 
-# Function to manage DNS validation records
-manage_dns_validation() {
-    local action="$1"
-    
-    echo "🌐 Managing DNS validation records..."
-    echo "   Action: $action"
-    echo "   Per architecture: DNS validation records managed in infrastructure account Route53"
-    
-    # Use the manage-dns-validation.sh script
-    local dns_script="$SCRIPT_DIR/manage-dns-validation.sh"
-    
-    if [[ ! -f "$dns_script" ]]; then
-        echo "❌ Error: DNS validation script not found: $dns_script"
-        return 1
-    fi
-    
-    # Run DNS validation management with timeout
-    if timeout $DNS_TIMEOUT "$dns_script" "$action"; then
-        echo "✅ DNS validation $action completed successfully"
-        return 0
-    else
-        echo "❌ DNS validation $action failed or timed out"
-        return 1
-    fi
-}
-
-# Function to wait for certificate validation with timeout
-wait_for_certificate_validation() {
-    local target_profile="$1"
-    local max_wait_minutes="${2:-30}"
-    
-    # Check if we have a certificate ARN to monitor
-    local cert_arn=""
-    
-    # Get certificate ARN from CDK outputs (works for both new and reused certificates)
-    if [[ -f "$DATA_DIR/cdk-outputs.json" ]]; then
-        cert_arn=$(jq -r '.StageBSslCertificateStack.CertificateArnOutput // empty' "$DATA_DIR/cdk-outputs.json" 2>/dev/null || echo "")
-    fi
-    
-    if [[ -z "$cert_arn" ]]; then
-        echo "⚠️  Could not find certificate ARN - skipping validation wait"
-        return 0
-    fi
-    
-    echo "⏳ Waiting for SSL certificate validation..."
-    echo "   Certificate ARN: $cert_arn"
-    echo "   Maximum wait time: $max_wait_minutes minutes"
-    
-    local max_attempts=$((max_wait_minutes * 2))  # 30 second intervals
-    local attempt=1
-    
-    while [[ $attempt -le $max_attempts ]]; do
-        echo "   Attempt $attempt/$max_attempts - Checking certificate status..."
-        
-        # Get certificate status with timeout
-        local cert_status
-        cert_status=$(timeout $DNS_TIMEOUT aws acm describe-certificate \
-            --certificate-arn "$cert_arn" \
-            --profile "$target_profile" \
-            --region us-east-1 \
-            --query 'Certificate.Status' \
-            --output text 2>/dev/null || echo "UNKNOWN")
-        
-        case "$cert_status" in
-            "ISSUED")
-                echo "✅ Certificate validation completed successfully!"
-                echo "   Status: $cert_status"
-                return 0
-                ;;
-            "PENDING_VALIDATION")
-                echo "   Status: $cert_status - Still waiting..."
-                ;;
-            "FAILED"|"VALIDATION_TIMED_OUT"|"REVOKED")
-                echo "❌ Certificate validation failed!"
-                echo "   Status: $cert_status"
-                return 1
-                ;;
-            *)
-                echo "   Status: $cert_status - Unknown status, continuing..."
-                ;;
-        esac
-        
-        if [[ $attempt -lt $max_attempts ]]; then
-            echo "   Waiting 30 seconds before next check..."
-            sleep 30
-        fi
-        
-        ((attempt++))
-    done
-    
-    echo "⚠️  Certificate validation timed out after $max_wait_minutes minutes"
-    echo "   You can check the status later using: manage-dns-validation.sh status"
-    return 1
-}
-
 # Function to update CloudFront distribution
 update_cloudfront_distribution() {
     local target_profile="$1"
@@ -313,12 +265,13 @@ update_cloudfront_distribution() {
     echo "   Per architecture: CloudFront distribution updated in environment-specific account"
     
     # Get required values from data files
-    local cert_arn distribution_id domains
+    local cert_arn distribution_id domains preview_domain
     
     if [[ -f "$DATA_DIR/cdk-outputs.json" ]]; then
         cert_arn=$(jq -r '.StageBSslCertificateStack.CertificateArnOutput // empty' "$DATA_DIR/cdk-outputs.json")
         distribution_id=$(jq -r '.StageBSslCertificateStack.DistributionIdOutput // empty' "$DATA_DIR/cdk-outputs.json")
         domains=$(jq -r '.StageBSslCertificateStack.DomainsOutput // empty' "$DATA_DIR/cdk-outputs.json")
+        preview_domain=$(jq -r '.StageBSslCertificateStack.PreviewDomainOutput // empty' "$DATA_DIR/cdk-outputs.json")
     fi
     
     if [[ -z "$cert_arn" || -z "$distribution_id" || -z "$domains" ]]; then
@@ -330,6 +283,12 @@ update_cloudfront_distribution() {
     echo "   Distribution ID: $distribution_id"
     echo "   Domains: $domains"
     
+    # Branch previews are served by the same distribution
+    if [[ -n "$preview_domain" ]]; then
+        echo "   Preview Domain: $preview_domain"
+        domains="$domains,$preview_domain"
+    fi
+    
     # Get current distribution configuration with timeout
     local current_config
     current_config=$(timeout $DNS_TIMEOUT aws cloudfront get-distribution-config \
@@ -395,11 +354,13 @@ main() {
     local inputs_file="$DATA_DIR/inputs.json"
     local discovery_file="$DATA_DIR/discovery.json"
     
-    local target_profile
+    local target_profile infra_profile
     target_profile=$(jq -r '.targetProfile' "$inputs_file")
+    infra_profile=$(jq -r '.infraProfile' "$inputs_file")
     
     echo "Configuration:"
     echo "   Target Profile: $target_profile"
+    echo "   Infrastructure Profile: $infra_profile"
     echo "   Timeout Settings: CDK=$CDK_TIMEOUT sec, DNS=$DNS_TIMEOUT sec"
     echo
     
@@ -409,25 +370,19 @@ main() {
         exit 1
     fi
     
-    # Step 2: Deploy CDK stack (creates certificate in environment account)
-    if ! deploy_cdk_stack "$target_profile"; then
-        echo "❌ Failed to deploy CDK stack"
+    # Step 2: Deploy the role the certificate stack assumes into the infrastructure account
+    if ! deploy_dns_role_stack "$infra_profile"; then
+        echo "❌ Failed to deploy cross-account DNS role"
         exit 1
     fi
     
-    # Step 3: Add DNS validation records to infrastructure account Route53
-    if ! manage_dns_validation "add"; then
-        echo "❌ Failed to add DNS validation records"
+    # Step 3: Deploy CDK stack (certificate in environment account, DNS records in infrastructure account)
+    if ! deploy_cdk_stack "$target_profile"; then
+        echo "❌ Failed to deploy CDK stack"
         exit 1
     fi
     
-    # Step 4: Wait for certificate validation
-    if ! wait_for_certificate_validation "$target_profile" 30; then
-        echo "⚠️  Certificate validation incomplete, but continuing..."
-        echo "   You can check status later with: scripts/manage-dns-validation.sh status"
-    fi
-    
-    # Step 5: Update CloudFront distribution
+    # Step 4: Update CloudFront distribution
     if ! update_cloudfront_distribution "$target_profile"; then
         echo "❌ Failed to update CloudFront distribution"
         exit 1
@@ -453,23 +408,24 @@ main() {
         targetAccountId: $discovery[0].targetAccountId,
         certificateArn: $cdkOutputs.StageBSslCertificateStack.CertificateArnOutput,
         distributionId: $cdkOutputs.StageBSslCertificateStack.DistributionIdOutput,
-        domains: ($cdkOutputs.StageBSslCertificateStack.DomainsOutput | split(","))
+        domains: ($cdkOutputs.StageBSslCertificateStack.DomainsOutput | split(",")),
+        previewDomain: ($cdkOutputs.StageBSslCertificateStack.PreviewDomainOutput // null)
     }' > "$DATA_DIR/outputs.json"
     
     echo
     echo "🎉 Stage B SSL Certificate deployment completed successfully!"
     echo "   ✅ Certificate created in environment-specific account"
-    echo "   ✅ DNS validation records added to infrastructure account Route53"
+    echo "   ✅ DNS validation and alias records added to infrastructure account Route53"
     echo "   ✅ CloudFront distribution updated with SSL certificate"
     echo
     echo "Next steps:"
     echo "   1. Wait for CloudFront distribution deployment (10-15 minutes)"
     echo "   2. Test your domains with HTTPS"
-    echo "   3. Check certificate status: scripts/manage-dns-validation.sh status"
+    echo "   3. Check certificate and DNS status: ../status-b.sh"
     echo
     echo "Architecture compliance: ✅ ALIGNED"
     echo "   - SSL certificates stored in environment-specific account (us-east-1)"
-    echo "   - DNS validation records managed in infrastructure account Route53"
+    echo "   - DNS validation and alias records managed in infrastructure account Route53"
     echo "   - CloudFront distribution updated in environment-specific account"
 }
 
@@ -17,20 +17,26 @@ mkdir -p "$DATA_DIR"
 
 # Arrays to store domains
 DOMAINS=()
+PREVIEWS=false
 
 # Function to show usage
 show_usage() {
     cat << EOF
-Usage: $0 -d DOMAIN [-d DOMAIN2] [-d DOMAIN3] ...
+Usage: $0 -d DOMAIN [-d DOMAIN2] [-d DOMAIN3] ... [-p]
 
 Required Options:
   -d DOMAIN                 Fully qualified domain name (FQDN) for SSL certificate
                            Can be specified multiple times for multi-domain certificates
 
+Optional Options:
+  -p                        Serve branch previews at <branch>.preview.<primary domain>
+                           (adds *.preview.<primary domain> to the certificate and DNS)
+
 Examples:
   $0 -d www.sbx.yourdomain.com -d sbx.yourdomain.com
   $0 -d api.example.com
   $0 -d www.mysite.com -d mysite.com -d api.mysite.com
+  $0 -d www.sbx.yourdomain.com -d sbx.yourdomain.com -p
 
 Notes:
   - At least one domain is required
@@ -53,6 +59,10 @@ while [[ $# -gt 0 ]]; do
             DOMAINS+=("$2")
             shift 2
             ;;
+        -p)
+            PREVIEWS=true
+            shift
+            ;;
         -h|--help)
             show_usage
             exit 0
@@ -302,6 +312,7 @@ echo "💾 Saving configuration to inputs.json..."
 cat > "$DATA_DIR/inputs.json" << EOF
 {
   "domains": $(printf '%s\n' "${DOMAINS[@]}" | jq -R . | jq -s .),
+  "previews": $PREVIEWS,
   "infraProfile": "$INFRA_PROFILE",
   "targetProfile": "$TARGET_PROFILE",
   "infraAccountId": "$INFRA_ACCOUNT_ID",
@@ -66,14 +66,14 @@ validate_dns_validation() {
     echo "   Infrastructure Account: $infra_account_id (for Route53 DNS)"
     echo "   Hosted Zone: $hosted_zones"
     
-    # Check if manage-dns-validation.sh script exists
-    local dns_script="$SCRIPT_DIR/manage-dns-validation.sh"
-    if [[ -f "$dns_script" ]]; then
-        echo "   ✅ DNS validation management script exists"
+    # Check the cross-account DNS constructs exist
+    local dns_constructs="$(dirname "$(dirname "$STAGE_DIR")")/iac/lib/cross-account-dns.ts"
+    if [[ -f "$dns_constructs" ]]; then
+        echo "   ✅ Cross-account DNS constructs exist"
         echo "   ✅ DNS validation records managed in infrastructure account"
         return 0
     else
-        echo "   ❌ DNS validation management script missing"
+        echo "   ❌ Cross-account DNS constructs missing"
         return 1
     fi
 }
@@ -114,7 +114,7 @@ validate_script_compliance() {
     local issues=0
     
     # Check SSL certificate stack
-    local ssl_stack="$STAGE_DIR/iac/lib/ssl-certificate-stack.ts"
+    local ssl_stack="$(dirname "$(dirname "$STAGE_DIR")")/iac/lib/ssl-certificate-stack.ts"
     if [[ -f "$ssl_stack" ]]; then
         # Should NOT import route53 for zone management
         if grep -q "import.*route53" "$ssl_stack"; then
@@ -150,12 +150,11 @@ validate_script_compliance() {
         ((issues++))
     fi
     
-    # Check DNS validation script exists
-    local dns_script="$SCRIPT_DIR/manage-dns-validation.sh"
-    if [[ -f "$dns_script" ]]; then
-        echo "   ✅ DNS validation management script exists"
+    # Check the DNS role is deployed with the infrastructure profile
+    if [[ -f "$deploy_script" ]] && grep -q 'StageBDnsRoleStack' "$deploy_script"; then
+        echo "   ✅ Deployment script deploys the cross-account DNS role"
     else
-        echo "   ❌ DNS validation management script missing"
+        echo "   ❌ Deployment script does not deploy the cross-account DNS role"
         ((issues++))
     fi
     
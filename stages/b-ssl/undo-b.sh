@@ -39,7 +39,7 @@ Examples:
 
 Notes:
   - This script removes SSL certificates and reverts CloudFront to Stage A state
-  - DNS validation records are retained permanently as intended
+  - DNS validation and alias records are removed together with the certificate stack
   - Use --fallback-full if Stage B rollback fails and complete cleanup is needed
 
 EOF
@@ -134,46 +134,37 @@ load_configuration() {
 }
 
 # Function to remove SSL certificate
+# The certificate, its DNS validation records and the alias records are owned by
+# StageBSslCertificateStack, so destroying the stack removes all of them. The DNS role
+# in the infrastructure account is destroyed last because the stack needs it to clean up.
 remove_ssl_certificate() {
-    if [[ ! -f "$DATA_DIR/outputs.json" ]]; then
-        print_message "$YELLOW" "⚠️  No outputs.json found - cannot determine SSL certificate to remove"
-        return 0
-    fi
+    local iac_dir="$SCRIPT_DIR/../../iac"
     
-    local certificate_arn
-    certificate_arn=$(jq -r '.certificateArn // empty' "$DATA_DIR/outputs.json" 2>/dev/null || echo "")
-    
-    if [[ -z "$certificate_arn" ]]; then
-        print_message "$YELLOW" "⚠️  No SSL certificate ARN found in outputs.json"
+    if [[ ! -d "$iac_dir" ]]; then
+        print_message "$YELLOW" "⚠️  CDK directory not found - cannot remove SSL certificate stack"
         return 0
     fi
     
-    print_message "$BLUE" "🔒 Removing SSL certificate..."
-    print_message "$BLUE" "   Certificate ARN: $certificate_arn"
+    print_message "$BLUE" "🔒 Removing SSL certificate and DNS records..."
     
-    if confirm_action "⚠️  This will permanently delete the SSL certificate. Continue?"; then
-        # Check if certificate is still attached to CloudFront
-        print_message "$BLUE" "   🔍 Checking if certificate is attached to CloudFront distributions..."
-        
-        local attached_distributions
-        attached_distributions=$(aws cloudfront list-distributions --profile "$TARGET_PROFILE" --query "DistributionList.Items[?DistributionConfig.ViewerCertificate.ACMCertificateArn=='$certificate_arn'].Id" --output text 2>/dev/null || echo "")
+    if confirm_action "⚠️  This will permanently delete the SSL certificate and its Route53 records. Continue?"; then
+        cd "$iac_dir"
+        export AWS_DEFAULT_REGION="us-east-1"
         
-        if [[ -n "$attached_distributions" ]] && [[ "$attached_distributions" != "None" ]]; then
-            print_message "$YELLOW" "⚠️  Certificate is still attached to CloudFront distributions: $attached_distributions"
-            print_message "$YELLOW" "   You must remove CloudFront SSL configuration first"
+        print_message "$BLUE" "   🗑️  Destroying StageBSslCertificateStack (profile: $TARGET_PROFILE)..."
+        if ! npx cdk destroy StageBSslCertificateStack --context stages=b --profile "$TARGET_PROFILE" --force; then
+            print_message "$RED" "❌ Failed to destroy the SSL certificate stack"
+            print_message "$YELLOW" "   This may be because the certificate is still attached to CloudFront (wait for propagation)"
             return 1
         fi
         
-        # Attempt to delete the certificate
-        print_message "$BLUE" "   🗑️  Deleting SSL certificate..."
-        if aws acm delete-certificate --certificate-arn "$certificate_arn" --profile "$INFRA_PROFILE" --region us-east-1 2>/dev/null; then
-            print_message "$GREEN" "✅ SSL certificate deleted successfully"
-        else
-            local exit_code=$?
-            print_message "$RED" "❌ Failed to delete SSL certificate (exit code: $exit_code)"
-            print_message "$YELLOW" "   This may be because the certificate is still in use or has dependencies"
-            return $exit_code
+        print_message "$BLUE" "   🗑️  Destroying StageBDnsRoleStack (profile: $INFRA_PROFILE)..."
+        if ! npx cdk destroy StageBDnsRoleStack --context stages=b --profile "$INFRA_PROFILE" --force; then
+            print_message "$RED" "❌ Failed to destroy the cross-account DNS role stack"
+            return 1
         fi
+        
+        print_message "$GREEN" "✅ SSL certificate and DNS records removed successfully"
     else
         print_message "$YELLOW" "⏭️  Skipping SSL certificate deletion"
     fi
@@ -336,7 +327,7 @@ show_cleanup_summary() {
         print_message "$GREEN" "✅ Stage B SSL configuration removed"
         print_message "$BLUE" "   - SSL certificates deleted (if applicable)"
         print_message "$BLUE" "   - CloudFront reverted to Stage A state (if applicable)"
-        print_message "$BLUE" "   - DNS validation records retained (as intended)"
+        print_message "$BLUE" "   - DNS validation and alias records removed (if applicable)"
         print_message "$BLUE" "   - Local data files cleaned up (if requested)"
     fi
     
@@ -1,2 +0,0 @@
-#!/usr/bin/env node
-import 'source-map-support/register';
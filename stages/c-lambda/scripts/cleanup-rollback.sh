@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 
 echo "=== Stage C Lambda Deployment - Cleanup & Rollback ==="
 echo "This script will clean up AWS Lambda resources and handle rollback procedures."
@@ -249,7 +250,7 @@ cleanup_cdk_stack() {
     # List stacks to see what exists
     echo "Listing CDK stacks..."
     local stacks
-    stacks=$(npx cdk list --profile "$profile" 2>/dev/null || echo "")
+    stacks=$(npx cdk list --context stages="$CDK_STAGE" --profile "$profile" 2>/dev/null || echo "")
     
     if [[ -z "$stacks" ]]; then
         echo "✅ No CDK stacks found to clean up"
@@ -260,7 +261,7 @@ cleanup_cdk_stack() {
     
     # Destroy all stacks
     echo "Destroying CDK stacks..."
-    if npx cdk destroy --all --force --profile "$profile" 2>/dev/null; then
+    if npx cdk destroy --context stages="$CDK_STAGE" --all --force --profile "$profile" 2>/dev/null; then
         echo "✅ CDK stack(s) destroyed successfully"
         return 0
     else
@@ -0,0 +1,89 @@
+#!/bin/bash
+
+# deploy-auth.sh
+# Enables (or disables) authentication on the Stage C API: a Cognito user pool with a hosted UI
+# whose callback URLs are built from the Stage B domains (iac/lib/api-auth.ts). The handler then
+# verifies access tokens sent in X-Api-Authorization, and the SPA offers sign-in and sign-out.
+# Run after deploy-infrastructure.sh; the setting is kept in cdk.json for later deployments
+#
+# Usage:
+#   scripts/deploy-auth.sh [-p domain-prefix] [-d]
+#     -p  Hosted UI domain prefix (<prefix>.auth.<region>.amazoncognito.com), defaults to <distributionPrefix>-auth
+#     -d  Disable authentication and remove the user pool (users are lost in dev)
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"
+STACK_NAME="StageCLambdaStack"  # Stage C stack id in iac/app.ts
+
+AUTH_ENABLED=true
+DOMAIN_PREFIX=""
+
+# Function to show usage
+show_usage() {
+    sed -n '3,12p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "p:dh" opt; do
+    case "$opt" in
+        p) DOMAIN_PREFIX="$OPTARG" ;;
+        d) AUTH_ENABLED=false ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+if [[ "$AUTH_ENABLED" == "true" ]] && [[ "$(jq '.domains // [] | length' "$inputs_file")" == "0" ]]; then
+    echo "❌ Error: No Stage B domains found in inputs.json. They are needed for the hosted UI callback URLs"
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+
+echo "=== Stage C Lambda Deployment - Authentication ==="
+
+echo "📝 Updating CDK context..."
+cd "$IAC_DIR"
+jq --argjson enabled "$AUTH_ENABLED" \
+   --arg prefix "$DOMAIN_PREFIX" \
+   '.context."stage-c-lambda:auth" = $enabled |
+    .context."stage-c-lambda:authDomainPrefix" = (if $prefix == "" then null else $prefix end)' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    echo "❌ Error: Stage C deployment failed"
+    echo "   A hosted UI domain prefix must be unique in the region; choose another with -p"
+    exit 1
+fi
+cd - > /dev/null
+
+# Keep the processed outputs used by the other Stage C scripts current
+jq --arg stack "$STACK_NAME" '.[$stack]' "$DATA_DIR/cdk-outputs.json" > "$DATA_DIR/cdk-stack-outputs.json"
+
+if [[ "$AUTH_ENABLED" != "true" ]]; then
+    echo "✅ Authentication disabled; the API serves anonymous requests only"
+    exit 0
+fi
+
+echo "✅ Authentication enabled"
+echo "   User pool: $(jq -r '.UserPoolId' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   App client: $(jq -r '.UserPoolClientId' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   Hosted UI: $(jq -r '.AuthDomainUrl' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   ℹ️  The SPA reads these from /api/auth/config, so Stages D and E need no redeploy"
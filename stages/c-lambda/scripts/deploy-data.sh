@@ -0,0 +1,78 @@
+#!/bin/bash
+
+# deploy-data.sh
+# Enables (or disables) the Stage C data table: a DynamoDB table with point-in-time recovery
+# (iac/lib/api-data.ts) that the handler reads and writes for the /api/items endpoints, with
+# access to that table only. Dev tables are deleted with the stack; staging and prod tables are
+# retained and protected from deletion.
+# Run after deploy-infrastructure.sh; the setting is kept in cdk.json for later deployments
+#
+# Usage:
+#   scripts/deploy-data.sh [-d]
+#     -d  Disable the /api/items endpoints and remove the table from the stack
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"
+STACK_NAME="StageCLambdaStack"  # Stage C stack id in iac/app.ts
+
+DATA_ENABLED=true
+
+# Function to show usage
+show_usage() {
+    sed -n '3,12p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "dh" opt; do
+    case "$opt" in
+        d) DATA_ENABLED=false ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+
+echo "=== Stage C Lambda Deployment - Data Table ==="
+
+echo "📝 Updating CDK context..."
+cd "$IAC_DIR"
+jq --argjson enabled "$DATA_ENABLED" \
+   '.context."stage-c-lambda:data" = $enabled' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    echo "❌ Error: Stage C deployment failed"
+    exit 1
+fi
+cd - > /dev/null
+
+# Keep the processed outputs used by the other Stage C scripts current
+jq --arg stack "$STACK_NAME" '.[$stack]' "$DATA_DIR/cdk-outputs.json" > "$DATA_DIR/cdk-stack-outputs.json"
+
+if [[ "$DATA_ENABLED" != "true" ]]; then
+    echo "✅ Data table disabled; /api/items answers 404 ITEMS_NOT_ENABLED"
+    echo "   ℹ️  Retained tables (staging, prod) stay in the account until deleted by hand"
+    exit 0
+fi
+
+echo "✅ Data table enabled"
+echo "   Table: $(jq -r '.DataTableName' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   ℹ️  Try it through the site: curl -X POST https://<domain>/api/items -H 'Content-Type: application/json' -H 'x-amz-content-sha256: <sha256 of body>' -d '{\"name\":\"First\"}'"
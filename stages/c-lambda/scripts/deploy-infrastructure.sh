@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 
 echo "=== Stage C Lambda Deployment - Infrastructure Deployment ==="
 echo "This script will deploy the CDK infrastructure for Lambda function with Function URL."
@@ -90,6 +91,7 @@ generate_cdk_context() {
        --arg vpc_id "$target_vpc_id" \
        --arg distribution_id "$distribution_id" \
        --arg bucket_name "$bucket_name" \
+       --argjson domains "$(jq '.domains // []' "$inputs_file")" \
        '.context["stage-c-lambda:distributionPrefix"] = $prefix |
         .context["stage-c-lambda:targetRegion"] = $region |
         .context["stage-c-lambda:targetProfile"] = $profile |
@@ -98,7 +100,8 @@ generate_cdk_context() {
         .context["stage-c-lambda:infrastructureAccountId"] = $infra_account |
         .context["stage-c-lambda:targetVpcId"] = $vpc_id |
         .context["stage-c-lambda:distributionId"] = $distribution_id |
-        .context["stage-c-lambda:bucketName"] = $bucket_name' \
+        .context["stage-c-lambda:bucketName"] = $bucket_name |
+        .context["stage-c-lambda:domains"] = $domains' \
         "$cdk_json" > "${cdk_json}.tmp" && mv "${cdk_json}.tmp" "$cdk_json"
     
     echo "✅ CDK context updated successfully"
@@ -131,7 +134,7 @@ deploy_cdk_stack() {
     
     # Bootstrap CDK if needed (this is safe to run multiple times)
     echo "Bootstrapping CDK (if needed)..."
-    if ! npx cdk bootstrap --profile "$target_profile" 2>/dev/null; then
+    if ! npx cdk bootstrap --context stages="$CDK_STAGE" --profile "$target_profile" 2>/dev/null; then
         echo "⚠️  CDK bootstrap failed or not needed, continuing..."
     fi
     
@@ -141,7 +144,7 @@ deploy_cdk_stack() {
     
     # Deploy the stack
     echo "Deploying Lambda stack..."
-    npx cdk deploy --require-approval never --profile "$target_profile" --outputs-file "$DATA_DIR/cdk-outputs.json"
+    npx cdk deploy --context stages="$CDK_STAGE" --require-approval never --profile "$target_profile" --outputs-file "$DATA_DIR/cdk-outputs.json"
     
     local exit_code=$?
     
@@ -183,16 +186,18 @@ process_cdk_outputs() {
     echo "Stack Name: $stack_name"
     
     if jq -e '.LambdaFunctionArn' "$outputs_file" > /dev/null; then
-        local function_arn function_name function_url log_group_name
+        local function_arn function_name function_url log_group_name dashboard_url
         function_arn=$(jq -r '.LambdaFunctionArn' "$outputs_file")
         function_name=$(jq -r '.LambdaFunctionName' "$outputs_file")
         function_url=$(jq -r '.FunctionUrl' "$outputs_file")
         log_group_name=$(jq -r '.LogGroupName' "$outputs_file")
+        dashboard_url=$(jq -r '.DashboardUrl // empty' "$outputs_file")
         
         echo "Lambda Function ARN: $function_arn"
         echo "Lambda Function Name: $function_name"
         echo "Function URL: $function_url"
         echo "Log Group Name: $log_group_name"
+        echo "Dashboard: $dashboard_url"
     fi
     
     echo "✅ CDK outputs processed successfully"
@@ -0,0 +1,94 @@
+#!/bin/bash
+
+# deploy-releases.sh
+# Enables (or disables) safe releases of the Stage C function (iac/lib/api-release.ts): every
+# change is published as a version, the Function URL serves the `live` alias, and CodeDeploy
+# shifts the alias to a new version with the environment's deployment config (all at once in
+# dev, canary in staging and prod). A release rolls back when the function fails, answers 5xx
+# or slows down while traffic is shifting, or when the optional pre-traffic hook fails.
+# Run after deploy-infrastructure.sh; the settings are kept in cdk.json for later deployments
+#
+# Usage:
+#   scripts/deploy-releases.sh [-c config] [-t] [-d]
+#     -c  Deployment config, e.g. Canary10Percent5Minutes or Linear10PercentEvery1Minute
+#     -t  Smoke test each new version with the pre-traffic hook before it receives traffic
+#     -d  Serve $LATEST from the function's own Function URL again
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"
+STACK_NAME="StageCLambdaStack"  # Stage C stack id in iac/app.ts
+
+RELEASES_ENABLED=true
+DEPLOYMENT_CONFIG=""
+PRE_TRAFFIC_HOOK=false
+
+# Function to show usage
+show_usage() {
+    sed -n '3,15p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "c:tdh" opt; do
+    case "$opt" in
+        c) DEPLOYMENT_CONFIG="$OPTARG" ;;
+        t) PRE_TRAFFIC_HOOK=true ;;
+        d) RELEASES_ENABLED=false ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+if [[ "$RELEASES_ENABLED" != "true" && ( -n "$DEPLOYMENT_CONFIG" || "$PRE_TRAFFIC_HOOK" == "true" ) ]]; then
+    echo "❌ Error: -c and -t only apply to releases; drop them when disabling with -d"
+    exit 1
+fi
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+
+echo "=== Stage C Lambda Deployment - Releases ==="
+
+echo "📝 Updating CDK context..."
+cd "$IAC_DIR"
+# The deployment config and hook are removed with releases, which they only apply to
+jq --argjson enabled "$RELEASES_ENABLED" --arg config "$DEPLOYMENT_CONFIG" --argjson hook "$PRE_TRAFFIC_HOOK" \
+   '.context."stage-c-lambda:releases" = $enabled
+    | if $config == "" then del(.context."stage-c-lambda:deploymentConfig") else .context."stage-c-lambda:deploymentConfig" = $config end
+    | if $hook then .context."stage-c-lambda:preTrafficHook" = true else del(.context."stage-c-lambda:preTrafficHook") end' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    echo "❌ Error: Stage C deployment failed (a release that was rolled back also fails the deployment)"
+    exit 1
+fi
+cd - > /dev/null
+
+# Keep the processed outputs used by the other Stage C scripts current
+jq --arg stack "$STACK_NAME" '.[$stack]' "$DATA_DIR/cdk-outputs.json" > "$DATA_DIR/cdk-stack-outputs.json"
+
+if [[ "$RELEASES_ENABLED" != "true" ]]; then
+    echo "✅ Releases disabled; the Function URL serves \$LATEST"
+else
+    echo "✅ Releases enabled"
+    echo "   Live alias: $(jq -r '.LiveAliasArn' "$DATA_DIR/cdk-stack-outputs.json")"
+    echo "   Deployment group: $(jq -r '.DeploymentGroupName' "$DATA_DIR/cdk-stack-outputs.json")"
+fi
+
+echo "   ⚠️  The Function URL changed: $(jq -r '.FunctionUrl' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   Run scripts/validate-deployment.sh, then redeploy Stage D or E so CloudFront uses it"
@@ -0,0 +1,82 @@
+#!/bin/bash
+
+# deploy-vpc.sh
+# Runs (or stops running) the Stage C function inside the target VPC (targetVpcId): in its
+# private subnets, or its isolated subnets when it has no private ones, with a security group of
+# its own (iac/lib/api-vpc.ts). VPC endpoints for the services it calls are optional; the subnet
+# layout is checked at synth time, so an unsuitable VPC fails before anything is deployed.
+# Run after deploy-infrastructure.sh; the settings are kept in cdk.json for later deployments
+#
+# Usage:
+#   scripts/deploy-vpc.sh [-e endpoints] [-d]
+#     -e  Comma-separated VPC endpoints, e.g. dynamodb,xray (dynamodb, s3, xray, secretsmanager, ssm, kms, sts, rds-data)
+#     -d  Detach the function from the VPC and remove its security group and endpoints
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="c"
+STACK_NAME="StageCLambdaStack"  # Stage C stack id in iac/app.ts
+
+VPC_ENABLED=true
+ENDPOINTS=""
+
+# Function to show usage
+show_usage() {
+    sed -n '3,13p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "e:dh" opt; do
+    case "$opt" in
+        e) ENDPOINTS="$OPTARG" ;;
+        d) VPC_ENABLED=false ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+
+echo "=== Stage C Lambda Deployment - VPC Access ==="
+
+echo "📝 Updating CDK context..."
+cd "$IAC_DIR"
+jq --argjson enabled "$VPC_ENABLED" --arg endpoints "$ENDPOINTS" \
+   '.context."stage-c-lambda:vpc" = $enabled
+    | .context."stage-c-lambda:vpcEndpoints" = ($endpoints | split(",") | map(select(length > 0)))' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    echo "❌ Error: Stage C deployment failed"
+    exit 1
+fi
+cd - > /dev/null
+
+# Keep the processed outputs used by the other Stage C scripts current
+jq --arg stack "$STACK_NAME" '.[$stack]' "$DATA_DIR/cdk-outputs.json" > "$DATA_DIR/cdk-stack-outputs.json"
+
+if [[ "$VPC_ENABLED" != "true" ]]; then
+    echo "✅ Function detached from the VPC"
+    exit 0
+fi
+
+echo "✅ Function running in the target VPC"
+echo "   Security group: $(jq -r '.SecurityGroupId' "$DATA_DIR/cdk-stack-outputs.json")"
+echo "   Endpoints: ${ENDPOINTS:-none}"
+echo "   ℹ️  Allow this security group in the inbound rules of databases the API should reach"
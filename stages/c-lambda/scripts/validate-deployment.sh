@@ -59,7 +59,8 @@ extract_deployment_info() {
     echo "Extracting deployment information..."
     
     # Extract from CDK outputs
-    FUNCTION_ARN=$(jq -r '.LambdaFunctionArn' "$stack_outputs")
+    # With releases the live alias owns the Function URL, so later stages grant access on it
+    FUNCTION_ARN=$(jq -r '.LiveAliasArn // .LambdaFunctionArn' "$stack_outputs")
     FUNCTION_NAME=$(jq -r '.LambdaFunctionName' "$stack_outputs")
     FUNCTION_URL=$(jq -r '.FunctionUrl' "$stack_outputs")
     LOG_GROUP_NAME=$(jq -r '.LogGroupName' "$stack_outputs")
@@ -297,7 +298,7 @@ validate_function_url() {
     if [[ "$http_status" == "403" ]]; then
         echo "✅ Function URL is accessible (403 expected due to AWS_IAM auth)"
         echo "   URL: $function_url"
-        echo "   Note: Function URL requires AWS IAM authentication for actual access"
+        echo "   Note: Only signed requests (CloudFront origin access control in Stage E) can invoke it"
         return 0
     elif [[ "$http_status" == "200" ]]; then
         echo "✅ Function URL is accessible and responding (Status: $http_status)"
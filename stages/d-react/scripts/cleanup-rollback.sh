@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="d"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 
 echo "=== Stage D React Deployment - Cleanup & Rollback ==="
 echo "This script will clean up React deployment and handle rollback procedures."
@@ -260,7 +261,7 @@ cleanup_cdk_resources() {
     
     # Attempt to destroy the CDK stack
     echo "   Destroying CDK stack..."
-    if npx cdk destroy --profile "$profile" --force > /dev/null 2>&1; then
+    if npx cdk destroy --context stages="$CDK_STAGE" --profile "$profile" --force > /dev/null 2>&1; then
         echo "✅ CDK stack destroyed successfully"
     else
         echo "⚠️  CDK stack destruction failed or no stack found"
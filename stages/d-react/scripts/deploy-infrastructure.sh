@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="d"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 REACT_APP_DIR="$STAGE_DIR/../../apps/hello-world-react"
 
 echo "=== Stage D React Deployment - Infrastructure Deployment ==="
@@ -64,7 +65,7 @@ generate_cdk_context() {
     # Read values from data files
     local distribution_prefix target_region target_profile infrastructure_profile target_vpc_id
     local target_account_id infrastructure_account_id distribution_id bucket_name
-    local primary_domain certificate_arn lambda_function_url
+    local distribution_domain_name primary_domain certificate_arn lambda_function_arn lambda_function_url
     
     distribution_prefix=$(jq -r '.distributionPrefix' "$inputs_file")
     target_region=$(jq -r '.targetRegion' "$inputs_file")
@@ -76,6 +77,7 @@ generate_cdk_context() {
     bucket_name=$(jq -r '.bucketName' "$inputs_file")
     primary_domain=$(jq -r '.primaryDomain' "$inputs_file")
     certificate_arn=$(jq -r '.certificateArn' "$inputs_file")
+    lambda_function_arn=$(jq -r '.lambdaFunctionArn // .stageC.lambdaFunctionArn // empty' "$inputs_file")
     lambda_function_url=$(jq -r '.lambdaFunctionUrl' "$inputs_file")
     
     target_account_id=$(jq -r '.targetAccountId' "$discovery_file")
@@ -89,6 +91,7 @@ generate_cdk_context() {
     echo "Distribution ID: $distribution_id"
     echo "Bucket Name: $bucket_name"
     echo "Primary Domain: $primary_domain"
+    echo "Lambda Function ARN: ${lambda_function_arn:-<not set>}"
     echo "Lambda Function URL: $lambda_function_url"
     
     # Update CDK context in cdk.json
@@ -100,9 +103,11 @@ generate_cdk_context() {
        --arg infra_account "$infrastructure_account_id" \
        --arg vpc_id "$target_vpc_id" \
        --arg distribution_id "$distribution_id" \
+       --arg distribution_domain "$distribution_domain_name" \
        --arg bucket_name "$bucket_name" \
        --arg primary_domain "$primary_domain" \
        --arg certificate_arn "$certificate_arn" \
+       --arg lambda_arn "$lambda_function_arn" \
        --arg lambda_url "$lambda_function_url" \
        '.context["stage-d-react:distributionPrefix"] = $prefix |
         .context["stage-d-react:targetRegion"] = $region |
@@ -112,9 +117,11 @@ generate_cdk_context() {
         .context["stage-d-react:infrastructureAccountId"] = $infra_account |
         .context["stage-d-react:targetVpcId"] = $vpc_id |
         .context["stage-d-react:distributionId"] = $distribution_id |
+        .context["stage-d-react:distributionDomainName"] = $distribution_domain |
         .context["stage-d-react:bucketName"] = $bucket_name |
         .context["stage-d-react:primaryDomain"] = $primary_domain |
         .context["stage-d-react:certificateArn"] = $certificate_arn |
+        .context["stage-d-react:lambdaFunctionArn"] = (if $lambda_arn == "" then null else $lambda_arn end) |
         .context["stage-d-react:lambdaFunctionUrl"] = $lambda_url' \
        "$cdk_json" > "${cdk_json}.tmp" && mv "${cdk_json}.tmp" "$cdk_json"
     
@@ -228,115 +235,26 @@ build_react_application() {
     cd - > /dev/null
 }
 
-# Function to deploy React content to S3
-deploy_react_content() {
-    local inputs_file="$DATA_DIR/inputs.json"
+# Function to point the stack at the build output
+# The stack uploads the build in cache tiers (hashed assets immutable, index.html no-store,
+# everything else short-lived) and smoke-checks the hash of the entry bundle referenced by the
+# release's index.html
+record_build_path() {
+    local cdk_json="$IAC_DIR/cdk.json"
     local build_output_dir
     
-    echo "🚀 Deploying React content to S3..."
-    
-    if [[ ! -f "$DATA_DIR/.build_output_dir" ]]; then
-        echo "❌ Error: Build output directory not found. Build may have failed."
-        exit 1
-    fi
-    
     build_output_dir=$(cat "$DATA_DIR/.build_output_dir")
     
-    # Read S3 configuration
-    local target_profile bucket_name
-    target_profile=$(jq -r '.targetProfile' "$inputs_file")
-    bucket_name=$(jq -r '.bucketName' "$inputs_file")
-    
-    echo "   Target Profile: $target_profile"
-    echo "   S3 Bucket: $bucket_name"
-    echo "   Source Directory: $REACT_APP_DIR/$build_output_dir"
-    
-    cd "$REACT_APP_DIR"
-    
-    # Deploy content to S3 with appropriate content types
-    echo "   Uploading React application files..."
-    
-    if aws s3 sync "$build_output_dir/" "s3://$bucket_name/" \
-        --profile "$target_profile" \
-        --delete \
-        --cache-control "public, max-age=31536000" \
-        --exclude "*.html" \
-        --exclude "service-worker.js" \
-        --exclude "manifest.json"; then
-        echo "   ✅ Static assets uploaded with long cache control"
-    else
-        echo "❌ Error: Failed to upload static assets"
-        exit 1
-    fi
-    
-    # Upload HTML files with no cache
-    if find "$build_output_dir" -name "*.html" -type f | while read -r html_file; do
-        local s3_path="${html_file#$build_output_dir/}"
-        aws s3 cp "$html_file" "s3://$bucket_name/$s3_path" \
-            --profile "$target_profile" \
-            --cache-control "no-cache, no-store, must-revalidate" \
-            --content-type "text/html"
-    done; then
-        echo "   ✅ HTML files uploaded with no-cache headers"
-    else
-        echo "❌ Error: Failed to upload HTML files"
-        exit 1
-    fi
-    
-    # Upload service worker and manifest with short cache if they exist
-    for special_file in "service-worker.js" "manifest.json"; do
-        if [[ -f "$build_output_dir/$special_file" ]]; then
-            aws s3 cp "$build_output_dir/$special_file" "s3://$bucket_name/$special_file" \
-                --profile "$target_profile" \
-                --cache-control "public, max-age=300" || true
-        fi
-    done
-    
-    echo "✅ React content deployed to S3 successfully"
-    
-    cd - > /dev/null
-}
-
-# Function to invalidate CloudFront cache
-invalidate_cloudfront_cache() {
-    local inputs_file="$DATA_DIR/inputs.json"
-    
-    echo "🔄 Invalidating CloudFront cache..."
-    
-    # Read CloudFront configuration
-    local target_profile distribution_id
-    target_profile=$(jq -r '.targetProfile' "$inputs_file")
-    distribution_id=$(jq -r '.distributionId' "$inputs_file")
+    echo "📦 Build output for CDK asset deployment: $REACT_APP_DIR/$build_output_dir"
     
-    echo "   Target Profile: $target_profile"
-    echo "   Distribution ID: $distribution_id"
-    
-    # Create cache invalidation for all content
-    local invalidation_id
-    if invalidation_id=$(aws cloudfront create-invalidation \
-        --distribution-id "$distribution_id" \
-        --paths "/*" \
-        --profile "$target_profile" \
-        --query 'Invalidation.Id' \
-        --output text); then
-        
-        echo "✅ CloudFront cache invalidation created"
-        echo "   Invalidation ID: $invalidation_id"
-        
-        # Store invalidation ID for status checking
-        echo "$invalidation_id" > "$DATA_DIR/.invalidation_id"
-        
-        echo "   Cache invalidation will take 5-15 minutes to complete"
-        echo "   New React content will be available immediately via S3, and globally via CloudFront after invalidation"
-    else
-        echo "❌ Error: Failed to create CloudFront cache invalidation"
-        exit 1
-    fi
+    jq --arg build_path "$REACT_APP_DIR/$build_output_dir" \
+       '.context["stage-d-react:buildPath"] = $build_path' \
+       "$cdk_json" > "${cdk_json}.tmp" && mv "${cdk_json}.tmp" "$cdk_json"
 }
 
 # Function to run CDK deployment (if needed for additional infrastructure)
 run_cdk_deployment() {
-    echo "🏗️  Running CDK deployment for additional React infrastructure..."
+    echo "🏗️  Running CDK deployment (React assets and infrastructure)..."
     
     cd "$IAC_DIR"
     
@@ -354,14 +272,14 @@ run_cdk_deployment() {
     fi
     
     echo "   Bootstrapping CDK (if needed)..."
-    if npx cdk bootstrap --profile "$target_profile" > /dev/null 2>&1; then
+    if npx cdk bootstrap --context stages="$CDK_STAGE" --profile "$target_profile" > /dev/null 2>&1; then
         echo "   ✅ CDK bootstrap completed"
     else
         echo "   ⚠️  CDK bootstrap skipped (may already be bootstrapped)"
     fi
     
     echo "   Synthesizing CDK stack..."
-    if npx cdk synth --profile "$target_profile" > /dev/null; then
+    if npx cdk synth --context stages="$CDK_STAGE" --profile "$target_profile" > /dev/null; then
         echo "   ✅ CDK synthesis successful"
     else
         echo "❌ Error: CDK synthesis failed"
@@ -369,16 +287,35 @@ run_cdk_deployment() {
     fi
     
     echo "   Deploying CDK stack..."
-    if npx cdk deploy --profile "$target_profile" --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    if npx cdk deploy --context stages="$CDK_STAGE" --profile "$target_profile" --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json"; then
         echo "✅ CDK deployment completed successfully"
     else
         echo "❌ Error: CDK deployment failed"
+        echo "   CloudFormation rolls the stack back; the live release is left as it was"
+        echo "   If the deployment smoke check failed, the site did not serve the new build in time;"
+        echo "   check the DeploymentStatus Lambda logs in CloudWatch for the failed requests"
         exit 1
     fi
     
     cd - > /dev/null
 }
 
+# Function to make the stored release live
+# The stack stores the build under releases/<releaseId>/ and smoke-checks it there; the site keeps
+# serving the previous release until the release store points at the new one
+activate_release() {
+    local release_id
+    release_id=$(jq -r '.StageDReactStack.ReactReleaseId // empty' "$DATA_DIR/cdk-outputs.json")
+
+    if [[ -z "$release_id" ]]; then
+        echo "❌ Error: ReactReleaseId missing from the CDK outputs"
+        exit 1
+    fi
+
+    echo "🚀 Making release $release_id live..."
+    "$SCRIPT_DIR/manage-releases.sh" activate "$release_id"
+}
+
 # Function to save deployment outputs
 save_deployment_outputs() {
     local outputs_file="$DATA_DIR/outputs.json"
@@ -459,16 +396,14 @@ main() {
     build_react_application
     echo
     
-    # Deploy React content
-    deploy_react_content
+    record_build_path
     echo
     
-    # Invalidate CloudFront cache
-    invalidate_cloudfront_cache
+    # Store the build as a release and smoke-check it via CDK
+    run_cdk_deployment
     echo
     
-    # Run CDK deployment for any additional infrastructure
-    run_cdk_deployment
+    activate_release
     echo
     
     # Save deployment outputs
@@ -479,9 +414,9 @@ main() {
     echo
     echo "📋 Summary:"
     echo "   ✅ React application built successfully"
-    echo "   ✅ Content deployed to S3"
-    echo "   ✅ CloudFront cache invalidated"
-    echo "   ✅ CDK infrastructure deployed"
+    echo "   ✅ Content deployed to S3 by the CDK stack with cache-control tiers"
+    echo "   ✅ Smoke checks passed"
+    echo "   ✅ Release made live"
     echo "   ✅ Deployment outputs saved"
     echo
     echo "🌐 Access URLs:"
@@ -490,9 +425,9 @@ main() {
     echo "   Lambda API: $(jq -r '.lambdaFunctionUrl' "$DATA_DIR/inputs.json")"
     echo
     echo "Next steps:"
-    echo "   1. Wait 5-15 minutes for CloudFront cache invalidation to complete"
-    echo "   2. Run: scripts/validate-deployment.sh"
-    echo "   3. Test the React application in your browser"
+    echo "   1. Run: scripts/validate-deployment.sh"
+    echo "   2. Test the React application in your browser"
+    echo "   3. To roll back later: scripts/manage-releases.sh rollback"
     echo
 }
 
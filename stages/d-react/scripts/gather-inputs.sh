@@ -284,6 +284,7 @@ save_inputs_json() {
   "bucketName": "$BUCKET_NAME",
   "primaryDomain": "$PRIMARY_DOMAIN",
   "certificateArn": "$CERTIFICATE_ARN",
+  "lambdaFunctionArn": "$LAMBDA_FUNCTION_ARN",
   "lambdaFunctionUrl": "$LAMBDA_FUNCTION_URL"
 }
 EOF
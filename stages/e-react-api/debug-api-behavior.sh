@@ -196,6 +196,7 @@ check_cache_behaviors() {
                 fi
             else
                 echo "   ❌ API cache behavior (/api/*) missing"
+                echo "   Run scripts/detect-drift.sh to compare the distribution with its declaration"
                 return 1
             fi
         else
@@ -10,7 +10,8 @@ set -euo pipefail
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 STAGE_DIR="$(dirname "$SCRIPT_DIR")"
 DATA_DIR="$STAGE_DIR/data"
-IAC_DIR="$STAGE_DIR/iac"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="e"  # Selects this stage's stack in the shared CDK app (iac/app.ts)
 REACT_APP_DIR="$STAGE_DIR/../../apps/hello-world-json"
 
 echo "=== Stage E React API Deployment - Infrastructure Deployment ==="
@@ -63,8 +64,10 @@ generate_cdk_context() {
     
     # Read values from data files
     local distribution_prefix target_region target_profile infrastructure_profile target_vpc_id
-    local target_account_id infrastructure_account_id distribution_id bucket_name
+    local target_account_id infrastructure_account_id distribution_id distribution_domain_name bucket_name
     local primary_domain certificate_arn lambda_function_arn lambda_function_url
+    local bucket_regional_domain origin_access_control_id cache_policy_id response_headers_policy_id domains
+    local viewer_request_function_arn preview_domain
     
     distribution_prefix=$(jq -r '.distributionPrefix' "$inputs_file")
     target_region=$(jq -r '.targetRegion' "$inputs_file")
@@ -74,7 +77,14 @@ generate_cdk_context() {
     distribution_id=$(jq -r '.distributionId' "$inputs_file")
     distribution_domain_name=$(jq -r '.distributionDomainName' "$inputs_file")
     bucket_name=$(jq -r '.bucketName' "$inputs_file")
+    bucket_regional_domain=$(jq -r '.bucketRegionalDomainName // empty' "$inputs_file")
+    origin_access_control_id=$(jq -r '.originAccessControlId // empty' "$inputs_file")
+    cache_policy_id=$(jq -r '.cachePolicyId // empty' "$inputs_file")
+    response_headers_policy_id=$(jq -r '.responseHeadersPolicyId // empty' "$inputs_file")
+    viewer_request_function_arn=$(jq -r '.viewerRequestFunctionArn // empty' "$inputs_file")
+    domains=$(jq -c '.stageB.domains // [.primaryDomain]' "$inputs_file")
     primary_domain=$(jq -r '.primaryDomain' "$inputs_file")
+    preview_domain=$(jq -r '.previewDomain // empty' "$inputs_file")
     certificate_arn=$(jq -r '.certificateArn' "$inputs_file")
     lambda_function_arn=$(jq -r '.lambdaFunctionArn' "$inputs_file")
     lambda_function_url=$(jq -r '.lambdaFunctionUrl' "$inputs_file")
@@ -89,7 +99,11 @@ generate_cdk_context() {
     echo "Target Account ID: $target_account_id"
     echo "Distribution ID: $distribution_id"
     echo "Bucket Name: $bucket_name"
+    echo "Origin Access Control ID: ${origin_access_control_id:-<resolved via CloudFormation import>}"
+    echo "Cache Policy ID: ${cache_policy_id:-<resolved via CloudFormation import>}"
+    echo "Response Headers Policy ID: ${response_headers_policy_id:-<resolved via CloudFormation import>}"
     echo "Primary Domain: $primary_domain"
+    echo "Preview Domain: ${preview_domain:-<branch previews disabled in Stage B>}"
     echo "Lambda Function ARN: $lambda_function_arn"
     echo "Lambda Function URL: $lambda_function_url"
     
@@ -102,11 +116,19 @@ generate_cdk_context() {
        --arg infra_account "$infrastructure_account_id" \
        --arg vpc_id "$target_vpc_id" \
        --arg dist_id "$distribution_id" \
+       --arg dist_domain "$distribution_domain_name" \
        --arg bucket "$bucket_name" \
        --arg domain "$primary_domain" \
        --arg cert_arn "$certificate_arn" \
        --arg lambda_arn "$lambda_function_arn" \
        --arg lambda_url "$lambda_function_url" \
+       --arg bucket_domain "$bucket_regional_domain" \
+       --arg oac_id "$origin_access_control_id" \
+       --arg cache_policy_id "$cache_policy_id" \
+       --arg response_headers_policy_id "$response_headers_policy_id" \
+       --arg viewer_request_function_arn "$viewer_request_function_arn" \
+       --arg preview_domain "$preview_domain" \
+       --argjson domains "$domains" \
        '.context."stage-e-react-api:distributionPrefix" = $prefix |
         .context."stage-e-react-api:targetRegion" = $region |
         .context."stage-e-react-api:targetProfile" = $profile |
@@ -115,11 +137,19 @@ generate_cdk_context() {
         .context."stage-e-react-api:infrastructureAccountId" = $infra_account |
         .context."stage-e-react-api:targetVpcId" = $vpc_id |
         .context."stage-e-react-api:distributionId" = $dist_id |
+        .context."stage-e-react-api:distributionDomainName" = $dist_domain |
         .context."stage-e-react-api:bucketName" = $bucket |
         .context."stage-e-react-api:primaryDomain" = $domain |
+        .context."stage-e-react-api:domains" = $domains |
         .context."stage-e-react-api:certificateArn" = $cert_arn |
         .context."stage-e-react-api:lambdaFunctionArn" = $lambda_arn |
-        .context."stage-e-react-api:lambdaFunctionUrl" = $lambda_url' \
+        .context."stage-e-react-api:lambdaFunctionUrl" = $lambda_url |
+        .context."stage-e-react-api:bucketRegionalDomainName" = (if $bucket_domain == "" then null else $bucket_domain end) |
+        .context."stage-e-react-api:originAccessControlId" = (if $oac_id == "" then null else $oac_id end) |
+        .context."stage-e-react-api:cachePolicyId" = (if $cache_policy_id == "" then null else $cache_policy_id end) |
+        .context."stage-e-react-api:responseHeadersPolicyId" = (if $response_headers_policy_id == "" then null else $response_headers_policy_id end) |
+        .context."stage-e-react-api:viewerRequestFunctionArn" = (if $viewer_request_function_arn == "" then null else $viewer_request_function_arn end) |
+        .context."stage-e-react-api:previewDomain" = (if $preview_domain == "" then null else $preview_domain end)' \
        "$cdk_json" > "$cdk_json.tmp" && mv "$cdk_json.tmp" "$cdk_json"
     
     echo "✅ CDK context updated"
@@ -233,115 +263,26 @@ build_react_application() {
     cd - > /dev/null
 }
 
-# Function to deploy React content to S3
-deploy_react_content() {
-    local inputs_file="$DATA_DIR/inputs.json"
+# Function to point the stack at the build output
+# The stack uploads the build in cache tiers (hashed assets immutable, index.html no-store,
+# everything else short-lived) and smoke-checks the hash of the entry bundle referenced by the
+# release's index.html
+record_build_path() {
+    local cdk_json="$IAC_DIR/cdk.json"
     local build_output_dir
     
-    echo "🚀 Deploying React content to S3..."
-    
-    if [[ ! -f "$DATA_DIR/.build_output_dir" ]]; then
-        echo "❌ Error: Build output directory not found. Build may have failed."
-        exit 1
-    fi
-    
     build_output_dir=$(cat "$DATA_DIR/.build_output_dir")
     
-    # Read S3 configuration
-    local target_profile bucket_name
-    target_profile=$(jq -r '.targetProfile' "$inputs_file")
-    bucket_name=$(jq -r '.bucketName' "$inputs_file")
-    
-    echo "   Target Profile: $target_profile"
-    echo "   S3 Bucket: $bucket_name"
-    echo "   Source Directory: $REACT_APP_DIR/$build_output_dir"
-    
-    cd "$REACT_APP_DIR"
-    
-    # Deploy content to S3 with appropriate content types
-    echo "   Uploading React application files..."
-    
-    if aws s3 sync "$build_output_dir/" "s3://$bucket_name/" \
-        --profile "$target_profile" \
-        --delete \
-        --cache-control "public, max-age=31536000" \
-        --exclude "*.html" \
-        --exclude "service-worker.js" \
-        --exclude "manifest.json"; then
-        echo "   ✅ Static assets uploaded with long cache control"
-    else
-        echo "❌ Error: Failed to upload static assets"
-        exit 1
-    fi
-    
-    # Upload HTML files with no cache
-    if find "$build_output_dir" -name "*.html" -type f | while read -r html_file; do
-        local s3_path="${html_file#$build_output_dir/}"
-        aws s3 cp "$html_file" "s3://$bucket_name/$s3_path" \
-            --profile "$target_profile" \
-            --cache-control "no-cache, no-store, must-revalidate" \
-            --content-type "text/html"
-    done; then
-        echo "   ✅ HTML files uploaded with no-cache headers"
-    else
-        echo "❌ Error: Failed to upload HTML files"
-        exit 1
-    fi
-    
-    # Upload service worker and manifest with short cache if they exist
-    for special_file in "service-worker.js" "manifest.json"; do
-        if [[ -f "$build_output_dir/$special_file" ]]; then
-            aws s3 cp "$build_output_dir/$special_file" "s3://$bucket_name/$special_file" \
-                --profile "$target_profile" \
-                --cache-control "public, max-age=300" || true
-        fi
-    done
+    echo "📦 Build output for CDK asset deployment: $REACT_APP_DIR/$build_output_dir"
     
-    echo "✅ React content deployed to S3 successfully"
-    
-    cd - > /dev/null
-}
-
-# Function to invalidate CloudFront cache
-invalidate_cloudfront_cache() {
-    local inputs_file="$DATA_DIR/inputs.json"
-    
-    echo "🔄 Invalidating CloudFront cache..."
-    
-    # Read CloudFront configuration
-    local target_profile distribution_id
-    target_profile=$(jq -r '.targetProfile' "$inputs_file")
-    distribution_id=$(jq -r '.distributionId' "$inputs_file")
-    
-    echo "   Target Profile: $target_profile"
-    echo "   Distribution ID: $distribution_id"
-    
-    # Create cache invalidation for all content
-    local invalidation_id
-    if invalidation_id=$(aws cloudfront create-invalidation \
-        --distribution-id "$distribution_id" \
-        --paths "/*" \
-        --profile "$target_profile" \
-        --query 'Invalidation.Id' \
-        --output text); then
-        
-        echo "✅ CloudFront cache invalidation created"
-        echo "   Invalidation ID: $invalidation_id"
-        
-        # Store invalidation ID for status checking
-        echo "$invalidation_id" > "$DATA_DIR/.invalidation_id"
-        
-        echo "   Cache invalidation will take 5-15 minutes to complete"
-        echo "   New React content will be available immediately via S3, and globally via CloudFront after invalidation"
-    else
-        echo "❌ Error: Failed to create CloudFront cache invalidation"
-        exit 1
-    fi
+    jq --arg build_path "$REACT_APP_DIR/$build_output_dir" \
+       '.context["stage-e-react-api:buildPath"] = $build_path' \
+       "$cdk_json" > "${cdk_json}.tmp" && mv "${cdk_json}.tmp" "$cdk_json"
 }
 
 # Function to run CDK deployment (if needed for additional infrastructure)
 run_cdk_deployment() {
-    echo "🏗️  Running CDK deployment for additional React infrastructure..."
+    echo "🏗️  Running CDK deployment (React assets and infrastructure)..."
     
     cd "$IAC_DIR"
     
@@ -359,14 +300,14 @@ run_cdk_deployment() {
     fi
     
     echo "   Bootstrapping CDK (if needed)..."
-    if npx cdk bootstrap --profile "$target_profile" > /dev/null 2>&1; then
+    if npx cdk bootstrap --context stages="$CDK_STAGE" --profile "$target_profile" > /dev/null 2>&1; then
         echo "   ✅ CDK bootstrap completed"
     else
         echo "   ⚠️  CDK bootstrap skipped (may already be bootstrapped)"
     fi
     
     echo "   Synthesizing CDK stack..."
-    if npx cdk synth --profile "$target_profile" > /dev/null; then
+    if npx cdk synth --context stages="$CDK_STAGE" --profile "$target_profile" > /dev/null; then
         echo "   ✅ CDK synthesis successful"
     else
         echo "❌ Error: CDK synthesis failed"
@@ -374,16 +315,76 @@ run_cdk_deployment() {
     fi
     
     echo "   Deploying CDK stack..."
-    if npx cdk deploy --profile "$target_profile" --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+    if npx cdk deploy --context stages="$CDK_STAGE" --profile "$target_profile" --require-approval never --outputs-file "$DATA_DIR/cdk-outputs.json"; then
         echo "✅ CDK deployment completed successfully"
     else
         echo "❌ Error: CDK deployment failed"
+        echo "   CloudFormation rolls the stack back; the live release is left as it was"
+        echo "   If the deployment smoke check failed, the site did not serve the new build in time;"
+        echo "   check the DeploymentStatus Lambda logs in CloudWatch for the failed requests"
         exit 1
     fi
     
     cd - > /dev/null
 }
 
+# Function to keep the Stage E distribution's read access to the content bucket: the stack adds
+# its own statement to the bucket policy before the smoke checks, but Stage A rewrites the policy
+# on every deployment, so the ID is also recorded in Stage A's context and Stage A redeployed
+grant_bucket_read() {
+    local target_profile stage_e_distribution_id
+    target_profile=$(jq -r '.targetProfile' "$DATA_DIR/inputs.json")
+    stage_e_distribution_id=$(jq -r '.StageEReactApiStack.ReactApiDistributionId // empty' "$DATA_DIR/cdk-outputs.json")
+
+    echo "🔐 Recording the Stage E distribution in Stage A's bucket policy..."
+
+    if [[ -z "$stage_e_distribution_id" ]]; then
+        echo "❌ Error: ReactApiDistributionId missing from the Stage E outputs"
+        exit 1
+    fi
+
+    cd "$IAC_DIR"
+
+    if [[ "$(jq -r '.context."stage-a-cloudfront:stageEDistributionId" // empty' cdk.json)" == "$stage_e_distribution_id" ]]; then
+        echo "   ✅ Stage A already grants $stage_e_distribution_id"
+        cd - > /dev/null
+        return
+    fi
+
+    if [[ -z "$(jq -r '.context."stage-a-cloudfront:distributionPrefix" // empty' cdk.json)" ]]; then
+        echo "❌ Error: Stage A context not found in cdk.json. Please run Stage A's deploy-infrastructure.sh first."
+        exit 1
+    fi
+
+    jq --arg id "$stage_e_distribution_id" '.context."stage-a-cloudfront:stageEDistributionId" = $id' cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+    if npx cdk deploy StageACloudFrontStack --context stages=a --profile "$target_profile" --require-approval never --exclusively; then
+        echo "   ✅ Stage A now grants $stage_e_distribution_id"
+    else
+        echo "❌ Error: Stage A deployment failed"
+        echo "   The next Stage A deployment would remove the Stage E distribution's read access until this succeeds"
+        exit 1
+    fi
+
+    cd - > /dev/null
+}
+
+# Function to make the stored release live
+# The stack stores the build under releases/<releaseId>/ and smoke-checks it there; the site keeps
+# serving the previous release until the release store points at the new one
+activate_release() {
+    local release_id
+    release_id=$(jq -r '.StageEReactApiStack.ReactApiReleaseId // empty' "$DATA_DIR/cdk-outputs.json")
+
+    if [[ -z "$release_id" ]]; then
+        echo "❌ Error: ReactApiReleaseId missing from the CDK outputs"
+        exit 1
+    fi
+
+    echo "🚀 Making release $release_id live..."
+    "$SCRIPT_DIR/manage-releases.sh" activate "$release_id"
+}
+
 # Function to save deployment outputs
 save_deployment_outputs() {
     local outputs_file="$DATA_DIR/outputs.json"
@@ -464,16 +465,18 @@ main() {
     build_react_application
     echo
     
-    # Deploy React content
-    deploy_react_content
+    record_build_path
     echo
     
-    # Invalidate CloudFront cache
-    invalidate_cloudfront_cache
+    # Store the build as a release and smoke-check it via CDK
+    run_cdk_deployment
     echo
     
-    # Run CDK deployment for any additional infrastructure
-    run_cdk_deployment
+    activate_release
+    echo
+    
+    # Keep the Stage E distribution's read access across Stage A deployments
+    grant_bucket_read
     echo
     
     # Save deployment outputs
@@ -484,9 +487,9 @@ main() {
     echo
     echo "📋 Summary:"
     echo "   ✅ React application built successfully"
-    echo "   ✅ Content deployed to S3"
-    echo "   ✅ CloudFront cache invalidated"
-    echo "   ✅ CDK infrastructure deployed"
+    echo "   ✅ Content deployed to S3 by the CDK stack with cache-control tiers"
+    echo "   ✅ Smoke checks passed"
+    echo "   ✅ Release made live"
     echo "   ✅ Deployment outputs saved"
     echo
     echo "🌐 Access URLs:"
@@ -495,9 +498,9 @@ main() {
     echo "   Lambda API: $(jq -r '.lambdaFunctionUrl' "$DATA_DIR/inputs.json")"
     echo
     echo "Next steps:"
-    echo "   1. Wait 5-15 minutes for CloudFront cache invalidation to complete"
-    echo "   2. Run: scripts/validate-deployment.sh"
-    echo "   3. Test the React application in your browser"
+    echo "   1. Run: scripts/validate-deployment.sh"
+    echo "   2. Test the React application in your browser"
+    echo "   3. To roll back later: scripts/manage-releases.sh rollback"
     echo
 }
 
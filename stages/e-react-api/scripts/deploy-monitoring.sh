@@ -0,0 +1,89 @@
+#!/bin/bash
+
+# deploy-monitoring.sh
+# Deploys the site monitoring stack (iac/lib/site-monitoring-stack.ts) for the Stage E site:
+# a synthetic canary that loads the SPA and calls /api/ every 5 minutes, and alarms on canary
+# failures, the CloudFront 5xx rate and certificate expiry, sent to an SNS topic.
+# Run after deploy-infrastructure.sh; the stack is deployed to us-east-1
+#
+# Usage:
+#   scripts/deploy-monitoring.sh [-e email] [-t topic-arn]
+#     -e  Email address subscribed to the alarm topic created by the stack
+#     -t  Existing SNS topic ARN (us-east-1) to send the alarms to instead
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="e"  # The monitoring stack reads the Stage E context in the shared CDK app (iac/app.ts)
+
+ALARM_EMAIL=""
+ALARM_TOPIC_ARN=""
+
+# Function to show usage
+show_usage() {
+    sed -n '3,11p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "e:t:h" opt; do
+    case "$opt" in
+        e) ALARM_EMAIL="$OPTARG" ;;
+        t) ALARM_TOPIC_ARN="$OPTARG" ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+if [[ -n "$ALARM_TOPIC_ARN" ]] && [[ ! "$ALARM_TOPIC_ARN" =~ ^arn:aws:sns:us-east-1:[0-9]{12}:.+ ]]; then
+    echo "❌ Error: Invalid topic ARN $ALARM_TOPIC_ARN. Please use an SNS topic in us-east-1"
+    exit 1
+fi
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+DISTRIBUTION_PREFIX=$(jq -r '.distributionPrefix' "$inputs_file")
+PRIMARY_DOMAIN=$(jq -r '.primaryDomain' "$inputs_file")
+STACK_NAME="$DISTRIBUTION_PREFIX-site-monitoring"  # Matches siteMonitoringStackName in iac/lib/site-monitoring-stack.ts
+
+echo "=== Stage E React API Deployment - Site Monitoring ==="
+
+# Record the alarm destination in the Stage E context so later deployments keep it
+echo "📝 Updating CDK context..."
+cd "$IAC_DIR"
+jq --arg email "$ALARM_EMAIL" \
+   --arg topic "$ALARM_TOPIC_ARN" \
+   '.context."stage-e-react-api:alarmEmail" = (if $email == "" then null else $email end) |
+    .context."stage-e-react-api:alarmTopicArn" = (if $topic == "" then null else $topic end)' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME to us-east-1..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --context siteMonitoring=true \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/monitoring-outputs.json"; then
+    echo "❌ Error: Site monitoring deployment failed"
+    echo "   CDK must be bootstrapped in us-east-1 for the target account (npx cdk bootstrap aws://<account>/us-east-1)"
+    exit 1
+fi
+cd - > /dev/null
+
+ALARM_TOPIC=$(jq -r --arg stack "$STACK_NAME" '.[$stack].AlarmTopicArn // empty' "$DATA_DIR/monitoring-outputs.json")
+CANARY_NAME=$(jq -r --arg stack "$STACK_NAME" '.[$stack].CanaryName // empty' "$DATA_DIR/monitoring-outputs.json")
+
+echo "✅ Site monitoring deployed"
+echo "   Canary: $CANARY_NAME (https://$PRIMARY_DOMAIN every 5 minutes)"
+echo "   Alarm topic: $ALARM_TOPIC"
+if [[ -n "$ALARM_EMAIL" ]]; then
+    echo "   ℹ️  Confirm the subscription email sent to $ALARM_EMAIL to start receiving alarms"
+fi
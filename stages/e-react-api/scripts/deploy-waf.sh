@@ -0,0 +1,137 @@
+#!/bin/bash
+
+# deploy-waf.sh
+# Deploys the WAF web ACL (iac/lib/web-acl-stack.ts) for the Stage E site and attaches it to the
+# distribution: AWS managed rule groups, per-IP rate limits (tighter on /api/* than on static
+# paths, set per environment in iac/lib/environment-config.ts) and IP allow and block lists.
+# Run after deploy-infrastructure.sh; the web ACL stack is deployed to us-east-1
+#
+# Usage:
+#   scripts/deploy-waf.sh [-a ips] [-b ips] [-c | -e] [-d]
+#     -a  Comma-separated IPs or CIDR ranges that are always allowed (replaces the current list)
+#     -b  Comma-separated IPs or CIDR ranges that are always blocked (replaces the current list)
+#     -c  Count-only mode: matching requests are counted, not blocked, to tune the rules
+#     -e  Enforce the rules (default for staging and prod)
+#     -d  Detach the web ACL from the distribution; the web ACL stack is left in place
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="e"  # The web ACL stack reads the Stage E context in the shared CDK app (iac/app.ts)
+STAGE_STACK_NAME="StageEReactApiStack"  # Stage E stack id in iac/app.ts
+
+ALLOWED_IPS=""
+BLOCKED_IPS=""
+UPDATE_ALLOWED=false
+UPDATE_BLOCKED=false
+COUNT_ONLY=""
+DETACH=false
+
+# Function to show usage
+show_usage() {
+    sed -n '3,15p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+while getopts "a:b:cedh" opt; do
+    case "$opt" in
+        a) ALLOWED_IPS="$OPTARG"; UPDATE_ALLOWED=true ;;
+        b) BLOCKED_IPS="$OPTARG"; UPDATE_BLOCKED=true ;;
+        c) COUNT_ONLY=true ;;
+        e) COUNT_ONLY=false ;;
+        d) DETACH=true ;;
+        h) show_usage; exit 0 ;;
+        *) show_usage; exit 1 ;;
+    esac
+done
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+DISTRIBUTION_PREFIX=$(jq -r '.distributionPrefix' "$inputs_file")
+STACK_NAME="$DISTRIBUTION_PREFIX-web-acl"  # Matches webAclStackName in iac/lib/web-acl-stack.ts
+
+# Redeploys Stage E so the distribution picks up the current webAclArn context value
+deploy_stage() {
+    echo "🏗️  Deploying $STAGE_STACK_NAME..."
+    if ! npx cdk deploy "$STAGE_STACK_NAME" \
+        --context stages="$CDK_STAGE" \
+        --profile "$TARGET_PROFILE" \
+        --require-approval never \
+        --exclusively \
+        --outputs-file "$DATA_DIR/cdk-outputs.json"; then
+        echo "❌ Error: Stage E deployment failed"
+        exit 1
+    fi
+}
+
+echo "=== Stage E React API Deployment - Web Application Firewall ==="
+
+cd "$IAC_DIR"
+
+if [[ "$DETACH" == "true" ]]; then
+    echo "📝 Updating CDK context..."
+    jq '.context."stage-e-react-api:webAclArn" = null' cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+    deploy_stage
+    cd - > /dev/null
+    echo "✅ Web ACL detached from the distribution"
+    echo "   ℹ️  Remove it with: npx cdk destroy $STACK_NAME --context stages=$CDK_STAGE --context webAcl=true"
+    exit 0
+fi
+
+# Record the lists and mode in the Stage E context so later deployments keep them
+echo "📝 Updating CDK context..."
+jq --argjson updateAllowed "$UPDATE_ALLOWED" \
+   --argjson updateBlocked "$UPDATE_BLOCKED" \
+   --arg allowed "$ALLOWED_IPS" \
+   --arg blocked "$BLOCKED_IPS" \
+   --arg countOnly "$COUNT_ONLY" \
+   'def ips: split(",") | map(gsub("^\\s+|\\s+$"; "")) | map(select(. != "")) | if length == 0 then null else . end;
+    (if $updateAllowed then .context."stage-e-react-api:wafAllowedIps" = ($allowed | ips) else . end) |
+    (if $updateBlocked then .context."stage-e-react-api:wafBlockedIps" = ($blocked | ips) else . end) |
+    (if $countOnly == "" then . else .context."stage-e-react-api:wafCountOnly" = ($countOnly == "true") end)' \
+   cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+
+echo "🏗️  Deploying $STACK_NAME to us-east-1..."
+if ! npx cdk deploy "$STACK_NAME" \
+    --context stages="$CDK_STAGE" \
+    --context webAcl=true \
+    --profile "$TARGET_PROFILE" \
+    --require-approval never \
+    --exclusively \
+    --outputs-file "$DATA_DIR/waf-outputs.json"; then
+    echo "❌ Error: Web ACL deployment failed"
+    echo "   CDK must be bootstrapped in us-east-1 for the target account (npx cdk bootstrap aws://<account>/us-east-1)"
+    exit 1
+fi
+
+WEB_ACL_ARN=$(jq -r --arg stack "$STACK_NAME" '.[$stack].WebAclArn // empty' "$DATA_DIR/waf-outputs.json")
+WEB_ACL_MODE=$(jq -r --arg stack "$STACK_NAME" '.[$stack].WebAclMode // empty' "$DATA_DIR/waf-outputs.json")
+DASHBOARD_NAME=$(jq -r --arg stack "$STACK_NAME" '.[$stack].DashboardName // empty' "$DATA_DIR/waf-outputs.json")
+
+if [[ -z "$WEB_ACL_ARN" ]]; then
+    echo "❌ Error: WebAclArn missing from the $STACK_NAME outputs"
+    exit 1
+fi
+
+# Attach the web ACL: Stage E declares the distribution, so it is redeployed with the ARN
+if [[ "$(jq -r '.context."stage-e-react-api:webAclArn" // empty' cdk.json)" != "$WEB_ACL_ARN" ]]; then
+    jq --arg arn "$WEB_ACL_ARN" '.context."stage-e-react-api:webAclArn" = $arn' cdk.json > cdk.json.tmp && mv cdk.json.tmp cdk.json
+    deploy_stage
+fi
+cd - > /dev/null
+
+echo "✅ Web ACL deployed and attached"
+echo "   Web ACL: $WEB_ACL_ARN"
+echo "   Mode: $WEB_ACL_MODE"
+echo "   Dashboard: $DASHBOARD_NAME (us-east-1)"
+if [[ "$WEB_ACL_MODE" == "count" ]]; then
+    echo "   ℹ️  Matching requests are only counted; review the dashboard, then run with -e to enforce"
+fi
@@ -0,0 +1,119 @@
+#!/bin/bash
+
+# detect-drift.sh
+# Reports differences between the live Stage E distribution and its declaration in the CDK app
+# (ReactApiStack, with the /api and /api/* behaviors declared in iac/lib/api-behaviors.ts).
+# Uses CloudFormation drift detection on the distribution; exits 1 when it has drifted.
+# To undo drift, redeploy Stage E: the declaration is re-applied, so hand edits are never needed
+#
+# Usage:
+#   scripts/detect-drift.sh           # Report drift of the distribution
+#   scripts/detect-drift.sh --json    # Print the raw property differences as JSON
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+
+STACK_NAME="StageEReactApiStack"  # Stage E stack id in iac/app.ts
+DISTRIBUTION_LOGICAL_ID="ExistingDistribution"  # Fixed logical id of the distribution in ReactApiStack
+DRIFT_TIMEOUT_SECONDS=300
+
+# Function to show usage
+show_usage() {
+    sed -n '3,12p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+OUTPUT_JSON=false
+case "${1:-}" in
+    --json) OUTPUT_JSON=true ;;
+    -h|--help) show_usage; exit 0 ;;
+    "") ;;
+    *) show_usage; exit 1 ;;
+esac
+
+inputs_file="$DATA_DIR/inputs.json"
+if [[ ! -f "$inputs_file" ]]; then
+    echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+    exit 1
+fi
+
+TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+TARGET_REGION=$(jq -r '.targetRegion' "$inputs_file")
+
+aws_cfn() {
+    aws cloudformation "$@" --profile "$TARGET_PROFILE" --region "$TARGET_REGION"
+}
+
+echo "🔍 Detecting drift of $STACK_NAME/$DISTRIBUTION_LOGICAL_ID..." >&2
+
+detection_id=$(aws_cfn detect-stack-drift \
+    --stack-name "$STACK_NAME" \
+    --logical-resource-ids "$DISTRIBUTION_LOGICAL_ID" \
+    --query 'StackDriftDetectionId' \
+    --output text)
+
+# Drift detection runs asynchronously
+elapsed=0
+while true; do
+    detection_status=$(aws_cfn describe-stack-drift-detection-status \
+        --stack-drift-detection-id "$detection_id" \
+        --query 'DetectionStatus' \
+        --output text)
+
+    if [[ "$detection_status" != "DETECTION_IN_PROGRESS" ]]; then
+        break
+    fi
+    if (( elapsed >= DRIFT_TIMEOUT_SECONDS )); then
+        echo "❌ Error: Drift detection did not finish within $DRIFT_TIMEOUT_SECONDS seconds" >&2
+        exit 1
+    fi
+
+    sleep 5
+    elapsed=$((elapsed + 5))
+done
+
+if [[ "$detection_status" != "DETECTION_COMPLETE" ]]; then
+    echo "❌ Error: Drift detection failed ($detection_status)" >&2
+    aws_cfn describe-stack-drift-detection-status \
+        --stack-drift-detection-id "$detection_id" \
+        --query 'DetectionStatusReason' \
+        --output text >&2
+    exit 1
+fi
+
+drift=$(aws_cfn describe-stack-resource-drifts \
+    --stack-name "$STACK_NAME" \
+    --query "StackResourceDrifts[?LogicalResourceId=='$DISTRIBUTION_LOGICAL_ID'] | [0]" \
+    --output json)
+
+drift_status=$(echo "$drift" | jq -r '.StackResourceDriftStatus // "NOT_CHECKED"')
+
+if [[ "$OUTPUT_JSON" == "true" ]]; then
+    echo "$drift" | jq '.PropertyDifferences // []'
+fi
+
+case "$drift_status" in
+    IN_SYNC)
+        echo "✅ The distribution matches its declaration" >&2
+        ;;
+    MODIFIED)
+        echo "❌ The distribution differs from its declaration:" >&2
+        if [[ "$OUTPUT_JSON" != "true" ]]; then
+            echo "$drift" | jq -r '.PropertyDifferences[] |
+                "   \(.DifferenceType) \(.PropertyPath)\n      declared: \(.ExpectedValue)\n      live:     \(.ActualValue)"' >&2
+        fi
+        echo "   Redeploy Stage E to restore the declared configuration (scripts/deploy-infrastructure.sh)" >&2
+        exit 1
+        ;;
+    DELETED)
+        echo "❌ The distribution was deleted outside CloudFormation" >&2
+        exit 1
+        ;;
+    *)
+        echo "⚠️  Drift status: $drift_status" >&2
+        exit 1
+        ;;
+esac
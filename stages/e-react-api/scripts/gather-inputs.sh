@@ -93,6 +93,11 @@ load_stage_a_outputs() {
     DISTRIBUTION_DOMAIN_NAME=$(jq -r '.distributionDomainName // empty' "$stage_a_outputs" 2>/dev/null || echo "")
     DISTRIBUTION_URL=$(jq -r '.distributionUrl // empty' "$stage_a_outputs" 2>/dev/null || echo "")
     BUCKET_NAME=$(jq -r '.bucketName // empty' "$stage_a_outputs" 2>/dev/null || echo "")
+    BUCKET_REGIONAL_DOMAIN=$(jq -r '.bucketRegionalDomainName // empty' "$stage_a_outputs" 2>/dev/null || echo "")
+    ORIGIN_ACCESS_CONTROL_ID=$(jq -r '.originAccessControlId // empty' "$stage_a_outputs" 2>/dev/null || echo "")
+    CACHE_POLICY_ID=$(jq -r '.cachePolicyId // empty' "$stage_a_outputs" 2>/dev/null || echo "")
+    RESPONSE_HEADERS_POLICY_ID=$(jq -r '.responseHeadersPolicyId // empty' "$stage_a_outputs" 2>/dev/null || echo "")
+    VIEWER_REQUEST_FUNCTION_ARN=$(jq -r '.viewerRequestFunctionArn // empty' "$stage_a_outputs" 2>/dev/null || echo "")
     TARGET_REGION=$(jq -r '.targetRegion // empty' "$stage_a_outputs" 2>/dev/null || echo "")
     TARGET_VPC_ID=$(jq -r '.targetVpcId // empty' "$stage_a_outputs" 2>/dev/null || echo "")
     TARGET_ACCOUNT_ID=$(jq -r '.targetAccountId // empty' "$stage_a_outputs" 2>/dev/null || echo "")
@@ -110,6 +115,7 @@ load_stage_a_outputs() {
     echo "   Distribution Prefix: $DISTRIBUTION_PREFIX"
     echo "   Distribution ID: $DISTRIBUTION_ID"
     echo "   Bucket Name: $BUCKET_NAME"
+    echo "   Origin Access Control ID: ${ORIGIN_ACCESS_CONTROL_ID:-<resolved via CloudFormation import>}"
     echo "   Target Region: $TARGET_REGION"
     echo
 }
@@ -142,6 +148,7 @@ load_stage_b_outputs() {
     DOMAINS=($(jq -r '.domains[]? // empty' "$stage_b_outputs" 2>/dev/null || echo ""))
     PRIMARY_DOMAIN=$(jq -r '.domains[0] // empty' "$stage_b_outputs" 2>/dev/null || echo "")  # Use first domain as primary
     CERTIFICATE_ARN=$(jq -r '.certificateArn // empty' "$stage_b_outputs" 2>/dev/null || echo "")
+    PREVIEW_DOMAIN=$(jq -r '.previewDomain // empty' "$stage_b_outputs" 2>/dev/null || echo "")  # Set when Stage B enabled branch previews
     HTTPS_URLS=()  # Build HTTPS URLs from domains
     
     # Create HTTPS URLs from domains
@@ -290,12 +297,18 @@ save_inputs_json() {
     "distributionId": "$DISTRIBUTION_ID",
     "distributionDomainName": "$DISTRIBUTION_DOMAIN_NAME",
     "distributionUrl": "$DISTRIBUTION_URL",
-    "bucketName": "$BUCKET_NAME"
+    "bucketName": "$BUCKET_NAME",
+    "bucketRegionalDomainName": "$BUCKET_REGIONAL_DOMAIN",
+    "originAccessControlId": "$ORIGIN_ACCESS_CONTROL_ID",
+    "cachePolicyId": "$CACHE_POLICY_ID",
+    "responseHeadersPolicyId": "$RESPONSE_HEADERS_POLICY_ID",
+    "viewerRequestFunctionArn": "$VIEWER_REQUEST_FUNCTION_ARN"
   },
   "stageB": {
     "primaryDomain": "$PRIMARY_DOMAIN",
     "domains": $(printf '%s\n' "${DOMAINS[@]}" | jq -R . | jq -s .),
     "certificateArn": "$CERTIFICATE_ARN",
+    "previewDomain": "$PREVIEW_DOMAIN",
     "httpsUrls": $(printf '%s\n' "${HTTPS_URLS[@]}" | jq -R . | jq -s .)
   },
   "stageC": {
@@ -313,7 +326,13 @@ save_inputs_json() {
   "distributionDomainName": "$DISTRIBUTION_DOMAIN_NAME",
   "distributionUrl": "$DISTRIBUTION_URL",
   "bucketName": "$BUCKET_NAME",
+  "bucketRegionalDomainName": "$BUCKET_REGIONAL_DOMAIN",
+  "originAccessControlId": "$ORIGIN_ACCESS_CONTROL_ID",
+  "cachePolicyId": "$CACHE_POLICY_ID",
+  "responseHeadersPolicyId": "$RESPONSE_HEADERS_POLICY_ID",
+  "viewerRequestFunctionArn": "$VIEWER_REQUEST_FUNCTION_ARN",
   "primaryDomain": "$PRIMARY_DOMAIN",
+  "previewDomain": "$PREVIEW_DOMAIN",
   "certificateArn": "$CERTIFICATE_ARN",
   "lambdaFunctionArn": "$LAMBDA_FUNCTION_ARN",
   "lambdaFunctionUrl": "$LAMBDA_FUNCTION_URL"
@@ -0,0 +1,199 @@
+#!/bin/bash
+
+# manage-previews.sh
+# Deploys, lists and tears down branch previews of the Stage E React application
+# Each preview is its own stack (iac/lib/preview-stack.ts) that uploads the branch build to
+# previews/<branch>/ in the Stage A bucket; it is served at https://<branch>.preview.<primary domain>
+# and calls the same /api/* Lambda origin as the site. Requires Stage B with branch previews (-p)
+#
+# Usage:
+#   scripts/manage-previews.sh deploy [branch]    # Build the current checkout and deploy it as a preview (default: current git branch)
+#   scripts/manage-previews.sh list               # Show the deployed previews
+#   scripts/manage-previews.sh teardown <branch>  # Delete a preview's stack and objects
+
+set -euo pipefail
+
+# Script directory and related paths
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+DATA_DIR="$STAGE_DIR/data"
+IAC_DIR="$(dirname "$(dirname "$STAGE_DIR")")/iac"
+CDK_STAGE="e"  # Preview stacks read the Stage E context in the shared CDK app (iac/app.ts)
+REACT_APP_DIR="$STAGE_DIR/../../apps/hello-world-json"
+
+PREVIEWS_PREFIX="previews/"
+
+# Function to show usage
+show_usage() {
+    sed -n '3,13p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+# Function to load the bucket, distribution, domain and profile from the stage data files
+load_configuration() {
+    local inputs_file="$DATA_DIR/inputs.json"
+
+    if [[ ! -f "$inputs_file" ]]; then
+        echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+        exit 1
+    fi
+
+    TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+    TARGET_REGION=$(jq -r '.targetRegion' "$inputs_file")
+    DISTRIBUTION_PREFIX=$(jq -r '.distributionPrefix' "$inputs_file")
+    BUCKET_NAME=$(jq -r '.bucketName' "$inputs_file")
+    DISTRIBUTION_ID=$(jq -r '.distributionId' "$inputs_file")
+    PRIMARY_DOMAIN=$(jq -r '.primaryDomain' "$inputs_file")
+    PREVIEW_DOMAIN=$(jq -r '.previewDomain // empty' "$inputs_file")
+
+    if [[ -z "$BUCKET_NAME" ]] || [[ "$BUCKET_NAME" == "null" ]]; then
+        echo "❌ Error: bucketName missing from inputs.json"
+        exit 1
+    fi
+}
+
+# Function to turn a branch name into a DNS label, matching previewSlugForBranch in iac/lib/preview-stack.ts
+preview_slug() {
+    local branch="$1"
+    local slug
+
+    slug=$(echo "$branch" | tr '[:upper:]' '[:lower:]' | sed -E 's/[^a-z0-9]+/-/g; s/^-+//' | cut -c1-63 | sed -E 's/-+$//')
+
+    if [[ -z "$slug" ]]; then
+        echo "❌ Error: Invalid preview branch $branch. Please use a branch name containing letters or digits" >&2
+        exit 1
+    fi
+
+    echo "$slug"
+}
+
+# Function to print the stack name of a preview, matching previewStackName in iac/lib/preview-stack.ts
+preview_stack_name() {
+    echo "$DISTRIBUTION_PREFIX-preview-$(preview_slug "$1")"
+}
+
+# Function to build the current checkout and deploy it as the branch preview
+deploy_preview() {
+    local branch="${1:-}"
+
+    if [[ -z "$branch" ]]; then
+        branch=$(git -C "$REACT_APP_DIR" rev-parse --abbrev-ref HEAD)
+    fi
+
+    if [[ -z "$PREVIEW_DOMAIN" ]]; then
+        echo "❌ Error: Branch previews are not enabled. Please re-run Stage B with -p and then Stage E"
+        exit 1
+    fi
+
+    local slug stack_name
+    slug=$(preview_slug "$branch")
+    stack_name=$(preview_stack_name "$branch")
+    BUILD_DIR=$(mktemp -d)
+    trap 'rm -rf "$BUILD_DIR"' EXIT
+
+    echo "🔨 Building $branch for preview..."
+    (cd "$REACT_APP_DIR" && NODE_ENV=production npm run build -- --outDir "$BUILD_DIR" --emptyOutDir)
+
+    echo "🏗️  Deploying preview stack $stack_name..."
+    cd "$IAC_DIR"
+    if ! npx cdk deploy "$stack_name" \
+        --context stages="$CDK_STAGE" \
+        --context previewBranch="$branch" \
+        --context previewBuildPath="$BUILD_DIR" \
+        --profile "$TARGET_PROFILE" \
+        --require-approval never \
+        --exclusively; then
+        echo "❌ Error: Preview deployment failed"
+        echo "   If the smoke check failed, check that $slug.preview.$PRIMARY_DOMAIN resolves to the distribution"
+        exit 1
+    fi
+    cd - > /dev/null
+
+    echo "✅ Preview of $branch is live at https://$slug.preview.$PRIMARY_DOMAIN"
+}
+
+# Function to list previews stored in the bucket
+list_previews() {
+    local slugs
+    slugs=$(aws s3api list-objects-v2 \
+        --bucket "$BUCKET_NAME" \
+        --prefix "$PREVIEWS_PREFIX" \
+        --delimiter "/" \
+        --profile "$TARGET_PROFILE" \
+        --output json \
+        --query 'CommonPrefixes[].Prefix' |
+        jq -r --arg prefix "$PREVIEWS_PREFIX" '.[]? | ltrimstr($prefix) | rtrimstr("/")')
+
+    echo "🔍 Previews in s3://$BUCKET_NAME/$PREVIEWS_PREFIX"
+
+    if [[ -z "$slugs" ]]; then
+        echo "   No previews found. Run '$0 deploy' from a branch to create one."
+        return 0
+    fi
+
+    while read -r slug; do
+        echo "   $slug  https://$slug.preview.$PRIMARY_DOMAIN"
+    done <<< "$slugs"
+}
+
+# Function to delete a preview's stack, then any objects left under its prefix
+teardown_preview() {
+    local branch="${1:-}"
+
+    if [[ -z "$branch" ]]; then
+        echo "❌ Error: Please pass the branch of the preview to tear down"
+        exit 1
+    fi
+
+    local slug stack_name
+    slug=$(preview_slug "$branch")
+    stack_name=$(preview_stack_name "$branch")
+
+    if aws cloudformation describe-stacks --stack-name "$stack_name" --profile "$TARGET_PROFILE" --region "$TARGET_REGION" > /dev/null 2>&1; then
+        echo "🗑️  Deleting preview stack $stack_name..."
+        aws cloudformation delete-stack --stack-name "$stack_name" --profile "$TARGET_PROFILE" --region "$TARGET_REGION"
+        aws cloudformation wait stack-delete-complete --stack-name "$stack_name" --profile "$TARGET_PROFILE" --region "$TARGET_REGION"
+    else
+        echo "   ℹ️  No preview stack $stack_name found"
+    fi
+
+    echo "   🗑️  Removing s3://$BUCKET_NAME/$PREVIEWS_PREFIX$slug/..."
+    aws s3 rm "s3://$BUCKET_NAME/$PREVIEWS_PREFIX$slug/" --recursive --profile "$TARGET_PROFILE" --only-show-errors
+
+    echo "   🔄 Invalidating /$PREVIEWS_PREFIX$slug/*..."
+    aws cloudfront create-invalidation \
+        --distribution-id "$DISTRIBUTION_ID" \
+        --paths "/$PREVIEWS_PREFIX$slug/*" \
+        --profile "$TARGET_PROFILE" \
+        --query 'Invalidation.Id' \
+        --output text
+
+    echo "✅ Preview of $branch removed"
+}
+
+main() {
+    local command="${1:-}"
+
+    case "$command" in
+        deploy)
+            load_configuration
+            deploy_preview "${2:-}"
+            ;;
+        list)
+            load_configuration
+            list_previews
+            ;;
+        teardown)
+            load_configuration
+            teardown_preview "${2:-}"
+            ;;
+        -h|--help|help)
+            show_usage
+            ;;
+        *)
+            show_usage
+            exit 1
+            ;;
+    esac
+}
+
+main "$@"
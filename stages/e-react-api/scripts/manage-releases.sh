@@ -0,0 +1,15 @@
+#!/bin/bash
+
+# manage-releases.sh
+# Lists the Stage E React releases and switches the live release (see ../../shared/manage-releases.sh)
+#
+# Usage:
+#   scripts/manage-releases.sh list
+#   scripts/manage-releases.sh rollback [releaseId]
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+STAGE_DIR="$(dirname "$SCRIPT_DIR")"
+
+exec "$(dirname "$STAGE_DIR")/shared/manage-releases.sh" "$STAGE_DIR" "$@"
@@ -254,7 +254,7 @@ show_test_summary() {
     echo "✅ What should be working:"
     echo "   - React app accessible at https://$PRIMARY_DOMAIN/"
     echo "   - CloudFront distribution deployed and configured"
-    echo "   - API cache behavior (/api/*) configured to route to Lambda origin"
+    echo "   - API cache behaviors (/api and /api/*) configured to route to Lambda origin"
     echo "   - Lambda origin added to CloudFront"
     echo
     echo "⚠️  Expected behaviors:"
@@ -264,7 +264,7 @@ show_test_summary() {
     echo
     echo "🔧 If API routing is not working:"
     echo "   1. Wait 10-15 minutes for CloudFront cache to fully clear"
-    echo "   2. Check cache behavior precedence in CloudFront console"
+    echo "   2. Check the behaviors match their declaration: scripts/detect-drift.sh"
     echo "   3. Create manual cache invalidation: aws cloudfront create-invalidation --distribution-id $DISTRIBUTION_ID --paths '/api/*'"
     echo "   4. Verify Lambda function is accessible with IAM credentials"
     echo
@@ -0,0 +1,257 @@
+#!/bin/bash
+
+# manage-releases.sh
+# Lists the React releases kept in the content bucket and switches the live release
+# Every Stage D and Stage E deployment stores its build under releases/<releaseId>/
+# (iac/lib/react-asset-deployment.ts), and the viewer request function serves the release named
+# by Stage A's release store. Switching writes that one key, so every request gets one release or
+# the other. Called by each stage's scripts/manage-releases.sh with the stage directory
+#
+# Usage:
+#   scripts/manage-releases.sh list                  # Show the release history, marking the live release
+#   scripts/manage-releases.sh activate <releaseId>  # Make a release live (the stage deployment does this)
+#   scripts/manage-releases.sh rollback              # Switch to the release deployed before the live one
+#   scripts/manage-releases.sh rollback <releaseId>  # Switch to a specific release
+
+set -euo pipefail
+
+# Stage directory passed by the stage's wrapper script
+STAGE_DIR="${1:?Usage: manage-releases.sh <stage-dir> <command>}"
+shift
+DATA_DIR="$STAGE_DIR/data"
+STAGE_A_OUTPUTS="$(dirname "$STAGE_DIR")/a-cloudfront/data/cdk-stack-outputs.json"
+
+RELEASES_PREFIX="releases/"
+# Key of the release store read by iac/cloudfront-functions/viewer-request
+LIVE_RELEASE_KEY="live"
+
+# Cache-Control of release HTML, matching CACHE_CONTROL.noStore in iac/lib/react-asset-deployment.ts
+CACHE_NO_STORE="no-cache, no-store, must-revalidate"
+
+# Function to show usage
+show_usage() {
+    sed -n '3,14p' "${BASH_SOURCE[0]}" | sed 's/^# \{0,1\}//'
+}
+
+# Function to load the bucket, distribution, release store and profile from the stage data files
+load_configuration() {
+    local inputs_file="$DATA_DIR/inputs.json"
+
+    if [[ ! -f "$inputs_file" ]]; then
+        echo "❌ Error: inputs.json not found. Please run the stage deployment first."
+        exit 1
+    fi
+
+    TARGET_PROFILE=$(jq -r '.targetProfile' "$inputs_file")
+    BUCKET_NAME=$(jq -r '.bucketName' "$inputs_file")
+
+    if [[ -z "$BUCKET_NAME" ]] || [[ "$BUCKET_NAME" == "null" ]]; then
+        echo "❌ Error: bucketName missing from inputs.json"
+        exit 1
+    fi
+
+    # inputs.json holds Stage A's distribution, which serves Stage D; Stage E serves the site from
+    # the distribution its own stack creates (the ReactApiDistributionId output)
+    DISTRIBUTION_ID=$(jq -r '.StageEReactApiStack.ReactApiDistributionId // empty' "$DATA_DIR/cdk-outputs.json" 2>/dev/null || true)
+    if [[ -z "$DISTRIBUTION_ID" ]]; then
+        DISTRIBUTION_ID=$(jq -r '.distributionId // empty' "$inputs_file")
+    fi
+
+    if [[ -z "$DISTRIBUTION_ID" ]]; then
+        echo "❌ Error: No distribution ID found. Please run the stage deployment first."
+        exit 1
+    fi
+
+    RELEASE_STORE_ARN=$(jq -r '.ReleaseStoreArn // empty' "$STAGE_A_OUTPUTS" 2>/dev/null || true)
+
+    if [[ -z "$RELEASE_STORE_ARN" ]]; then
+        echo "❌ Error: ReleaseStoreArn missing from $STAGE_A_OUTPUTS. Please redeploy Stage A."
+        exit 1
+    fi
+}
+
+# Function to print the live release ID (empty when no release has been made live yet)
+live_release_id() {
+    aws cloudfront-keyvaluestore get-key \
+        --kvs-arn "$RELEASE_STORE_ARN" \
+        --key "$LIVE_RELEASE_KEY" \
+        --profile "$TARGET_PROFILE" \
+        --query 'Value' \
+        --output text 2>/dev/null || true
+}
+
+# Function to print "<lastModified> <releaseId>" for every release, oldest first
+release_history() {
+    aws s3api list-objects-v2 \
+        --bucket "$BUCKET_NAME" \
+        --prefix "$RELEASES_PREFIX" \
+        --profile "$TARGET_PROFILE" \
+        --output json \
+        --query "Contents[?ends_with(Key, '/release.json')].[LastModified, Key]" |
+        jq -r --arg prefix "$RELEASES_PREFIX" '.[]? | "\(.[0]) \(.[1] | ltrimstr($prefix) | rtrimstr("/release.json"))"' |
+        sort
+}
+
+# Function to list releases
+list_releases() {
+    local live_release history
+    live_release=$(live_release_id)
+    history=$(release_history)
+
+    echo "📦 Releases in s3://$BUCKET_NAME/$RELEASES_PREFIX"
+
+    if [[ -z "$history" ]]; then
+        echo "   No releases found. Deploy the stage to create the first release."
+        return 0
+    fi
+
+    while read -r deployed_at release_id; do
+        if [[ "$release_id" == "$live_release" ]]; then
+            echo "   ▶ $release_id  $deployed_at  (live)"
+        else
+            echo "     $release_id  $deployed_at"
+        fi
+    done <<< "$history"
+}
+
+# Function to pick the release deployed before the live one
+previous_release_id() {
+    local live_release="$1"
+
+    release_history | awk -v live="$live_release" '$2 == live { print previous; exit } { previous = $2 }'
+}
+
+# Function to check that a release can be served from its prefix
+# Releases stored before the release store existed have long-lived HTML and cannot be made live
+validate_release() {
+    local release_id="$1"
+    local cache_control
+
+    if ! cache_control=$(aws s3api head-object \
+        --bucket "$BUCKET_NAME" \
+        --key "$RELEASES_PREFIX$release_id/index.html" \
+        --profile "$TARGET_PROFILE" \
+        --query 'CacheControl' \
+        --output text 2>/dev/null); then
+        echo "❌ Error: Release $release_id not found. Run 'scripts/manage-releases.sh list' to see the available releases."
+        exit 1
+    fi
+
+    if [[ "$cache_control" != "$CACHE_NO_STORE" ]]; then
+        echo "❌ Error: Release $release_id was stored before releases were served from their prefix."
+        echo "   Redeploy its build to make it live again."
+        exit 1
+    fi
+}
+
+# Function to point the release store at a release
+set_live_release() {
+    local release_id="$1"
+    local etag
+
+    # Writes to the store are conditional on its current version
+    etag=$(aws cloudfront-keyvaluestore describe-key-value-store \
+        --kvs-arn "$RELEASE_STORE_ARN" \
+        --profile "$TARGET_PROFILE" \
+        --query 'ETag' \
+        --output text)
+
+    aws cloudfront-keyvaluestore put-key \
+        --kvs-arn "$RELEASE_STORE_ARN" \
+        --key "$LIVE_RELEASE_KEY" \
+        --value "$release_id" \
+        --if-match "$etag" \
+        --profile "$TARGET_PROFILE" > /dev/null
+}
+
+# Function to invalidate the release's files at the edge
+# Release IDs are content hashes unless one is set explicitly, in which case a later build may
+# have replaced the files under the same ID
+invalidate_release_paths() {
+    local release_id="$1"
+
+    echo "   🔄 Invalidating /$RELEASES_PREFIX$release_id/*..."
+    aws cloudfront create-invalidation \
+        --distribution-id "$DISTRIBUTION_ID" \
+        --paths "/$RELEASES_PREFIX$release_id/*" \
+        --profile "$TARGET_PROFILE" \
+        --query 'Invalidation.Id' \
+        --output text
+}
+
+# Function to make a release live
+activate_release() {
+    local release_id="${1:-}"
+    local live_release
+
+    if [[ -z "$release_id" ]]; then
+        echo "❌ Error: Please pass the release ID to make live."
+        exit 1
+    fi
+
+    validate_release "$release_id"
+    live_release=$(live_release_id)
+
+    if [[ "$release_id" == "$live_release" ]]; then
+        echo "✅ Release $release_id is already live"
+        return 0
+    fi
+
+    echo "🔀 Switching live release: ${live_release:-none} -> $release_id"
+    invalidate_release_paths "$release_id"
+    set_live_release "$release_id"
+
+    echo "✅ Release $release_id is live"
+    echo "   CloudFront edge locations pick up the switch within seconds"
+}
+
+# Function to roll back to an earlier release
+rollback_release() {
+    local release_id="${1:-}"
+    local live_release
+    live_release=$(live_release_id)
+
+    if [[ -z "$release_id" ]]; then
+        if [[ -z "$live_release" ]]; then
+            echo "❌ Error: No live release recorded. Please pass the release ID to roll back to."
+            exit 1
+        fi
+        release_id=$(previous_release_id "$live_release")
+        if [[ -z "$release_id" ]]; then
+            echo "❌ Error: No release found before the live release $live_release"
+            exit 1
+        fi
+    fi
+
+    echo "⏪ Rolling back to release $release_id"
+    activate_release "$release_id"
+    echo "   The next stage deployment with a new build makes that build live again"
+}
+
+main() {
+    local command="${1:-}"
+
+    case "$command" in
+        list)
+            load_configuration
+            list_releases
+            ;;
+        activate)
+            load_configuration
+            activate_release "${2:-}"
+            ;;
+        rollback)
+            load_configuration
+            rollback_release "${2:-}"
+            ;;
+        -h|--help|help)
+            show_usage
+            ;;
+        *)
+            show_usage
+            exit 1
+            ;;
+    esac
+}
+
+main "$@"